@@ -99,12 +99,42 @@ export default function App() {
               icon="💵"
               label="Liquidación"
             />
+            <NavButton
+              active={activeTab === 'novedades_masivas'}
+              onClick={() => setActiveTab('novedades_masivas')}
+              icon="📤"
+              label="Novedades Masivas"
+            />
             <NavButton
               active={activeTab === 'empleados'}
               onClick={() => setActiveTab('empleados')}
               icon="👥"
               label="Empleados"
             />
+            <NavButton
+              active={activeTab === 'marcaciones'}
+              onClick={() => setActiveTab('marcaciones')}
+              icon="⏱️"
+              label="Marcaciones"
+            />
+            <NavButton
+              active={activeTab === 'prestamos'}
+              onClick={() => setActiveTab('prestamos')}
+              icon="💳"
+              label="Préstamos"
+            />
+            <NavButton
+              active={activeTab === 'descuentos'}
+              onClick={() => setActiveTab('descuentos')}
+              icon="⚖️"
+              label="Embargos y Libranzas"
+            />
+            <NavButton
+              active={activeTab === 'dispersion'}
+              onClick={() => setActiveTab('dispersion')}
+              icon="🏦"
+              label="Dispersión de Pagos"
+            />
 
             <NavSectionTitle title="LEGAL" />
             <NavButton
@@ -125,6 +155,12 @@ export default function App() {
               icon="⚖️"
               label="Parafiscales"
             />
+            <NavButton
+              active={activeTab === 'nomina_electronica'}
+              onClick={() => setActiveTab('nomina_electronica')}
+              icon="🧾"
+              label="Nómina Electrónica"
+            />
 
             <NavSectionTitle title="INFORMES" />
             <NavButton
@@ -133,6 +169,12 @@ export default function App() {
               icon="📄"
               label="Certificados"
             />
+            <NavButton
+              active={activeTab === 'formulario_220'}
+              onClick={() => setActiveTab('formulario_220')}
+              icon="🗂️"
+              label="Formulario 220"
+            />
             <NavButton
               active={activeTab === 'reportes'}
               onClick={() => setActiveTab('reportes')}
@@ -163,15 +205,22 @@ export default function App() {
           <div className="content-panel">
             {activeTab === 'empleados' && <EmpleadosPanel />}
             {activeTab === 'liquidacion' && <LiquidacionPanel />}
+            {activeTab === 'novedades_masivas' && <NovedadesMasivasPanel />}
+            {activeTab === 'marcaciones' && <MarcacionesPanel />}
+            {activeTab === 'prestamos' && <PrestamosPanel />}
+            {activeTab === 'descuentos' && <DescuentosPanel />}
+            {activeTab === 'dispersion' && <DispersionPanel />}
             {activeTab === 'historial' && <HistorialPanel />}
             {activeTab === 'configuracion' && <ConfigPanel />}
+            {activeTab === 'prestaciones' && <PrestacionesPanel />}
+            {activeTab === 'parafiscales' && <ParafiscalesPanel />}
+            {activeTab === 'seguridad_social' && <SeguridadSocialPanel />}
+            {activeTab === 'nomina_electronica' && <NominaElectronicaPanel />}
+            {activeTab === 'certificados' && <CertificadosPanel />}
+            {activeTab === 'formulario_220' && <Formulario220Panel />}
 
             {/* Paneles Placeholder */}
-            {activeTab === 'prestaciones' && <PlaceholderPanel title="Prestaciones Sociales" icon="🏖️" />}
-            {activeTab === 'seguridad_social' && <PlaceholderPanel title="Seguridad Social (PILA)" icon="🏥" />}
-            {activeTab === 'parafiscales' && <PlaceholderPanel title="Parafiscales" icon="⚖️" />}
-            {activeTab === 'certificados' && <PlaceholderPanel title="Certificados Laborales" icon="📄" />}
-            {activeTab === 'reportes' && <PlaceholderPanel title="Reportes y Estadísticas" icon="📊" />}
+            {activeTab === 'reportes' && <ReportesPanel />}
           </div>
         </main>
       </div>
@@ -201,23 +250,17 @@ function NavSectionTitle({ title }) {
   return <div className="nav-section-title">{title}</div>;
 }
 
-function PlaceholderPanel({ title, icon }) {
-  return (
-    <div className="panel placeholder-panel">
-      <div className="placeholder-content">
-        <span className="placeholder-icon">{icon}</span>
-        <h2>{title}</h2>
-        <p>Este módulo estará disponible en la próxima actualización.</p>
-        <div className="badge-construction">🚧 En Construcción</div>
-      </div>
-    </div>
-  );
-}
-
-
 // ========================
 // PANEL DE EMPLEADOS
 // ========================
+const MOTIVOS_RETIRO = {
+  renuncia: 'Renuncia voluntaria',
+  justaCausa: 'Despido con justa causa',
+  sinJustaCausa: 'Despido sin justa causa',
+  mutuoAcuerdo: 'Mutuo acuerdo',
+  vencimientoContrato: 'Vencimiento del contrato'
+};
+
 function EmpleadosPanel() {
   const { config } = useContext(ConfigContext);
   const { data: empleados, loading, error, refetch } = useApi('/empleados');
@@ -228,13 +271,23 @@ function EmpleadosPanel() {
     tipoCuenta: 'AHORROS',
     salarioBase: 0,
     esSalarioMinimo: false,
+    salarioIntegral: false,
     cargo: '',
     fechaIngreso: '',
+    tipoContrato: 'indefinido',
     eps: '',
-    fondoPension: ''
+    fondoPension: '',
+    claseRiesgo: 'I',
+    deduccionesRetencion: { dependientes: false, medicinaPrepagada: 0, interesesVivienda: 0 }
   });
   const [isEditing, setIsEditing] = useState(false);
   const [formError, setFormError] = useState(null);
+  const [historial, setHistorial] = useState(null);
+  const [vacaciones, setVacaciones] = useState(null);
+  const [solicitudVacaciones, setSolicitudVacaciones] = useState({ tipo: 'disfrute', fechaInicio: '', fechaFin: '', dias: 0, periodo: '' });
+  const [retiro, setRetiro] = useState(null);
+  const [importacion, setImportacion] = useState(null);
+  const [importando, setImportando] = useState(false);
 
   // Inicializar salario base con el mínimo si existe config
   useEffect(() => {
@@ -286,20 +339,167 @@ function EmpleadosPanel() {
       tipoCuenta: 'AHORROS',
       salarioBase: config ? config.smmlv : 1000000,
       esSalarioMinimo: false,
+      salarioIntegral: false,
       cargo: '',
       fechaIngreso: '',
+      tipoContrato: 'indefinido',
       eps: '',
-      fondoPension: ''
+      fondoPension: '',
+      claseRiesgo: 'I',
+      deduccionesRetencion: { dependientes: false, medicinaPrepagada: 0, interesesVivienda: 0 }
     });
     setIsEditing(false);
   };
 
+  // Liquidaciones del empleado con incapacidades y licencias
+  const handleHistorial = async (emp) => {
+    try {
+      const res = await fetch(`${API_BASE}/empleados/${emp.cedula}/historial`);
+      const json = await res.json();
+      if (json.success) {
+        setHistorial({ empleado: emp, periodos: json.data });
+      } else {
+        alert('❌ Error: ' + (json.error?.message || 'Error desconocido'));
+      }
+    } catch (err) {
+      alert('❌ Error: ' + err.message);
+    }
+  };
+
+  // Saldo y registros del libro de vacaciones
+  const cargarVacaciones = async (emp) => {
+    try {
+      const res = await fetch(`${API_BASE}/empleados/${emp.cedula}/vacaciones`);
+      const json = await res.json();
+      if (json.success) {
+        setVacaciones({ empleado: emp, ...json.data });
+      } else {
+        alert('❌ Error: ' + (json.error?.message || 'Error desconocido'));
+      }
+    } catch (err) {
+      alert('❌ Error: ' + err.message);
+    }
+  };
+
+  const handleSolicitarVacaciones = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await fetch(`${API_BASE}/empleados/${vacaciones.empleado.cedula}/vacaciones`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(solicitudVacaciones)
+      });
+      const json = await res.json();
+      if (!json.success) {
+        const detalle = json.error?.details?.map(d => d.mensaje).join('\n');
+        alert('❌ Error: ' + (detalle || json.error?.message || 'Error desconocido'));
+        return;
+      }
+      await cargarVacaciones(vacaciones.empleado);
+    } catch (err) {
+      alert('❌ Error: ' + err.message);
+    }
+  };
+
+  const handleEstadoVacaciones = async (id, estado) => {
+    try {
+      const res = await fetch(`${API_BASE}/empleados/${vacaciones.empleado.cedula}/vacaciones/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ estado })
+      });
+      const json = await res.json();
+      if (!json.success) {
+        alert('❌ Error: ' + (json.error?.message || 'Error desconocido'));
+        return;
+      }
+      await cargarVacaciones(vacaciones.empleado);
+    } catch (err) {
+      alert('❌ Error: ' + err.message);
+    }
+  };
+
+  // Retiro con liquidación definitiva: calcula primero y guarda al confirmar
+  const abrirRetiro = async (emp) => {
+    if (emp.liquidacionDefinitiva) {
+      setRetiro({ empleado: emp, datos: null, liquidacion: emp.liquidacionDefinitiva, guardada: true });
+      return;
+    }
+    setRetiro({
+      empleado: emp,
+      datos: { fechaRetiro: new Date().toISOString().split('T')[0], motivo: 'renuncia', tipoContrato: emp.tipoContrato || 'indefinido', fechaFinContrato: '', observaciones: '' },
+      liquidacion: null,
+      guardada: false
+    });
+  };
+
+  const handleRetiro = async (guardar) => {
+    if (guardar && !confirm(`¿Retirar a ${retiro.empleado.nombres} el ${retiro.datos.fechaRetiro}? El empleado quedará inactivo.`)) return;
+    try {
+      const res = await fetch(`${API_BASE}/empleados/${retiro.empleado.cedula}/retiro`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...retiro.datos, guardar })
+      });
+      const json = await res.json();
+      if (!json.success) {
+        const detalle = json.error?.details?.map(d => d.mensaje).join('\n');
+        alert('❌ Error: ' + (detalle || json.error?.message || 'Error desconocido'));
+        return;
+      }
+      setRetiro({ ...retiro, liquidacion: json.data, guardada: guardar });
+      if (guardar) refetch();
+    } catch (err) {
+      alert('❌ Error: ' + err.message);
+    }
+  };
+
+  // Importación masiva desde CSV o Excel: primero simula (dryRun) y se aplica al confirmar
+  const enviarImportacion = async (archivo, dryRun) => {
+    setImportando(true);
+    try {
+      const esExcel = archivo.name.toLowerCase().endsWith('.xlsx');
+      const res = await fetch(`${API_BASE}/empleados/importar${dryRun ? '?dryRun=true' : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': esExcel ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' : 'text/csv' },
+        body: esExcel ? archivo : await archivo.text()
+      });
+      const json = await res.json();
+      if (json.success) {
+        setImportacion({ archivo, mensaje: json.message, ...json.data });
+        if (!dryRun) refetch();
+      } else {
+        setImportacion({ archivo, error: json.error?.message || 'Error importando' });
+      }
+    } catch (err) {
+      setImportacion({ archivo, error: err.message });
+    }
+    setImportando(false);
+  };
+
+  const handleArchivoImportacion = (e) => {
+    const archivo = e.target.files[0];
+    e.target.value = '';
+    if (archivo) enviarImportacion(archivo, true);
+  };
+
+  const ACCIONES_IMPORTACION = {
+    crear: { label: 'Crear', badge: 'badge-success' },
+    actualizar: { label: 'Actualizar', badge: 'badge-borrador' },
+    sin_cambios: { label: 'Sin cambios', badge: 'badge-ahorros' },
+    error: { label: 'Error', badge: 'badge-danger' }
+  };
+
   const handleEdit = (emp) => {
     // Si el salario coincide con el mínimo actual, podríamos sugerir marcar la casilla,
     // pero mejor respetamos el valor guardado en la BD (esSalarioMinimo)
     setFormData({
       ...emp,
-      esSalarioMinimo: emp.esSalarioMinimo === true // Asegurar booleano
+      esSalarioMinimo: emp.esSalarioMinimo === true, // Asegurar booleano
+      salarioIntegral: emp.salarioIntegral === true,
+      claseRiesgo: emp.claseRiesgo || 'I',
+      tipoContrato: emp.tipoContrato || 'indefinido',
+      deduccionesRetencion: { dependientes: false, medicinaPrepagada: 0, interesesVivienda: 0, ...emp.deduccionesRetencion }
     });
     setIsEditing(true);
   };
@@ -364,6 +564,17 @@ function EmpleadosPanel() {
             onChange={e => setFormData({ ...formData, fechaIngreso: e.target.value })}
           />
         </div>
+        <div className="form-group">
+          <label>Tipo de Contrato</label>
+          <select
+            value={formData.tipoContrato}
+            onChange={e => setFormData({ ...formData, tipoContrato: e.target.value })}
+          >
+            <option value="indefinido">Término indefinido</option>
+            <option value="fijo">Término fijo</option>
+            <option value="obra">Obra o labor</option>
+          </select>
+        </div>
 
         {/* Sección Salario */}
         <div className="form-group">
@@ -385,13 +596,25 @@ function EmpleadosPanel() {
               <input
                 type="checkbox"
                 checked={formData.esSalarioMinimo}
-                onChange={e => setFormData({ ...formData, esSalarioMinimo: e.target.checked })}
+                onChange={e => setFormData({ ...formData, esSalarioMinimo: e.target.checked, salarioIntegral: false })}
               />
               <span style={{ fontSize: '0.8rem', color: 'var(--color-primary)' }}>
                 Vincular a SMMLV ({config ? formatCurrency(config.smmlv) : '...'})
               </span>
             </label>
           </div>
+          <div className="checkbox-wrapper" style={{ marginTop: '0.5rem' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={formData.salarioIntegral}
+                onChange={e => setFormData({ ...formData, salarioIntegral: e.target.checked, esSalarioMinimo: false })}
+              />
+              <span style={{ fontSize: '0.8rem', color: 'var(--color-primary)' }}>
+                Salario integral (mínimo {config ? formatCurrency(config.smmlv * 13) : '...'})
+              </span>
+            </label>
+          </div>
         </div>
 
         {/* Sección Pago */}
@@ -435,6 +658,51 @@ function EmpleadosPanel() {
             onChange={e => setFormData({ ...formData, fondoPension: e.target.value })}
           />
         </div>
+        <div className="form-group">
+          <label>Clase Riesgo ARL</label>
+          <select
+            value={formData.claseRiesgo}
+            onChange={e => setFormData({ ...formData, claseRiesgo: e.target.value })}
+          >
+            <option value="I">I - Mínimo</option>
+            <option value="II">II - Bajo</option>
+            <option value="III">III - Medio</option>
+            <option value="IV">IV - Alto</option>
+            <option value="V">V - Máximo</option>
+          </select>
+        </div>
+
+        {/* Sección Retención en la Fuente */}
+        <div className="form-group">
+          <label>Medicina Prepagada (mensual)</label>
+          <input
+            type="number"
+            min="0"
+            value={formData.deduccionesRetencion.medicinaPrepagada}
+            onChange={e => setFormData({ ...formData, deduccionesRetencion: { ...formData.deduccionesRetencion, medicinaPrepagada: Number(e.target.value) } })}
+          />
+        </div>
+        <div className="form-group">
+          <label>Intereses Vivienda (mensual)</label>
+          <input
+            type="number"
+            min="0"
+            value={formData.deduccionesRetencion.interesesVivienda}
+            onChange={e => setFormData({ ...formData, deduccionesRetencion: { ...formData.deduccionesRetencion, interesesVivienda: Number(e.target.value) } })}
+          />
+          <div className="checkbox-wrapper" style={{ marginTop: '0.5rem' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={formData.deduccionesRetencion.dependientes}
+                onChange={e => setFormData({ ...formData, deduccionesRetencion: { ...formData.deduccionesRetencion, dependientes: e.target.checked } })}
+              />
+              <span style={{ fontSize: '0.8rem', color: 'var(--color-primary)' }}>
+                Tiene dependientes (retención)
+              </span>
+            </label>
+          </div>
+        </div>
 
         <div className="form-group form-actions span-2" style={{ justifyContent: 'flex-end' }}>
           <button type="submit" className="btn btn-primary btn-large">
@@ -451,6 +719,75 @@ function EmpleadosPanel() {
 
       {formError && <div className="error-message">{formError}</div>}
 
+      {/* Importación masiva */}
+      <div className="importacion-empleados">
+        <div className="info-box">
+          <span className="info-icon">ℹ️</span>
+          <p>
+            Importación masiva: columnas <code>cedula, nombres, cuenta, tipoCuenta, salario</code> y opcionales <code>auxTransporte, cargo, fechaIngreso, tipoContrato, eps, fondoPension, claseRiesgo, salarioMinimo, salarioIntegral</code>.
+            Una cédula existente actualiza solo las columnas del archivo. Primero se muestra la simulación y se guarda al confirmar.
+          </p>
+        </div>
+        <div className="form-row">
+          <div className="form-group">
+            <label>Importar CSV o Excel (.xlsx)</label>
+            <input type="file" accept=".csv,.xlsx,text/csv" onChange={handleArchivoImportacion} disabled={importando} />
+          </div>
+        </div>
+
+        {importando && <div className="loading">Procesando archivo...</div>}
+        {importacion?.error && <div className="message error">{importacion.error}</div>}
+        {importacion?.resumen && (
+          <>
+            <div className={`message ${importacion.resumen.errores > 0 ? 'error' : 'success'}`}>
+              {importacion.archivo.name}: {importacion.mensaje}
+              {importacion.columnas.ignoradas.length > 0 && <> · Columnas ignoradas: {importacion.columnas.ignoradas.join(', ')}</>}
+            </div>
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Fila</th>
+                    <th>Cédula</th>
+                    <th>Nombre</th>
+                    <th>Acción</th>
+                    <th>Detalle</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {importacion.filas.map(f => (
+                    <tr key={f.fila}>
+                      <td>{f.fila}</td>
+                      <td className="mono">{f.cedula}</td>
+                      <td>{f.nombres}</td>
+                      <td><span className={`badge ${ACCIONES_IMPORTACION[f.accion].badge}`}>{ACCIONES_IMPORTACION[f.accion].label}</span></td>
+                      <td>
+                        {f.errores?.map(e => e.mensaje).join('; ')}
+                        {f.cambios?.map(c => `${c.campo}: ${c.anterior ?? '—'} → ${c.nuevo}`).join('; ')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="actions-row">
+              {importacion.dryRun && (
+                <button
+                  onClick={() => enviarImportacion(importacion.archivo, false)}
+                  disabled={importando || importacion.resumen.crear + importacion.resumen.actualizar === 0}
+                  className="btn btn-primary"
+                >
+                  ✅ Confirmar importación ({importacion.resumen.crear + importacion.resumen.actualizar} empleados)
+                </button>
+              )}
+              <button onClick={() => setImportacion(null)} className="btn btn-secondary">
+                {importacion.dryRun ? 'Cancelar' : 'Cerrar'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+
       {/* Tabla */}
       <div className="table-container">
         <table>
@@ -470,11 +807,19 @@ function EmpleadosPanel() {
               <tr key={emp.cedula} className={!emp.activo ? 'inactive' : ''}>
                 <td className="mono">{emp.cedula}</td>
                 <td>{emp.nombres}</td>
-                <td className="money">{formatCurrency(emp.salarioBase)}</td>
+                <td className="money">
+                  {formatCurrency(emp.salarioBase)}
+                  {emp.salarioIntegral && <span className="badge"> Integral</span>}
+                </td>
                 <td className="mono">{emp.cuenta || '-'}</td>
                 <td><span className={`badge badge-${emp.tipoCuenta?.toLowerCase()}`}>{emp.tipoCuenta}</span></td>
                 <td><span className={`badge ${emp.activo ? 'badge-success' : 'badge-danger'}`}>{emp.activo ? 'Activo' : 'Inactivo'}</span></td>
                 <td className="actions">
+                  <button onClick={() => handleHistorial(emp)} className="btn-icon" title="Historial">📋</button>
+                  <button onClick={() => cargarVacaciones(emp)} className="btn-icon" title="Vacaciones">🏖️</button>
+                  {(emp.activo || emp.liquidacionDefinitiva) && (
+                    <button onClick={() => abrirRetiro(emp)} className="btn-icon" title={emp.liquidacionDefinitiva ? 'Liquidación definitiva' : 'Retirar'}>🚪</button>
+                  )}
                   <button onClick={() => handleEdit(emp)} className="btn-icon" title="Editar">✏️</button>
                   <button onClick={() => handleDelete(emp.cedula)} className="btn-icon danger" title="Desactivar">🗑️</button>
                 </td>
@@ -486,6 +831,333 @@ function EmpleadosPanel() {
           </tbody>
         </table>
       </div>
+
+      {/* Modal de vacaciones */}
+      {vacaciones && (
+        <div className="modal-overlay" onClick={() => setVacaciones(null)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Vacaciones de {vacaciones.empleado.nombres}</h3>
+              <button onClick={() => setVacaciones(null)}>✕</button>
+            </div>
+            <div className="modal-body">
+              <div className="info-box">
+                <span className="info-icon">🏖️</span>
+                <p>
+                  Causados {vacaciones.causados} días desde {vacaciones.fechaIngreso} ·
+                  Disfrutados {vacaciones.disfrutados} · Programados {vacaciones.programados} ·
+                  Compensados {vacaciones.compensados} · Pendientes {vacaciones.pendientes} ·
+                  <strong> Saldo {vacaciones.saldo} días</strong> ·
+                  Salario promedio {formatCurrency(vacaciones.salarioPromedio)}
+                </p>
+              </div>
+
+              <form onSubmit={handleSolicitarVacaciones} className="form-row">
+                <div className="form-group">
+                  <label>Tipo</label>
+                  <select
+                    value={solicitudVacaciones.tipo}
+                    onChange={e => setSolicitudVacaciones({ ...solicitudVacaciones, tipo: e.target.value })}
+                  >
+                    <option value="disfrute">Disfrute</option>
+                    <option value="compensacion">Compensación en dinero</option>
+                  </select>
+                </div>
+                {solicitudVacaciones.tipo === 'disfrute' ? (
+                  <>
+                    <div className="form-group">
+                      <label>Desde</label>
+                      <input
+                        type="date"
+                        value={solicitudVacaciones.fechaInicio}
+                        onChange={e => setSolicitudVacaciones({ ...solicitudVacaciones, fechaInicio: e.target.value })}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Hasta</label>
+                      <input
+                        type="date"
+                        value={solicitudVacaciones.fechaFin}
+                        onChange={e => setSolicitudVacaciones({ ...solicitudVacaciones, fechaFin: e.target.value })}
+                      />
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div className="form-group">
+                      <label>Días (máx. {vacaciones.maxCompensable})</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={solicitudVacaciones.dias}
+                        onChange={e => setSolicitudVacaciones({ ...solicitudVacaciones, dias: Number(e.target.value) })}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Período de pago</label>
+                      <input
+                        type="text"
+                        placeholder="2026-S10"
+                        value={solicitudVacaciones.periodo}
+                        onChange={e => setSolicitudVacaciones({ ...solicitudVacaciones, periodo: e.target.value })}
+                      />
+                    </div>
+                  </>
+                )}
+                <div className="form-group">
+                  <label>&nbsp;</label>
+                  <button type="submit" className="btn btn-primary">Solicitar</button>
+                </div>
+              </form>
+
+              <table>
+                <thead>
+                  <tr>
+                    <th>Tipo</th>
+                    <th>Fechas / Período</th>
+                    <th>Días</th>
+                    <th>Estado</th>
+                    <th>Acciones</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {vacaciones.registros.map(r => (
+                    <tr key={r.id} className={r.estado === 'anulada' ? 'inactive' : ''}>
+                      <td>{r.tipo === 'disfrute' ? 'Disfrute' : 'Compensación'}</td>
+                      <td>{r.tipo === 'disfrute' ? `${r.fechaInicio} a ${r.fechaFin}` : r.periodo}</td>
+                      <td>{r.tipo === 'disfrute' ? `${r.diasHabiles} hábiles` : r.dias}</td>
+                      <td>{r.estado}</td>
+                      <td className="actions">
+                        {r.estado === 'solicitada' && (
+                          <button onClick={() => handleEstadoVacaciones(r.id, 'aprobada')} className="btn-icon" title="Aprobar">✅</button>
+                        )}
+                        {r.estado !== 'anulada' && (
+                          <button onClick={() => handleEstadoVacaciones(r.id, 'anulada')} className="btn-icon danger" title="Anular">🗑️</button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                  {vacaciones.registros.length === 0 && (
+                    <tr><td colSpan="5" className="empty">Sin vacaciones registradas.</td></tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Modal de retiro y liquidación definitiva */}
+      {retiro && (
+        <div className="modal-overlay" onClick={() => setRetiro(null)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Liquidación definitiva de {retiro.empleado.nombres}</h3>
+              <button onClick={() => setRetiro(null)}>✕</button>
+            </div>
+            <div className="modal-body">
+              {!retiro.guardada && (
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Fecha de retiro</label>
+                    <input
+                      type="date"
+                      value={retiro.datos.fechaRetiro}
+                      onChange={e => setRetiro({ ...retiro, liquidacion: null, datos: { ...retiro.datos, fechaRetiro: e.target.value } })}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Motivo</label>
+                    <select
+                      value={retiro.datos.motivo}
+                      onChange={e => setRetiro({ ...retiro, liquidacion: null, datos: { ...retiro.datos, motivo: e.target.value } })}
+                    >
+                      {Object.entries(MOTIVOS_RETIRO).map(([motivo, nombre]) => (
+                        <option key={motivo} value={motivo}>{nombre}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label>Contrato</label>
+                    <select
+                      value={retiro.datos.tipoContrato}
+                      onChange={e => setRetiro({ ...retiro, liquidacion: null, datos: { ...retiro.datos, tipoContrato: e.target.value } })}
+                    >
+                      <option value="indefinido">Término indefinido</option>
+                      <option value="fijo">Término fijo</option>
+                      <option value="obra">Obra o labor</option>
+                    </select>
+                  </div>
+                  {retiro.datos.tipoContrato !== 'indefinido' && (
+                    <div className="form-group">
+                      <label>{retiro.datos.tipoContrato === 'fijo' ? 'Vencimiento del contrato' : 'Fin estimado de la obra'}</label>
+                      <input
+                        type="date"
+                        value={retiro.datos.fechaFinContrato}
+                        onChange={e => setRetiro({ ...retiro, liquidacion: null, datos: { ...retiro.datos, fechaFinContrato: e.target.value } })}
+                      />
+                    </div>
+                  )}
+                  <div className="form-group">
+                    <label>&nbsp;</label>
+                    <button type="button" className="btn btn-secondary" onClick={() => handleRetiro(false)}>Calcular</button>
+                  </div>
+                </div>
+              )}
+
+              {retiro.liquidacion && (
+                <>
+                  <div className="info-box">
+                    <span className="info-icon">🚪</span>
+                    <p>
+                      Ingreso {retiro.liquidacion.fechaIngreso} · Retiro {retiro.liquidacion.fechaRetiro} ({retiro.liquidacion.diasServicio} días) ·
+                      {' '}{MOTIVOS_RETIRO[retiro.liquidacion.motivo]} · Salario {formatCurrency(retiro.liquidacion.salarioBase)}
+                    </p>
+                  </div>
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Concepto</th>
+                        <th>Días</th>
+                        <th>Base</th>
+                        <th>Valor</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      <tr>
+                        <td>Salario pendiente{retiro.liquidacion.salarioPendiente.dias > 0 && ` (${retiro.liquidacion.salarioPendiente.desde} a ${retiro.liquidacion.salarioPendiente.hasta})`}</td>
+                        <td>{retiro.liquidacion.salarioPendiente.dias}</td>
+                        <td>-</td>
+                        <td className="money">{formatCurrency(retiro.liquidacion.salarioPendiente.salario)}</td>
+                      </tr>
+                      {retiro.liquidacion.salarioPendiente.auxilio > 0 && (
+                        <tr>
+                          <td>Auxilio de transporte</td>
+                          <td>{retiro.liquidacion.salarioPendiente.dias}</td>
+                          <td>-</td>
+                          <td className="money">{formatCurrency(retiro.liquidacion.salarioPendiente.auxilio)}</td>
+                        </tr>
+                      )}
+                      <tr>
+                        <td>Prima de servicios (desde {retiro.liquidacion.prima.desde})</td>
+                        <td>{retiro.liquidacion.prima.dias}</td>
+                        <td className="money">{formatCurrency(retiro.liquidacion.prima.base)}</td>
+                        <td className="money">{formatCurrency(retiro.liquidacion.prima.valor)}</td>
+                      </tr>
+                      <tr>
+                        <td>Cesantías (desde {retiro.liquidacion.cesantias.desde})</td>
+                        <td>{retiro.liquidacion.cesantias.dias}</td>
+                        <td className="money">{formatCurrency(retiro.liquidacion.cesantias.base)}</td>
+                        <td className="money">{formatCurrency(retiro.liquidacion.cesantias.valor)}</td>
+                      </tr>
+                      <tr>
+                        <td>Intereses sobre cesantías ({retiro.liquidacion.interesesCesantias.tasa}%)</td>
+                        <td>{retiro.liquidacion.interesesCesantias.dias}</td>
+                        <td>-</td>
+                        <td className="money">{formatCurrency(retiro.liquidacion.interesesCesantias.valor)}</td>
+                      </tr>
+                      <tr>
+                        <td>Vacaciones pendientes</td>
+                        <td>{retiro.liquidacion.vacaciones.dias}</td>
+                        <td className="money">{formatCurrency(retiro.liquidacion.vacaciones.base)}</td>
+                        <td className="money">{formatCurrency(retiro.liquidacion.vacaciones.valor)}</td>
+                      </tr>
+                      {retiro.liquidacion.indemnizacion.aplica && (
+                        <tr>
+                          <td>Indemnización Art. 64 CST ({retiro.liquidacion.indemnizacion.detalle})</td>
+                          <td>{retiro.liquidacion.indemnizacion.dias}</td>
+                          <td className="money">{formatCurrency(retiro.liquidacion.indemnizacion.salarioDiario)}</td>
+                          <td className="money">{formatCurrency(retiro.liquidacion.indemnizacion.valor)}</td>
+                        </tr>
+                      )}
+                      <tr>
+                        <td>Deducciones (salud, pensión, FSP y retención)</td>
+                        <td>-</td>
+                        <td>-</td>
+                        <td className="money">({formatCurrency(retiro.liquidacion.totalDeducciones -
+                          (retiro.liquidacion.deduccionEmbargos || 0) - (retiro.liquidacion.deduccionLibranzas || 0) -
+                          (retiro.liquidacion.deduccionPrestamo || 0))})</td>
+                      </tr>
+                      {retiro.liquidacion.descuentos?.filter(d => d.valor > 0).map(d => (
+                        <tr key={d.ordenId}>
+                          <td>{d.tipo === 'libranza' ? 'Libranza' : 'Embargo'} - {d.beneficiario}</td>
+                          <td>-</td>
+                          <td>-</td>
+                          <td className="money">({formatCurrency(d.valor)})</td>
+                        </tr>
+                      ))}
+                      {retiro.liquidacion.cuotasPrestamos?.filter(c => c.valor > 0).map(c => (
+                        <tr key={c.prestamoId}>
+                          <td>Saldo {c.tipo === 'anticipo' ? 'anticipo' : 'préstamo'} {c.prestamoId}{c.saldoPendiente > 0 ? ` (queda ${formatCurrency(c.saldoPendiente)})` : ''}</td>
+                          <td>-</td>
+                          <td>-</td>
+                          <td className="money">({formatCurrency(c.valor)})</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                    <tfoot>
+                      <tr>
+                        <td colSpan="3"><strong>NETO A PAGAR</strong></td>
+                        <td className="money success"><strong>{formatCurrency(retiro.liquidacion.netoPagar)}</strong></td>
+                      </tr>
+                    </tfoot>
+                  </table>
+                  {!retiro.guardada && (
+                    <button type="button" className="btn btn-primary" onClick={() => handleRetiro(true)}>Confirmar retiro</button>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Modal de historial */}
+      {historial && (
+        <div className="modal-overlay" onClick={() => setHistorial(null)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Historial de {historial.empleado.nombres}</h3>
+              <button onClick={() => setHistorial(null)}>✕</button>
+            </div>
+            <div className="modal-body">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Período</th>
+                    <th>Días</th>
+                    <th>Trabajados</th>
+                    <th>Incapacidades y licencias</th>
+                    <th>Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {historial.periodos.map(p => (
+                    <tr key={p.periodo}>
+                      <td>{p.periodo}</td>
+                      <td>{p.diasLaborados}</td>
+                      <td>{p.diasTrabajados}</td>
+                      <td>
+                        {p.incapacidades.map((inc, i) => (
+                          <div key={`inc-${i}`}>Incapacidad {inc.origen}: {inc.fechaInicio} a {inc.fechaFin} ({inc.dias} días)</div>
+                        ))}
+                        {p.licencias.map((lic, i) => (
+                          <div key={`lic-${i}`}>Licencia {TIPOS_LICENCIA[lic.tipo] || lic.tipo}: {lic.fechaInicio} a {lic.fechaFin} ({lic.dias} días)</div>
+                        ))}
+                        {p.incapacidades.length === 0 && p.licencias.length === 0 && '-'}
+                      </td>
+                      <td className="money">{formatCurrency(p.totalNomina)}</td>
+                    </tr>
+                  ))}
+                  {historial.periodos.length === 0 && (
+                    <tr><td colSpan="5" className="empty">Sin liquidaciones registradas.</td></tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -716,6 +1388,26 @@ function ConfigPanel() {
 // ========================
 // PANEL DE LIQUIDACIÓN
 // ========================
+// Agrega la incapacidad y la licencia del formulario a las novedades cuando están completas
+function novedadesConAusencias(novedades, incapacidad, licencia) {
+  const resultado = { ...novedades };
+  if (incapacidad.origen && incapacidad.fechaInicio && incapacidad.fechaFin) {
+    resultado.incapacidades = [incapacidad];
+  }
+  if (licencia.tipo && licencia.fechaInicio && licencia.fechaFin) {
+    resultado.licencias = [licencia];
+  }
+  return resultado;
+}
+
+const TIPOS_LICENCIA = {
+  maternidad: 'Maternidad (18 semanas)',
+  paternidad: 'Paternidad (2 semanas)',
+  luto: 'Luto (5 días hábiles)',
+  calamidad: 'Calamidad doméstica',
+  noRemunerada: 'No remunerada'
+};
+
 function LiquidacionPanel() {
   const { data: empleados, loading: loadingEmp } = useApi('/empleados?activo=true');
   const { config, loading: loadingConfig } = useContext(ConfigContext);
@@ -733,6 +1425,9 @@ function LiquidacionPanel() {
   const [resultado, setResultado] = useState(null);
   const [calculando, setCalculando] = useState(false);
   const [error, setError] = useState(null);
+  const [horasMarcaciones, setHorasMarcaciones] = useState(null);
+  const [incapacidad, setIncapacidad] = useState({ origen: '', fechaInicio: '', fechaFin: '', diasPrevios: 0 });
+  const [licencia, setLicencia] = useState({ tipo: '', fechaInicio: '', fechaFin: '', diasPrevios: 0 });
 
   // Cargar bonificación habitual cuando cambia el empleado
   useEffect(() => {
@@ -750,8 +1445,32 @@ function LiquidacionPanel() {
         }));
       }
     }
+    setHorasMarcaciones(null);
   }, [selectedCedula, empleados]);
 
+  // Reemplazar horas extra y recargos con las derivadas de las marcaciones
+  const handleCargarMarcaciones = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/marcaciones/novedades?periodo=${periodo}&cedula=${selectedCedula}`);
+      const json = await res.json();
+
+      if (!json.success) {
+        alert('❌ Error: ' + (json.error?.message || 'Error desconocido'));
+        return;
+      }
+      if (json.data.length === 0) {
+        alert(`No hay marcaciones entre ${json.desde} y ${json.hasta}`);
+        return;
+      }
+
+      const { novedades: horas, resumen } = json.data[0];
+      setNovedades(prev => ({ ...prev, ...horas }));
+      setHorasMarcaciones({ ...horas, ...resumen });
+    } catch (err) {
+      alert('❌ Error: ' + err.message);
+    }
+  };
+
   // Calcular automáticamente cuando cambian los datos
   useEffect(() => {
     if (!selectedCedula || !config) {
@@ -771,7 +1490,7 @@ function LiquidacionPanel() {
             cedula: selectedCedula,
             periodo,
             tipoNomina: 'SEMANAL',
-            novedades,
+            novedades: novedadesConAusencias(novedades, incapacidad, licencia),
             guardar: false // Solo calcular, no guardar
           })
         });
@@ -792,7 +1511,7 @@ function LiquidacionPanel() {
 
     const timer = setTimeout(calcular, 300); // Debounce
     return () => clearTimeout(timer);
-  }, [selectedCedula, periodo, novedades, config]);
+  }, [selectedCedula, periodo, novedades, incapacidad, licencia, config]);
 
   const handleGuardar = async () => {
     if (!resultado) return;
@@ -805,7 +1524,7 @@ function LiquidacionPanel() {
           cedula: selectedCedula,
           periodo,
           tipoNomina: 'SEMANAL',
-          novedades,
+          novedades: novedadesConAusencias(novedades, incapacidad, licencia),
           guardar: true
         })
       });
@@ -880,6 +1599,20 @@ function LiquidacionPanel() {
 
               <div className="form-section">
                 <h3>⏰ Horas Extras y Recargos</h3>
+                <button type="button" className="btn btn-secondary" onClick={handleCargarMarcaciones}>
+                  ⏱️ Cargar desde Marcaciones
+                </button>
+                {horasMarcaciones && (
+                  <div className="info-box">
+                    <span className="info-icon">ℹ️</span>
+                    <p>
+                      {horasMarcaciones.diasConMarcacion} días marcados ({horasMarcaciones.horasTotales} h).
+                      Recargo nocturno: {horasMarcaciones.horasRecargoNocturno} h ·
+                      H.E. dominicales: {horasMarcaciones.horasExtraDomDiurna + horasMarcaciones.horasExtraDomNocturna} h ·
+                      Dominicales: {horasMarcaciones.dominicalSinComp + horasMarcaciones.dominicalConComp}
+                    </p>
+                  </div>
+                )}
                 <div className="form-row-3">
                   <div className="form-group">
                     <label>H.E. Diurnas</label>
@@ -911,28 +1644,145 @@ function LiquidacionPanel() {
                   </div>
                 </div>
               </div>
-            </div>
-          )}
-        </div>
-
-        {/* Columna Derecha: Desprendible */}
-        <div className="desprendible-section">
-          <h2>📄 Desprendible Proyectado</h2>
-
-          {error && <div className="error-message">{error}</div>}
-
-          {resultado ? (
-            <div className="desprendible">
-              <div className="desprendible-header">
-                <span>Empleado:</span>
-                <span className="nombre">{resultado.nombres}</span>
-              </div>
 
-              <div className="desprendible-section devengados">
-                <div className="line">
-                  <span>+ Básico ({resultado.diasLaborados} días)</span>
+              <div className="form-section">
+                <h3>🏥 Incapacidad</h3>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Origen</label>
+                    <select
+                      value={incapacidad.origen}
+                      onChange={e => setIncapacidad({ ...incapacidad, origen: e.target.value })}
+                    >
+                      <option value="">Sin incapacidad</option>
+                      <option value="comun">Común (EPS)</option>
+                      <option value="laboral">Laboral (ARL)</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label>Días previos (prórroga)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={incapacidad.diasPrevios}
+                      onChange={e => setIncapacidad({ ...incapacidad, diasPrevios: Number(e.target.value) })}
+                    />
+                  </div>
+                </div>
+                {incapacidad.origen && (
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Desde</label>
+                      <input
+                        type="date"
+                        value={incapacidad.fechaInicio}
+                        onChange={e => setIncapacidad({ ...incapacidad, fechaInicio: e.target.value })}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Hasta</label>
+                      <input
+                        type="date"
+                        value={incapacidad.fechaFin}
+                        onChange={e => setIncapacidad({ ...incapacidad, fechaFin: e.target.value })}
+                      />
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              <div className="form-section">
+                <h3>📝 Licencia</h3>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Tipo</label>
+                    <select
+                      value={licencia.tipo}
+                      onChange={e => setLicencia({ ...licencia, tipo: e.target.value })}
+                    >
+                      <option value="">Sin licencia</option>
+                      {Object.entries(TIPOS_LICENCIA).map(([valor, nombre]) => (
+                        <option key={valor} value={valor}>{nombre}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label>Días previos (continuación)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={licencia.diasPrevios}
+                      onChange={e => setLicencia({ ...licencia, diasPrevios: Number(e.target.value) })}
+                    />
+                  </div>
+                </div>
+                {licencia.tipo && (
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Desde</label>
+                      <input
+                        type="date"
+                        value={licencia.fechaInicio}
+                        onChange={e => setLicencia({ ...licencia, fechaInicio: e.target.value })}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Hasta</label>
+                      <input
+                        type="date"
+                        value={licencia.fechaFin}
+                        onChange={e => setLicencia({ ...licencia, fechaFin: e.target.value })}
+                      />
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Columna Derecha: Desprendible */}
+        <div className="desprendible-section">
+          <h2>📄 Desprendible Proyectado</h2>
+
+          {error && <div className="error-message">{error}</div>}
+
+          {resultado ? (
+            <div className="desprendible">
+              <div className="desprendible-header">
+                <span>Empleado:</span>
+                <span className="nombre">{resultado.nombres}</span>
+              </div>
+
+              <div className="desprendible-section devengados">
+                <div className="line">
+                  <span>+ Básico ({resultado.diasTrabajados ?? resultado.diasLaborados} días)</span>
                   <span>{formatCurrency(resultado.salarioDevengado)}</span>
                 </div>
+                {resultado.valorIncapacidades > 0 && (
+                  <div className="line">
+                    <span>+ Incapacidad ({resultado.diasIncapacidad} días)</span>
+                    <span>{formatCurrency(resultado.valorIncapacidades)}</span>
+                  </div>
+                )}
+                {resultado.valorVacaciones > 0 && (
+                  <div className="line">
+                    <span>+ Vacaciones ({resultado.diasVacaciones} días)</span>
+                    <span>{formatCurrency(resultado.valorVacaciones)}</span>
+                  </div>
+                )}
+                {resultado.valorVacacionesCompensadas > 0 && (
+                  <div className="line">
+                    <span>+ Vacaciones Compensadas ({resultado.diasVacacionesCompensadas} días)</span>
+                    <span>{formatCurrency(resultado.valorVacacionesCompensadas)}</span>
+                  </div>
+                )}
+                {resultado.licencias?.map((lic, i) => (
+                  <div className="line" key={`lic-${i}`}>
+                    <span>+ Licencia {TIPOS_LICENCIA[lic.tipo] || lic.tipo} ({lic.dias} días{lic.pagador ? ` · paga ${lic.pagador}` : ''})</span>
+                    <span>{formatCurrency(lic.valor)}</span>
+                  </div>
+                ))}
                 {resultado.auxDevengado > 0 && (
                   <div className="line">
                     <span>+ Aux. Transporte</span>
@@ -962,12 +1812,30 @@ function LiquidacionPanel() {
                   <span>- Pensión (4%)</span>
                   <span>({formatCurrency(resultado.deduccionPension)})</span>
                 </div>
+                {resultado.deduccionFsp > 0 && (
+                  <div className="line">
+                    <span>- Fondo Solidaridad ({resultado.fspPct}%)</span>
+                    <span>({formatCurrency(resultado.deduccionFsp)})</span>
+                  </div>
+                )}
+                {resultado.deduccionRetencion > 0 && (
+                  <div className="line">
+                    <span>- Retención en la Fuente</span>
+                    <span>({formatCurrency(resultado.deduccionRetencion)})</span>
+                  </div>
+                )}
                 {resultado.deduccionPrestamo > 0 && (
                   <div className="line">
                     <span>- Préstamos</span>
                     <span>({formatCurrency(resultado.deduccionPrestamo)})</span>
                   </div>
                 )}
+                {resultado.descuentos?.filter(d => d.valor > 0).map(d => (
+                  <div className="line" key={d.ordenId}>
+                    <span>- {TIPOS_DESCUENTO[d.tipo]}: {d.beneficiario}</span>
+                    <span>({formatCurrency(d.valor)})</span>
+                  </div>
+                ))}
               </div>
 
               <div className="desprendible-total">
@@ -980,6 +1848,60 @@ function LiquidacionPanel() {
                   <span>Total Consignado Banco:</span>
                   <span>{formatCurrency(resultado.totalConsignado)}</span>
                 </div>
+                {resultado.ibc && (
+                  <div className="line">
+                    <span>IBC{resultado.ibc.ajuste === 'minimo' ? ' (mínimo 1 SMMLV)' : resultado.ibc.ajuste === 'maximo' ? ' (tope 25 SMMLV)' : ''}:</span>
+                    <span>{formatCurrency(resultado.ibc.valor)}</span>
+                  </div>
+                )}
+                {resultado.ibc?.excesoNoSalarial > 0 && (
+                  <div className="line">
+                    <span>Bonificación sobre el {resultado.ibc.limiteNoSalarialPct}% (cotiza):</span>
+                    <span>{formatCurrency(resultado.ibc.excesoNoSalarial)}</span>
+                  </div>
+                )}
+                {resultado.incapacidades?.map((inc, i) => inc.tramos.map(tramo => (
+                  <div className="line" key={`${i}-${tramo.pagador}-${tramo.pct}`}>
+                    <span>Incapacidad {tramo.pagador} ({tramo.dias} días al {tramo.pct}%):</span>
+                    <span>{formatCurrency(tramo.valor)}</span>
+                  </div>
+                )))}
+                {resultado.recobroIncapacidades?.eps > 0 && (
+                  <div className="line">
+                    <span>Recobro a EPS:</span>
+                    <span>{formatCurrency(resultado.recobroIncapacidades.eps)}</span>
+                  </div>
+                )}
+                {resultado.recobroIncapacidades?.arl > 0 && (
+                  <div className="line">
+                    <span>Recobro a ARL:</span>
+                    <span>{formatCurrency(resultado.recobroIncapacidades.arl)}</span>
+                  </div>
+                )}
+                {resultado.recobroLicencias?.eps > 0 && (
+                  <div className="line">
+                    <span>Recobro licencias a EPS:</span>
+                    <span>{formatCurrency(resultado.recobroLicencias.eps)}</span>
+                  </div>
+                )}
+                {resultado.recobroIncapacidades?.afp > 0 && (
+                  <div className="line">
+                    <span>Recobro a Fondo de Pensiones:</span>
+                    <span>{formatCurrency(resultado.recobroIncapacidades.afp)}</span>
+                  </div>
+                )}
+                {resultado.descuentos?.filter(d => d.limitado).map(d => (
+                  <div className="line" key={`lim-${d.ordenId}`}>
+                    <span>{TIPOS_DESCUENTO[d.tipo]} limitado por ley (ordenado {formatCurrency(d.solicitado)}):</span>
+                    <span>{formatCurrency(d.solicitado - d.valor)} sin descontar</span>
+                  </div>
+                ))}
+                {resultado.cuotasPrestamos?.map(c => (
+                  <div className="line" key={c.prestamoId}>
+                    <span>Cuota {c.tipo === 'anticipo' ? 'anticipo' : 'préstamo'} {formatCurrency(c.valor)}{c.limitado && ` (de ${formatCurrency(c.solicitado)}, limitada a la bonificación)`} · saldo:</span>
+                    <span>{formatCurrency(c.saldoAnterior - c.valor)}</span>
+                  </div>
+                ))}
               </div>
             </div>
           ) : (
@@ -1008,6 +1930,7 @@ function HistorialPanel() {
   const { data: nominas, loading, error, refetch } = useApi('/nominas');
   const [selectedPeriodo, setSelectedPeriodo] = useState(null);
   const [detalleNomina, setDetalleNomina] = useState(null);
+  const [ajuste, setAjuste] = useState(null);
 
   const verDetalle = async (periodo) => {
     try {
@@ -1016,12 +1939,105 @@ function HistorialPanel() {
       if (json.success) {
         setSelectedPeriodo(periodo);
         setDetalleNomina(json.data);
+        setAjuste(null);
       }
     } catch (err) {
       console.error(err);
     }
   };
 
+  // Último ajuste de cada empleado (la liquidación vigente)
+  const ultimoAjuste = (cedula) => (detalleNomina?.ajustes || []).filter(a => a.cedula === cedula).pop();
+
+  // Comprobantes de pago en PDF (todo el período o un empleado), con los ajustes aplicados
+  const abrirComprobantes = (cedula) => {
+    const ruta = cedula ? `comprobantes/${cedula}` : 'comprobantes';
+    window.open(`${API_BASE}/nominas/${selectedPeriodo}/${ruta}`, '_blank');
+  };
+
+  // Planilla del período en Excel, con las columnas de NOMINA NUEVA.xlsx
+  const descargarExcel = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/nominas/${selectedPeriodo}/export.xlsx`);
+      if (!res.ok) {
+        const json = await res.json();
+        alert('❌ Error: ' + (json.error?.message || 'Error desconocido'));
+        return;
+      }
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `NOMINA-${selectedPeriodo}.xlsx`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert('❌ Error: ' + err.message);
+    }
+  };
+
+  // Corrección de un período aprobado: parte de las novedades de la liquidación vigente
+  const abrirAjuste = (liq) => {
+    const vigente = ultimoAjuste(liq.cedula)?.liquidacion || liq;
+    const extras = vigente.detalleExtras || {};
+    const cuotas = (vigente.cuotasPrestamos || []).reduce((sum, c) => sum + c.valor, 0);
+    setAjuste({
+      liquidacion: liq,
+      datos: {
+        tipo: 'reemplazar',
+        motivo: '',
+        novedades: {
+          diasLaborados: vigente.diasLaborados,
+          horasExtraDiurna: extras.horasExtraDiurna?.cantidad || 0,
+          horasExtraNocturna: extras.horasExtraNocturna?.cantidad || 0,
+          horasRecargoNocturno: extras.recargoNocturno?.cantidad || 0,
+          horasExtraDomDiurna: extras.horasExtraDomDiurna?.cantidad || 0,
+          horasExtraDomNocturna: extras.horasExtraDomNocturna?.cantidad || 0,
+          dominicalSinComp: extras.dominicalSinComp?.cantidad || 0,
+          dominicalConComp: extras.dominicalConComp?.cantidad || 0,
+          bonificacion: vigente.bonificacion || 0,
+          prestamo: Math.max(0, (vigente.deduccionPrestamo || 0) - cuotas)
+        }
+      },
+      resultado: null
+    });
+  };
+
+  const cambiarNovedad = (campo, valor) => {
+    setAjuste({
+      ...ajuste,
+      resultado: null,
+      datos: { ...ajuste.datos, novedades: { ...ajuste.datos.novedades, [campo]: parseFloat(valor) || 0 } }
+    });
+  };
+
+  const handleAjuste = async (guardar) => {
+    if (guardar && !confirm(`¿Registrar el ajuste (${ajuste.datos.tipo}) de ${ajuste.liquidacion.nombres}? La liquidación original se conserva.`)) return;
+    try {
+      const { tipo, motivo, novedades } = ajuste.datos;
+      const res = await fetch(`${API_BASE}/nominas/${selectedPeriodo}/ajustes`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cedula: ajuste.liquidacion.cedula, tipo, motivo, novedades: tipo === 'reemplazar' ? novedades : undefined, guardar })
+      });
+      const json = await res.json();
+      if (!json.success) {
+        const detalle = json.error?.details?.map(d => d.mensaje).join('\n');
+        alert('❌ Error: ' + (detalle || json.error?.message || 'Error desconocido'));
+        return;
+      }
+      if (guardar) {
+        alert('✅ Ajuste registrado');
+        await verDetalle(selectedPeriodo);
+        refetch();
+      } else {
+        setAjuste({ ...ajuste, resultado: json.data });
+      }
+    } catch (err) {
+      alert('❌ Error: ' + err.message);
+    }
+  };
+
   if (loading) return <div className="loading">Cargando historial...</div>;
   if (error) return <div className="error-message">Error: {error}</div>;
 
@@ -1050,7 +2066,10 @@ function HistorialPanel() {
                     {nomina.estado}
                   </span>
                 </td>
-                <td>{nomina.totalEmpleados}</td>
+                <td>
+                  {nomina.totalEmpleados}
+                  {nomina.totalAjustes > 0 && <span className="badge badge-borrador" title="Ajustes registrados">{nomina.totalAjustes} ajuste(s)</span>}
+                </td>
                 <td className="money">{formatCurrency(nomina.totalNomina)}</td>
                 <td className="money">{formatCurrency(nomina.totalConsignado)}</td>
                 <td>
@@ -1079,6 +2098,31 @@ function HistorialPanel() {
               <button onClick={() => setDetalleNomina(null)}>✕</button>
             </div>
             <div className="modal-body">
+              {detalleNomina.estado === 'aprobada' && (
+                <div className="info-box">
+                  <span className="info-icon">🔒</span>
+                  <p>Período aprobado: las correcciones se registran como ajustes (reemplazar o eliminar) y la liquidación original se conserva.</p>
+                </div>
+              )}
+              <div className="actions-row">
+                <button onClick={() => abrirComprobantes()} className="btn btn-secondary">
+                  🖨️ Comprobantes de Pago (PDF)
+                </button>
+                <button onClick={descargarExcel} className="btn btn-secondary">
+                  📊 Exportar Excel
+                </button>
+              </div>
+              {detalleNomina.parametros && (
+                <div className="info-box">
+                  <span className="info-icon">🔒</span>
+                  <p>
+                    Parámetros congelados ({detalleNomina.parametros.year}):
+                    SMMLV {formatCurrency(detalleNomina.parametros.smmlv)} ·
+                    Aux. Transporte {formatCurrency(detalleNomina.parametros.auxTransporte)} ·
+                    Divisor {detalleNomina.parametros.horaDivisor} horas
+                  </p>
+                </div>
+              )}
               <div className="table-container">
                 <table>
                   <thead>
@@ -1089,19 +2133,41 @@ function HistorialPanel() {
                       <th>Devengado</th>
                       <th>Deducciones</th>
                       <th>Neto</th>
+                      <th>Comprobante</th>
+                      {detalleNomina.estado === 'aprobada' && <th>Ajuste</th>}
                     </tr>
                   </thead>
                   <tbody>
-                    {detalleNomina.liquidaciones?.map(liq => (
-                      <tr key={liq.cedula}>
-                        <td className="mono">{liq.cedula}</td>
-                        <td>{liq.nombres}</td>
-                        <td>{liq.diasLaborados}</td>
-                        <td className="money">{formatCurrency(liq.totalDevengado)}</td>
-                        <td className="money danger">-{formatCurrency(liq.totalDeducciones)}</td>
-                        <td className="money success">{formatCurrency(liq.totalNomina)}</td>
-                      </tr>
-                    ))}
+                    {detalleNomina.liquidaciones?.map(liq => {
+                      const ultimo = ultimoAjuste(liq.cedula);
+                      return (
+                        <tr key={liq.cedula}>
+                          <td className="mono">{liq.cedula}</td>
+                          <td>
+                            {liq.nombres}
+                            {ultimo && (
+                              <span className={`badge ${ultimo.tipo === 'eliminar' ? 'badge-danger' : 'badge-borrador'}`}>
+                                {ultimo.tipo === 'eliminar' ? 'eliminada' : 'reemplazada'}
+                              </span>
+                            )}
+                          </td>
+                          <td>{liq.diasLaborados}</td>
+                          <td className="money">{formatCurrency(liq.totalDevengado)}</td>
+                          <td className="money danger">-{formatCurrency(liq.totalDeducciones)}</td>
+                          <td className="money success">{formatCurrency(liq.totalNomina)}</td>
+                          <td>
+                            {ultimo?.tipo !== 'eliminar' && (
+                              <button onClick={() => abrirComprobantes(liq.cedula)} className="btn-icon" title="Comprobante de pago (PDF)">📄</button>
+                            )}
+                          </td>
+                          {detalleNomina.estado === 'aprobada' && (
+                            <td>
+                              <button onClick={() => abrirAjuste(liq)} className="btn-icon" title="Corregir con un ajuste">✏️</button>
+                            </td>
+                          )}
+                        </tr>
+                      );
+                    })}
                   </tbody>
                   <tfoot>
                     <tr>
@@ -1109,10 +2175,124 @@ function HistorialPanel() {
                       <td></td>
                       <td></td>
                       <td className="money success"><strong>{formatCurrency(detalleNomina.totales?.totalNomina)}</strong></td>
+                      <td></td>
+                      {detalleNomina.estado === 'aprobada' && <td></td>}
                     </tr>
                   </tfoot>
                 </table>
               </div>
+
+              {ajuste && (
+                <div className="form-section">
+                  <h3>✏️ Ajuste de {ajuste.liquidacion.nombres}</h3>
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Tipo</label>
+                      <select
+                        value={ajuste.datos.tipo}
+                        onChange={e => setAjuste({ ...ajuste, resultado: null, datos: { ...ajuste.datos, tipo: e.target.value } })}
+                      >
+                        <option value="reemplazar">Reemplazar liquidación</option>
+                        <option value="eliminar">Eliminar liquidación</option>
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Motivo</label>
+                      <input
+                        type="text"
+                        value={ajuste.datos.motivo}
+                        onChange={e => setAjuste({ ...ajuste, datos: { ...ajuste.datos, motivo: e.target.value } })}
+                        placeholder="Ej: Horas extra no reportadas"
+                      />
+                    </div>
+                  </div>
+                  {ajuste.datos.tipo === 'reemplazar' && (
+                    <div className="form-row">
+                      {[
+                        ['diasLaborados', 'Días'],
+                        ['horasExtraDiurna', 'H. Extra Diurna'],
+                        ['horasExtraNocturna', 'H. Extra Nocturna'],
+                        ['horasRecargoNocturno', 'Recargo Nocturno'],
+                        ['bonificacion', 'Bonificación'],
+                        ['prestamo', 'Préstamo']
+                      ].map(([campo, etiqueta]) => (
+                        <div className="form-group" key={campo}>
+                          <label>{etiqueta}</label>
+                          <input
+                            type="number"
+                            value={ajuste.datos.novedades[campo]}
+                            onChange={e => cambiarNovedad(campo, e.target.value)}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  <div className="form-actions">
+                    <button type="button" className="btn btn-secondary" onClick={() => setAjuste(null)}>Cancelar</button>
+                    <button type="button" className="btn btn-secondary" onClick={() => handleAjuste(false)}>Calcular diferencias</button>
+                    {ajuste.resultado && (
+                      <button type="button" className="btn btn-primary" onClick={() => handleAjuste(true)}>Registrar ajuste</button>
+                    )}
+                  </div>
+                  {ajuste.resultado && (
+                    <table>
+                      <thead>
+                        <tr>
+                          <th>Concepto</th>
+                          <th>Original</th>
+                          <th>Corregido</th>
+                          <th>Diferencia</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {ajuste.resultado.diferencias.map(d => (
+                          <tr key={d.campo}>
+                            <td>{d.descripcion}</td>
+                            <td className="money">{d.campo === 'diasLaborados' ? d.original : formatCurrency(d.original)}</td>
+                            <td className="money">{d.campo === 'diasLaborados' ? d.corregido : formatCurrency(d.corregido)}</td>
+                            <td className={`money ${d.diferencia < 0 ? 'danger' : 'success'}`}>
+                              {d.campo === 'diasLaborados' ? d.diferencia : formatCurrency(d.diferencia)}
+                            </td>
+                          </tr>
+                        ))}
+                        {ajuste.resultado.diferencias.length === 0 && (
+                          <tr><td colSpan="4" className="empty">Sin diferencias con la liquidación original.</td></tr>
+                        )}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
+
+              {detalleNomina.ajustes?.length > 0 && (
+                <div className="form-section">
+                  <h3>📝 Ajustes registrados</h3>
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Fecha</th>
+                        <th>Empleado</th>
+                        <th>Tipo</th>
+                        <th>Motivo</th>
+                        <th>Diferencia Neto</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {detalleNomina.ajustes.map(a => (
+                        <tr key={a.id}>
+                          <td>{a.creadoAt.split('T')[0]}</td>
+                          <td>{a.nombres}</td>
+                          <td>{a.tipo}</td>
+                          <td>{a.motivo}</td>
+                          <td className={`money ${a.totales.totalNomina.diferencia < 0 ? 'danger' : 'success'}`}>
+                            {formatCurrency(a.totales.totalNomina.diferencia)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -1121,6 +2301,2129 @@ function HistorialPanel() {
   );
 }
 
+// ========================
+// PANEL DE PRESTACIONES
+// ========================
+function PrestacionesPanel() {
+  const [fechaCorte, setFechaCorte] = useState(new Date().toISOString().split('T')[0]);
+  const { data, loading, error } = useApi(`/prestaciones?fechaCorte=${fechaCorte}`);
+
+  return (
+    <div className="panel prestaciones-panel">
+      <h2>🏖️ Prestaciones Sociales</h2>
+
+      <div className="info-box">
+        <span className="info-icon">ℹ️</span>
+        <p>Saldos causados a la fecha de corte según los períodos aprobados. Prima por semestre, cesantías e intereses (12% anual) por año calendario.</p>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label>Fecha de Corte</label>
+          <input
+            type="date"
+            value={fechaCorte}
+            onChange={e => setFechaCorte(e.target.value)}
+          />
+        </div>
+      </div>
+
+      {loading && <div className="loading">Calculando prestaciones...</div>}
+      {error && <div className="error-message">Error: {error}</div>}
+
+      {data?.advertencias?.length > 0 && !loading && (
+        <div className="message error">
+          {data.advertencias.map(aviso => <div key={aviso}>⚠️ {aviso}</div>)}
+        </div>
+      )}
+
+      {data && !loading && (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Cédula</th>
+                <th>Nombre</th>
+                <th>Días</th>
+                <th>Prima</th>
+                <th>Cesantías</th>
+                <th>Intereses</th>
+                <th>Vacaciones</th>
+                <th>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.empleados.map(emp => (
+                <tr key={emp.cedula}>
+                  <td className="mono">{emp.cedula}</td>
+                  <td>{emp.nombres}</td>
+                  <td>{emp.cesantias.dias}</td>
+                  <td className="money">{formatCurrency(emp.prima.valor)}</td>
+                  <td className="money">{formatCurrency(emp.cesantias.valor)}</td>
+                  <td className="money">{formatCurrency(emp.interesesCesantias.valor)}</td>
+                  <td className="money">{formatCurrency(emp.vacaciones.valor)}</td>
+                  <td className="money success">{formatCurrency(emp.totalPrestaciones)}</td>
+                </tr>
+              ))}
+              {data.empleados.length === 0 && (
+                <tr><td colSpan="8" className="empty">No hay empleados activos.</td></tr>
+              )}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td colSpan="3"><strong>TOTALES</strong></td>
+                <td className="money">{formatCurrency(data.totales.prima)}</td>
+                <td className="money">{formatCurrency(data.totales.cesantias)}</td>
+                <td className="money">{formatCurrency(data.totales.interesesCesantias)}</td>
+                <td className="money">{formatCurrency(data.totales.vacaciones)}</td>
+                <td className="money success"><strong>{formatCurrency(data.totales.totalPrestaciones)}</strong></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ========================
+// PANEL DE PARAFISCALES
+// ========================
+function ParafiscalesPanel() {
+  const { data: nominas, loading: loadingNominas } = useApi('/nominas');
+  const [periodo, setPeriodo] = useState('');
+  const [aportes, setAportes] = useState(null);
+  const [error, setError] = useState(null);
+
+  const cargarAportes = async (nuevoPeriodo) => {
+    setPeriodo(nuevoPeriodo);
+    setAportes(null);
+    setError(null);
+    if (!nuevoPeriodo) return;
+
+    try {
+      const res = await fetch(`${API_BASE}/nominas/${nuevoPeriodo}/aportes`);
+      const json = await res.json();
+      if (json.success) {
+        setAportes(json.data);
+      } else {
+        setError(json.error?.message || 'Error cargando aportes');
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loadingNominas) return <div className="loading">Cargando períodos...</div>;
+
+  return (
+    <div className="panel parafiscales-panel">
+      <h2>⚖️ Aportes del Empleador y Parafiscales</h2>
+
+      <div className="info-box">
+        <span className="info-icon">ℹ️</span>
+        <p>Salud 8.5%, pensión 12%, ARL según clase de riesgo, Caja 4%, SENA 2% e ICBF 3%. Los empleados con salario inferior a 10 SMMLV están exonerados de salud, SENA e ICBF (Ley 1607).</p>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label>Período</label>
+          <select value={periodo} onChange={e => cargarAportes(e.target.value)}>
+            <option value="">-- Seleccionar Período --</option>
+            {nominas?.map(n => (
+              <option key={n.periodo} value={n.periodo}>{n.periodo} ({n.estado})</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {aportes && (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Cédula</th>
+                <th>Nombre</th>
+                <th>Riesgo</th>
+                <th>Base</th>
+                <th>Salud</th>
+                <th>Pensión</th>
+                <th>ARL</th>
+                <th>Caja</th>
+                <th>SENA</th>
+                <th>ICBF</th>
+                <th>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {aportes.liquidaciones.map(liq => (
+                <tr key={liq.cedula}>
+                  <td className="mono">{liq.cedula}</td>
+                  <td>{liq.nombres}</td>
+                  <td>{liq.aportesEmpleador.claseRiesgo}</td>
+                  <td className="money">{formatCurrency(liq.aportesEmpleador.base)}</td>
+                  <td className="money">{formatCurrency(liq.aportesEmpleador.salud)}</td>
+                  <td className="money">{formatCurrency(liq.aportesEmpleador.pension)}</td>
+                  <td className="money">{formatCurrency(liq.aportesEmpleador.arl)}</td>
+                  <td className="money">{formatCurrency(liq.aportesEmpleador.caja)}</td>
+                  <td className="money">{formatCurrency(liq.aportesEmpleador.sena)}</td>
+                  <td className="money">{formatCurrency(liq.aportesEmpleador.icbf)}</td>
+                  <td className="money success">{formatCurrency(liq.aportesEmpleador.totalAportes)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td colSpan="3"><strong>TOTALES</strong></td>
+                <td className="money">{formatCurrency(aportes.totales.base)}</td>
+                <td className="money">{formatCurrency(aportes.totales.salud)}</td>
+                <td className="money">{formatCurrency(aportes.totales.pension)}</td>
+                <td className="money">{formatCurrency(aportes.totales.arl)}</td>
+                <td className="money">{formatCurrency(aportes.totales.caja)}</td>
+                <td className="money">{formatCurrency(aportes.totales.sena)}</td>
+                <td className="money">{formatCurrency(aportes.totales.icbf)}</td>
+                <td className="money success"><strong>{formatCurrency(aportes.totales.totalAportes)}</strong></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ========================
+// PANEL DE SEGURIDAD SOCIAL (PILA)
+// ========================
+function SeguridadSocialPanel() {
+  const [mes, setMes] = useState(new Date().toISOString().slice(0, 7));
+  const [planilla, setPlanilla] = useState(null);
+  const [cargando, setCargando] = useState(false);
+  const [error, setError] = useState(null);
+
+  const generarResumen = async () => {
+    setCargando(true);
+    setError(null);
+    setPlanilla(null);
+
+    try {
+      const res = await fetch(`${API_BASE}/pila/${mes}`);
+      const json = await res.json();
+      if (json.success) {
+        setPlanilla(json.data);
+      } else {
+        setError(json.error?.message || 'Error generando la planilla');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCargando(false);
+    }
+  };
+
+  const descargarPlanilla = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/pila/${mes}/planilla`);
+      if (!res.ok) {
+        const json = await res.json();
+        setError(json.error?.message || 'Error descargando la planilla');
+        return;
+      }
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `PILA-E-${mes}.txt`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="panel seguridad-social-panel">
+      <h2>🏥 Seguridad Social (PILA)</h2>
+
+      <div className="info-box">
+        <span className="info-icon">ℹ️</span>
+        <p>Planilla tipo E generada con los períodos aprobados cuya fecha fin cae en el mes. Las cotizaciones se redondean al múltiplo de $100 superior.</p>
+      </div>
+
+      <div className="actions-row">
+        <div className="form-group">
+          <label>Mes</label>
+          <input type="month" value={mes} onChange={e => setMes(e.target.value)} />
+        </div>
+        <button onClick={generarResumen} disabled={cargando || !mes} className="btn btn-primary">
+          {cargando ? '⏳ Generando...' : '🔄 Generar Planilla'}
+        </button>
+        <button onClick={descargarPlanilla} disabled={!planilla} className="btn btn-secondary">
+          ⬇️ Descargar Archivo Plano
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {planilla?.advertencias?.length > 0 && (
+        <div className="message error">
+          {planilla.advertencias.map(aviso => <div key={aviso}>⚠️ {aviso}</div>)}
+        </div>
+      )}
+
+      {planilla && (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Cédula</th>
+                <th>Nombre</th>
+                <th>Días</th>
+                <th>IBC</th>
+                <th>Novedades</th>
+                <th>Pensión</th>
+                <th>FSP</th>
+                <th>Salud</th>
+                <th>Riesgos</th>
+                <th>CCF</th>
+                <th>SENA/ICBF</th>
+                <th>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {planilla.cotizantes.map(c => (
+                <tr key={c.cedula}>
+                  <td className="mono">{c.cedula}</td>
+                  <td>{c.nombres}</td>
+                  <td>{c.dias}</td>
+                  <td className="money">{formatCurrency(c.ibc)}</td>
+                  <td>{c.novedades.join(', ') || '-'}</td>
+                  <td className="money">{formatCurrency(c.cotizacionPension)}</td>
+                  <td className="money">{formatCurrency(c.fsp)}</td>
+                  <td className="money">{formatCurrency(c.cotizacionSalud)}</td>
+                  <td className="money">{formatCurrency(c.cotizacionRiesgos)}</td>
+                  <td className="money">{formatCurrency(c.valorCcf)}</td>
+                  <td className="money">{formatCurrency(c.valorSena + c.valorIcbf)}</td>
+                  <td className="money success">{formatCurrency(c.totalAportes)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td colSpan="3"><strong>TOTALES</strong></td>
+                <td className="money">{formatCurrency(planilla.totales.ibc)}</td>
+                <td></td>
+                <td className="money">{formatCurrency(planilla.totales.pension)}</td>
+                <td className="money">{formatCurrency(planilla.totales.fsp)}</td>
+                <td className="money">{formatCurrency(planilla.totales.salud)}</td>
+                <td className="money">{formatCurrency(planilla.totales.riesgos)}</td>
+                <td className="money">{formatCurrency(planilla.totales.ccf)}</td>
+                <td className="money">{formatCurrency(planilla.totales.sena + planilla.totales.icbf)}</td>
+                <td className="money success"><strong>{formatCurrency(planilla.totales.totalAportes)}</strong></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ========================
+// PANEL DE NÓMINA ELECTRÓNICA (DIAN)
+// ========================
+function NominaElectronicaPanel() {
+  const [mes, setMes] = useState(new Date().toISOString().slice(0, 7));
+  const [resumen, setResumen] = useState(null);
+  const [cargando, setCargando] = useState(false);
+  const [error, setError] = useState(null);
+
+  const generarResumen = async () => {
+    setCargando(true);
+    setError(null);
+    setResumen(null);
+
+    try {
+      const res = await fetch(`${API_BASE}/nomina-electronica/${mes}`);
+      const json = await res.json();
+      if (json.success) {
+        setResumen(json.data);
+      } else {
+        setError(json.error?.message || 'Error generando los documentos');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCargando(false);
+    }
+  };
+
+  const descargarZip = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/nomina-electronica/${mes}/zip`);
+      if (!res.ok) {
+        const json = await res.json();
+        setError(json.error?.message || 'Error descargando los documentos');
+        return;
+      }
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `NominaElectronica-${mes}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="panel nomina-electronica-panel">
+      <h2>🧾 Nómina Electrónica (DIAN)</h2>
+
+      <div className="info-box">
+        <span className="info-icon">ℹ️</span>
+        <p>Un documento NominaIndividual por empleado con los períodos aprobados cuya fecha fin cae en el mes. El número se asigna una sola vez; el proveedor tecnológico firma y transmite los XML.</p>
+      </div>
+
+      <div className="actions-row">
+        <div className="form-group">
+          <label>Mes</label>
+          <input type="month" value={mes} onChange={e => setMes(e.target.value)} />
+        </div>
+        <button onClick={generarResumen} disabled={cargando || !mes} className="btn btn-primary">
+          {cargando ? '⏳ Generando...' : '🔄 Generar Documentos'}
+        </button>
+        <button onClick={descargarZip} disabled={!resumen} className="btn btn-secondary">
+          ⬇️ Descargar XML (ZIP)
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {resumen?.advertencias?.length > 0 && (
+        <div className="message error">
+          {resumen.advertencias.map(aviso => <div key={aviso}>⚠️ {aviso}</div>)}
+        </div>
+      )}
+
+      {resumen && (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Número</th>
+                <th>Cédula</th>
+                <th>Nombre</th>
+                <th>Períodos</th>
+                <th>Devengados</th>
+                <th>Deducciones</th>
+                <th>Total</th>
+                <th>CUNE</th>
+              </tr>
+            </thead>
+            <tbody>
+              {resumen.documentos.map(d => (
+                <tr key={d.numero}>
+                  <td className="mono">{d.numero}</td>
+                  <td className="mono">{d.cedula}</td>
+                  <td>{d.nombres}</td>
+                  <td>{d.periodos.join(', ')}</td>
+                  <td className="money">{formatCurrency(d.devengadosTotal)}</td>
+                  <td className="money">{formatCurrency(d.deduccionesTotal)}</td>
+                  <td className="money success">{formatCurrency(d.comprobanteTotal)}</td>
+                  <td className="mono" title={d.cune}>{d.cune.slice(0, 12)}…</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td colSpan="4"><strong>TOTALES ({resumen.totales.documentos} documentos)</strong></td>
+                <td className="money">{formatCurrency(resumen.totales.devengados)}</td>
+                <td className="money">{formatCurrency(resumen.totales.deducciones)}</td>
+                <td className="money success"><strong>{formatCurrency(resumen.totales.comprobante)}</strong></td>
+                <td></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ========================
+// PANEL DE DISPERSIÓN DE PAGOS
+// ========================
+const GRUPOS_DISPERSION = [
+  { tipo: 'AHORROS', label: 'Bancolombia - Ahorros' },
+  { tipo: 'CORRIENTE', label: 'Bancolombia - Corriente' },
+  { tipo: 'NEQUI', label: 'Nequi' }
+];
+
+function DispersionPanel() {
+  const { data: nominas, loading: loadingNominas } = useApi('/nominas');
+  const [periodo, setPeriodo] = useState('');
+  const [fechaAplicacion, setFechaAplicacion] = useState(new Date().toISOString().split('T')[0]);
+  const [dispersion, setDispersion] = useState(null);
+  const [cargando, setCargando] = useState(false);
+  const [error, setError] = useState(null);
+
+  const aprobadas = nominas?.filter(n => n.estado === 'aprobada') || [];
+
+  const generarDispersion = async () => {
+    setCargando(true);
+    setError(null);
+    setDispersion(null);
+
+    try {
+      const res = await fetch(`${API_BASE}/dispersion/${periodo}?fechaAplicacion=${fechaAplicacion}`);
+      const json = await res.json();
+      if (json.success) {
+        setDispersion(json.data);
+      } else {
+        setError(json.error?.message || 'Error generando la dispersión');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCargando(false);
+    }
+  };
+
+  const descargarArchivo = async (banco, nombreArchivo) => {
+    try {
+      const res = await fetch(`${API_BASE}/dispersion/${periodo}/${banco}?fechaAplicacion=${fechaAplicacion}`);
+      if (!res.ok) {
+        const json = await res.json();
+        setError(json.error?.message || 'Error descargando el archivo');
+        return;
+      }
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = nombreArchivo;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loadingNominas) return <div className="loading">Cargando períodos...</div>;
+
+  return (
+    <div className="panel dispersion-panel">
+      <h2>🏦 Dispersión de Pagos</h2>
+
+      <div className="info-box">
+        <span className="info-icon">ℹ️</span>
+        <p>Pagos del total consignado de un período aprobado, agrupados por tipo de cuenta: archivo PAB de Bancolombia para ahorros y corriente, CSV para Nequi. Los empleados en efectivo y las cuentas inválidas no se incluyen en los archivos.</p>
+      </div>
+
+      <div className="actions-row">
+        <div className="form-group">
+          <label>Período aprobado</label>
+          <select value={periodo} onChange={e => { setPeriodo(e.target.value); setDispersion(null); }}>
+            <option value="">-- Seleccionar Período --</option>
+            {aprobadas.map(n => (
+              <option key={n.periodo} value={n.periodo}>{n.periodo}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Fecha de aplicación</label>
+          <input type="date" value={fechaAplicacion} onChange={e => setFechaAplicacion(e.target.value)} />
+        </div>
+        <button onClick={generarDispersion} disabled={cargando || !periodo || !fechaAplicacion} className="btn btn-primary">
+          {cargando ? '⏳ Generando...' : '🔄 Generar Dispersión'}
+        </button>
+        <button onClick={() => descargarArchivo('bancolombia', `PAB-${periodo}.txt`)} disabled={!dispersion?.totales.bancolombia.registros} className="btn btn-secondary">
+          ⬇️ Bancolombia (PAB)
+        </button>
+        <button onClick={() => descargarArchivo('nequi', `Nequi-${periodo}.csv`)} disabled={!dispersion?.totales.NEQUI.registros} className="btn btn-secondary">
+          ⬇️ Nequi (CSV)
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {dispersion?.advertencias?.length > 0 && (
+        <div className="message error">
+          {dispersion.advertencias.map(aviso => <div key={aviso}>⚠️ {aviso}</div>)}
+        </div>
+      )}
+
+      {dispersion && (
+        <>
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Destino</th>
+                  <th>Pagos</th>
+                  <th>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {GRUPOS_DISPERSION.map(g => (
+                  <tr key={g.tipo}>
+                    <td>{g.label}</td>
+                    <td>{dispersion.totales[g.tipo].registros}</td>
+                    <td className="money">{formatCurrency(dispersion.totales[g.tipo].total)}</td>
+                  </tr>
+                ))}
+                <tr>
+                  <td>Efectivo (fuera de archivo)</td>
+                  <td>{dispersion.totales.EFECTIVO.registros}</td>
+                  <td className="money">{formatCurrency(dispersion.totales.EFECTIVO.total)}</td>
+                </tr>
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td><strong>TOTAL DISPERSADO</strong></td>
+                  <td>{dispersion.totales.dispersado.registros}</td>
+                  <td className="money success"><strong>{formatCurrency(dispersion.totales.dispersado.total)}</strong></td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+
+          {dispersion.errores.length > 0 && (
+            <div className="form-section">
+              <h3>❌ Cuentas inválidas ({dispersion.errores.length})</h3>
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Cédula</th>
+                      <th>Nombre</th>
+                      <th>Tipo de cuenta</th>
+                      <th>Cuenta</th>
+                      <th>Valor</th>
+                      <th>Error</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {dispersion.errores.map(p => (
+                      <tr key={p.cedula}>
+                        <td className="mono">{p.cedula}</td>
+                        <td>{p.nombres}</td>
+                        <td>{p.tipoCuenta || '-'}</td>
+                        <td className="mono">{p.cuenta || '-'}</td>
+                        <td className="money">{formatCurrency(p.valor)}</td>
+                        <td>{p.error}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {[...GRUPOS_DISPERSION, { tipo: 'EFECTIVO', label: 'Efectivo' }].map(g => {
+            const pagos = g.tipo === 'EFECTIVO' ? dispersion.efectivo : dispersion.grupos[g.tipo];
+            if (pagos.length === 0) return null;
+            return (
+              <div key={g.tipo} className="form-section">
+                <h3>{g.label} ({pagos.length})</h3>
+                <div className="table-container">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Cédula</th>
+                        <th>Nombre</th>
+                        <th>Cuenta</th>
+                        <th>Valor</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {pagos.map(p => (
+                        <tr key={p.cedula}>
+                          <td className="mono">{p.cedula}</td>
+                          <td>{p.nombres}</td>
+                          <td className="mono">{p.cuenta || '-'}</td>
+                          <td className="money">{formatCurrency(p.valor)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                    <tfoot>
+                      <tr>
+                        <td colSpan="3"><strong>TOTAL</strong></td>
+                        <td className="money"><strong>{formatCurrency(dispersion.totales[g.tipo].total)}</strong></td>
+                      </tr>
+                    </tfoot>
+                  </table>
+                </div>
+              </div>
+            );
+          })}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ========================
+// PANEL DE MARCACIONES
+// ========================
+function MarcacionesPanel() {
+  const hoy = new Date().toISOString().split('T')[0];
+  const [desde, setDesde] = useState(hoy.slice(0, 8) + '01');
+  const [hasta, setHasta] = useState(hoy);
+  const { data, loading, error, refetch } = useApi(`/marcaciones/novedades?desde=${desde}&hasta=${hasta}`);
+
+  const [importando, setImportando] = useState(false);
+  const [reporte, setReporte] = useState(null);
+
+  const handleImportar = async (e) => {
+    const archivo = e.target.files[0];
+    if (!archivo) return;
+
+    setImportando(true);
+    setReporte(null);
+
+    try {
+      const res = await fetch(`${API_BASE}/marcaciones/importar`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: await archivo.text()
+      });
+      const json = await res.json();
+
+      if (json.success) {
+        setReporte({ type: 'success', text: json.message, errores: json.data.errores });
+        refetch();
+      } else {
+        setReporte({ type: 'error', text: json.error?.message || 'Error importando', errores: [] });
+      }
+    } catch (err) {
+      setReporte({ type: 'error', text: err.message, errores: [] });
+    } finally {
+      setImportando(false);
+      e.target.value = '';
+    }
+  };
+
+  return (
+    <div className="panel marcaciones-panel">
+      <h2>⏱️ Marcaciones de Entrada y Salida</h2>
+
+      <div className="info-box">
+        <span className="info-icon">ℹ️</span>
+        <p>
+          Archivo CSV con columnas <code>cedula, fecha, entrada, salida, compensado</code> (fecha AAAA-MM-DD, horas HH:MM).
+          Las horas se clasifican en ordinarias, extras, recargo nocturno y dominicales según la jornada y los festivos configurados.
+        </p>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label>Importar CSV</label>
+          <input type="file" accept=".csv,text/csv" onChange={handleImportar} disabled={importando} />
+        </div>
+        <div className="form-group">
+          <label>Desde</label>
+          <input type="date" value={desde} onChange={e => setDesde(e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label>Hasta</label>
+          <input type="date" value={hasta} onChange={e => setHasta(e.target.value)} />
+        </div>
+      </div>
+
+      {importando && <div className="loading">Importando marcaciones...</div>}
+      {reporte && (
+        <div className={`message ${reporte.type}`}>
+          {reporte.text}
+          {reporte.errores?.length > 0 && (
+            <ul>
+              {reporte.errores.map((err, i) => (
+                <li key={i}>Fila {err.fila}: {err.errores.map(e => e.mensaje).join('; ')}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {loading && <div className="loading">Clasificando horas...</div>}
+      {error && <div className="error-message">Error: {error}</div>}
+
+      {data && !loading && (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Cédula</th>
+                <th>Nombre</th>
+                <th>Días</th>
+                <th>Horas</th>
+                <th>H.E. Diurnas</th>
+                <th>H.E. Nocturnas</th>
+                <th>Recargo Noct.</th>
+                <th>H.E. Dom. Diurnas</th>
+                <th>H.E. Dom. Noct.</th>
+                <th>Dom. Sin Comp.</th>
+                <th>Dom. Con Comp.</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.map(emp => (
+                <tr key={emp.cedula}>
+                  <td className="mono">{emp.cedula}</td>
+                  <td>{emp.nombres}</td>
+                  <td>{emp.resumen.diasConMarcacion}</td>
+                  <td>{emp.resumen.horasTotales}</td>
+                  <td>{emp.novedades.horasExtraDiurna}</td>
+                  <td>{emp.novedades.horasExtraNocturna}</td>
+                  <td>{emp.novedades.horasRecargoNocturno}</td>
+                  <td>{emp.novedades.horasExtraDomDiurna}</td>
+                  <td>{emp.novedades.horasExtraDomNocturna}</td>
+                  <td>{emp.novedades.dominicalSinComp}</td>
+                  <td>{emp.novedades.dominicalConComp}</td>
+                </tr>
+              ))}
+              {data.length === 0 && (
+                <tr><td colSpan="11" className="empty">No hay marcaciones en el rango seleccionado.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ========================
+// PANEL DE PRÉSTAMOS
+// ========================
+function PrestamosPanel() {
+  const { data: empleados } = useApi('/empleados');
+  const [cedula, setCedula] = useState('');
+  const { data: prestamos, loading, error, refetch } = useApi(cedula ? `/prestamos?cedula=${cedula}` : '/prestamos');
+  const [formData, setFormData] = useState({ cedula: '', tipo: 'prestamo', monto: 0, numeroCuotas: 1, periodoInicio: '' });
+  const [mensaje, setMensaje] = useState(null);
+  const [detalle, setDetalle] = useState(null);
+
+  const enviar = async (url, method, body) => {
+    setMensaje(null);
+    try {
+      const res = await fetch(`${API_BASE}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const json = await res.json();
+      if (json.success) {
+        setMensaje({ type: 'success', text: json.message });
+        refetch();
+        return json.data;
+      }
+      const detalles = json.error?.details?.map(d => d.mensaje).join('; ');
+      setMensaje({ type: 'error', text: (json.error?.message || 'Error') + (detalles ? `: ${detalles}` : '') });
+    } catch (err) {
+      setMensaje({ type: 'error', text: err.message });
+    }
+    return null;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const nuevo = await enviar('/prestamos', 'POST', formData);
+    if (nuevo) {
+      setFormData({ ...formData, monto: 0, numeroCuotas: 1 });
+    }
+  };
+
+  const handleAbono = async (p) => {
+    const valor = prompt(`Valor del abono (saldo ${formatCurrency(p.saldo)}). Deje vacío para cancelar el saldo:`);
+    if (valor === null) return;
+    const actualizado = await enviar(`/prestamos/${p.id}/abonos`, 'POST', valor ? { valor: Number(valor) } : { total: true });
+    if (actualizado && detalle?.id === p.id) setDetalle(actualizado);
+  };
+
+  const handleOmitir = async (p) => {
+    const periodo = prompt('Período cuya cuota no se descuenta (ej: 2026-S10):');
+    if (!periodo) return;
+    const actualizado = await enviar(`/prestamos/${p.id}/omitir`, 'POST', { periodo });
+    if (actualizado && detalle?.id === p.id) setDetalle(actualizado);
+  };
+
+  const handleAnular = async (p) => {
+    if (!confirm(`¿Anular el ${p.tipo === 'anticipo' ? 'anticipo' : 'préstamo'} de ${p.nombres}? No se descontarán más cuotas.`)) return;
+    await enviar(`/prestamos/${p.id}/anular`, 'PUT');
+  };
+
+  const saldoTotal = (prestamos || []).filter(p => p.estado === 'activo').reduce((sum, p) => sum + p.saldo, 0);
+
+  return (
+    <div className="panel prestamos-panel">
+      <h2>💳 Préstamos y Anticipos</h2>
+
+      <div className="info-box">
+        <span className="info-icon">ℹ️</span>
+        <p>
+          La cuota se descuenta automáticamente de la bonificación en cada liquidación desde el período de inicio.
+          Volver a liquidar un período reemplaza su cuota; los abonos y las cuotas omitidas ajustan el plan.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="form-row">
+        <div className="form-group">
+          <label>Empleado</label>
+          <select value={formData.cedula} onChange={e => setFormData({ ...formData, cedula: e.target.value })} required>
+            <option value="">Seleccione...</option>
+            {empleados?.map(emp => (
+              <option key={emp.cedula} value={emp.cedula}>{emp.nombres}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Tipo</label>
+          <select value={formData.tipo} onChange={e => setFormData({ ...formData, tipo: e.target.value })}>
+            <option value="prestamo">Préstamo</option>
+            <option value="anticipo">Anticipo de salario</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Monto</label>
+          <input
+            type="number"
+            min="0"
+            value={formData.monto}
+            onChange={e => setFormData({ ...formData, monto: Number(e.target.value) })}
+          />
+        </div>
+        <div className="form-group">
+          <label>Cuotas</label>
+          <input
+            type="number"
+            min="1"
+            value={formData.numeroCuotas}
+            onChange={e => setFormData({ ...formData, numeroCuotas: Number(e.target.value) })}
+          />
+        </div>
+        <div className="form-group">
+          <label>Período inicial</label>
+          <input
+            type="text"
+            placeholder="2026-S10"
+            value={formData.periodoInicio}
+            onChange={e => setFormData({ ...formData, periodoInicio: e.target.value })}
+          />
+        </div>
+        <div className="form-group">
+          <label>&nbsp;</label>
+          <button type="submit" className="btn btn-primary">Registrar</button>
+        </div>
+      </form>
+
+      {mensaje && <div className={`message ${mensaje.type}`}>{mensaje.text}</div>}
+
+      <div className="form-row">
+        <div className="form-group">
+          <label>Estado de cuenta de</label>
+          <select value={cedula} onChange={e => setCedula(e.target.value)}>
+            <option value="">Todos los empleados</option>
+            {empleados?.map(emp => (
+              <option key={emp.cedula} value={emp.cedula}>{emp.nombres}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Saldo activo</label>
+          <strong className="money">{formatCurrency(saldoTotal)}</strong>
+        </div>
+      </div>
+
+      {loading && <div className="loading">Cargando préstamos...</div>}
+      {error && <div className="error-message">Error: {error}</div>}
+
+      {prestamos && !loading && (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Empleado</th>
+                <th>Tipo</th>
+                <th>Inicio</th>
+                <th>Monto</th>
+                <th>Cuota</th>
+                <th>Pagado</th>
+                <th>Saldo</th>
+                <th>Cuotas restantes</th>
+                <th>Estado</th>
+                <th>Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              {prestamos.map(p => (
+                <tr key={p.id} className={p.estado === 'anulado' ? 'inactive' : ''}>
+                  <td>{p.nombres}</td>
+                  <td>{p.tipo === 'anticipo' ? 'Anticipo' : 'Préstamo'}</td>
+                  <td>{p.periodoInicio}</td>
+                  <td className="money">{formatCurrency(p.monto)}</td>
+                  <td className="money">{formatCurrency(p.valorCuota)}</td>
+                  <td className="money">{formatCurrency(p.totalPagado)}</td>
+                  <td className="money">{formatCurrency(p.saldo)}</td>
+                  <td>{p.cuotasRestantes}</td>
+                  <td>{p.estado}</td>
+                  <td className="actions">
+                    <button onClick={() => setDetalle(p)} className="btn-icon" title="Movimientos">📋</button>
+                    {p.estado === 'activo' && (
+                      <>
+                        <button onClick={() => handleAbono(p)} className="btn-icon" title="Abonar">💵</button>
+                        <button onClick={() => handleOmitir(p)} className="btn-icon" title="Omitir cuota">⏭️</button>
+                        <button onClick={() => handleAnular(p)} className="btn-icon danger" title="Anular">🗑️</button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {prestamos.length === 0 && (
+                <tr><td colSpan="10" className="empty">No hay préstamos registrados.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Modal de movimientos */}
+      {detalle && (
+        <div className="modal-overlay" onClick={() => setDetalle(null)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>{detalle.tipo === 'anticipo' ? 'Anticipo' : 'Préstamo'} de {detalle.nombres}</h3>
+              <button onClick={() => setDetalle(null)}>✕</button>
+            </div>
+            <div className="modal-body">
+              <div className="info-box">
+                <span className="info-icon">💳</span>
+                <p>
+                  Monto {formatCurrency(detalle.monto)} en {detalle.numeroCuotas} cuotas de {formatCurrency(detalle.valorCuota)} desde {detalle.periodoInicio} ·
+                  Pagado {formatCurrency(detalle.totalPagado)} ·
+                  <strong> Saldo {formatCurrency(detalle.saldo)}</strong>
+                  {detalle.omitidos.length > 0 && ` · Cuotas omitidas: ${detalle.omitidos.join(', ')}`}
+                </p>
+              </div>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Fecha</th>
+                    <th>Movimiento</th>
+                    <th>Valor</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {detalle.movimientos.map((m, i) => (
+                    <tr key={i}>
+                      <td>{m.fecha.split('T')[0]}</td>
+                      <td>{m.tipo === 'cuota' ? `Cuota nómina ${m.periodo}` : 'Abono'}</td>
+                      <td className="money">{formatCurrency(m.valor)}</td>
+                    </tr>
+                  ))}
+                  {detalle.movimientos.length === 0 && (
+                    <tr><td colSpan="3" className="empty">Sin movimientos.</td></tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ========================
+// PANEL DE EMBARGOS Y LIBRANZAS
+// ========================
+const TIPOS_DESCUENTO = {
+  alimentos: 'Embargo por alimentos',
+  embargo: 'Embargo',
+  libranza: 'Libranza'
+};
+
+function DescuentosPanel() {
+  const { data: empleados } = useApi('/empleados');
+  const { data: ordenes, loading, error, refetch } = useApi('/descuentos');
+  const [periodo, setPeriodo] = useState('');
+  const { data: reporte, refetch: refetchReporte } = useApi(periodo ? `/descuentos/reporte?periodo=${periodo}` : '/descuentos/reporte');
+  const formInicial = {
+    cedula: '', tipo: 'embargo', beneficiario: '', referencia: '', cuentaDeposito: '',
+    prioridad: 1, modo: 'valor', valor: 0, montoTotal: '', periodoInicio: ''
+  };
+  const [formData, setFormData] = useState(formInicial);
+  const [mensaje, setMensaje] = useState(null);
+
+  const enviar = async (url, method, body) => {
+    setMensaje(null);
+    try {
+      const res = await fetch(`${API_BASE}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const json = await res.json();
+      if (json.success) {
+        setMensaje({ type: 'success', text: json.message });
+        refetch();
+        refetchReporte();
+        return true;
+      }
+      const detalles = json.error?.details?.map(d => d.mensaje).join('; ');
+      setMensaje({ type: 'error', text: (json.error?.message || 'Error') + (detalles ? `: ${detalles}` : '') });
+    } catch (err) {
+      setMensaje({ type: 'error', text: err.message });
+    }
+    return false;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { modo, valor, ...datos } = formData;
+    const body = { ...datos, [modo]: valor };
+    if (await enviar('/descuentos', 'POST', body)) {
+      setFormData(formInicial);
+    }
+  };
+
+  const cambiarEstado = (orden, estado) => {
+    if (estado === 'terminado' && !confirm(`¿Terminar la orden a favor de ${orden.beneficiario}? No se podrá reactivar.`)) return;
+    enviar(`/descuentos/${orden.id}`, 'PUT', { estado });
+  };
+
+  return (
+    <div className="panel descuentos-panel">
+      <h2>⚖️ Embargos Judiciales y Libranzas</h2>
+
+      <div className="info-box">
+        <span className="info-icon">ℹ️</span>
+        <p>
+          Se descuentan del salario neto en cada liquidación. Los embargos ordinarios solo afectan la quinta parte del excedente del
+          salario mínimo; los de alimentos hasta el 50% del salario. Las libranzas no pueden dejar al empleado con menos del 50% del neto.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit}>
+        <div className="form-row">
+          <div className="form-group">
+            <label>Empleado</label>
+            <select value={formData.cedula} onChange={e => setFormData({ ...formData, cedula: e.target.value })} required>
+              <option value="">Seleccione...</option>
+              {empleados?.map(emp => (
+                <option key={emp.cedula} value={emp.cedula}>{emp.nombres}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Tipo</label>
+            <select value={formData.tipo} onChange={e => setFormData({ ...formData, tipo: e.target.value })}>
+              {Object.entries(TIPOS_DESCUENTO).map(([tipo, nombre]) => (
+                <option key={tipo} value={tipo}>{nombre}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>{formData.tipo === 'libranza' ? 'Entidad acreedora' : 'Juzgado'}</label>
+            <input
+              type="text"
+              value={formData.beneficiario}
+              onChange={e => setFormData({ ...formData, beneficiario: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label>{formData.tipo === 'libranza' ? 'Obligación' : 'Radicado'}</label>
+            <input
+              type="text"
+              value={formData.referencia}
+              onChange={e => setFormData({ ...formData, referencia: e.target.value })}
+            />
+          </div>
+          {formData.tipo !== 'libranza' && (
+            <div className="form-group">
+              <label>Cuenta depósitos judiciales</label>
+              <input
+                type="text"
+                value={formData.cuentaDeposito}
+                onChange={e => setFormData({ ...formData, cuentaDeposito: e.target.value })}
+              />
+            </div>
+          )}
+        </div>
+        <div className="form-row">
+          <div className="form-group">
+            <label>Prioridad</label>
+            <input
+              type="number"
+              min="1"
+              value={formData.prioridad}
+              onChange={e => setFormData({ ...formData, prioridad: Number(e.target.value) })}
+            />
+          </div>
+          <div className="form-group">
+            <label>Descuento</label>
+            <select value={formData.modo} onChange={e => setFormData({ ...formData, modo: e.target.value })}>
+              <option value="valor">Valor fijo por período</option>
+              <option value="porcentaje">Porcentaje</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label>{formData.modo === 'valor' ? 'Valor' : '%'}</label>
+            <input
+              type="number"
+              min="0"
+              value={formData.valor}
+              onChange={e => setFormData({ ...formData, valor: Number(e.target.value) })}
+            />
+          </div>
+          <div className="form-group">
+            <label>Monto total (opcional)</label>
+            <input
+              type="number"
+              min="0"
+              value={formData.montoTotal}
+              onChange={e => setFormData({ ...formData, montoTotal: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label>Período inicial (opcional)</label>
+            <input
+              type="text"
+              placeholder="2026-S10"
+              value={formData.periodoInicio}
+              onChange={e => setFormData({ ...formData, periodoInicio: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label>&nbsp;</label>
+            <button type="submit" className="btn btn-primary">Registrar</button>
+          </div>
+        </div>
+      </form>
+
+      {mensaje && <div className={`message ${mensaje.type}`}>{mensaje.text}</div>}
+
+      {loading && <div className="loading">Cargando órdenes...</div>}
+      {error && <div className="error-message">Error: {error}</div>}
+
+      {ordenes && !loading && (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Prioridad</th>
+                <th>Empleado</th>
+                <th>Tipo</th>
+                <th>Juzgado / Acreedor</th>
+                <th>Radicado</th>
+                <th>Descuento</th>
+                <th>Descontado</th>
+                <th>Saldo</th>
+                <th>Estado</th>
+                <th>Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ordenes.map(o => (
+                <tr key={o.id} className={o.estado !== 'activo' ? 'inactive' : ''}>
+                  <td>{o.prioridad}</td>
+                  <td>{o.nombres}</td>
+                  <td>{TIPOS_DESCUENTO[o.tipo]}</td>
+                  <td>{o.beneficiario}</td>
+                  <td className="mono">{o.referencia || '-'}</td>
+                  <td>{o.porcentaje ? `${o.porcentaje}%` : formatCurrency(o.valor)}</td>
+                  <td className="money">{formatCurrency(o.descontado)}</td>
+                  <td className="money">{o.saldo === null ? '-' : formatCurrency(o.saldo)}</td>
+                  <td>{o.estado}</td>
+                  <td className="actions">
+                    {o.estado === 'activo' && (
+                      <button onClick={() => cambiarEstado(o, 'suspendido')} className="btn-icon" title="Suspender">⏸️</button>
+                    )}
+                    {o.estado === 'suspendido' && (
+                      <button onClick={() => cambiarEstado(o, 'activo')} className="btn-icon" title="Reactivar">▶️</button>
+                    )}
+                    {o.estado !== 'terminado' && (
+                      <button onClick={() => cambiarEstado(o, 'terminado')} className="btn-icon danger" title="Terminar">🗑️</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {ordenes.length === 0 && (
+                <tr><td colSpan="10" className="empty">No hay embargos ni libranzas registrados.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <h3>Valores retenidos por juzgado o acreedor</h3>
+      <div className="form-row">
+        <div className="form-group">
+          <label>Período (vacío: todos)</label>
+          <input type="text" placeholder="2026-S10" value={periodo} onChange={e => setPeriodo(e.target.value)} />
+        </div>
+      </div>
+
+      {reporte && (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Juzgado / Acreedor</th>
+                <th>Tipo</th>
+                <th>Cuenta</th>
+                <th>Detalle</th>
+                <th>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {reporte.map(g => (
+                <tr key={`${g.tipo}-${g.beneficiario}`}>
+                  <td>{g.beneficiario}</td>
+                  <td>{TIPOS_DESCUENTO[g.tipo]}</td>
+                  <td className="mono">{g.cuentaDeposito || '-'}</td>
+                  <td>
+                    {g.detalle.map(d => (
+                      <div key={`${d.ordenId}-${d.periodo}`}>
+                        {d.periodo} · {d.nombres} ({d.cedula}){d.referencia && ` · ${d.referencia}`}: {formatCurrency(d.valor)}
+                      </div>
+                    ))}
+                  </td>
+                  <td className="money">{formatCurrency(g.total)}</td>
+                </tr>
+              ))}
+              {reporte.length === 0 && (
+                <tr><td colSpan="5" className="empty">No hay valores retenidos.</td></tr>
+              )}
+            </tbody>
+            {reporte.length > 0 && (
+              <tfoot>
+                <tr>
+                  <td colSpan="4"><strong>TOTAL RETENIDO</strong></td>
+                  <td className="money success"><strong>{formatCurrency(reporte.reduce((sum, g) => sum + g.total, 0))}</strong></td>
+                </tr>
+              </tfoot>
+            )}
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ========================
+// PANEL DE CERTIFICADOS LABORALES
+// ========================
+function CertificadosPanel() {
+  const { data: empleados, loading: loadingEmpleados } = useApi('/empleados');
+  const { data: certificados, refetch } = useApi('/certificados');
+  const [solicitud, setSolicitud] = useState({ cedula: '', dirigidoA: 'A QUIEN INTERESE', incluirPromedio: false, periodos: '' });
+  const [codigo, setCodigo] = useState('');
+  const [verificado, setVerificado] = useState(null);
+  const [error, setError] = useState(null);
+
+  const abrirPdf = async (url) => {
+    setError(null);
+    try {
+      const res = await fetch(url);
+      if (!res.ok) {
+        const json = await res.json();
+        setError(json.error?.message || 'Error generando el certificado');
+        return false;
+      }
+      const blob = await res.blob();
+      window.open(URL.createObjectURL(blob), '_blank');
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const expedirCertificado = async () => {
+    const params = new URLSearchParams({ dirigidoA: solicitud.dirigidoA, incluirPromedio: solicitud.incluirPromedio });
+    if (solicitud.incluirPromedio && solicitud.periodos) params.set('periodos', solicitud.periodos);
+    if (await abrirPdf(`${API_BASE}/certificados/laboral/${solicitud.cedula}?${params}`)) {
+      refetch();
+    }
+  };
+
+  const verificarCertificado = async () => {
+    setVerificado(null);
+    try {
+      const res = await fetch(`${API_BASE}/certificados/verificar/${codigo.trim()}`);
+      const json = await res.json();
+      setVerificado(json.success ? json.data : { error: json.error?.message || 'Código no encontrado' });
+    } catch (err) {
+      setVerificado({ error: err.message });
+    }
+  };
+
+  if (loadingEmpleados) return <div className="loading">Cargando empleados...</div>;
+
+  return (
+    <div className="panel certificados-panel">
+      <h2>📄 Certificados Laborales</h2>
+
+      <div className="info-box">
+        <span className="info-icon">ℹ️</span>
+        <p>El certificado se arma con las plantillas de la configuración (cargo, fecha de ingreso, tipo de contrato y salario actual). Cada certificado queda registrado con un código de verificación para confirmar su autenticidad.</p>
+      </div>
+
+      <div className="form-section">
+        <h3>Expedir certificado</h3>
+        <div className="form-row">
+          <div className="form-group">
+            <label>Empleado</label>
+            <select value={solicitud.cedula} onChange={e => setSolicitud({ ...solicitud, cedula: e.target.value })}>
+              <option value="">-- Seleccionar Empleado --</option>
+              {empleados?.map(emp => (
+                <option key={emp.cedula} value={emp.cedula}>{emp.nombres} ({emp.cedula}){emp.activo === false ? ' - retirado' : ''}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Dirigido a</label>
+            <input
+              type="text"
+              value={solicitud.dirigidoA}
+              onChange={e => setSolicitud({ ...solicitud, dirigidoA: e.target.value })}
+            />
+          </div>
+        </div>
+        <div className="form-row">
+          <div className="form-group">
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={solicitud.incluirPromedio}
+                onChange={e => setSolicitud({ ...solicitud, incluirPromedio: e.target.checked })}
+              />
+              <span>Incluir promedio de ingresos variables</span>
+            </label>
+          </div>
+          {solicitud.incluirPromedio && (
+            <div className="form-group">
+              <label>Períodos a promediar</label>
+              <input
+                type="number"
+                min="1"
+                placeholder="Según configuración"
+                value={solicitud.periodos}
+                onChange={e => setSolicitud({ ...solicitud, periodos: e.target.value })}
+              />
+            </div>
+          )}
+        </div>
+        <div className="actions-row">
+          <button onClick={expedirCertificado} disabled={!solicitud.cedula} className="btn btn-primary">
+            📄 Expedir Certificado (PDF)
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="form-section">
+        <h3>Verificar autenticidad</h3>
+        <div className="actions-row">
+          <div className="form-group">
+            <label>Código de verificación</label>
+            <input type="text" placeholder="CL-XXXXXXXXXX" value={codigo} onChange={e => setCodigo(e.target.value)} />
+          </div>
+          <button onClick={verificarCertificado} disabled={!codigo.trim()} className="btn btn-secondary">
+            🔍 Verificar
+          </button>
+        </div>
+        {verificado?.error && <div className="error-message">❌ {verificado.error}</div>}
+        {verificado && !verificado.error && (
+          <div className="message success">
+            ✅ Certificado auténtico expedido el {verificado.fechaExpedicion} a {verificado.nombres} ({verificado.cedula}):
+            {' '}{verificado.cargo}, ingreso {verificado.fechaIngreso}{verificado.fechaRetiro ? `, retiro ${verificado.fechaRetiro}` : ''},
+            {' '}salario {formatCurrency(verificado.salarioBase)}
+            {verificado.promedioVariable && <> · promedio variable {formatCurrency(verificado.promedioVariable.promedioMensual)}</>}
+          </div>
+        )}
+      </div>
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Código</th>
+              <th>Fecha</th>
+              <th>Cédula</th>
+              <th>Nombre</th>
+              <th>Dirigido a</th>
+              <th>Salario</th>
+              <th>PDF</th>
+            </tr>
+          </thead>
+          <tbody>
+            {certificados?.map(c => (
+              <tr key={c.codigo}>
+                <td className="mono">{c.codigo}</td>
+                <td>{c.fechaExpedicion}</td>
+                <td className="mono">{c.cedula}</td>
+                <td>{c.nombres}</td>
+                <td>{c.dirigidoA}</td>
+                <td className="money">{formatCurrency(c.salarioBase)}</td>
+                <td>
+                  <button onClick={() => abrirPdf(`${API_BASE}/certificados/${c.codigo}/pdf`)} className="btn-icon" title="Descargar de nuevo">📄</button>
+                </td>
+              </tr>
+            ))}
+            {certificados?.length === 0 && (
+              <tr><td colSpan="7" className="empty">No hay certificados expedidos.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ========================
+// PANEL DEL FORMULARIO 220
+// ========================
+function Formulario220Panel() {
+  const [anio, setAnio] = useState(String(new Date().getFullYear() - 1));
+  const [resumen, setResumen] = useState(null);
+  const [cargando, setCargando] = useState(false);
+  const [error, setError] = useState(null);
+
+  const generarResumen = async () => {
+    setCargando(true);
+    setError(null);
+    setResumen(null);
+
+    try {
+      const res = await fetch(`${API_BASE}/formulario-220/${anio}`);
+      const json = await res.json();
+      if (json.success) {
+        setResumen(json.data);
+      } else {
+        setError(json.error?.message || 'Error acumulando el año gravable');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCargando(false);
+    }
+  };
+
+  const abrirPdf = async (cedula) => {
+    setError(null);
+    try {
+      const res = await fetch(`${API_BASE}/formulario-220/${anio}${cedula ? `/${cedula}` : ''}/pdf`);
+      if (!res.ok) {
+        const json = await res.json();
+        setError(json.error?.message || 'Error generando los formularios');
+        return;
+      }
+      const blob = await res.blob();
+      window.open(URL.createObjectURL(blob), '_blank');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const descargarResumen = () => {
+    const blob = new Blob([JSON.stringify(resumen, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `Formulario220-${resumen.anio}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="panel formulario-220-panel">
+      <h2>🗂️ Certificado de Ingresos y Retenciones (Formulario 220)</h2>
+
+      <div className="info-box">
+        <span className="info-icon">ℹ️</span>
+        <p>Suma por empleado los períodos aprobados cuya fecha fin cae en el año gravable, con los ajustes aplicados. Los retirados en el año incluyen su liquidación definitiva (prima, cesantías, vacaciones e indemnización).</p>
+      </div>
+
+      <div className="actions-row">
+        <div className="form-group">
+          <label>Año gravable</label>
+          <input type="number" min="2000" max="2100" value={anio} onChange={e => setAnio(e.target.value)} />
+        </div>
+        <button onClick={generarResumen} disabled={cargando || !/^\d{4}$/.test(anio)} className="btn btn-primary">
+          {cargando ? '⏳ Acumulando...' : '🔄 Generar Año'}
+        </button>
+        <button onClick={() => abrirPdf()} disabled={!resumen?.formularios.length} className="btn btn-secondary">
+          🖨️ Formularios (PDF)
+        </button>
+        <button onClick={descargarResumen} disabled={!resumen} className="btn btn-secondary">
+          ⬇️ Resumen (JSON)
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {resumen?.advertencias?.length > 0 && (
+        <div className="message error">
+          {resumen.advertencias.map(aviso => <div key={aviso}>⚠️ {aviso}</div>)}
+        </div>
+      )}
+
+      {resumen && (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Cédula</th>
+                <th>Nombre</th>
+                <th>Período</th>
+                <th>Salarios (36)</th>
+                <th>Prestaciones (42)</th>
+                <th>Otros (46)</th>
+                <th>Cesantías (47)</th>
+                <th>Ingresos (52)</th>
+                <th>Aportes (53-54)</th>
+                <th>Retención (59)</th>
+                <th>PDF</th>
+              </tr>
+            </thead>
+            <tbody>
+              {resumen.formularios.map(f => (
+                <tr key={f.cedula}>
+                  <td className="mono">{f.cedula}</td>
+                  <td>{f.nombres} {f.fechaRetiro && <span className="badge badge-danger">Retirado</span>}</td>
+                  <td>{f.periodoDesde} a {f.periodoHasta}</td>
+                  <td className="money">{formatCurrency(f.casillas['36'])}</td>
+                  <td className="money">{formatCurrency(f.casillas['42'])}</td>
+                  <td className="money">{formatCurrency(f.casillas['46'])}</td>
+                  <td className="money">{formatCurrency(f.casillas['47'])}</td>
+                  <td className="money success">{formatCurrency(f.totalIngresos)}</td>
+                  <td className="money">{formatCurrency(f.totalAportes)}</td>
+                  <td className="money">{formatCurrency(f.retencion)}</td>
+                  <td>
+                    <button onClick={() => abrirPdf(f.cedula)} className="btn-icon" title="Formulario 220">📄</button>
+                  </td>
+                </tr>
+              ))}
+              {resumen.formularios.length === 0 && (
+                <tr><td colSpan="11" className="empty">No hay períodos aprobados en {resumen.anio}.</td></tr>
+              )}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td colSpan="7"><strong>TOTALES ({resumen.totales.empleados} empleados, {resumen.totales.retirados} retirados)</strong></td>
+                <td className="money success"><strong>{formatCurrency(resumen.totales.ingresos)}</strong></td>
+                <td className="money">{formatCurrency(resumen.totales.aportes)}</td>
+                <td className="money">{formatCurrency(resumen.totales.retencion)}</td>
+                <td></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ========================
+// PANEL DE REPORTES CONSOLIDADOS
+// ========================
+const AGRUPACIONES_REPORTE = [
+  { valor: 'periodo', label: 'Período' },
+  { valor: 'mes', label: 'Mes' },
+  { valor: 'anio', label: 'Año' }
+];
+
+const TIPOS_EXTRA_REPORTE = [
+  { clave: 'horasExtraDiurna', label: 'Extra diurna', unidad: 'h' },
+  { clave: 'horasExtraNocturna', label: 'Extra nocturna', unidad: 'h' },
+  { clave: 'recargoNocturno', label: 'Recargo nocturno', unidad: 'h' },
+  { clave: 'horasExtraDomDiurna', label: 'Extra dominical diurna', unidad: 'h' },
+  { clave: 'horasExtraDomNocturna', label: 'Extra dominical nocturna', unidad: 'h' },
+  { clave: 'dominicalSinComp', label: 'Dominical sin compensatorio', unidad: 'días' },
+  { clave: 'dominicalConComp', label: 'Dominical con compensatorio', unidad: 'días' }
+];
+
+function ReportesPanel() {
+  const { data: empleados } = useApi('/empleados');
+  const [filtros, setFiltros] = useState({ agrupacion: 'mes', desde: '', hasta: '', cargo: '', tipoCuenta: '', cedula: '', soloAprobadas: false });
+  const [reporte, setReporte] = useState(null);
+  const [topExtras, setTopExtras] = useState([]);
+  const [cargando, setCargando] = useState(false);
+  const [error, setError] = useState(null);
+
+  const generarReporte = async () => {
+    setCargando(true);
+    setError(null);
+
+    const params = new URLSearchParams();
+    for (const [campo, valor] of Object.entries(filtros)) {
+      if (valor) params.set(campo, valor);
+    }
+
+    try {
+      const [resConsolidado, resExtras] = await Promise.all([
+        fetch(`${API_BASE}/reportes/consolidado?${params}`),
+        fetch(`${API_BASE}/reportes/horas-extra?${params}`)
+      ]);
+      const consolidado = await resConsolidado.json();
+      const extras = await resExtras.json();
+      if (consolidado.success && extras.success) {
+        setReporte(consolidado.data);
+        setTopExtras(extras.data);
+      } else {
+        setError((consolidado.error || extras.error)?.message || 'Error generando el reporte');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCargando(false);
+    }
+  };
+
+  const formatVariacion = (valor) => {
+    if (valor === null || valor === undefined) return '';
+    return `${valor > 0 ? '▲' : valor < 0 ? '▼' : '='} ${Math.abs(valor).toFixed(1)}%`;
+  };
+
+  const maxCosto = Math.max(1, ...(reporte?.grupos || []).map(g => g.costoEmpleador));
+  const totales = reporte?.totales;
+
+  return (
+    <div className="panel reportes-panel">
+      <h2>📊 Reportes Consolidados</h2>
+
+      <div className="info-box">
+        <span className="info-icon">ℹ️</span>
+        <p>Totales de las liquidaciones guardadas (en los períodos aprobados, con los ajustes aplicados). El mes y el año son los de la fecha fin del período. Costo empleador = total devengado + aportes de seguridad social y parafiscales.</p>
+      </div>
+
+      <div className="form-grid">
+        <div className="form-group">
+          <label>Agrupar por</label>
+          <select value={filtros.agrupacion} onChange={e => setFiltros({ ...filtros, agrupacion: e.target.value })}>
+            {AGRUPACIONES_REPORTE.map(a => <option key={a.valor} value={a.valor}>{a.label}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Desde</label>
+          <input type="date" value={filtros.desde} onChange={e => setFiltros({ ...filtros, desde: e.target.value })} />
+        </div>
+        <div className="form-group">
+          <label>Hasta</label>
+          <input type="date" value={filtros.hasta} onChange={e => setFiltros({ ...filtros, hasta: e.target.value })} />
+        </div>
+        <div className="form-group">
+          <label>Cargo</label>
+          <select value={filtros.cargo} onChange={e => setFiltros({ ...filtros, cargo: e.target.value })}>
+            <option value="">Todos</option>
+            {reporte?.opciones.cargos.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Tipo de cuenta</label>
+          <select value={filtros.tipoCuenta} onChange={e => setFiltros({ ...filtros, tipoCuenta: e.target.value })}>
+            <option value="">Todos</option>
+            {reporte?.opciones.tiposCuenta.map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Empleado</label>
+          <select value={filtros.cedula} onChange={e => setFiltros({ ...filtros, cedula: e.target.value })}>
+            <option value="">Todos</option>
+            {empleados?.map(emp => <option key={emp.cedula} value={emp.cedula}>{emp.nombres}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div className="actions-row">
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={filtros.soloAprobadas}
+            onChange={e => setFiltros({ ...filtros, soloAprobadas: e.target.checked })}
+          />
+          <span>Solo períodos aprobados</span>
+        </label>
+        <button onClick={generarReporte} disabled={cargando} className="btn btn-primary">
+          {cargando ? '⏳ Generando...' : '🔄 Generar Reporte'}
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {totales && (
+        <div className="reportes-resumen">
+          <div className="reporte-kpi"><span>Períodos</span><strong>{totales.periodos}</strong></div>
+          <div className="reporte-kpi"><span>Empleados</span><strong>{totales.empleados}</strong></div>
+          <div className="reporte-kpi"><span>Total devengado</span><strong>{formatCurrency(totales.totalDevengado)}</strong></div>
+          <div className="reporte-kpi"><span>Horas extra y recargos</span><strong>{formatCurrency(totales.horasExtra)}</strong></div>
+          <div className="reporte-kpi"><span>Aportes empleador</span><strong>{formatCurrency(totales.totalAportes)}</strong></div>
+          <div className="reporte-kpi"><span>Costo empleador</span><strong>{formatCurrency(totales.costoEmpleador)}</strong></div>
+        </div>
+      )}
+
+      {reporte && (
+        <div className="form-section">
+          <h3>Totales por {AGRUPACIONES_REPORTE.find(a => a.valor === reporte.agrupacion)?.label.toLowerCase()}</h3>
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>{AGRUPACIONES_REPORTE.find(a => a.valor === reporte.agrupacion)?.label}</th>
+                  <th>Empl.</th>
+                  <th>Salario</th>
+                  <th>Horas Extra</th>
+                  <th>Bonificación</th>
+                  <th>Auxilio</th>
+                  <th>Otros Dev.</th>
+                  <th>Devengado</th>
+                  <th>Deducciones</th>
+                  <th>Aportes</th>
+                  <th>Costo Empleador</th>
+                  <th>Tendencia</th>
+                </tr>
+              </thead>
+              <tbody>
+                {reporte.grupos.map(g => (
+                  <tr key={g.clave}>
+                    <td className="mono" title={g.periodos.join(', ')}>{g.clave}</td>
+                    <td>{g.empleados}</td>
+                    <td className="money">{formatCurrency(g.salario)}</td>
+                    <td className="money">{formatCurrency(g.horasExtra)}</td>
+                    <td className="money">{formatCurrency(g.bonificacion)}</td>
+                    <td className="money">{formatCurrency(g.auxilioTransporte)}</td>
+                    <td className="money">{formatCurrency(g.incapacidades + g.licencias + g.vacaciones)}</td>
+                    <td className="money">{formatCurrency(g.totalDevengado)}</td>
+                    <td className="money danger">{formatCurrency(g.totalDeducciones)}</td>
+                    <td className="money">{formatCurrency(g.totalAportes)}</td>
+                    <td className="money success">{formatCurrency(g.costoEmpleador)}</td>
+                    <td>
+                      <div className="barra-tendencia" style={{ width: `${g.costoEmpleador / maxCosto * 100}%` }}></div>
+                      <span className={`variacion ${g.variacion.costoEmpleador > 0 ? 'sube' : 'baja'}`}>
+                        {formatVariacion(g.variacion.costoEmpleador)}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+                {reporte.grupos.length === 0 && (
+                  <tr><td colSpan="12" className="empty">No hay liquidaciones con estos filtros.</td></tr>
+                )}
+              </tbody>
+              {reporte.grupos.length > 0 && (
+                <tfoot>
+                  <tr>
+                    <td><strong>TOTAL</strong></td>
+                    <td>{totales.empleados}</td>
+                    <td className="money">{formatCurrency(totales.salario)}</td>
+                    <td className="money">{formatCurrency(totales.horasExtra)}</td>
+                    <td className="money">{formatCurrency(totales.bonificacion)}</td>
+                    <td className="money">{formatCurrency(totales.auxilioTransporte)}</td>
+                    <td className="money">{formatCurrency(totales.incapacidades + totales.licencias + totales.vacaciones)}</td>
+                    <td className="money">{formatCurrency(totales.totalDevengado)}</td>
+                    <td className="money danger">{formatCurrency(totales.totalDeducciones)}</td>
+                    <td className="money">{formatCurrency(totales.totalAportes)}</td>
+                    <td className="money success"><strong>{formatCurrency(totales.costoEmpleador)}</strong></td>
+                    <td></td>
+                  </tr>
+                </tfoot>
+              )}
+            </table>
+          </div>
+        </div>
+      )}
+
+      {totales && (
+        <div className="liquidacion-grid">
+          <div className="form-section">
+            <h3>Horas extra y recargos por tipo</h3>
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Tipo</th>
+                    <th>Cantidad</th>
+                    <th>Valor</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {TIPOS_EXTRA_REPORTE.map(t => (
+                    <tr key={t.clave}>
+                      <td>{t.label}</td>
+                      <td>{totales.extras[t.clave].cantidad} {t.unidad}</td>
+                      <td className="money">{formatCurrency(totales.extras[t.clave].valor)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <h3>Deducciones</h3>
+            <div className="table-container">
+              <table>
+                <tbody>
+                  <tr><td>Salud</td><td className="money">{formatCurrency(totales.salud)}</td></tr>
+                  <tr><td>Pensión</td><td className="money">{formatCurrency(totales.pension)}</td></tr>
+                  <tr><td>Fondo de Solidaridad Pensional</td><td className="money">{formatCurrency(totales.fsp)}</td></tr>
+                  <tr><td>Retención en la fuente</td><td className="money">{formatCurrency(totales.retencion)}</td></tr>
+                  <tr><td>Préstamos y anticipos</td><td className="money">{formatCurrency(totales.prestamos)}</td></tr>
+                  <tr><td>Embargos y libranzas</td><td className="money">{formatCurrency(totales.embargosLibranzas)}</td></tr>
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="form-section">
+            <h3>Empleados con más horas extra</h3>
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Nombre</th>
+                    <th>Cargo</th>
+                    <th>Horas Extra</th>
+                    <th>% Salario</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {topExtras.map((e, i) => (
+                    <tr key={e.cedula}>
+                      <td>{i + 1}</td>
+                      <td title={e.cedula}>{e.nombres}</td>
+                      <td>{e.cargo || '-'}</td>
+                      <td className="money">{formatCurrency(e.horasExtra)}</td>
+                      <td>{e.porcentajeSalario}%</td>
+                    </tr>
+                  ))}
+                  {topExtras.length === 0 && (
+                    <tr><td colSpan="5" className="empty">No hay horas extra en el rango.</td></tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ========================
+// PANEL DE NOVEDADES MASIVAS
+// ========================
+function NovedadesMasivasPanel() {
+  const [opciones, setOpciones] = useState({ periodo: '', tipoNomina: 'SEMANAL', diasLaborados: 7, usarMarcaciones: false });
+  const [archivo, setArchivo] = useState(null);
+  const [resultado, setResultado] = useState(null);
+  const [procesando, setProcesando] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Vista previa (guardar = false) o liquidar-all con las novedades del archivo (guardar = true)
+  const enviarArchivo = async (seleccionado, guardar) => {
+    if (!opciones.periodo) {
+      setError('Indique el período antes de cargar el archivo');
+      return;
+    }
+    setProcesando(true);
+    setError(null);
+    try {
+      const query = new URLSearchParams({
+        periodo: opciones.periodo,
+        tipoNomina: opciones.tipoNomina,
+        diasLaborados: opciones.diasLaborados,
+        usarMarcaciones: opciones.usarMarcaciones,
+        guardar
+      });
+      const esExcel = seleccionado.name.toLowerCase().endsWith('.xlsx');
+      const res = await fetch(`${API_BASE}/nominas/liquidar-all/importar?${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': esExcel ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' : 'text/csv' },
+        body: esExcel ? seleccionado : await seleccionado.text()
+      });
+      const json = await res.json();
+      if (json.success) {
+        setResultado({ mensaje: json.message, ...json.data });
+      } else {
+        setError(json.error?.message || 'Error procesando el archivo');
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+    setProcesando(false);
+  };
+
+  const handleArchivo = (e) => {
+    const seleccionado = e.target.files[0];
+    e.target.value = '';
+    if (!seleccionado) return;
+    setArchivo(seleccionado);
+    setResultado(null);
+    enviarArchivo(seleccionado, false);
+  };
+
+  const handleLiquidar = () => {
+    if (!confirm(`¿Liquidar el período ${opciones.periodo} con las novedades de ${archivo.name}? Se reemplaza la liquidación actual del período.`)) return;
+    enviarArchivo(archivo, true);
+  };
+
+  const cambiarOpcion = (campo, valor) => {
+    setOpciones({ ...opciones, [campo]: valor });
+    setResultado(null);
+  };
+
+  const resumen = resultado?.importacion.resumen;
+
+  return (
+    <div className="panel novedades-masivas-panel">
+      <h2>📤 Novedades Masivas</h2>
+
+      <div className="info-box">
+        <span className="info-icon">ℹ️</span>
+        <p>
+          Planilla CSV o Excel (.xlsx) con una fila por cédula y columnas <code>cedula, dias, HE diurnas, HE nocturnas, recargo nocturno, HE dom diurna, HE dom nocturna, dominical sin comp, dominical con comp, bonificacion, prestamo</code>.
+          Las celdas vacías y los empleados que no están en el archivo toman los días por defecto. Primero se muestra la vista previa; al confirmar se liquida el período completo.
+        </p>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label>Período</label>
+          <input type="text" placeholder="2026-S42" value={opciones.periodo} onChange={e => cambiarOpcion('periodo', e.target.value.toUpperCase())} />
+        </div>
+        <div className="form-group">
+          <label>Tipo de Nómina</label>
+          <select value={opciones.tipoNomina} onChange={e => cambiarOpcion('tipoNomina', e.target.value)}>
+            <option value="SEMANAL">Semanal</option>
+            <option value="MENSUAL">Mensual</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Días por Defecto</label>
+          <input type="number" min="0" max="30" value={opciones.diasLaborados} onChange={e => cambiarOpcion('diasLaborados', parseInt(e.target.value) || 0)} />
+        </div>
+        <div className="form-group">
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={opciones.usarMarcaciones}
+              onChange={e => cambiarOpcion('usarMarcaciones', e.target.checked)}
+            />
+            Horas desde marcaciones
+          </label>
+        </div>
+        <div className="form-group">
+          <label>Archivo de Novedades</label>
+          <input type="file" accept=".csv,.xlsx,text/csv" onChange={handleArchivo} disabled={procesando} />
+        </div>
+      </div>
+
+      {procesando && <div className="loading">Procesando novedades...</div>}
+      {error && <div className="error-message">Error: {error}</div>}
+
+      {resultado && (
+        <>
+          <div className={`message ${resumen.errores > 0 ? 'error' : 'success'}`}>
+            {archivo?.name}: {resultado.mensaje}
+            {resumen.sinArchivo > 0 && <> · {resumen.sinArchivo} empleados activos sin fila en el archivo</>}
+            {resultado.importacion.columnas.ignoradas.length > 0 && <> · Columnas ignoradas: {resultado.importacion.columnas.ignoradas.join(', ')}</>}
+          </div>
+
+          {resumen.errores > 0 && (
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Fila</th>
+                    <th>Cédula</th>
+                    <th>Nombre</th>
+                    <th>Errores</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {resultado.importacion.filas.filter(f => f.errores).map(f => (
+                    <tr key={f.fila}>
+                      <td>{f.fila}</td>
+                      <td className="mono">{f.cedula}</td>
+                      <td>{f.nombres}</td>
+                      <td>{f.errores.map(e => `${e.campo}: ${e.mensaje}`).join('; ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <h3>{resultado.guardado ? `Período ${resultado.periodo} liquidado` : 'Vista previa de las liquidaciones'}</h3>
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Cédula</th>
+                  <th>Nombre</th>
+                  <th>Días</th>
+                  <th>Extras y Recargos</th>
+                  <th>Bonificación</th>
+                  <th>Devengado</th>
+                  <th>Deducciones</th>
+                  <th>Neto</th>
+                  <th>Consignado</th>
+                </tr>
+              </thead>
+              <tbody>
+                {resultado.liquidaciones.map(l => (
+                  <tr key={l.cedula}>
+                    <td className="mono">{l.cedula}</td>
+                    <td>
+                      {l.nombres}
+                      {l.desdeArchivo && <span className="badge badge-success" title="Novedades del archivo">archivo</span>}
+                    </td>
+                    <td>{l.diasLaborados}</td>
+                    <td className="money">{formatCurrency(l.totalExtras)}</td>
+                    <td className="money">{formatCurrency(l.bonificacion)}</td>
+                    <td className="money">{formatCurrency(l.totalDevengado)}</td>
+                    <td className="money">{formatCurrency(l.totalDeducciones)}</td>
+                    <td className="money">{formatCurrency(l.totalNomina)}</td>
+                    <td className="money">{formatCurrency(l.totalConsignado)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colSpan="7"><strong>Totales</strong></td>
+                  <td className="money"><strong>{formatCurrency(resultado.totales.totalNomina)}</strong></td>
+                  <td className="money"><strong>{formatCurrency(resultado.totales.totalConsignado)}</strong></td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+
+          {resultado.errores?.length > 0 && (
+            <div className="error-message">
+              {resultado.errores.map(e => `${e.cedula} ${e.nombres}: ${e.error}`).join(' · ')}
+            </div>
+          )}
+
+          {!resultado.guardado && (
+            <div className="actions-row">
+              <button onClick={handleLiquidar} disabled={procesando || resumen.errores > 0} className="btn btn-primary">
+                ✅ Liquidar Período {opciones.periodo}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
 // ========================
 // CALCULADORA FLOTANTE
 // ========================
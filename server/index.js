@@ -19,6 +19,18 @@ const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const empleadosRoutes = require('./routes/empleados');
 const configRoutes = require('./routes/config');
 const nominasRoutes = require('./routes/nominas');
+const prestacionesRoutes = require('./routes/prestaciones');
+const pilaRoutes = require('./routes/pila');
+const marcacionesRoutes = require('./routes/marcaciones');
+const vacacionesRoutes = require('./routes/vacaciones');
+const prestamosRoutes = require('./routes/prestamos');
+const descuentosRoutes = require('./routes/descuentos');
+const retirosRoutes = require('./routes/retiros');
+const nominaElectronicaRoutes = require('./routes/nominaElectronica');
+const dispersionRoutes = require('./routes/dispersion');
+const certificadosRoutes = require('./routes/certificados');
+const formulario220Routes = require('./routes/formulario220');
+const reportesRoutes = require('./routes/reportes');
 
 // Configuración
 const PORT = process.env.PORT || 3000;
@@ -108,9 +120,21 @@ app.get('/api/health', (req, res) => {
 });
 
 // Rutas principales
+app.use('/api/empleados/:cedula/vacaciones', vacacionesRoutes);
+app.use('/api/empleados/:cedula/retiro', retirosRoutes);
 app.use('/api/empleados', empleadosRoutes);
 app.use('/api/config', configRoutes);
 app.use('/api/nominas', nominasRoutes);
+app.use('/api/prestaciones', prestacionesRoutes);
+app.use('/api/pila', pilaRoutes);
+app.use('/api/nomina-electronica', nominaElectronicaRoutes);
+app.use('/api/dispersion', dispersionRoutes);
+app.use('/api/certificados', certificadosRoutes);
+app.use('/api/formulario-220', formulario220Routes);
+app.use('/api/reportes', reportesRoutes);
+app.use('/api/marcaciones', marcacionesRoutes);
+app.use('/api/prestamos', prestamosRoutes);
+app.use('/api/descuentos', descuentosRoutes);
 
 // ========================
 // FRONTEND (Producción)
@@ -162,6 +186,18 @@ app.listen(PORT, () => {
     console.log('║     GET  /api/config/formulas                     ║');
     console.log('║     GET  /api/nominas                             ║');
     console.log('║     POST /api/nominas/liquidar                    ║');
+    console.log('║     GET  /api/prestaciones                        ║');
+    console.log('║     GET  /api/pila/:mes                           ║');
+    console.log('║     GET  /api/nomina-electronica/:mes/zip         ║');
+    console.log('║     GET  /api/dispersion/:periodo                 ║');
+    console.log('║     GET  /api/certificados/laboral/:cedula        ║');
+    console.log('║     GET  /api/formulario-220/:anio                ║');
+    console.log('║     GET  /api/reportes/consolidado                ║');
+    console.log('║     POST /api/marcaciones/importar                ║');
+    console.log('║     GET  /api/empleados/:cedula/vacaciones        ║');
+    console.log('║     POST /api/empleados/:cedula/retiro            ║');
+    console.log('║     GET  /api/prestamos                           ║');
+    console.log('║     GET  /api/descuentos/reporte                  ║');
     console.log('║                                                    ║');
     console.log('╚════════════════════════════════════════════════════╝');
     console.log('');
@@ -47,6 +47,25 @@ const ErrorCodes = {
     // Nóminas
     NOMINA_NOT_FOUND: { code: 'NOMINA_NOT_FOUND', status: 404, message: 'Período de nómina no encontrado' },
     NOMINA_ALREADY_CLOSED: { code: 'NOMINA_ALREADY_CLOSED', status: 400, message: 'El período de nómina ya está cerrado' },
+    NOMINA_NOT_APPROVED: { code: 'NOMINA_NOT_APPROVED', status: 400, message: 'El período de nómina no está aprobado' },
+
+    // Marcaciones
+    MARC_NOT_FOUND: { code: 'MARC_NOT_FOUND', status: 404, message: 'Marcación no encontrada' },
+
+    // Vacaciones
+    VAC_NOT_FOUND: { code: 'VAC_NOT_FOUND', status: 404, message: 'Registro de vacaciones no encontrado' },
+
+    // Retiros
+    RETIRO_NOT_FOUND: { code: 'RETIRO_NOT_FOUND', status: 404, message: 'Liquidación definitiva no encontrada' },
+
+    // Préstamos
+    PREST_NOT_FOUND: { code: 'PREST_NOT_FOUND', status: 404, message: 'Préstamo no encontrado' },
+
+    // Embargos y libranzas
+    DESC_NOT_FOUND: { code: 'DESC_NOT_FOUND', status: 404, message: 'Orden de descuento no encontrada' },
+
+    // Certificados
+    CERT_NOT_FOUND: { code: 'CERT_NOT_FOUND', status: 404, message: 'Certificado no encontrado' },
 
     // General
     VALIDATION_ERROR: { code: 'VALIDATION_ERROR', status: 400, message: 'Error de validación' },
@@ -0,0 +1,164 @@
+/**
+ * Rutas de Certificados Laborales - API REST
+ *
+ * Endpoints:
+ * GET /api/certificados                    - Certificados expedidos (filtro opcional ?cedula=)
+ * GET /api/certificados/laboral/:cedula    - Expedir certificado laboral en PDF
+ * GET /api/certificados/verificar/:codigo  - Verificar la autenticidad de un certificado
+ * GET /api/certificados/:codigo/pdf        - Volver a descargar un certificado expedido
+ *
+ * Query de /laboral/:cedula: dirigidoA, incluirPromedio=true, periodos=N
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const path = require('path');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const {
+    obtenerParametrosCertificados,
+    promedioIngresosVariables,
+    generarCodigoVerificacion,
+    construirCertificado,
+    generarCertificadoPdf
+} = require('../services/generadorCertificados');
+const { leerNominas } = require('../services/archivoNominas');
+
+const DATA_PATH = path.join(__dirname, '../data/certificados.json');
+const EMPLEADOS_PATH = path.join(__dirname, '../data/empleados.json');
+const CONFIG_PATH = path.join(__dirname, '../data/config.json');
+
+/**
+ * Lee los certificados expedidos del archivo JSON
+ */
+async function leerCertificados() {
+    try {
+        const data = await fs.readFile(DATA_PATH, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            // Si no existe el archivo, crear uno vacío
+            await fs.writeFile(DATA_PATH, JSON.stringify({ certificados: [] }, null, 2));
+            return { certificados: [] };
+        }
+        throw createError('FILE_READ_ERROR', `Error leyendo certificados: ${error.message}`);
+    }
+}
+
+/**
+ * Guarda los certificados expedidos en el archivo JSON
+ */
+async function guardarCertificados(data) {
+    try {
+        await fs.writeFile(DATA_PATH, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        throw createError('FILE_WRITE_ERROR', `Error guardando certificados: ${error.message}`);
+    }
+}
+
+/**
+ * Envía el PDF de un certificado
+ */
+function enviarPdf(res, certificado, config) {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="Certificado-${certificado.cedula}-${certificado.codigo}.pdf"`);
+    res.send(generarCertificadoPdf(certificado, config));
+}
+
+/**
+ * GET /api/certificados
+ * Certificados expedidos, del más reciente al más antiguo
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { cedula } = req.query;
+    const { certificados } = await leerCertificados();
+
+    const filtrados = certificados
+        .filter(c => !cedula || c.cedula === cedula)
+        .sort((a, b) => b.expedidoAt.localeCompare(a.expedidoAt));
+
+    res.json({
+        success: true,
+        data: filtrados,
+        total: filtrados.length
+    });
+}));
+
+/**
+ * GET /api/certificados/laboral/:cedula
+ * Expide el certificado laboral del empleado y guarda su código de verificación
+ */
+router.get('/laboral/:cedula', asyncHandler(async (req, res) => {
+    const { cedula } = req.params;
+    const { dirigidoA } = req.query;
+    const incluirPromedio = req.query.incluirPromedio === 'true';
+
+    const { empleados } = JSON.parse(await fs.readFile(EMPLEADOS_PATH, 'utf-8'));
+    const empleado = empleados.find(e => e.cedula === cedula);
+    if (!empleado) {
+        throw createError('EMP_NOT_FOUND', `Empleado con cédula ${cedula} no encontrado`);
+    }
+    if (!empleado.fechaIngreso) {
+        throw createError('VALIDATION_ERROR', `El empleado ${cedula} no tiene fecha de ingreso`);
+    }
+
+    const config = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf-8'));
+    const periodos = Number(req.query.periodos) || obtenerParametrosCertificados(config).periodosPromedio;
+    if (!Number.isInteger(periodos) || periodos < 1) {
+        throw createError('VALIDATION_ERROR', 'periodos debe ser un entero mayor a cero');
+    }
+
+    const promedio = incluirPromedio ? promedioIngresosVariables(cedula, await leerNominas(), periodos) : null;
+
+    const data = await leerCertificados();
+    const certificado = construirCertificado(empleado, {
+        codigo: generarCodigoVerificacion(data.certificados),
+        dirigidoA,
+        promedio
+    });
+    data.certificados.push(certificado);
+    await guardarCertificados(data);
+
+    console.log(`[INFO] Certificado laboral ${certificado.codigo} expedido: ${cedula}`);
+
+    enviarPdf(res, certificado, config);
+}));
+
+/**
+ * GET /api/certificados/verificar/:codigo
+ * Datos certificados para confirmar la autenticidad (ej: cuando llama un banco)
+ */
+router.get('/verificar/:codigo', asyncHandler(async (req, res) => {
+    const codigo = req.params.codigo.toUpperCase();
+    const { certificados } = await leerCertificados();
+
+    const certificado = certificados.find(c => c.codigo === codigo);
+    if (!certificado) {
+        throw createError('CERT_NOT_FOUND', `No existe un certificado con el código ${codigo}`);
+    }
+
+    res.json({
+        success: true,
+        message: 'Certificado auténtico',
+        data: certificado
+    });
+}));
+
+/**
+ * GET /api/certificados/:codigo/pdf
+ * PDF de un certificado expedido, con los datos con los que se expidió
+ */
+router.get('/:codigo/pdf', asyncHandler(async (req, res) => {
+    const codigo = req.params.codigo.toUpperCase();
+    const { certificados } = await leerCertificados();
+
+    const certificado = certificados.find(c => c.codigo === codigo);
+    if (!certificado) {
+        throw createError('CERT_NOT_FOUND', `No existe un certificado con el código ${codigo}`);
+    }
+
+    const config = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf-8'));
+    enviarPdf(res, certificado, config);
+}));
+
+module.exports = router;
@@ -12,6 +12,15 @@ const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { APORTES_DEFAULT, ARL_TARIFAS_DEFAULT } = require('../services/calculoAportes');
+const { PARAMETROS_ANUALES_DEFAULT } = require('../services/calculoRetencion');
+const { FONDO_SOLIDARIDAD_DEFAULT } = require('../services/calculoNomina');
+const { JORNADA_DEFAULT, FORMATO_HORA } = require('../services/calculoMarcaciones');
+const { PARAMETROS_ANUALES } = require('../services/parametrosLegales');
+const { obtenerParametrosNominaElectronica } = require('../services/generadorNominaElectronica');
+const { obtenerParametrosDispersion } = require('../services/generadorDispersion');
+const { obtenerParametrosCertificados } = require('../services/generadorCertificados');
+const { parsearFecha } = require('../services/periodos');
 
 const CONFIG_PATH = path.join(__dirname, '../data/config.json');
 
@@ -40,6 +49,11 @@ async function leerConfig() {
                     dominicalSinComp: 1.75,
                     dominicalConComp: 0.75
                 },
+                fondoSolidaridad: [...FONDO_SOLIDARIDAD_DEFAULT],
+                aportesEmpleador: { ...APORTES_DEFAULT },
+                arlTarifas: { ...ARL_TARIFAS_DEFAULT },
+                retencionFuente: { ...PARAMETROS_ANUALES_DEFAULT },
+                jornada: { ...JORNADA_DEFAULT },
                 year: new Date().getFullYear()
             };
             await fs.writeFile(CONFIG_PATH, JSON.stringify(configDefault, null, 2));
@@ -60,6 +74,167 @@ async function guardarConfig(config) {
     }
 }
 
+/**
+ * Valida los parámetros de retención en la fuente de un año
+ * (UVT, topes en UVT y tabla opcional del Art. 383 ET)
+ */
+function validarParametrosRetencion(anio, parametros) {
+    if (!/^\d{4}$/.test(anio)) {
+        throw createError('VALIDATION_ERROR', `retencionFuente: el año ${anio} no es válido`);
+    }
+    if (!parametros || typeof parametros !== 'object') {
+        throw createError('VALIDATION_ERROR', `retencionFuente.${anio} debe ser un objeto`);
+    }
+
+    const validados = {};
+    for (const campo of ['uvt', 'topeRentaExentaUvt', 'limiteGlobalPct', 'limiteGlobalUvt']) {
+        if (parametros[campo] === undefined) continue;
+        const valor = Number(parametros[campo]);
+        if (isNaN(valor) || valor <= 0) {
+            throw createError('VALIDATION_ERROR', `retencionFuente.${anio}.${campo} debe ser un número positivo`);
+        }
+        validados[campo] = valor;
+    }
+
+    if (parametros.tabla !== undefined) {
+        if (!Array.isArray(parametros.tabla) || parametros.tabla.length === 0) {
+            throw createError('VALIDATION_ERROR', `retencionFuente.${anio}.tabla debe ser una lista de rangos`);
+        }
+        validados.tabla = parametros.tabla.map((rango, i) => {
+            const desde = Number(rango.desde);
+            const hasta = rango.hasta === null || rango.hasta === undefined ? null : Number(rango.hasta);
+            const tarifa = Number(rango.tarifa);
+            const uvtMarginal = Number(rango.uvtMarginal || 0);
+            if ([desde, tarifa, uvtMarginal].some(v => isNaN(v) || v < 0) || (hasta !== null && (isNaN(hasta) || hasta <= desde))) {
+                throw createError('VALIDATION_ERROR', `retencionFuente.${anio}.tabla[${i}] no es un rango válido`);
+            }
+            return { desde, hasta, tarifa, uvtMarginal };
+        });
+    }
+
+    return validados;
+}
+
+/**
+ * Valida la franja nocturna, la jornada diaria (clasificación de marcaciones)
+ * y los días no hábiles (licencias y vacaciones)
+ */
+function validarJornada(prefijo, jornada) {
+    if (!jornada || typeof jornada !== 'object') {
+        throw createError('VALIDATION_ERROR', `${prefijo} debe ser un objeto`);
+    }
+    const validados = {};
+    for (const campo of ['inicioNocturno', 'finNocturno']) {
+        if (jornada[campo] === undefined) continue;
+        if (!FORMATO_HORA.test(jornada[campo])) {
+            throw createError('VALIDATION_ERROR', `${prefijo}.${campo} debe tener formato HH:MM`);
+        }
+        validados[campo] = jornada[campo];
+    }
+    if (jornada.horasDiarias !== undefined) {
+        const horas = Number(jornada.horasDiarias);
+        if (isNaN(horas) || horas <= 0 || horas > 24) {
+            throw createError('VALIDATION_ERROR', `${prefijo}.horasDiarias debe estar entre 0 y 24`);
+        }
+        validados.horasDiarias = horas;
+    }
+    if (jornada.diasNoHabiles !== undefined) {
+        if (!Array.isArray(jornada.diasNoHabiles) ||
+            !jornada.diasNoHabiles.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+            throw createError('VALIDATION_ERROR', `${prefijo}.diasNoHabiles debe ser una lista de días de la semana (0 = domingo a 6 = sábado)`);
+        }
+        validados.diasNoHabiles = [...new Set(jornada.diasNoHabiles)].sort((a, b) => a - b);
+    }
+    return validados;
+}
+
+/**
+ * Valida un conjunto de parámetros legales (smmlv, auxTransporte, horaDivisor,
+ * porcentajes, factores y jornada) de un año o de un cambio dentro del año
+ */
+function validarCamposAnuales(prefijo, parametros) {
+    const validados = {};
+    for (const campo of PARAMETROS_ANUALES) {
+        if (parametros[campo] === undefined) continue;
+        if (campo === 'factores') {
+            if (!parametros.factores || typeof parametros.factores !== 'object') {
+                throw createError('VALIDATION_ERROR', `${prefijo}.factores debe ser un objeto`);
+            }
+            validados.factores = {};
+            for (const [factor, valor] of Object.entries(parametros.factores)) {
+                const numero = Number(valor);
+                if (isNaN(numero) || numero < 0) {
+                    throw createError('VALIDATION_ERROR', `${prefijo}.factores.${factor} debe ser un número positivo`);
+                }
+                validados.factores[factor] = numero;
+            }
+            continue;
+        }
+        if (campo === 'jornada') {
+            validados.jornada = validarJornada(`${prefijo}.jornada`, parametros.jornada);
+            continue;
+        }
+        const valor = Number(parametros[campo]);
+        if (isNaN(valor) || valor <= 0) {
+            throw createError('VALIDATION_ERROR', `${prefijo}.${campo} debe ser un número positivo`);
+        }
+        validados[campo] = valor;
+    }
+    return validados;
+}
+
+/**
+ * Valida los parámetros legales de un año y sus cambios dentro del año
+ */
+function validarParametrosAnuales(anio, parametros) {
+    if (!/^\d{4}$/.test(anio)) {
+        throw createError('VALIDATION_ERROR', `parametrosAnuales: el año ${anio} no es válido`);
+    }
+    if (!parametros || typeof parametros !== 'object') {
+        throw createError('VALIDATION_ERROR', `parametrosAnuales.${anio} debe ser un objeto`);
+    }
+
+    const validados = validarCamposAnuales(`parametrosAnuales.${anio}`, parametros);
+
+    if (parametros.cambios !== undefined) {
+        if (!Array.isArray(parametros.cambios)) {
+            throw createError('VALIDATION_ERROR', `parametrosAnuales.${anio}.cambios debe ser una lista`);
+        }
+        validados.cambios = parametros.cambios
+            .map((cambio, i) => {
+                if (!parsearFecha(cambio?.desde) || !cambio.desde.startsWith(`${anio}-`)) {
+                    throw createError('VALIDATION_ERROR', `parametrosAnuales.${anio}.cambios[${i}].desde debe ser una fecha del año ${anio}`);
+                }
+                return { desde: cambio.desde, ...validarCamposAnuales(`parametrosAnuales.${anio}.cambios[${i}]`, cambio) };
+            })
+            .sort((a, b) => a.desde.localeCompare(b.desde));
+    }
+
+    return validados;
+}
+
+/**
+ * Valida la tabla de rangos del Fondo de Solidaridad Pensional
+ */
+function validarFondoSolidaridad(tabla) {
+    if (!Array.isArray(tabla) || tabla.length === 0) {
+        throw createError('VALIDATION_ERROR', 'fondoSolidaridad debe ser una lista de rangos');
+    }
+
+    return tabla
+        .map((rango, i) => {
+            const desdeSmmlv = Number(rango.desdeSmmlv);
+            const hastaSmmlv = rango.hastaSmmlv === null || rango.hastaSmmlv === undefined ? null : Number(rango.hastaSmmlv);
+            const pct = Number(rango.pct);
+            if (isNaN(desdeSmmlv) || desdeSmmlv < 0 || isNaN(pct) || pct < 0 ||
+                (hastaSmmlv !== null && (isNaN(hastaSmmlv) || hastaSmmlv <= desdeSmmlv))) {
+                throw createError('VALIDATION_ERROR', `fondoSolidaridad[${i}] no es un rango válido`);
+            }
+            return { desdeSmmlv, hastaSmmlv, pct };
+        })
+        .sort((a, b) => a.desdeSmmlv - b.desdeSmmlv);
+}
+
 /**
  * GET /api/config
  * Obtener configuración actual
@@ -101,11 +276,166 @@ router.put('/', asyncHandler(async (req, res) => {
         };
     }
 
+    // Actualizar parámetros legales por año
+    if (updates.parametrosAnuales && typeof updates.parametrosAnuales === 'object') {
+        const anuales = { ...config.parametrosAnuales };
+        for (const [anio, parametros] of Object.entries(updates.parametrosAnuales)) {
+            const validados = validarParametrosAnuales(anio, parametros);
+            anuales[anio] = {
+                ...(anuales[anio] || {}),
+                ...validados,
+                factores: { ...(anuales[anio]?.factores || {}), ...(validados.factores || {}) }
+            };
+        }
+        config.parametrosAnuales = anuales;
+    }
+
+    // Actualizar rangos del Fondo de Solidaridad Pensional
+    if (updates.fondoSolidaridad !== undefined) {
+        config.fondoSolidaridad = validarFondoSolidaridad(updates.fondoSolidaridad);
+    }
+
+    // Actualizar porcentajes de aportes del empleador
+    if (updates.aportesEmpleador && typeof updates.aportesEmpleador === 'object') {
+        const aportes = { ...APORTES_DEFAULT, ...config.aportesEmpleador };
+        for (const [campo, valor] of Object.entries(updates.aportesEmpleador)) {
+            if (!(campo in APORTES_DEFAULT)) continue;
+            if (campo === 'exoneracionLey1607') {
+                aportes[campo] = valor === true || valor === 'true';
+                continue;
+            }
+            const numero = Number(valor);
+            if (isNaN(numero) || numero < 0) {
+                throw createError('VALIDATION_ERROR', `aportesEmpleador.${campo} debe ser un número positivo`);
+            }
+            aportes[campo] = numero;
+        }
+        config.aportesEmpleador = aportes;
+    }
+
+    // Actualizar tarifas ARL por clase de riesgo
+    if (updates.arlTarifas && typeof updates.arlTarifas === 'object') {
+        const tarifas = { ...ARL_TARIFAS_DEFAULT, ...config.arlTarifas };
+        for (const [clase, valor] of Object.entries(updates.arlTarifas)) {
+            if (!(clase in ARL_TARIFAS_DEFAULT)) continue;
+            const numero = Number(valor);
+            if (isNaN(numero) || numero < 0) {
+                throw createError('VALIDATION_ERROR', `Tarifa ARL clase ${clase} debe ser un número positivo`);
+            }
+            tarifas[clase] = numero;
+        }
+        config.arlTarifas = tarifas;
+    }
+
+    // Actualizar UVT y tabla de retención por año
+    if (updates.retencionFuente && typeof updates.retencionFuente === 'object') {
+        const retencion = { ...config.retencionFuente };
+        for (const [anio, parametros] of Object.entries(updates.retencionFuente)) {
+            retencion[anio] = {
+                ...(retencion[anio] || {}),
+                ...validarParametrosRetencion(anio, parametros)
+            };
+            if (!retencion[anio].uvt) {
+                throw createError('VALIDATION_ERROR', `retencionFuente.${anio}.uvt es requerido`);
+            }
+        }
+        config.retencionFuente = retencion;
+    }
+
+    // Actualizar franja nocturna, jornada diaria y días no hábiles
+    if (updates.jornada && typeof updates.jornada === 'object') {
+        config.jornada = { ...JORNADA_DEFAULT, ...config.jornada, ...validarJornada('jornada', updates.jornada) };
+    }
+
+    // Actualizar datos del aportante (PILA y documentos)
+    if (updates.empresa && typeof updates.empresa === 'object') {
+        config.empresa = {
+            ...config.empresa,
+            ...updates.empresa
+        };
+    }
+
+    // Actualizar numeración y software de nómina electrónica
+    if (updates.nominaElectronica && typeof updates.nominaElectronica === 'object') {
+        const actual = obtenerParametrosNominaElectronica(config);
+        const nominaElectronica = {
+            ...actual,
+            ...updates.nominaElectronica,
+            proveedor: { ...actual.proveedor, ...(updates.nominaElectronica.proveedor || {}) }
+        };
+        nominaElectronica.ambiente = Number(nominaElectronica.ambiente);
+        nominaElectronica.consecutivoInicial = Number(nominaElectronica.consecutivoInicial);
+        if (![1, 2].includes(nominaElectronica.ambiente)) {
+            throw createError('VALIDATION_ERROR', 'nominaElectronica.ambiente debe ser 1 (producción) o 2 (pruebas)');
+        }
+        if (!Number.isInteger(nominaElectronica.consecutivoInicial) || nominaElectronica.consecutivoInicial < 1) {
+            throw createError('VALIDATION_ERROR', 'nominaElectronica.consecutivoInicial debe ser un entero mayor a cero');
+        }
+        if (!/^[A-Z0-9]{0,4}$/.test(nominaElectronica.prefijo || '')) {
+            throw createError('VALIDATION_ERROR', 'nominaElectronica.prefijo debe tener hasta 4 letras mayúsculas o números');
+        }
+        config.nominaElectronica = nominaElectronica;
+    }
+
+    // Actualizar cuenta a debitar y datos del lote de dispersión
+    if (updates.dispersion && typeof updates.dispersion === 'object') {
+        const dispersion = { ...obtenerParametrosDispersion(config), ...updates.dispersion };
+        dispersion.cuentaDebito = String(dispersion.cuentaDebito || '').trim();
+        dispersion.claseTransaccion = Number(dispersion.claseTransaccion);
+        if (dispersion.cuentaDebito && !/^\d{11}$/.test(dispersion.cuentaDebito)) {
+            throw createError('VALIDATION_ERROR', 'dispersion.cuentaDebito debe tener 11 dígitos');
+        }
+        if (!['S', 'D'].includes(dispersion.tipoCuentaDebito)) {
+            throw createError('VALIDATION_ERROR', 'dispersion.tipoCuentaDebito debe ser S (ahorros) o D (corriente)');
+        }
+        if (![220, 225, 238].includes(dispersion.claseTransaccion)) {
+            throw createError('VALIDATION_ERROR', 'dispersion.claseTransaccion debe ser 220 (proveedores), 225 (nómina) o 238 (terceros)');
+        }
+        if (!/^\d{9}$/.test(dispersion.codigoBanco || '')) {
+            throw createError('VALIDATION_ERROR', 'dispersion.codigoBanco debe tener 9 dígitos');
+        }
+        config.dispersion = dispersion;
+    }
+
+    // Actualizar firmante y plantillas de los certificados laborales
+    if (updates.certificados && typeof updates.certificados === 'object') {
+        const actual = obtenerParametrosCertificados(config);
+        const certificados = {
+            ...actual,
+            ...updates.certificados,
+            firmante: { ...actual.firmante, ...(updates.certificados.firmante || {}) }
+        };
+        certificados.periodosPromedio = Number(certificados.periodosPromedio);
+        if (!Number.isInteger(certificados.periodosPromedio) || certificados.periodosPromedio < 1) {
+            throw createError('VALIDATION_ERROR', 'certificados.periodosPromedio debe ser un entero mayor a cero');
+        }
+        for (const plantilla of ['plantillaActivo', 'plantillaRetirado']) {
+            if (!String(certificados[plantilla] || '').trim()) {
+                throw createError('VALIDATION_ERROR', `certificados.${plantilla} no puede estar vacía`);
+            }
+        }
+        config.certificados = certificados;
+    }
+
     // Actualizar año
     if (updates.year) {
         config.year = Number(updates.year);
     }
 
+    // Los valores generales editados se reflejan en los parámetros del año vigente,
+    // que son los que usa el motor para los períodos de ese año
+    const anioVigente = config.year;
+    if (config.parametrosAnuales?.[anioVigente]) {
+        const vigente = { ...config.parametrosAnuales[anioVigente] };
+        for (const campo of PARAMETROS_ANUALES) {
+            if (updates[campo] === undefined) continue;
+            vigente[campo] = campo === 'factores' || campo === 'jornada'
+                ? { ...vigente[campo], ...config[campo] }
+                : config[campo];
+        }
+        config.parametrosAnuales = { ...config.parametrosAnuales, [anioVigente]: vigente };
+    }
+
     config.updatedAt = new Date().toISOString();
 
     await guardarConfig(config);
@@ -0,0 +1,219 @@
+/**
+ * Rutas de Embargos y Libranzas - API REST
+ *
+ * Endpoints:
+ * GET  /api/descuentos          - Listar órdenes de descuento (?cedula, ?tipo, ?estado)
+ * GET  /api/descuentos/reporte  - Valores retenidos por juzgado o acreedor (?periodo)
+ * POST /api/descuentos          - Registrar un embargo o libranza
+ * PUT  /api/descuentos/:id      - Cambiar estado o prioridad de una orden
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { redondear } = require('../services/calculoNomina');
+const {
+    ESTADOS_DESCUENTO,
+    validarOrden,
+    totalAplicado,
+    reporteDescuentos
+} = require('../services/calculoDescuentos');
+
+const DATA_PATH = path.join(__dirname, '../data/descuentos.json');
+const EMPLEADOS_PATH = path.join(__dirname, '../data/empleados.json');
+
+/**
+ * Lee las órdenes de descuento del archivo JSON
+ */
+async function leerDescuentos() {
+    try {
+        const data = await fs.readFile(DATA_PATH, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            // Si no existe el archivo, crear uno vacío
+            await fs.writeFile(DATA_PATH, JSON.stringify({ descuentos: [] }, null, 2));
+            return { descuentos: [] };
+        }
+        throw createError('FILE_READ_ERROR', `Error leyendo descuentos: ${error.message}`);
+    }
+}
+
+/**
+ * Guarda las órdenes de descuento en el archivo JSON
+ */
+async function guardarDescuentos(data) {
+    try {
+        await fs.writeFile(DATA_PATH, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        throw createError('FILE_WRITE_ERROR', `Error guardando descuentos: ${error.message}`);
+    }
+}
+
+/**
+ * Orden con el total descontado y el saldo (si tiene monto total)
+ */
+function conSaldo(orden) {
+    const descontado = redondear(totalAplicado(orden));
+    return {
+        ...orden,
+        descontado,
+        saldo: orden.montoTotal ? redondear(Math.max(0, orden.montoTotal - descontado)) : null
+    };
+}
+
+/**
+ * GET /api/descuentos
+ * Listar órdenes de descuento
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { descuentos } = await leerDescuentos();
+    const { cedula, tipo, estado } = req.query;
+
+    let resultado = descuentos;
+    if (cedula) {
+        resultado = resultado.filter(o => o.cedula === cedula);
+    }
+    if (tipo) {
+        resultado = resultado.filter(o => o.tipo === tipo);
+    }
+    if (estado) {
+        resultado = resultado.filter(o => o.estado === estado);
+    }
+
+    res.json({
+        success: true,
+        data: resultado.map(conSaldo),
+        total: resultado.length
+    });
+}));
+
+/**
+ * GET /api/descuentos/reporte
+ * Valores retenidos agrupados por juzgado o acreedor
+ */
+router.get('/reporte', asyncHandler(async (req, res) => {
+    const { descuentos } = await leerDescuentos();
+    const { periodo } = req.query;
+
+    const reporte = reporteDescuentos(descuentos, periodo);
+
+    res.json({
+        success: true,
+        data: reporte,
+        total: redondear(reporte.reduce((sum, g) => sum + g.total, 0)),
+        periodo: periodo || null
+    });
+}));
+
+/**
+ * POST /api/descuentos
+ * Registrar una orden de embargo o libranza
+ *
+ * Body:
+ * {
+ *   cedula: "12345678",
+ *   tipo: "alimentos" | "embargo" | "libranza",
+ *   beneficiario: "Juzgado 3 de Familia de Cali",
+ *   referencia: "2024-00123",        // Radicado u obligación
+ *   cuentaDeposito: "760012033003",  // Cuenta de depósitos judiciales (opcional)
+ *   prioridad: 1,
+ *   valor: 150000 | porcentaje: 25,
+ *   montoTotal: 3000000,             // Opcional: límite de la medida o saldo del crédito
+ *   periodoInicio: "2026-S10"        // Opcional
+ * }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const { cedula, tipo, beneficiario, referencia, cuentaDeposito, periodoInicio, observaciones } = req.body;
+    const numero = (v) => (v === undefined || v === null || v === '' ? undefined : Number(v));
+    const orden = {
+        tipo,
+        beneficiario,
+        prioridad: numero(req.body.prioridad) ?? 1,
+        valor: numero(req.body.valor),
+        porcentaje: numero(req.body.porcentaje),
+        montoTotal: numero(req.body.montoTotal),
+        periodoInicio: periodoInicio || undefined
+    };
+
+    const errores = validarOrden(orden);
+    if (!cedula) {
+        errores.unshift({ campo: 'cedula', mensaje: 'La cédula es requerida' });
+    }
+    if (errores.length > 0) {
+        const error = createError('VALIDATION_ERROR', 'Orden de descuento inválida');
+        error.details = errores;
+        throw error;
+    }
+
+    const { empleados } = JSON.parse(await fs.readFile(EMPLEADOS_PATH, 'utf-8'));
+    const empleado = empleados.find(e => e.cedula === cedula);
+    if (!empleado) {
+        throw createError('EMP_NOT_FOUND', `Empleado con cédula ${cedula} no encontrado`);
+    }
+
+    const data = await leerDescuentos();
+    const nueva = {
+        id: crypto.randomUUID(),
+        cedula,
+        nombres: empleado.nombres,
+        ...orden,
+        referencia: referencia || '',
+        cuentaDeposito: cuentaDeposito || '',
+        estado: 'activo',
+        aplicaciones: [],
+        observaciones: observaciones || '',
+        creadoAt: new Date().toISOString()
+    };
+
+    data.descuentos.push(nueva);
+    await guardarDescuentos(data);
+
+    console.log(`[INFO] Orden de descuento registrada: ${cedula} - ${tipo} a ${beneficiario}`);
+
+    res.status(201).json({
+        success: true,
+        message: tipo === 'libranza' ? 'Libranza registrada' : 'Embargo registrado',
+        data: conSaldo(nueva)
+    });
+}));
+
+/**
+ * PUT /api/descuentos/:id
+ * Cambiar el estado ({ estado: "activo" | "suspendido" | "terminado" }) o la prioridad
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+    const { estado, prioridad } = req.body;
+
+    if (estado !== undefined && !ESTADOS_DESCUENTO.includes(estado)) {
+        throw createError('VALIDATION_ERROR', `El estado debe ser uno de: ${ESTADOS_DESCUENTO.join(', ')}`);
+    }
+    if (prioridad !== undefined && (!Number.isInteger(prioridad) || prioridad < 1)) {
+        throw createError('VALIDATION_ERROR', 'La prioridad debe ser un entero mayor a cero');
+    }
+
+    const data = await leerDescuentos();
+    const orden = data.descuentos.find(o => o.id === req.params.id);
+    if (!orden) {
+        throw createError('DESC_NOT_FOUND', `Orden de descuento ${req.params.id} no encontrada`);
+    }
+    if (orden.estado === 'terminado') {
+        throw createError('VALIDATION_ERROR', 'La orden ya está terminada');
+    }
+
+    if (estado !== undefined) orden.estado = estado;
+    if (prioridad !== undefined) orden.prioridad = prioridad;
+    orden.actualizadoAt = new Date().toISOString();
+    await guardarDescuentos(data);
+
+    res.json({
+        success: true,
+        message: 'Orden de descuento actualizada',
+        data: conSaldo(orden)
+    });
+}));
+
+module.exports = router;
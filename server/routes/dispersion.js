@@ -0,0 +1,104 @@
+/**
+ * Rutas de Dispersión de Pagos - API REST
+ *
+ * Endpoints:
+ * GET /api/dispersion/:periodo              - Resumen por tipo de cuenta, efectivo y cuentas inválidas
+ * GET /api/dispersion/:periodo/bancolombia  - Descargar archivo plano PAB (ahorros y corriente)
+ * GET /api/dispersion/:periodo/nequi        - Descargar archivo CSV de pagos Nequi
+ *
+ * Query (todos): fechaAplicacion=AAAA-MM-DD (por defecto hoy), secuencia=A
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const path = require('path');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { generarDispersion } = require('../services/generadorDispersion');
+
+const NOMINAS_PATH = path.join(__dirname, '../data/nominas');
+const EMPLEADOS_PATH = path.join(__dirname, '../data/empleados.json');
+const CONFIG_PATH = path.join(__dirname, '../data/config.json');
+
+/**
+ * Lee una nómina específica
+ */
+async function leerNomina(periodo) {
+    const filePath = path.join(NOMINAS_PATH, `${periodo}.json`);
+    try {
+        const data = await fs.readFile(filePath, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw createError('NOMINA_NOT_FOUND', `Período ${periodo} no encontrado`);
+        }
+        throw createError('FILE_READ_ERROR', `Error leyendo nómina: ${error.message}`);
+    }
+}
+
+/**
+ * Genera la dispersión del período con los datos guardados
+ */
+async function generar(periodo, query) {
+    const nomina = await leerNomina(periodo);
+    const { empleados } = JSON.parse(await fs.readFile(EMPLEADOS_PATH, 'utf-8'));
+    const config = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf-8'));
+
+    return generarDispersion(nomina, empleados, config, {
+        fechaAplicacion: query.fechaAplicacion,
+        secuencia: query.secuencia
+    });
+}
+
+/**
+ * GET /api/dispersion/:periodo
+ * Pagos agrupados por tipo de cuenta con totales de control
+ */
+router.get('/:periodo', asyncHandler(async (req, res) => {
+    const { archivos, ...dispersion } = await generar(req.params.periodo, req.query);
+
+    res.json({
+        success: true,
+        data: dispersion
+    });
+}));
+
+/**
+ * GET /api/dispersion/:periodo/bancolombia
+ * Archivo plano PAB de Bancolombia con los pagos a cuentas de ahorros y corriente
+ */
+router.get('/:periodo/bancolombia', asyncHandler(async (req, res) => {
+    const { periodo } = req.params;
+    const dispersion = await generar(periodo, req.query);
+
+    if (!dispersion.archivos.bancolombia) {
+        throw createError('VALIDATION_ERROR', 'No hay pagos válidos a cuentas de ahorros o corriente en el período');
+    }
+
+    console.log(`[INFO] Dispersión Bancolombia ${periodo}: ${dispersion.totales.bancolombia.registros} pagos`);
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="PAB-${periodo}.txt"`);
+    res.send(dispersion.archivos.bancolombia);
+}));
+
+/**
+ * GET /api/dispersion/:periodo/nequi
+ * Archivo CSV con los pagos a celulares Nequi
+ */
+router.get('/:periodo/nequi', asyncHandler(async (req, res) => {
+    const { periodo } = req.params;
+    const dispersion = await generar(periodo, req.query);
+
+    if (!dispersion.archivos.nequi) {
+        throw createError('VALIDATION_ERROR', 'No hay pagos válidos a Nequi en el período');
+    }
+
+    console.log(`[INFO] Dispersión Nequi ${periodo}: ${dispersion.totales.NEQUI.registros} pagos`);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="Nequi-${periodo}.csv"`);
+    res.send(dispersion.archivos.nequi);
+}));
+
+module.exports = router;
@@ -4,9 +4,13 @@
  * Endpoints:
  * GET    /api/empleados          - Listar todos los empleados
  * GET    /api/empleados/:cedula  - Obtener empleado por cédula
+ * GET    /api/empleados/:cedula/historial - Liquidaciones del empleado con incapacidades y licencias
  * POST   /api/empleados          - Crear nuevo empleado
+ * POST   /api/empleados/importar - Crear o actualizar empleados desde CSV o XLSX (?dryRun=true para simular)
  * PUT    /api/empleados/:cedula  - Actualizar empleado
  * DELETE /api/empleados/:cedula  - Eliminar empleado
+ *
+ * El retiro con liquidación definitiva está en routes/retiros.js
  */
 
 const express = require('express');
@@ -14,8 +18,21 @@ const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { CLASES_RIESGO } = require('../services/calculoAportes');
+const { SALARIO_INTEGRAL } = require('../services/calculoNomina');
+const { resolverParametros } = require('../services/parametrosLegales');
+const { fechasDeNomina } = require('../services/periodos');
+const { liquidacionVigente } = require('../services/calculoAjustes');
+const { TIPOS_CONTRATO } = require('../services/calculoLiquidacionDefinitiva');
+const { parsearCsv } = require('../services/lectorCsv');
+const { parsearXlsx } = require('../services/lectorXlsx');
+const { prepararImportacion } = require('../services/importacionEmpleados');
+const { leerNominas } = require('../services/archivoNominas');
 
 const DATA_PATH = path.join(__dirname, '../data/empleados.json');
+const CONFIG_PATH = path.join(__dirname, '../data/config.json');
+
+const TIPO_XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
 
 /**
  * Lee los empleados del archivo JSON
@@ -45,6 +62,64 @@ async function guardarEmpleados(data) {
     }
 }
 
+/**
+ * Valida que un salario integral cumpla el mínimo legal (13 SMMLV del año en curso)
+ */
+async function validarSalarioIntegral(empleado) {
+    if (!empleado.salarioIntegral) return;
+
+    if (empleado.esSalarioMinimo) {
+        throw createError('EMP_INVALID_DATA', 'Un empleado con salario integral no puede estar marcado como salario mínimo');
+    }
+
+    const config = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf-8'));
+    const { smmlv } = resolverParametros(config, new Date().toISOString().split('T')[0]);
+    const minimo = smmlv * SALARIO_INTEGRAL.minimoSmmlv;
+    if (empleado.salarioBase < minimo) {
+        throw createError('EMP_INVALID_DATA', `El salario integral debe ser de al menos ${SALARIO_INTEGRAL.minimoSmmlv} SMMLV (${minimo})`);
+    }
+}
+
+/**
+ * Normaliza y valida la clase de riesgo ARL (I a V)
+ */
+function normalizarClaseRiesgo(claseRiesgo) {
+    const clase = String(claseRiesgo || 'I').toUpperCase().trim();
+    if (!CLASES_RIESGO.includes(clase)) {
+        throw createError('EMP_INVALID_DATA', `Clase de riesgo ARL inválida: ${claseRiesgo}. Valores permitidos: ${CLASES_RIESGO.join(', ')}`);
+    }
+    return clase;
+}
+
+/**
+ * Normaliza y valida el tipo de contrato (indefinido, fijo u obra)
+ */
+function normalizarTipoContrato(tipoContrato) {
+    const tipo = String(tipoContrato || 'indefinido').toLowerCase().trim();
+    if (!TIPOS_CONTRATO.includes(tipo)) {
+        throw createError('EMP_INVALID_DATA', `Tipo de contrato inválido: ${tipoContrato}. Valores permitidos: ${TIPOS_CONTRATO.join(', ')}`);
+    }
+    return tipo;
+}
+
+/**
+ * Normaliza los datos para depurar la retención en la fuente
+ * (dependientes y valores mensuales de deducciones)
+ */
+function normalizarDeduccionesRetencion(datos = {}) {
+    const normalizados = {
+        dependientes: datos.dependientes === true || datos.dependientes === 'true'
+    };
+    for (const campo of ['medicinaPrepagada', 'interesesVivienda', 'aportesVoluntarios']) {
+        const valor = Number(datos[campo] || 0);
+        if (isNaN(valor) || valor < 0) {
+            throw createError('EMP_INVALID_DATA', `deduccionesRetencion.${campo} debe ser un número positivo`);
+        }
+        normalizados[campo] = valor;
+    }
+    return normalizados;
+}
+
 /**
  * GET /api/empleados
  * Listar todos los empleados
@@ -91,6 +166,47 @@ router.get('/:cedula', asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * GET /api/empleados/:cedula/historial
+ * Liquidaciones del empleado por período, con sus incapacidades y licencias
+ */
+router.get('/:cedula/historial', asyncHandler(async (req, res) => {
+    const { cedula } = req.params;
+    const { empleados } = await leerEmpleados();
+
+    if (!empleados.some(e => e.cedula === cedula)) {
+        throw createError('EMP_NOT_FOUND', `Empleado con cédula ${cedula} no encontrado`);
+    }
+
+    const nominas = await leerNominas();
+    const historial = [];
+    for (const nomina of nominas) {
+        const liquidacion = liquidacionVigente(nomina, cedula);
+        if (!liquidacion) continue;
+
+        historial.push({
+            periodo: nomina.periodo,
+            ...fechasDeNomina(nomina),
+            estado: nomina.estado,
+            diasLaborados: liquidacion.diasLaborados,
+            diasTrabajados: liquidacion.diasTrabajados ?? liquidacion.diasLaborados,
+            diasIncapacidad: liquidacion.diasIncapacidad || 0,
+            diasLicencia: liquidacion.diasLicencia || 0,
+            incapacidades: liquidacion.incapacidades || [],
+            licencias: liquidacion.licencias || [],
+            totalDevengado: liquidacion.totalDevengado,
+            totalNomina: liquidacion.totalNomina
+        });
+    }
+    historial.sort((a, b) => (b.fechaInicio || b.periodo).localeCompare(a.fechaInicio || a.periodo));
+
+    res.json({
+        success: true,
+        data: historial,
+        total: historial.length
+    });
+}));
+
 /**
  * POST /api/empleados
  * Crear nuevo empleado
@@ -103,6 +219,10 @@ router.post('/', asyncHandler(async (req, res) => {
         throw createError('EMP_INVALID_DATA', 'Cédula y nombres son requeridos');
     }
 
+    const claseRiesgo = normalizarClaseRiesgo(req.body.claseRiesgo);
+    const tipoContrato = normalizarTipoContrato(req.body.tipoContrato);
+    const deduccionesRetencion = normalizarDeduccionesRetencion(req.body.deduccionesRetencion);
+
     const data = await leerEmpleados();
 
     // Verificar duplicados
@@ -120,14 +240,20 @@ router.post('/', asyncHandler(async (req, res) => {
         activo: true,
         // Nuevos campos
         esSalarioMinimo: req.body.esSalarioMinimo === true || req.body.esSalarioMinimo === 'true',
+        salarioIntegral: req.body.salarioIntegral === true || req.body.salarioIntegral === 'true',
         cargo: (req.body.cargo || 'OPERARIO').toUpperCase(),
         fechaIngreso: req.body.fechaIngreso || new Date().toISOString().split('T')[0],
+        tipoContrato,
         eps: (req.body.eps || '').toUpperCase(),
         fondoPension: (req.body.fondoPension || '').toUpperCase(),
+        claseRiesgo,
+        deduccionesRetencion,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
     };
 
+    await validarSalarioIntegral(nuevoEmpleado);
+
     data.empleados.push(nuevoEmpleado);
     await guardarEmpleados(data);
 
@@ -140,6 +266,62 @@ router.post('/', asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * POST /api/empleados/importar
+ * Crear o actualizar empleados desde un CSV (Content-Type: text/csv) o un libro
+ * de Excel (Content-Type: application/vnd.openxmlformats-officedocument.spreadsheetml.sheet).
+ * Con ?dryRun=true solo devuelve el reporte, sin guardar.
+ */
+router.post('/importar',
+    express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+    express.raw({ type: TIPO_XLSX, limit: '5mb' }),
+    asyncHandler(async (req, res) => {
+        const dryRun = req.query.dryRun === 'true';
+
+        let filas;
+        if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+            filas = parsearXlsx(req.body);
+        } else if (typeof req.body === 'string' && req.body.trim() !== '') {
+            filas = parsearCsv(req.body);
+        } else {
+            throw createError('VALIDATION_ERROR', `Envíe el archivo con Content-Type text/csv o ${TIPO_XLSX}`);
+        }
+        if (filas.length === 0) {
+            throw createError('VALIDATION_ERROR', 'El archivo no contiene empleados');
+        }
+
+        const config = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf-8'));
+        const parametros = resolverParametros(config, new Date().toISOString().split('T')[0]);
+        const data = await leerEmpleados();
+
+        const importacion = prepararImportacion(filas, data.empleados, parametros);
+        if (!Object.values(importacion.columnas.mapa).includes('cedula')) {
+            throw createError('VALIDATION_ERROR', 'Columna requerida faltante: cedula');
+        }
+
+        const { resumen } = importacion;
+        if (!dryRun && resumen.crear + resumen.actualizar > 0) {
+            data.empleados = importacion.empleados;
+            await guardarEmpleados(data);
+        }
+
+        console.log(`[INFO] Importación de empleados${dryRun ? ' (simulación)' : ''}: ${resumen.crear} nuevos, ${resumen.actualizar} actualizados, ${resumen.errores} filas con error`);
+
+        res.json({
+            success: true,
+            message: dryRun
+                ? `Simulación: ${resumen.crear} por crear, ${resumen.actualizar} por actualizar, ${resumen.sinCambios} sin cambios y ${resumen.errores} con errores`
+                : `${resumen.crear} creados, ${resumen.actualizar} actualizados, ${resumen.sinCambios} sin cambios y ${resumen.errores} filas con errores`,
+            data: {
+                dryRun,
+                columnas: importacion.columnas,
+                resumen,
+                filas: importacion.filas
+            }
+        });
+    })
+);
+
 /**
  * PUT /api/empleados/:cedula
  * Actualizar empleado
@@ -159,6 +341,16 @@ router.put('/:cedula', asyncHandler(async (req, res) => {
     delete updates.cedula;
     delete updates.createdAt;
 
+    if (updates.claseRiesgo !== undefined) {
+        updates.claseRiesgo = normalizarClaseRiesgo(updates.claseRiesgo);
+    }
+    if (updates.tipoContrato !== undefined) {
+        updates.tipoContrato = normalizarTipoContrato(updates.tipoContrato);
+    }
+    if (updates.deduccionesRetencion !== undefined) {
+        updates.deduccionesRetencion = normalizarDeduccionesRetencion(updates.deduccionesRetencion);
+    }
+
     // Actualizar campos
     data.empleados[index] = {
         ...data.empleados[index],
@@ -182,6 +374,14 @@ router.put('/:cedula', asyncHandler(async (req, res) => {
     if (updates.esSalarioMinimo !== undefined) {
         data.empleados[index].esSalarioMinimo = updates.esSalarioMinimo === true || updates.esSalarioMinimo === 'true';
     }
+    if (updates.salarioIntegral !== undefined) {
+        data.empleados[index].salarioIntegral = updates.salarioIntegral === true || updates.salarioIntegral === 'true';
+    }
+    if (updates.salarioBase !== undefined) {
+        data.empleados[index].salarioBase = Number(updates.salarioBase);
+    }
+
+    await validarSalarioIntegral(data.empleados[index]);
 
     await guardarEmpleados(data);
 
@@ -197,6 +397,7 @@ router.put('/:cedula', asyncHandler(async (req, res) => {
 /**
  * DELETE /api/empleados/:cedula
  * Eliminar empleado (soft delete - marcar como inactivo)
+ * Para retirar al empleado con su liquidación definitiva use POST /api/empleados/:cedula/retiro
  */
 router.delete('/:cedula', asyncHandler(async (req, res) => {
     const { cedula } = req.params;
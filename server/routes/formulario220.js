@@ -0,0 +1,87 @@
+/**
+ * Rutas del Certificado de Ingresos y Retenciones (Formulario 220) - API REST
+ *
+ * Endpoints:
+ * GET /api/formulario-220/:anio              - Resumen del año gravable por empleado (casillas y conceptos)
+ * GET /api/formulario-220/:anio/pdf          - Formularios de todos los empleados en un PDF
+ * GET /api/formulario-220/:anio/:cedula/pdf  - Formulario de un empleado
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const path = require('path');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { acumularFormulario220, generarFormulario220Pdf } = require('../services/generadorFormulario220');
+const { leerNominas } = require('../services/archivoNominas');
+
+const EMPLEADOS_PATH = path.join(__dirname, '../data/empleados.json');
+const CONFIG_PATH = path.join(__dirname, '../data/config.json');
+
+/**
+ * Acumula el año gravable de la ruta
+ * @returns {Object} { resumen, config }
+ */
+async function acumular(anio) {
+    if (!/^\d{4}$/.test(anio)) {
+        throw createError('VALIDATION_ERROR', 'El año gravable debe tener formato AAAA');
+    }
+
+    const { empleados } = JSON.parse(await fs.readFile(EMPLEADOS_PATH, 'utf-8'));
+    const config = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf-8'));
+    const resumen = acumularFormulario220(anio, await leerNominas(), empleados, config);
+
+    return { resumen, config };
+}
+
+/**
+ * Envía el PDF de los formularios (todos o los de un empleado)
+ */
+async function enviarFormularios(res, anio, cedula) {
+    const { resumen, config } = await acumular(anio);
+    const pdf = generarFormulario220Pdf(resumen, config, { cedula });
+
+    if (!pdf) {
+        throw cedula
+            ? createError('EMP_NOT_FOUND', `El empleado ${cedula} no tiene pagos aprobados en ${anio}`)
+            : createError('VALIDATION_ERROR', `El año ${anio} no tiene períodos aprobados`);
+    }
+
+    console.log(`[INFO] Formulario 220 ${anio}: ${cedula || `${resumen.formularios.length} empleados`}`);
+
+    const nombre = cedula ? `Formulario220-${anio}-${cedula}.pdf` : `Formulario220-${anio}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${nombre}"`);
+    res.send(pdf);
+}
+
+/**
+ * GET /api/formulario-220/:anio
+ * Resumen del año gravable: casillas, conceptos y período certificado de cada empleado
+ */
+router.get('/:anio', asyncHandler(async (req, res) => {
+    const { resumen } = await acumular(req.params.anio);
+
+    res.json({
+        success: true,
+        data: resumen
+    });
+}));
+
+/**
+ * GET /api/formulario-220/:anio/pdf
+ * Formularios de todos los empleados del año (una página por empleado)
+ */
+router.get('/:anio/pdf', asyncHandler(async (req, res) => {
+    await enviarFormularios(res, req.params.anio);
+}));
+
+/**
+ * GET /api/formulario-220/:anio/:cedula/pdf
+ * Formulario de un empleado
+ */
+router.get('/:anio/:cedula/pdf', asyncHandler(async (req, res) => {
+    await enviarFormularios(res, req.params.anio, req.params.cedula);
+}));
+
+module.exports = router;
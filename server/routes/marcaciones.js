@@ -0,0 +1,281 @@
+/**
+ * Rutas de Marcaciones (entrada/salida) - API REST
+ *
+ * Endpoints:
+ * GET    /api/marcaciones            - Listar marcaciones (?cedula, ?desde, ?hasta)
+ * POST   /api/marcaciones            - Registrar una o varias marcaciones
+ * POST   /api/marcaciones/importar   - Importar marcaciones desde CSV
+ * GET    /api/marcaciones/novedades  - Novedades de horas derivadas (?desde&hasta o ?periodo, ?cedula)
+ * DELETE /api/marcaciones/:id        - Eliminar una marcación
+ *
+ * Formato CSV (separador coma o punto y coma):
+ * cedula,fecha,entrada,salida,compensado
+ * 12345678,2022-05-02,06:00,15:30,
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { validarMarcacion, clasificarPorEmpleado } = require('../services/calculoMarcaciones');
+const { parsearCsv } = require('../services/lectorCsv');
+const { fechasDesdePeriodo } = require('../services/periodos');
+const { resolverParametros } = require('../services/parametrosLegales');
+
+const DATA_PATH = path.join(__dirname, '../data/marcaciones.json');
+const EMPLEADOS_PATH = path.join(__dirname, '../data/empleados.json');
+const CONFIG_PATH = path.join(__dirname, '../data/config.json');
+
+/**
+ * Lee las marcaciones del archivo JSON
+ */
+async function leerMarcaciones() {
+    try {
+        const data = await fs.readFile(DATA_PATH, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            // Si no existe el archivo, crear uno vacío
+            await fs.writeFile(DATA_PATH, JSON.stringify({ marcaciones: [] }, null, 2));
+            return { marcaciones: [] };
+        }
+        throw createError('FILE_READ_ERROR', `Error leyendo marcaciones: ${error.message}`);
+    }
+}
+
+/**
+ * Guarda las marcaciones en el archivo JSON
+ */
+async function guardarMarcaciones(data) {
+    try {
+        await fs.writeFile(DATA_PATH, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        throw createError('FILE_WRITE_ERROR', `Error guardando marcaciones: ${error.message}`);
+    }
+}
+
+/**
+ * Lee empleados del archivo JSON
+ */
+async function leerEmpleados() {
+    const data = await fs.readFile(EMPLEADOS_PATH, 'utf-8');
+    return JSON.parse(data);
+}
+
+/**
+ * Lee la configuración del archivo JSON
+ */
+async function leerConfig() {
+    const data = await fs.readFile(CONFIG_PATH, 'utf-8');
+    return JSON.parse(data);
+}
+
+/**
+ * Normaliza el campo compensado (true, "si", "sí", "1", "x")
+ */
+function normalizarCompensado(valor) {
+    if (valor === true) return true;
+    return ['si', 'sí', 's', '1', 'x', 'true'].includes(String(valor || '').toLowerCase().trim());
+}
+
+/**
+ * Valida y agrega marcaciones al almacén
+ * Una marcación con la misma cédula, fecha y entrada reemplaza a la anterior
+ * @param {Array} entradas - Marcaciones recibidas
+ * @param {string} origen - 'api' | 'csv'
+ * @returns {Object} { registradas, errores }
+ */
+async function registrarMarcaciones(entradas, origen) {
+    const { empleados } = await leerEmpleados();
+    const cedulas = new Set(empleados.map(e => e.cedula));
+    const data = await leerMarcaciones();
+
+    const registradas = [];
+    const errores = [];
+
+    for (const entrada of entradas) {
+        const marcacion = {
+            cedula: String(entrada.cedula || '').trim(),
+            fecha: String(entrada.fecha || '').trim(),
+            entrada: String(entrada.entrada || '').trim(),
+            salida: String(entrada.salida || '').trim(),
+            compensado: normalizarCompensado(entrada.compensado)
+        };
+
+        const erroresFila = validarMarcacion(marcacion);
+        if (marcacion.cedula && !cedulas.has(marcacion.cedula)) {
+            erroresFila.push({ campo: 'cedula', mensaje: `Empleado ${marcacion.cedula} no existe` });
+        }
+        if (erroresFila.length > 0) {
+            errores.push({ fila: entrada.fila, cedula: marcacion.cedula, fecha: marcacion.fecha, errores: erroresFila });
+            continue;
+        }
+
+        const existente = data.marcaciones.findIndex(m =>
+            m.cedula === marcacion.cedula && m.fecha === marcacion.fecha && m.entrada === marcacion.entrada
+        );
+        const registro = {
+            id: existente >= 0 ? data.marcaciones[existente].id : crypto.randomUUID(),
+            ...marcacion,
+            origen,
+            creadoAt: new Date().toISOString()
+        };
+
+        if (existente >= 0) {
+            data.marcaciones[existente] = registro;
+        } else {
+            data.marcaciones.push(registro);
+        }
+        registradas.push(registro);
+    }
+
+    if (registradas.length > 0) {
+        await guardarMarcaciones(data);
+    }
+
+    return { registradas, errores };
+}
+
+/**
+ * GET /api/marcaciones
+ * Listar marcaciones
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { cedula, desde, hasta } = req.query;
+    const { marcaciones } = await leerMarcaciones();
+
+    const resultado = marcaciones
+        .filter(m => !cedula || m.cedula === cedula)
+        .filter(m => !desde || m.fecha >= desde)
+        .filter(m => !hasta || m.fecha <= hasta)
+        .sort((a, b) => (a.fecha + a.entrada).localeCompare(b.fecha + b.entrada));
+
+    res.json({
+        success: true,
+        data: resultado,
+        total: resultado.length
+    });
+}));
+
+/**
+ * GET /api/marcaciones/novedades
+ * Novedades de horas derivadas de las marcaciones de un rango de fechas
+ */
+router.get('/novedades', asyncHandler(async (req, res) => {
+    const { periodo, cedula } = req.query;
+    const rango = periodo ? fechasDesdePeriodo(periodo) : null;
+    const desde = rango ? rango.fechaInicio : req.query.desde;
+    const hasta = rango ? rango.fechaFin : req.query.hasta;
+
+    if (!desde || !hasta) {
+        throw createError('VALIDATION_ERROR', 'Indique un período válido o los parámetros desde y hasta (AAAA-MM-DD)');
+    }
+
+    const { marcaciones } = await leerMarcaciones();
+    const { empleados } = await leerEmpleados();
+    // Franja nocturna y jornada vigentes en la fecha final del rango, como un período
+    const config = resolverParametros(await leerConfig(), hasta);
+
+    const resultado = clasificarPorEmpleado(marcaciones, desde, hasta, config, cedula)
+        .map(r => ({
+            ...r,
+            nombres: empleados.find(e => e.cedula === r.cedula)?.nombres || ''
+        }));
+
+    res.json({
+        success: true,
+        data: resultado,
+        total: resultado.length,
+        desde,
+        hasta
+    });
+}));
+
+/**
+ * POST /api/marcaciones
+ * Registrar una marcación o una lista ({ marcaciones: [...] })
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const entradas = Array.isArray(req.body.marcaciones) ? req.body.marcaciones : [req.body];
+
+    const { registradas, errores } = await registrarMarcaciones(entradas, 'api');
+
+    if (registradas.length === 0) {
+        const error = createError('VALIDATION_ERROR', 'Ninguna marcación es válida');
+        error.details = errores;
+        throw error;
+    }
+
+    console.log(`[INFO] Marcaciones registradas: ${registradas.length}`);
+
+    res.status(201).json({
+        success: true,
+        message: `${registradas.length} marcaciones registradas`,
+        data: {
+            registradas,
+            errores: errores.length > 0 ? errores : undefined
+        }
+    });
+}));
+
+/**
+ * POST /api/marcaciones/importar
+ * Importar marcaciones desde un archivo CSV (Content-Type: text/csv)
+ */
+router.post('/importar', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), asyncHandler(async (req, res) => {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+        throw createError('VALIDATION_ERROR', 'Envíe el contenido CSV con Content-Type text/csv');
+    }
+
+    const filas = parsearCsv(req.body);
+    if (filas.length === 0) {
+        throw createError('VALIDATION_ERROR', 'El archivo no contiene marcaciones');
+    }
+
+    const faltantes = ['cedula', 'fecha', 'entrada', 'salida'].filter(c => !(c in filas[0].datos));
+    if (faltantes.length > 0) {
+        throw createError('VALIDATION_ERROR', `Columnas requeridas faltantes: ${faltantes.join(', ')}`);
+    }
+
+    const entradas = filas.map(({ fila, datos }) => ({ ...datos, fila }));
+    const { registradas, errores } = await registrarMarcaciones(entradas, 'csv');
+
+    console.log(`[INFO] Importación CSV: ${registradas.length} marcaciones, ${errores.length} filas con error`);
+
+    res.json({
+        success: true,
+        message: `${registradas.length} de ${filas.length} filas importadas`,
+        data: {
+            filasLeidas: filas.length,
+            importadas: registradas.length,
+            errores
+        }
+    });
+}));
+
+/**
+ * DELETE /api/marcaciones/:id
+ * Eliminar una marcación
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const data = await leerMarcaciones();
+
+    const index = data.marcaciones.findIndex(m => m.id === id);
+    if (index === -1) {
+        throw createError('MARC_NOT_FOUND', `Marcación ${id} no encontrada`);
+    }
+
+    const [eliminada] = data.marcaciones.splice(index, 1);
+    await guardarMarcaciones(data);
+
+    res.json({
+        success: true,
+        message: 'Marcación eliminada',
+        data: eliminada
+    });
+}));
+
+module.exports = router;
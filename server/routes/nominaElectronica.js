@@ -0,0 +1,145 @@
+/**
+ * Rutas de Nómina Electrónica (DIAN) - API REST
+ *
+ * Endpoints:
+ * GET /api/nomina-electronica/:mes      - Documentos NominaIndividual del mes (AAAA-MM) con su CUNE
+ * GET /api/nomina-electronica/:mes/zip  - Descargar los XML del mes en un archivo ZIP
+ * GET /api/nomina-electronica/:mes/ajustes     - Documentos NominaIndividualDeAjuste del mes con sus diferencias
+ * GET /api/nomina-electronica/:mes/ajustes/zip - Descargar los XML de ajuste del mes en un archivo ZIP
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const path = require('path');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { generarNominaElectronica, generarAjustesNominaElectronica } = require('../services/generadorNominaElectronica');
+const { crearZip } = require('../services/archivoZip');
+const { fechasDesdePeriodo } = require('../services/periodos');
+const { resolverParametros } = require('../services/parametrosLegales');
+const { leerNominas } = require('../services/archivoNominas');
+
+const DATA_PATH = path.join(__dirname, '../data/nominaElectronica.json');
+const EMPLEADOS_PATH = path.join(__dirname, '../data/empleados.json');
+const CONFIG_PATH = path.join(__dirname, '../data/config.json');
+
+/**
+ * Lee la numeración de documentos del archivo JSON
+ */
+async function leerNumeracion() {
+    try {
+        const data = await fs.readFile(DATA_PATH, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            // Si no existe el archivo, crear uno vacío
+            await fs.writeFile(DATA_PATH, JSON.stringify({ consecutivo: 0, documentos: [] }, null, 2));
+            return { consecutivo: 0, documentos: [] };
+        }
+        throw createError('FILE_READ_ERROR', `Error leyendo numeración de nómina electrónica: ${error.message}`);
+    }
+}
+
+/**
+ * Guarda la numeración de documentos en el archivo JSON
+ */
+async function guardarNumeracion(data) {
+    try {
+        await fs.writeFile(DATA_PATH, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        throw createError('FILE_WRITE_ERROR', `Error guardando numeración de nómina electrónica: ${error.message}`);
+    }
+}
+
+/**
+ * Genera los documentos del mes y guarda los números asignados
+ * @param {string} mes - Mes AAAA-MM
+ * @param {Function} [generador] - generarNominaElectronica o generarAjustesNominaElectronica
+ */
+async function generar(mes, generador = generarNominaElectronica) {
+    const { empleados } = JSON.parse(await fs.readFile(EMPLEADOS_PATH, 'utf-8'));
+    const configBase = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf-8'));
+    const nominas = await leerNominas();
+    const numeracion = await leerNumeracion();
+
+    // Porcentajes de salud y pensión vigentes en el mes
+    const fechas = fechasDesdePeriodo(mes);
+    const config = fechas ? resolverParametros(configBase, fechas.fechaFin) : configBase;
+
+    const asignados = numeracion.documentos?.length || 0;
+    const resultado = generador(mes, nominas, empleados, config, numeracion);
+    if (numeracion.documentos.length > asignados) {
+        await guardarNumeracion(numeracion);
+        console.log(`[INFO] Nómina electrónica ${mes}: ${numeracion.documentos.length - asignados} números asignados`);
+    }
+
+    return resultado;
+}
+
+/**
+ * GET /api/nomina-electronica/:mes
+ * Resumen de los documentos del mes: número, CUNE y totales
+ */
+router.get('/:mes', asyncHandler(async (req, res) => {
+    const { documentos, ...resumen } = await generar(req.params.mes);
+
+    res.json({
+        success: true,
+        data: {
+            ...resumen,
+            documentos: documentos.map(({ xml, ...documento }) => documento)
+        }
+    });
+}));
+
+/**
+ * GET /api/nomina-electronica/:mes/zip
+ * Archivo ZIP con un XML NominaIndividual por empleado, para el proveedor tecnológico
+ */
+router.get('/:mes/zip', asyncHandler(async (req, res) => {
+    const { mes } = req.params;
+    const { documentos } = await generar(mes);
+
+    const zip = crearZip(documentos.map(d => ({ nombre: `${d.numero}-${d.cedula}.xml`, contenido: d.xml })));
+
+    console.log(`[INFO] Nómina electrónica ${mes} descargada: ${documentos.length} documentos`);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="NominaElectronica-${mes}.zip"`);
+    res.send(zip);
+}));
+
+/**
+ * GET /api/nomina-electronica/:mes/ajustes
+ * Resumen de los documentos de ajuste del mes: número, predecesor, CUNE y diferencias
+ */
+router.get('/:mes/ajustes', asyncHandler(async (req, res) => {
+    const { documentos, ...resumen } = await generar(req.params.mes, generarAjustesNominaElectronica);
+
+    res.json({
+        success: true,
+        data: {
+            ...resumen,
+            documentos: documentos.map(({ xml, ...documento }) => documento)
+        }
+    });
+}));
+
+/**
+ * GET /api/nomina-electronica/:mes/ajustes/zip
+ * Archivo ZIP con los XML NominaIndividualDeAjuste del mes, en el orden en que se registraron
+ */
+router.get('/:mes/ajustes/zip', asyncHandler(async (req, res) => {
+    const { mes } = req.params;
+    const { documentos } = await generar(mes, generarAjustesNominaElectronica);
+
+    const zip = crearZip(documentos.map(d => ({ nombre: `${d.numero}-${d.cedula}-ajuste.xml`, contenido: d.xml })));
+
+    console.log(`[INFO] Ajustes de nómina electrónica ${mes} descargados: ${documentos.length} documentos`);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="NominaElectronicaAjustes-${mes}.zip"`);
+    res.send(zip);
+}));
+
+module.exports = router;
@@ -6,18 +6,47 @@
  * GET  /api/nominas/:periodo     - Obtener nómina de un período
  * POST /api/nominas/liquidar     - Liquidar nómina de un empleado
  * POST /api/nominas/liquidar-all - Liquidar nómina de todos los empleados
+ * POST /api/nominas/liquidar-all/importar - Novedades desde CSV o XLSX: vista previa o liquidar-all (?guardar=true)
+ * GET  /api/nominas/:periodo/aportes - Aportes del empleador y parafiscales del período
+ * GET  /api/nominas/:periodo/comprobantes         - Comprobantes de pago del período en un solo PDF
+ * GET  /api/nominas/:periodo/comprobantes/:cedula - Comprobante de pago de un empleado (PDF)
+ * GET  /api/nominas/:periodo/export.xlsx - Período en Excel con las columnas de "NOMINA NUEVA.xlsx"
+ * PUT  /api/nominas/:periodo/aprobar - Aprobar y cerrar el período
+ * GET  /api/nominas/:periodo/ajustes - Ajustes (correcciones) de un período aprobado
+ * POST /api/nominas/:periodo/ajustes - Reemplazar o eliminar la liquidación de un empleado en un período aprobado
  */
 
 const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
-const { calcularNominaSemanal, calcularNominaMensual } = require('../services/calculoNomina');
+const { calcularNominaSemanal, calcularNominaMensual, redondear } = require('../services/calculoNomina');
+const { calcularAportesEmpleador, totalizarAportes } = require('../services/calculoAportes');
+const { clasificarPorEmpleado } = require('../services/calculoMarcaciones');
+const { fechasDesdePeriodo } = require('../services/periodos');
+const { salarioPromedioVacaciones, novedadesDeVacaciones } = require('../services/calculoVacaciones');
+const { resolverParametros, congelarParametros, reglasIbcDelPeriodo } = require('../services/parametrosLegales');
+const { cuotasDelPeriodo, registrarCuotasDelPeriodo } = require('../services/calculoPrestamos');
+const { ordenesDelPeriodo, registrarDescuentosDelPeriodo } = require('../services/calculoDescuentos');
+const { validarAjuste, liquidacionesVigentes, compararLiquidaciones, totalesAjuste } = require('../services/calculoAjustes');
+const { generarComprobantes } = require('../services/generadorComprobantes');
+const { generarExcelNomina } = require('../services/generadorExcelNomina');
+const { parsearCsv } = require('../services/lectorCsv');
+const { parsearXlsx } = require('../services/lectorXlsx');
+const { prepararNovedades } = require('../services/importacionNovedades');
+const { leerNominas } = require('../services/archivoNominas');
 
 const NOMINAS_PATH = path.join(__dirname, '../data/nominas');
 const EMPLEADOS_PATH = path.join(__dirname, '../data/empleados.json');
 const CONFIG_PATH = path.join(__dirname, '../data/config.json');
+const MARCACIONES_PATH = path.join(__dirname, '../data/marcaciones.json');
+const VACACIONES_PATH = path.join(__dirname, '../data/vacaciones.json');
+const PRESTAMOS_PATH = path.join(__dirname, '../data/prestamos.json');
+const DESCUENTOS_PATH = path.join(__dirname, '../data/descuentos.json');
+
+const TIPO_XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
 
 /**
  * Lee empleados del archivo JSON
@@ -35,6 +64,96 @@ async function leerConfig() {
     return JSON.parse(data);
 }
 
+/**
+ * Lee las marcaciones de entrada/salida (vacío si no hay archivo)
+ */
+async function leerMarcaciones() {
+    try {
+        const data = await fs.readFile(MARCACIONES_PATH, 'utf-8');
+        return JSON.parse(data).marcaciones || [];
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+/**
+ * Lee el libro de vacaciones (vacío si no hay archivo)
+ */
+async function leerVacaciones() {
+    try {
+        const data = await fs.readFile(VACACIONES_PATH, 'utf-8');
+        return JSON.parse(data).vacaciones || [];
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+/**
+ * Lee los préstamos y anticipos (vacío si no hay archivo)
+ */
+async function leerPrestamos() {
+    try {
+        const data = await fs.readFile(PRESTAMOS_PATH, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { prestamos: [] };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Guarda los préstamos y anticipos
+ */
+async function guardarPrestamos(data) {
+    await fs.writeFile(PRESTAMOS_PATH, JSON.stringify(data, null, 2), 'utf-8');
+}
+
+/**
+ * Cuotas de préstamos del período como novedad (vacío si no hay)
+ */
+function prestamosDelPeriodo(prestamos, cedula, periodo) {
+    const cuotas = cuotasDelPeriodo(prestamos, cedula, periodo);
+    return cuotas.length > 0 ? { cuotasPrestamos: cuotas } : {};
+}
+
+/**
+ * Lee las órdenes de embargo y libranza (vacío si no hay archivo)
+ */
+async function leerDescuentos() {
+    try {
+        const data = await fs.readFile(DESCUENTOS_PATH, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { descuentos: [] };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Guarda las órdenes de embargo y libranza
+ */
+async function guardarDescuentos(data) {
+    await fs.writeFile(DESCUENTOS_PATH, JSON.stringify(data, null, 2), 'utf-8');
+}
+
+/**
+ * Órdenes de embargo y libranza del período como novedad (vacío si no hay)
+ */
+function descuentosDelPeriodo(ordenes, cedula, periodo) {
+    const delPeriodo = ordenesDelPeriodo(ordenes, cedula, periodo);
+    return delPeriodo.length > 0 ? { ordenesDescuento: delPeriodo } : {};
+}
+
 /**
  * Lee una nómina específica
  */
@@ -77,6 +196,256 @@ async function listarNominas() {
     }
 }
 
+/**
+ * Obtiene los parámetros legales con los que se liquida un período
+ * Reutiliza los congelados en el período; si no existen (período nuevo o
+ * liquidado antes de guardarlos) los toma de config.parametrosAnuales según
+ * la fecha fin del período.
+ * @param {Object|null} nomina - Período guardado
+ * @param {string} periodo - Identificador del período
+ * @param {Object} config - Configuración actual
+ * @param {Object} opciones - { fechaFin, actualizarParametros }
+ * @returns {Object} Parámetros congelados (se usan como config del cálculo)
+ */
+function parametrosDelPeriodo(nomina, periodo, config, { fechaFin, actualizarParametros = false } = {}) {
+    if (nomina?.parametros && !actualizarParametros) {
+        return nomina.parametros;
+    }
+
+    const fecha = fechaFin || nomina?.fechaFin || fechasDesdePeriodo(periodo)?.fechaFin ||
+        new Date().toISOString().split('T')[0];
+    const parametros = congelarParametros(resolverParametros(config, fecha), fecha);
+
+    // Períodos liquidados antes de congelar parámetros: conservan las reglas del IBC del motor original
+    if (!actualizarParametros) {
+        parametros.reglasIbc = reglasIbcDelPeriodo(nomina);
+    }
+    return parametros;
+}
+
+/**
+ * Novedades de vacaciones del período tomadas del libro de vacaciones
+ * Solo lee los períodos anteriores (para el salario promedio) si el empleado
+ * tiene vacaciones aprobadas que afecten el período.
+ * @param {Object} empleado - Datos del empleado
+ * @param {Array} libro - Registros de vacaciones de todos los empleados
+ * @param {string} periodo - Identificador del período
+ * @param {Object|null} rango - { fechaInicio, fechaFin } del período
+ * @param {Object} parametros - Parámetros del período
+ * @returns {Promise<Object>} { vacaciones?, vacacionesCompensadas? }
+ */
+async function vacacionesDelPeriodo(empleado, libro, periodo, rango, parametros) {
+    const registros = libro.filter(v => v.cedula === empleado.cedula);
+    if (Object.keys(novedadesDeVacaciones(registros, periodo, rango, 0)).length === 0) {
+        return {};
+    }
+
+    const nominas = await leerNominas();
+    const fecha = rango?.fechaInicio || new Date().toISOString().split('T')[0];
+    const salarioPromedio = salarioPromedioVacaciones(empleado, nominas, fecha, parametros);
+    return novedadesDeVacaciones(registros, periodo, rango, salarioPromedio);
+}
+
+/**
+ * Calcula la liquidación de un empleado en un período
+ * Agrega las vacaciones aprobadas del libro, las cuotas de préstamos y las
+ * órdenes de embargo y libranza; las novedades explícitas tienen prioridad.
+ * @param {Object} empleado - Datos del empleado
+ * @param {Object} datos - { periodo, tipoNomina, novedades, nomina, rango?, parametros, prestamos, descuentos,
+ *   libroVacaciones? } (sin rango se usan las fechas de la nómina o del período; sin libro se lee el archivo)
+ * @returns {Promise<Object>} Liquidación con los aportes del empleador
+ */
+async function calcularLiquidacion(empleado, datos) {
+    const { periodo, tipoNomina, novedades, nomina, parametros, prestamos, descuentos } = datos;
+    const rango = datos.rango || (nomina?.fechaInicio && nomina?.fechaFin
+        ? { fechaInicio: nomina.fechaInicio, fechaFin: nomina.fechaFin }
+        : fechasDesdePeriodo(periodo));
+    const libroVacaciones = datos.libroVacaciones || await leerVacaciones();
+    const vacaciones = await vacacionesDelPeriodo(empleado, libroVacaciones, periodo, rango, parametros);
+    const cuotas = prestamosDelPeriodo(prestamos, empleado.cedula, periodo);
+    const ordenes = descuentosDelPeriodo(descuentos, empleado.cedula, periodo);
+
+    const calcular = tipoNomina === 'MENSUAL' ? calcularNominaMensual : calcularNominaSemanal;
+    const liquidacion = calcular(empleado, { ...vacaciones, ...cuotas, ...ordenes, ...(novedades || {}) }, parametros);
+    liquidacion.aportesEmpleador = calcularAportesEmpleador(empleado, liquidacion, parametros);
+    liquidacion.periodo = periodo;
+    liquidacion.tipoNomina = tipoNomina;
+    liquidacion.liquidadoAt = new Date().toISOString();
+
+    return liquidacion;
+}
+
+/**
+ * Calcula los totales de un período
+ */
+function calcularTotales(liquidaciones) {
+    const totalNomina = liquidaciones.reduce((sum, l) => sum + l.totalNomina, 0);
+    const totalConsignado = liquidaciones.reduce((sum, l) => sum + l.totalConsignado, 0);
+    const totalDevengado = liquidaciones.reduce((sum, l) => sum + (l.totalDevengado || 0), 0);
+    const totalAportesEmpleador = liquidaciones.reduce((sum, l) => sum + (l.aportesEmpleador?.totalAportes || 0), 0);
+
+    return {
+        totalNomina,
+        totalConsignado,
+        totalAportesEmpleador: redondear(totalAportesEmpleador),
+        costoTotal: redondear(totalDevengado + totalAportesEmpleador)
+    };
+}
+
+/**
+ * Envía los comprobantes de pago del período como PDF (se abre en el navegador)
+ */
+async function enviarComprobantes(res, periodo, cedula) {
+    const nomina = await leerNomina(periodo);
+    if (!nomina) {
+        throw createError('NOMINA_NOT_FOUND', `Período ${periodo} no encontrado`);
+    }
+
+    const { empleados } = await leerEmpleados();
+    const config = await leerConfig();
+    const { comprobantes, pdf } = generarComprobantes(nomina, empleados, config, { cedula });
+
+    if (!pdf) {
+        throw cedula
+            ? createError('EMP_NOT_FOUND', `El empleado ${cedula} no tiene liquidación vigente en el período ${periodo}`)
+            : createError('VALIDATION_ERROR', `El período ${periodo} no tiene liquidaciones`);
+    }
+
+    console.log(`[INFO] Comprobantes de pago ${periodo}: ${comprobantes.length} empleados`);
+
+    const nombre = cedula ? `Comprobante-${periodo}-${cedula}.pdf` : `Comprobantes-${periodo}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${nombre}"`);
+    res.send(pdf);
+}
+
+/**
+ * Liquida todos los empleados activos en un período (POST /liquidar-all y su carga desde archivo)
+ * Con guardar = false solo calcula: no guarda el período ni registra cuotas ni descuentos.
+ * @param {Object} datos - { periodo, tipoNomina, fechaInicio, fechaFin, novedadesDefault,
+ *   novedadesPorEmpleado, usarMarcaciones, actualizarParametros }
+ * @param {Object} [opciones] - { guardar }
+ * @returns {Promise<Object>} { nomina, liquidaciones, errores }
+ */
+async function liquidarTodos(datos, { guardar = true } = {}) {
+    const {
+        periodo,
+        tipoNomina = 'SEMANAL',
+        fechaInicio,
+        fechaFin,
+        novedadesDefault = {},
+        novedadesPorEmpleado = {},
+        usarMarcaciones = false,
+        actualizarParametros = false
+    } = datos;
+
+    if (!periodo) {
+        throw createError('VALIDATION_ERROR', 'El período es requerido');
+    }
+
+    // Cargar datos
+    const { empleados } = await leerEmpleados();
+    const config = await leerConfig();
+
+    // Parámetros legales del período (congelados o del año correspondiente)
+    const anterior = await leerNomina(periodo);
+    if (anterior?.estado === 'aprobada') {
+        throw createError('NOMINA_ALREADY_CLOSED', `El período ${periodo} está aprobado: registre las correcciones como ajustes`);
+    }
+    const parametros = parametrosDelPeriodo(anterior, periodo, config, { fechaFin, actualizarParametros });
+
+    // Novedades de horas derivadas de las marcaciones del período
+    const horasMarcaciones = {};
+    if (usarMarcaciones) {
+        const rango = fechaInicio && fechaFin ? { fechaInicio, fechaFin } : fechasDesdePeriodo(periodo);
+        if (!rango) {
+            throw createError('VALIDATION_ERROR', 'Se requieren fechaInicio y fechaFin para usar las marcaciones');
+        }
+        const marcaciones = await leerMarcaciones();
+        for (const r of clasificarPorEmpleado(marcaciones, rango.fechaInicio, rango.fechaFin, { ...config, ...parametros })) {
+            horasMarcaciones[r.cedula] = r.novedades;
+        }
+    }
+
+    const rangoPeriodo = fechaInicio && fechaFin ? { fechaInicio, fechaFin } : fechasDesdePeriodo(periodo);
+    const libroVacaciones = await leerVacaciones();
+    const libroPrestamos = await leerPrestamos();
+
+    const libroDescuentos = await leerDescuentos();
+    // Filtrar empleados activos
+    const empleadosActivos = empleados.filter(e => e.activo);
+
+    if (empleadosActivos.length === 0) {
+        throw createError('VALIDATION_ERROR', 'No hay empleados activos para liquidar');
+    }
+
+    // Calcular liquidaciones
+    const liquidaciones = [];
+    const errores = [];
+
+    for (const empleado of empleadosActivos) {
+        try {
+            const liquidacion = await calcularLiquidacion(empleado, {
+                periodo,
+                tipoNomina,
+                novedades: {
+                    ...novedadesDefault,
+                    ...(horasMarcaciones[empleado.cedula] || {}),
+                    ...(novedadesPorEmpleado[empleado.cedula] || {})
+                },
+                rango: rangoPeriodo,
+                parametros,
+                prestamos: libroPrestamos.prestamos,
+                descuentos: libroDescuentos.descuentos,
+                libroVacaciones
+            });
+
+            liquidaciones.push(liquidacion);
+        } catch (error) {
+            errores.push({
+                cedula: empleado.cedula,
+                nombres: empleado.nombres,
+                error: error.message
+            });
+        }
+    }
+
+    // Crear nómina del período
+    const nomina = {
+        periodo,
+        tipoNomina,
+        estado: 'borrador',
+        fechaInicio: fechaInicio || null,
+        fechaFin: fechaFin || null,
+        liquidaciones,
+        totales: calcularTotales(liquidaciones),
+        parametros,
+        errores: errores.length > 0 ? errores : undefined,
+        creadoAt: new Date().toISOString(),
+        procesadoAt: new Date().toISOString()
+    };
+
+    if (!guardar) {
+        return { nomina, liquidaciones, errores };
+    }
+
+    await guardarNomina(periodo, nomina);
+
+    // El período se reemplaza completo: las cuotas y descuentos de todos los empleados se registran de nuevo
+    if (libroPrestamos.prestamos.length > 0) {
+        const cedulas = [...new Set(libroPrestamos.prestamos.map(p => p.cedula))];
+        registrarCuotasDelPeriodo(libroPrestamos.prestamos, periodo, cedulas, liquidaciones);
+        await guardarPrestamos(libroPrestamos);
+    }
+    if (libroDescuentos.descuentos.length > 0) {
+        const cedulas = [...new Set(libroDescuentos.descuentos.map(o => o.cedula))];
+        registrarDescuentosDelPeriodo(libroDescuentos.descuentos, periodo, cedulas, liquidaciones);
+        await guardarDescuentos(libroDescuentos);
+    }
+
+    return { nomina, liquidaciones, errores };
+}
+
 /**
  * GET /api/nominas
  * Listar todas las nóminas
@@ -96,6 +465,7 @@ router.get('/', asyncHandler(async (req, res) => {
                 totalEmpleados: nomina?.liquidaciones?.length || 0,
                 totalNomina: nomina?.totales?.totalNomina || 0,
                 totalConsignado: nomina?.totales?.totalConsignado || 0,
+                totalAjustes: nomina?.ajustes?.length || 0,
                 procesadoAt: nomina?.procesadoAt
             };
         })
@@ -144,11 +514,20 @@ router.get('/:periodo', asyncHandler(async (req, res) => {
  *     horasExtraNocturna: 0,
  *     bonificacion: 0,
  *     prestamo: 0
- *   }
+ *   },
+ *   actualizarParametros: false   // true: volver a tomar los parámetros del año en vez de los congelados
  * }
+ *
+ * Las cuotas de los préstamos y anticipos activos del empleado se descuentan
+ * automáticamente (novedades.cuotasPrestamos) y, al guardar, quedan
+ * registradas en el préstamo. Los embargos y libranzas activos se aplican de
+ * la misma forma (novedades.ordenesDescuento).
+ *
+ * Un período aprobado no se vuelve a guardar: las correcciones se registran
+ * con POST /api/nominas/:periodo/ajustes.
  */
 router.post('/liquidar', asyncHandler(async (req, res) => {
-    const { cedula, periodo, tipoNomina = 'SEMANAL', novedades, guardar = true } = req.body;
+    const { cedula, periodo, tipoNomina = 'SEMANAL', novedades, guardar = true, actualizarParametros = false } = req.body;
 
     // Validar datos requeridos
     if (!cedula) {
@@ -169,25 +548,37 @@ router.post('/liquidar', asyncHandler(async (req, res) => {
         throw createError('EMP_NOT_FOUND', `Empleado con cédula ${cedula} no encontrado`);
     }
 
+    // Parámetros legales del período (congelados o del año correspondiente)
+    let nomina = await leerNomina(periodo);
+    if (guardar && nomina?.estado === 'aprobada') {
+        throw createError('NOMINA_ALREADY_CLOSED', `El período ${periodo} está aprobado: registre la corrección como un ajuste`);
+    }
+    const parametros = parametrosDelPeriodo(nomina, periodo, config, { actualizarParametros });
+
     // Calcular nómina
-    const calcular = tipoNomina === 'MENSUAL' ? calcularNominaMensual : calcularNominaSemanal;
-    const liquidacion = calcular(empleado, novedades || {}, config);
-    liquidacion.periodo = periodo;
-    liquidacion.tipoNomina = tipoNomina;
-    liquidacion.liquidadoAt = new Date().toISOString();
+    const libroPrestamos = await leerPrestamos();
+    const libroDescuentos = await leerDescuentos();
+    const liquidacion = await calcularLiquidacion(empleado, {
+        periodo,
+        tipoNomina,
+        novedades,
+        nomina,
+        parametros,
+        prestamos: libroPrestamos.prestamos,
+        descuentos: libroDescuentos.descuentos
+    });
 
     // Guardar en el período si se solicita
     if (guardar) {
-        let nomina = await leerNomina(periodo);
-
         if (!nomina) {
             // Crear nuevo período
+            const fechas = fechasDesdePeriodo(periodo);
             nomina = {
                 periodo,
                 tipoNomina,
                 estado: 'borrador',
-                fechaInicio: null,
-                fechaFin: null,
+                fechaInicio: fechas?.fechaInicio || null,
+                fechaFin: fechas?.fechaFin || null,
                 liquidaciones: [],
                 totales: {
                     totalNomina: 0,
@@ -206,14 +597,22 @@ router.post('/liquidar', asyncHandler(async (req, res) => {
         }
 
         // Recalcular totales
-        nomina.totales = {
-            totalNomina: nomina.liquidaciones.reduce((sum, l) => sum + l.totalNomina, 0),
-            totalConsignado: nomina.liquidaciones.reduce((sum, l) => sum + l.totalConsignado, 0)
-        };
+        nomina.totales = calcularTotales(nomina.liquidaciones);
+        nomina.parametros = parametros;
         nomina.procesadoAt = new Date().toISOString();
 
         await guardarNomina(periodo, nomina);
 
+        // Registrar las cuotas descontadas en los préstamos del empleado
+        if (libroPrestamos.prestamos.length > 0) {
+            registrarCuotasDelPeriodo(libroPrestamos.prestamos, periodo, [cedula], [liquidacion]);
+            await guardarPrestamos(libroPrestamos);
+        }
+        if (libroDescuentos.descuentos.length > 0) {
+            registrarDescuentosDelPeriodo(libroDescuentos.descuentos, periodo, [cedula], [liquidacion]);
+            await guardarDescuentos(libroDescuentos);
+        }
+
         console.log(`[INFO] Liquidación guardada: ${cedula} - ${periodo}`);
     }
 
@@ -239,95 +638,221 @@ router.post('/liquidar', asyncHandler(async (req, res) => {
  *   },
  *   novedadesPorEmpleado: {
  *     "12345678": { bonificacion: 50000 }
- *   }
+ *   },
+ *   usarMarcaciones: true,       // Horas extra y recargos desde /api/marcaciones
+ *   actualizarParametros: false  // true: volver a tomar los parámetros del año en vez de los congelados
  * }
+ *
+ * Con usarMarcaciones, las horas derivadas de las marcaciones entre fechaInicio
+ * y fechaFin reemplazan las de novedadesDefault; novedadesPorEmpleado sigue
+ * teniendo prioridad. Las vacaciones aprobadas en el libro de vacaciones y las
+ * cuotas de préstamos, embargos y libranzas se agregan de la misma forma.
  */
 router.post('/liquidar-all', asyncHandler(async (req, res) => {
-    const {
-        periodo,
-        tipoNomina = 'SEMANAL',
-        fechaInicio,
-        fechaFin,
-        novedadesDefault = {},
-        novedadesPorEmpleado = {}
-    } = req.body;
+    const { nomina, liquidaciones, errores } = await liquidarTodos(req.body);
+    const { periodo } = nomina;
 
-    if (!periodo) {
-        throw createError('VALIDATION_ERROR', 'El período es requerido');
-    }
+    console.log(`[INFO] Nómina ${periodo} liquidada: ${liquidaciones.length} empleados, ${errores.length} errores`);
 
-    // Cargar datos
-    const { empleados } = await leerEmpleados();
-    const config = await leerConfig();
+    res.json({
+        success: true,
+        message: `Nómina liquidada para ${liquidaciones.length} empleados`,
+        data: {
+            periodo,
+            empleadosLiquidados: liquidaciones.length,
+            empleadosConError: errores.length,
+            totales: nomina.totales,
+            errores: errores.length > 0 ? errores : undefined
+        }
+    });
+}));
 
-    // Filtrar empleados activos
-    const empleadosActivos = empleados.filter(e => e.activo);
+/**
+ * POST /api/nominas/liquidar-all/importar
+ * Novedades de la semana desde un CSV (Content-Type: text/csv) o un libro de Excel
+ * (Content-Type: application/vnd.openxmlformats-officedocument.spreadsheetml.sheet),
+ * una fila por cédula.
+ *
+ * Query: periodo, tipoNomina, fechaInicio, fechaFin, usarMarcaciones=true, actualizarParametros=true,
+ * diasLaborados (por defecto 7 en SEMANAL y 30 en MENSUAL, para celdas vacías y empleados fuera del archivo)
+ *
+ * Sin guardar devuelve la validación por fila y la vista previa de las liquidaciones.
+ * Con ?guardar=true ejecuta liquidar-all con esas novedades; si alguna fila tiene
+ * errores no se liquida nada.
+ */
+router.post('/liquidar-all/importar',
+    express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+    express.raw({ type: TIPO_XLSX, limit: '5mb' }),
+    asyncHandler(async (req, res) => {
+        const { periodo, tipoNomina = 'SEMANAL', fechaInicio, fechaFin } = req.query;
+        const guardar = req.query.guardar === 'true';
+
+        if (!periodo) {
+            throw createError('VALIDATION_ERROR', 'El período es requerido');
+        }
 
-    if (empleadosActivos.length === 0) {
-        throw createError('VALIDATION_ERROR', 'No hay empleados activos para liquidar');
-    }
+        let filas;
+        if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+            filas = parsearXlsx(req.body);
+        } else if (typeof req.body === 'string' && req.body.trim() !== '') {
+            filas = parsearCsv(req.body);
+        } else {
+            throw createError('VALIDATION_ERROR', `Envíe el archivo con Content-Type text/csv o ${TIPO_XLSX}`);
+        }
+        if (filas.length === 0) {
+            throw createError('VALIDATION_ERROR', 'El archivo no contiene novedades');
+        }
 
-    // Calcular liquidaciones
-    const calcular = tipoNomina === 'MENSUAL' ? calcularNominaMensual : calcularNominaSemanal;
-    const liquidaciones = [];
-    const errores = [];
+        const { empleados } = await leerEmpleados();
+        const actualizarParametros = req.query.actualizarParametros === 'true';
+        // Se valida con los parámetros con que se va a liquidar el período (festivos del año)
+        const parametros = parametrosDelPeriodo(await leerNomina(periodo), periodo, await leerConfig(),
+            { fechaFin, actualizarParametros });
+        const novedadesDefault = { diasLaborados: tipoNomina === 'MENSUAL' ? 30 : 7 };
+        if (req.query.diasLaborados !== undefined) {
+            const diasLaborados = String(req.query.diasLaborados).trim();
+            novedadesDefault.diasLaborados = Number(diasLaborados);
+            if (diasLaborados === '' || !Number.isFinite(novedadesDefault.diasLaborados) ||
+                novedadesDefault.diasLaborados < 0 || novedadesDefault.diasLaborados > 30) {
+                throw createError('VALIDATION_ERROR', `diasLaborados "${diasLaborados}" inválido: debe ser un número entre 0 y 30`);
+            }
+        }
 
-    for (const empleado of empleadosActivos) {
-        try {
-            const novedades = {
-                ...novedadesDefault,
-                ...(novedadesPorEmpleado[empleado.cedula] || {})
-            };
+        const { novedadesPorEmpleado, ...importacion } = prepararNovedades(filas, empleados, novedadesDefault, parametros);
+        if (!Object.values(importacion.columnas.mapa).includes('cedula')) {
+            throw createError('VALIDATION_ERROR', 'Columna requerida faltante: cedula');
+        }
+        if (guardar && importacion.resumen.errores > 0) {
+            const error = createError('VALIDATION_ERROR', `El archivo tiene ${importacion.resumen.errores} filas con errores: corríjalas antes de liquidar`);
+            error.details = importacion.filas.filter(f => f.errores);
+            throw error;
+        }
 
-            const liquidacion = calcular(empleado, novedades, config);
-            liquidacion.periodo = periodo;
-            liquidacion.tipoNomina = tipoNomina;
-            liquidacion.liquidadoAt = new Date().toISOString();
+        const { nomina, liquidaciones, errores } = await liquidarTodos({
+            periodo,
+            tipoNomina,
+            fechaInicio,
+            fechaFin,
+            novedadesDefault,
+            novedadesPorEmpleado,
+            usarMarcaciones: req.query.usarMarcaciones === 'true',
+            actualizarParametros
+        }, { guardar });
+
+        console.log(`[INFO] Novedades desde archivo ${periodo}${guardar ? '' : ' (vista previa)'}: ${importacion.resumen.validas} filas válidas, ${liquidaciones.length} empleados liquidados`);
+
+        res.json({
+            success: true,
+            message: guardar
+                ? `Nómina liquidada para ${liquidaciones.length} empleados`
+                : `Vista previa: ${importacion.resumen.validas} filas válidas y ${importacion.resumen.errores} con errores`,
+            data: {
+                periodo,
+                guardado: guardar,
+                importacion,
+                liquidaciones: liquidaciones.map(l => ({
+                    cedula: l.cedula,
+                    nombres: l.nombres,
+                    diasLaborados: l.diasLaborados,
+                    totalExtras: l.totalExtras,
+                    bonificacion: l.bonificacion,
+                    totalDevengado: l.totalDevengado,
+                    totalDeducciones: l.totalDeducciones,
+                    totalNomina: l.totalNomina,
+                    totalConsignado: l.totalConsignado,
+                    desdeArchivo: l.cedula in novedadesPorEmpleado
+                })),
+                totales: nomina.totales,
+                errores: errores.length > 0 ? errores : undefined
+            }
+        });
+    })
+);
 
-            liquidaciones.push(liquidacion);
-        } catch (error) {
-            errores.push({
-                cedula: empleado.cedula,
-                nombres: empleado.nombres,
-                error: error.message
-            });
-        }
+/**
+ * GET /api/nominas/:periodo/aportes
+ * Aportes del empleador (seguridad social y parafiscales) del período
+ * Los períodos liquidados antes de este cálculo se completan con los parámetros del período
+ */
+router.get('/:periodo/aportes', asyncHandler(async (req, res) => {
+    const { periodo } = req.params;
+
+    const nomina = await leerNomina(periodo);
+    if (!nomina) {
+        throw createError('NOMINA_NOT_FOUND', `Período ${periodo} no encontrado`);
     }
 
-    // Crear nómina del período
-    const nomina = {
-        periodo,
-        tipoNomina,
-        estado: 'borrador',
-        fechaInicio: fechaInicio || null,
-        fechaFin: fechaFin || null,
-        liquidaciones,
-        totales: {
-            totalNomina: liquidaciones.reduce((sum, l) => sum + l.totalNomina, 0),
-            totalConsignado: liquidaciones.reduce((sum, l) => sum + l.totalConsignado, 0)
-        },
-        errores: errores.length > 0 ? errores : undefined,
-        creadoAt: new Date().toISOString(),
-        procesadoAt: new Date().toISOString()
-    };
+    const vigentes = liquidacionesVigentes(nomina);
+    const pendientes = vigentes.some(l => !l.aportesEmpleador);
+    const { empleados } = pendientes ? await leerEmpleados() : { empleados: [] };
+    const config = pendientes ? parametrosDelPeriodo(nomina, periodo, await leerConfig()) : null;
 
-    await guardarNomina(periodo, nomina);
-
-    console.log(`[INFO] Nómina ${periodo} liquidada: ${liquidaciones.length} empleados, ${errores.length} errores`);
+    const liquidaciones = vigentes.map(liq => {
+        let aportesEmpleador = liq.aportesEmpleador;
+        if (!aportesEmpleador) {
+            const empleado = empleados.find(e => e.cedula === liq.cedula) || { cedula: liq.cedula };
+            aportesEmpleador = calcularAportesEmpleador(empleado, liq, config);
+        }
+        return {
+            cedula: liq.cedula,
+            nombres: liq.nombres,
+            diasLaborados: liq.diasLaborados,
+            aportesEmpleador
+        };
+    });
 
     res.json({
         success: true,
-        message: `Nómina liquidada para ${liquidaciones.length} empleados`,
         data: {
             periodo,
-            empleadosLiquidados: liquidaciones.length,
-            empleadosConError: errores.length,
-            totales: nomina.totales,
-            errores: errores.length > 0 ? errores : undefined
+            estado: nomina.estado,
+            liquidaciones,
+            totales: totalizarAportes(liquidaciones)
         }
     });
 }));
 
+/**
+ * GET /api/nominas/:periodo/comprobantes
+ * Comprobantes de pago de todos los empleados del período (una página por empleado)
+ */
+router.get('/:periodo/comprobantes', asyncHandler(async (req, res) => {
+    await enviarComprobantes(res, req.params.periodo);
+}));
+
+/**
+ * GET /api/nominas/:periodo/comprobantes/:cedula
+ * Comprobante de pago de un empleado en el período
+ */
+router.get('/:periodo/comprobantes/:cedula', asyncHandler(async (req, res) => {
+    await enviarComprobantes(res, req.params.periodo, req.params.cedula);
+}));
+
+/**
+ * GET /api/nominas/:periodo/export.xlsx
+ * Período en un libro de Excel con las columnas y el orden de "NOMINA NUEVA.xlsx" y la fila de totales
+ */
+router.get('/:periodo/export.xlsx', asyncHandler(async (req, res) => {
+    const { periodo } = req.params;
+
+    const nomina = await leerNomina(periodo);
+    if (!nomina) {
+        throw createError('NOMINA_NOT_FOUND', `Período ${periodo} no encontrado`);
+    }
+
+    const { empleados } = await leerEmpleados();
+    const { archivo, empleados: total } = generarExcelNomina(nomina, empleados, await leerConfig());
+    if (!archivo) {
+        throw createError('VALIDATION_ERROR', `El período ${periodo} no tiene liquidaciones`);
+    }
+
+    console.log(`[INFO] Nómina ${periodo} exportada a Excel: ${total} empleados`);
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="NOMINA-${periodo}.xlsx"`);
+    res.send(archivo);
+}));
+
 /**
  * PUT /api/nominas/:periodo/aprobar
  * Aprobar y cerrar un período de nómina
@@ -362,4 +887,130 @@ router.put('/:periodo/aprobar', asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * GET /api/nominas/:periodo/ajustes
+ * Ajustes del período con sus diferencias y los totales con las correcciones aplicadas
+ */
+router.get('/:periodo/ajustes', asyncHandler(async (req, res) => {
+    const { periodo } = req.params;
+
+    const nomina = await leerNomina(periodo);
+    if (!nomina) {
+        throw createError('NOMINA_NOT_FOUND', `Período ${periodo} no encontrado`);
+    }
+
+    const ajustes = nomina.ajustes || [];
+
+    res.json({
+        success: true,
+        data: {
+            periodo,
+            estado: nomina.estado,
+            ajustes,
+            totalesOriginales: calcularTotales(nomina.liquidaciones),
+            totalesVigentes: calcularTotales(liquidacionesVigentes(nomina))
+        },
+        total: ajustes.length
+    });
+}));
+
+/**
+ * POST /api/nominas/:periodo/ajustes
+ * Corregir la liquidación de un empleado en un período aprobado
+ *
+ * Body:
+ * {
+ *   cedula: "12345678",
+ *   tipo: "reemplazar" | "eliminar",
+ *   motivo: "Horas extra no reportadas",
+ *   novedades: { diasLaborados: 7, horasExtraDiurna: 4 },  // novedades completas corregidas (solo reemplazar)
+ *   guardar: true                                          // false: solo calcular las diferencias
+ * }
+ *
+ * La liquidación original no se modifica: el ajuste queda en nomina.ajustes con
+ * la liquidación corregida (null si se elimina) y las diferencias contra la
+ * original. La corrección se liquida con los parámetros congelados del período;
+ * las cuotas de préstamos, embargos y libranzas del período se registran de nuevo.
+ */
+router.post('/:periodo/ajustes', asyncHandler(async (req, res) => {
+    const { periodo } = req.params;
+    const { cedula, tipo, motivo, novedades, guardar = true } = req.body;
+
+    const nomina = await leerNomina(periodo);
+    if (!nomina) {
+        throw createError('NOMINA_NOT_FOUND', `Período ${periodo} no encontrado`);
+    }
+    if (nomina.estado !== 'aprobada') {
+        throw createError('NOMINA_NOT_APPROVED', `El período ${periodo} no está aprobado: vuelva a liquidarlo en lugar de ajustarlo`);
+    }
+
+    const errores = validarAjuste(req.body, nomina);
+    if (errores.length > 0) {
+        const error = createError('VALIDATION_ERROR', 'Ajuste de nómina inválido');
+        error.details = errores;
+        throw error;
+    }
+
+    const original = nomina.liquidaciones.find(l => l.cedula === cedula);
+    const libroPrestamos = await leerPrestamos();
+    const libroDescuentos = await leerDescuentos();
+
+    // Liquidación corregida con los parámetros del período
+    let corregida = null;
+    if (tipo === 'reemplazar') {
+        const { empleados } = await leerEmpleados();
+        const empleado = empleados.find(e => e.cedula === cedula);
+        if (!empleado) {
+            throw createError('EMP_NOT_FOUND', `Empleado con cédula ${cedula} no encontrado`);
+        }
+
+        corregida = await calcularLiquidacion(empleado, {
+            periodo,
+            tipoNomina: original.tipoNomina || nomina.tipoNomina || 'SEMANAL',
+            novedades,
+            nomina,
+            parametros: parametrosDelPeriodo(nomina, periodo, await leerConfig()),
+            prestamos: libroPrestamos.prestamos,
+            descuentos: libroDescuentos.descuentos
+        });
+    }
+
+    const ajuste = {
+        id: crypto.randomUUID(),
+        cedula,
+        nombres: original.nombres,
+        tipo,
+        motivo: String(motivo).trim(),
+        novedades: corregida ? novedades : undefined,
+        liquidacion: corregida,
+        diferencias: compararLiquidaciones(original, corregida),
+        totales: totalesAjuste(original, corregida),
+        creadoAt: new Date().toISOString()
+    };
+
+    if (guardar) {
+        nomina.ajustes = [...(nomina.ajustes || []), ajuste];
+        await guardarNomina(periodo, nomina);
+
+        // Lo descontado en el período queda como en la liquidación corregida
+        const vigentes = corregida ? [corregida] : [];
+        if (libroPrestamos.prestamos.length > 0) {
+            registrarCuotasDelPeriodo(libroPrestamos.prestamos, periodo, [cedula], vigentes);
+            await guardarPrestamos(libroPrestamos);
+        }
+        if (libroDescuentos.descuentos.length > 0) {
+            registrarDescuentosDelPeriodo(libroDescuentos.descuentos, periodo, [cedula], vigentes);
+            await guardarDescuentos(libroDescuentos);
+        }
+
+        console.log(`[INFO] Ajuste (${tipo}) registrado: ${cedula} - ${periodo}`);
+    }
+
+    res.status(guardar ? 201 : 200).json({
+        success: true,
+        message: guardar ? 'Ajuste registrado' : 'Ajuste calculado (sin guardar)',
+        data: ajuste
+    });
+}));
+
 module.exports = router;
@@ -0,0 +1,80 @@
+/**
+ * Rutas de Seguridad Social (PILA) - API REST
+ *
+ * Endpoints:
+ * GET /api/pila/:mes           - Resumen de la planilla tipo E del mes (AAAA-MM)
+ * GET /api/pila/:mes/planilla  - Descargar archivo plano para el operador
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const path = require('path');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { generarPlanillaPila } = require('../services/generadorPila');
+const { fechasDesdePeriodo } = require('../services/periodos');
+const { resolverParametros } = require('../services/parametrosLegales');
+const { leerNominas } = require('../services/archivoNominas');
+
+const EMPLEADOS_PATH = path.join(__dirname, '../data/empleados.json');
+const CONFIG_PATH = path.join(__dirname, '../data/config.json');
+
+/**
+ * Lee empleados del archivo JSON
+ */
+async function leerEmpleados() {
+    const data = await fs.readFile(EMPLEADOS_PATH, 'utf-8');
+    return JSON.parse(data);
+}
+
+/**
+ * Lee la configuración del archivo JSON
+ */
+async function leerConfig() {
+    const data = await fs.readFile(CONFIG_PATH, 'utf-8');
+    return JSON.parse(data);
+}
+
+/**
+ * Genera la planilla del mes con los datos guardados
+ */
+async function generar(mes) {
+    const { empleados } = await leerEmpleados();
+    const nominas = await leerNominas();
+
+    // SMMLV y tarifas vigentes en el mes de cotización
+    const fechas = fechasDesdePeriodo(mes);
+    const config = fechas ? resolverParametros(await leerConfig(), fechas.fechaFin) : await leerConfig();
+
+    return generarPlanillaPila(mes, nominas, empleados, config);
+}
+
+/**
+ * GET /api/pila/:mes
+ * Resumen de cotizantes, novedades y totales de la planilla
+ */
+router.get('/:mes', asyncHandler(async (req, res) => {
+    const { contenido, ...planilla } = await generar(req.params.mes);
+
+    res.json({
+        success: true,
+        data: planilla
+    });
+}));
+
+/**
+ * GET /api/pila/:mes/planilla
+ * Archivo plano de longitud fija para cargar en el operador PILA
+ */
+router.get('/:mes/planilla', asyncHandler(async (req, res) => {
+    const { mes } = req.params;
+    const planilla = await generar(mes);
+
+    console.log(`[INFO] Planilla PILA ${mes} generada: ${planilla.cotizantes.length} cotizantes`);
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="PILA-E-${mes}.txt"`);
+    res.send(planilla.contenido);
+}));
+
+module.exports = router;
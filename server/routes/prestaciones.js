@@ -0,0 +1,131 @@
+/**
+ * Rutas de Prestaciones Sociales - API REST
+ *
+ * Endpoints:
+ * GET /api/prestaciones          - Saldos de prestaciones de todos los empleados
+ * GET /api/prestaciones/:cedula  - Saldo y detalle por período de un empleado
+ *
+ * Query Parameters:
+ * - fechaCorte (AAAA-MM-DD)   - Fecha de corte (por defecto hoy)
+ * - incluirBorradores=true    - Incluir períodos no aprobados
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const path = require('path');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { calcularPrestaciones } = require('../services/calculoPrestaciones');
+const { redondear } = require('../services/calculoNomina');
+const { leerNominas } = require('../services/archivoNominas');
+
+const EMPLEADOS_PATH = path.join(__dirname, '../data/empleados.json');
+const VACACIONES_PATH = path.join(__dirname, '../data/vacaciones.json');
+
+/**
+ * Lee empleados del archivo JSON
+ */
+async function leerEmpleados() {
+    const data = await fs.readFile(EMPLEADOS_PATH, 'utf-8');
+    return JSON.parse(data);
+}
+
+/**
+ * Períodos que causan prestaciones: solo los aprobados, salvo incluirBorradores
+ */
+async function leerPeriodos(incluirBorradores) {
+    const nominas = await leerNominas();
+    return incluirBorradores ? nominas : nominas.filter(n => n.estado === 'aprobada');
+}
+
+/**
+ * Lee el libro de vacaciones (vacío si no hay archivo)
+ */
+async function leerVacaciones() {
+    try {
+        const data = await fs.readFile(VACACIONES_PATH, 'utf-8');
+        return JSON.parse(data).vacaciones || [];
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw createError('FILE_READ_ERROR', `Error leyendo vacaciones: ${error.message}`);
+    }
+}
+
+/**
+ * Obtiene los parámetros comunes de la consulta
+ */
+function parametrosConsulta(query) {
+    return {
+        fechaCorte: query.fechaCorte || new Date().toISOString().split('T')[0],
+        incluirBorradores: query.incluirBorradores === 'true'
+    };
+}
+
+/**
+ * GET /api/prestaciones
+ * Saldos de prestaciones de todos los empleados activos
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { fechaCorte, incluirBorradores } = parametrosConsulta(req.query);
+
+    const { empleados } = await leerEmpleados();
+    const nominas = await leerPeriodos(incluirBorradores);
+    const vacaciones = await leerVacaciones();
+
+    const advertencias = [];
+    const saldos = empleados
+        .filter(e => e.activo)
+        .map(empleado => {
+            const registros = vacaciones.filter(v => v.cedula === empleado.cedula);
+            const { periodos, advertencias: delEmpleado, ...saldo } =
+                calcularPrestaciones(empleado, nominas, fechaCorte, registros);
+            advertencias.push(...delEmpleado);
+            return saldo;
+        });
+
+    const totales = {
+        prima: redondear(saldos.reduce((sum, s) => sum + s.prima.valor, 0)),
+        cesantias: redondear(saldos.reduce((sum, s) => sum + s.cesantias.valor, 0)),
+        interesesCesantias: redondear(saldos.reduce((sum, s) => sum + s.interesesCesantias.valor, 0)),
+        vacaciones: redondear(saldos.reduce((sum, s) => sum + s.vacaciones.valor, 0)),
+        totalPrestaciones: redondear(saldos.reduce((sum, s) => sum + s.totalPrestaciones, 0))
+    };
+
+    res.json({
+        success: true,
+        data: {
+            fechaCorte,
+            empleados: saldos,
+            totales,
+            advertencias
+        },
+        total: saldos.length
+    });
+}));
+
+/**
+ * GET /api/prestaciones/:cedula
+ * Saldo de prestaciones de un empleado con el detalle por período
+ */
+router.get('/:cedula', asyncHandler(async (req, res) => {
+    const { cedula } = req.params;
+    const { fechaCorte, incluirBorradores } = parametrosConsulta(req.query);
+
+    const { empleados } = await leerEmpleados();
+    const empleado = empleados.find(e => e.cedula === cedula);
+    if (!empleado) {
+        throw createError('EMP_NOT_FOUND', `Empleado con cédula ${cedula} no encontrado`);
+    }
+
+    const nominas = await leerPeriodos(incluirBorradores);
+    const registros = (await leerVacaciones()).filter(v => v.cedula === cedula);
+
+    res.json({
+        success: true,
+        data: calcularPrestaciones(empleado, nominas, fechaCorte, registros)
+    });
+}));
+
+module.exports = router;
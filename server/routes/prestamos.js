@@ -0,0 +1,277 @@
+/**
+ * Rutas de Préstamos y Anticipos - API REST
+ *
+ * Endpoints:
+ * GET  /api/prestamos                   - Listar préstamos (?cedula, ?estado)
+ * GET  /api/prestamos/empleado/:cedula  - Estado de cuenta de los préstamos de un empleado
+ * GET  /api/prestamos/:id               - Estado de cuenta de un préstamo
+ * POST /api/prestamos                   - Registrar un préstamo o anticipo
+ * POST /api/prestamos/:id/abonos        - Abono anticipado ({ valor } o { total: true })
+ * POST /api/prestamos/:id/omitir        - Omitir la cuota de un período ({ periodo, omitir? })
+ * PUT  /api/prestamos/:id/anular        - Anular un préstamo
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { redondear } = require('../services/calculoNomina');
+const { fechasDesdePeriodo } = require('../services/periodos');
+const {
+    validarPrestamo,
+    saldoPrestamo,
+    registrarAbono,
+    estadoDeCuenta
+} = require('../services/calculoPrestamos');
+
+const DATA_PATH = path.join(__dirname, '../data/prestamos.json');
+const EMPLEADOS_PATH = path.join(__dirname, '../data/empleados.json');
+
+/**
+ * Lee los préstamos del archivo JSON
+ */
+async function leerPrestamos() {
+    try {
+        const data = await fs.readFile(DATA_PATH, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            // Si no existe el archivo, crear uno vacío
+            await fs.writeFile(DATA_PATH, JSON.stringify({ prestamos: [] }, null, 2));
+            return { prestamos: [] };
+        }
+        throw createError('FILE_READ_ERROR', `Error leyendo préstamos: ${error.message}`);
+    }
+}
+
+/**
+ * Guarda los préstamos en el archivo JSON
+ */
+async function guardarPrestamos(data) {
+    try {
+        await fs.writeFile(DATA_PATH, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        throw createError('FILE_WRITE_ERROR', `Error guardando préstamos: ${error.message}`);
+    }
+}
+
+/**
+ * Busca un préstamo por id o lanza PREST_NOT_FOUND
+ */
+function buscarPrestamo(data, id) {
+    const prestamo = data.prestamos.find(p => p.id === id);
+    if (!prestamo) {
+        throw createError('PREST_NOT_FOUND', `Préstamo ${id} no encontrado`);
+    }
+    return prestamo;
+}
+
+/**
+ * Verifica que el préstamo admita movimientos
+ */
+function verificarActivo(prestamo) {
+    if (prestamo.estado !== 'activo') {
+        throw createError('VALIDATION_ERROR', `El préstamo está ${prestamo.estado}`);
+    }
+}
+
+/**
+ * GET /api/prestamos
+ * Listar préstamos con su saldo
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { prestamos } = await leerPrestamos();
+    const { cedula, estado } = req.query;
+
+    let resultado = prestamos;
+    if (cedula) {
+        resultado = resultado.filter(p => p.cedula === cedula);
+    }
+    if (estado) {
+        resultado = resultado.filter(p => p.estado === estado);
+    }
+
+    res.json({
+        success: true,
+        data: resultado.map(estadoDeCuenta),
+        total: resultado.length
+    });
+}));
+
+/**
+ * GET /api/prestamos/empleado/:cedula
+ * Estado de cuenta de todos los préstamos de un empleado
+ */
+router.get('/empleado/:cedula', asyncHandler(async (req, res) => {
+    const { cedula } = req.params;
+    const { prestamos } = await leerPrestamos();
+
+    const delEmpleado = prestamos
+        .filter(p => p.cedula === cedula)
+        .map(estadoDeCuenta);
+    const activos = delEmpleado.filter(p => p.estado === 'activo');
+
+    res.json({
+        success: true,
+        data: {
+            cedula,
+            saldoTotal: redondear(activos.reduce((sum, p) => sum + p.saldo, 0)),
+            cuotaPeriodo: redondear(activos.reduce((sum, p) => sum + Math.min(p.valorCuota, p.saldo), 0)),
+            prestamos: delEmpleado
+        }
+    });
+}));
+
+/**
+ * GET /api/prestamos/:id
+ * Estado de cuenta de un préstamo
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    const data = await leerPrestamos();
+    const prestamo = buscarPrestamo(data, req.params.id);
+
+    res.json({
+        success: true,
+        data: estadoDeCuenta(prestamo)
+    });
+}));
+
+/**
+ * POST /api/prestamos
+ * Registrar un préstamo o anticipo
+ *
+ * Body: { cedula, tipo: "prestamo" | "anticipo", monto, numeroCuotas, periodoInicio, observaciones? }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const { cedula, tipo, periodoInicio, observaciones } = req.body;
+    const monto = Number(req.body.monto);
+    const numeroCuotas = Number(req.body.numeroCuotas);
+
+    const errores = validarPrestamo({ cedula, tipo, monto, numeroCuotas, periodoInicio });
+    if (errores.length > 0) {
+        const error = createError('VALIDATION_ERROR', 'Datos del préstamo inválidos');
+        error.details = errores;
+        throw error;
+    }
+
+    const { empleados } = JSON.parse(await fs.readFile(EMPLEADOS_PATH, 'utf-8'));
+    const empleado = empleados.find(e => e.cedula === cedula);
+    if (!empleado) {
+        throw createError('EMP_NOT_FOUND', `Empleado con cédula ${cedula} no encontrado`);
+    }
+
+    const data = await leerPrestamos();
+    const nuevo = {
+        id: crypto.randomUUID(),
+        cedula,
+        nombres: empleado.nombres,
+        tipo,
+        monto: redondear(monto),
+        numeroCuotas,
+        valorCuota: Math.ceil(monto / numeroCuotas),
+        periodoInicio,
+        estado: 'activo',
+        movimientos: [],
+        omitidos: [],
+        observaciones: observaciones || '',
+        creadoAt: new Date().toISOString()
+    };
+
+    data.prestamos.push(nuevo);
+    await guardarPrestamos(data);
+
+    console.log(`[INFO] ${tipo === 'anticipo' ? 'Anticipo' : 'Préstamo'} registrado: ${cedula} - ${nuevo.monto} en ${numeroCuotas} cuotas`);
+
+    res.status(201).json({
+        success: true,
+        message: `${tipo === 'anticipo' ? 'Anticipo' : 'Préstamo'} registrado`,
+        data: estadoDeCuenta(nuevo)
+    });
+}));
+
+/**
+ * POST /api/prestamos/:id/abonos
+ * Abono anticipado por fuera de la nómina
+ *
+ * Body: { valor } o { total: true } para cancelar el saldo
+ */
+router.post('/:id/abonos', asyncHandler(async (req, res) => {
+    const data = await leerPrestamos();
+    const prestamo = buscarPrestamo(data, req.params.id);
+    verificarActivo(prestamo);
+
+    const valor = req.body.total ? saldoPrestamo(prestamo) : Number(req.body.valor);
+    if (!(valor > 0)) {
+        throw createError('VALIDATION_ERROR', 'El valor del abono debe ser mayor a cero');
+    }
+
+    const abonado = registrarAbono(prestamo, valor);
+    prestamo.actualizadoAt = new Date().toISOString();
+    await guardarPrestamos(data);
+
+    console.log(`[INFO] Abono a préstamo ${prestamo.id}: ${abonado} (${prestamo.estado})`);
+
+    res.json({
+        success: true,
+        message: prestamo.estado === 'pagado' ? 'Préstamo cancelado' : 'Abono registrado',
+        data: estadoDeCuenta(prestamo)
+    });
+}));
+
+/**
+ * POST /api/prestamos/:id/omitir
+ * Omitir (o volver a descontar) la cuota de un período
+ *
+ * Body: { periodo: "2024-S10", omitir: true }
+ */
+router.post('/:id/omitir', asyncHandler(async (req, res) => {
+    const { periodo, omitir = true } = req.body;
+    if (!fechasDesdePeriodo(periodo)) {
+        throw createError('VALIDATION_ERROR', 'El período debe tener formato AAAA-SNN o AAAA-MM');
+    }
+
+    const data = await leerPrestamos();
+    const prestamo = buscarPrestamo(data, req.params.id);
+    verificarActivo(prestamo);
+
+    if (omitir && prestamo.movimientos.some(m => m.tipo === 'cuota' && m.periodo === periodo)) {
+        throw createError('VALIDATION_ERROR', `La cuota de ${periodo} ya fue descontada; vuelva a liquidar el período después de omitirla`);
+    }
+
+    const omitidos = (prestamo.omitidos || []).filter(p => p !== periodo);
+    prestamo.omitidos = omitir ? [...omitidos, periodo] : omitidos;
+    prestamo.actualizadoAt = new Date().toISOString();
+    await guardarPrestamos(data);
+
+    res.json({
+        success: true,
+        message: omitir ? `Cuota de ${periodo} omitida` : `Cuota de ${periodo} restablecida`,
+        data: estadoDeCuenta(prestamo)
+    });
+}));
+
+/**
+ * PUT /api/prestamos/:id/anular
+ * Anular un préstamo (no descuenta más cuotas; conserva los movimientos)
+ */
+router.put('/:id/anular', asyncHandler(async (req, res) => {
+    const data = await leerPrestamos();
+    const prestamo = buscarPrestamo(data, req.params.id);
+    if (prestamo.estado === 'anulado') {
+        throw createError('VALIDATION_ERROR', 'El préstamo ya está anulado');
+    }
+
+    prestamo.estado = 'anulado';
+    prestamo.actualizadoAt = new Date().toISOString();
+    await guardarPrestamos(data);
+
+    res.json({
+        success: true,
+        message: 'Préstamo anulado',
+        data: estadoDeCuenta(prestamo)
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,90 @@
+/**
+ * Rutas de Reportes Consolidados - API REST
+ *
+ * Endpoints:
+ * GET /api/reportes/consolidado   - Totales por período, mes o año con su tendencia
+ * GET /api/reportes/horas-extra   - Empleados con más pago de horas extra y recargos
+ *
+ * Query (ambos): desde, hasta (AAAA-MM-DD, sobre la fecha fin del período),
+ * cargo, tipoCuenta, cedula, soloAprobadas=true
+ * Query de /consolidado: agrupacion=periodo|mes|anio
+ * Query de /horas-extra: top=N (por defecto 10)
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const path = require('path');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { validarFiltros, generarReporteConsolidado, topHorasExtra } = require('../services/calculoReportes');
+const { leerNominas } = require('../services/archivoNominas');
+
+const EMPLEADOS_PATH = path.join(__dirname, '../data/empleados.json');
+const CONFIG_PATH = path.join(__dirname, '../data/config.json');
+
+/**
+ * Filtros de la query, validados
+ */
+function leerFiltros(query) {
+    const filtros = {
+        agrupacion: query.agrupacion || undefined,
+        desde: query.desde || undefined,
+        hasta: query.hasta || undefined,
+        cargo: query.cargo || undefined,
+        tipoCuenta: query.tipoCuenta || undefined,
+        cedula: query.cedula || undefined,
+        soloAprobadas: query.soloAprobadas === 'true',
+        top: query.top !== undefined ? Number(query.top) : undefined
+    };
+
+    const errores = validarFiltros(filtros);
+    if (errores.length > 0) {
+        const error = createError('VALIDATION_ERROR', 'Filtros del reporte inválidos');
+        error.details = errores;
+        throw error;
+    }
+    return filtros;
+}
+
+/**
+ * Datos del reporte: nóminas, empleados y configuración
+ */
+async function leerDatos() {
+    const { empleados } = JSON.parse(await fs.readFile(EMPLEADOS_PATH, 'utf-8'));
+    const config = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf-8'));
+    return { nominas: await leerNominas(), empleados, config };
+}
+
+/**
+ * GET /api/reportes/consolidado
+ * Salario, horas extra por tipo, bonificaciones, auxilio, deducciones y costo empleador
+ * por período, mes o año, con la variación frente al grupo anterior
+ */
+router.get('/consolidado', asyncHandler(async (req, res) => {
+    const filtros = leerFiltros(req.query);
+    const { nominas, empleados, config } = await leerDatos();
+
+    res.json({
+        success: true,
+        data: generarReporteConsolidado(nominas, empleados, config, filtros)
+    });
+}));
+
+/**
+ * GET /api/reportes/horas-extra
+ * Empleados con más pago de horas extra y recargos en el rango
+ */
+router.get('/horas-extra', asyncHandler(async (req, res) => {
+    const filtros = leerFiltros(req.query);
+    const { nominas, empleados, config } = await leerDatos();
+
+    const data = topHorasExtra(nominas, empleados, config, filtros);
+
+    res.json({
+        success: true,
+        data,
+        total: data.length
+    });
+}));
+
+module.exports = router;
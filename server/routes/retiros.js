@@ -0,0 +1,203 @@
+/**
+ * Rutas de Retiro y Liquidación Definitiva - API REST
+ *
+ * Endpoints (montadas en /api/empleados/:cedula/retiro):
+ * GET  /api/empleados/:cedula/retiro  - Liquidación definitiva guardada del empleado
+ * POST /api/empleados/:cedula/retiro  - Retirar y liquidar (guardar=false para simular)
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const fs = require('fs').promises;
+const path = require('path');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { calcularLiquidacionDefinitiva } = require('../services/calculoLiquidacionDefinitiva');
+const { resolverParametros } = require('../services/parametrosLegales');
+const { registrarCuotasDelPeriodo } = require('../services/calculoPrestamos');
+const { registrarDescuentosDelPeriodo } = require('../services/calculoDescuentos');
+const { leerNominas } = require('../services/archivoNominas');
+
+const EMPLEADOS_PATH = path.join(__dirname, '../data/empleados.json');
+const CONFIG_PATH = path.join(__dirname, '../data/config.json');
+const VACACIONES_PATH = path.join(__dirname, '../data/vacaciones.json');
+const PRESTAMOS_PATH = path.join(__dirname, '../data/prestamos.json');
+const DESCUENTOS_PATH = path.join(__dirname, '../data/descuentos.json');
+
+/**
+ * Lee los empleados del archivo JSON
+ */
+async function leerEmpleados() {
+    const data = await fs.readFile(EMPLEADOS_PATH, 'utf-8');
+    return JSON.parse(data);
+}
+
+/**
+ * Guarda los empleados en el archivo JSON
+ */
+async function guardarEmpleados(data) {
+    try {
+        await fs.writeFile(EMPLEADOS_PATH, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        throw createError('FILE_WRITE_ERROR', `Error guardando empleados: ${error.message}`);
+    }
+}
+
+/**
+ * Lee la configuración del archivo JSON
+ */
+async function leerConfig() {
+    const data = await fs.readFile(CONFIG_PATH, 'utf-8');
+    return JSON.parse(data);
+}
+
+/**
+ * Lee el libro de vacaciones (vacío si no hay archivo)
+ */
+async function leerVacaciones() {
+    try {
+        const data = await fs.readFile(VACACIONES_PATH, 'utf-8');
+        return JSON.parse(data).vacaciones || [];
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+/**
+ * Lee los préstamos y anticipos (vacío si no hay archivo)
+ */
+async function leerPrestamos() {
+    try {
+        const data = await fs.readFile(PRESTAMOS_PATH, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { prestamos: [] };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Lee las órdenes de embargo y libranza (vacío si no hay archivo)
+ */
+async function leerDescuentos() {
+    try {
+        const data = await fs.readFile(DESCUENTOS_PATH, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { descuentos: [] };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Busca el empleado de la ruta o lanza EMP_NOT_FOUND
+ */
+function buscarEmpleado(data, cedula) {
+    const empleado = data.empleados.find(e => e.cedula === cedula);
+    if (!empleado) {
+        throw createError('EMP_NOT_FOUND', `Empleado con cédula ${cedula} no encontrado`);
+    }
+    return empleado;
+}
+
+/**
+ * GET /api/empleados/:cedula/retiro
+ * Liquidación definitiva guardada al retirar al empleado
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { cedula } = req.params;
+    const empleado = buscarEmpleado(await leerEmpleados(), cedula);
+
+    if (!empleado.liquidacionDefinitiva) {
+        throw createError('RETIRO_NOT_FOUND', `El empleado ${cedula} no tiene liquidación definitiva`);
+    }
+
+    res.json({
+        success: true,
+        data: empleado.liquidacionDefinitiva
+    });
+}));
+
+/**
+ * POST /api/empleados/:cedula/retiro
+ * Liquidar la terminación del contrato
+ *
+ * Body:
+ * {
+ *   fechaRetiro: "2026-03-15",
+ *   motivo: "renuncia" | "justaCausa" | "sinJustaCausa" | "mutuoAcuerdo" | "vencimientoContrato",
+ *   tipoContrato: "indefinido" | "fijo" | "obra",
+ *   fechaFinContrato: "2026-06-30",   // Fijo u obra: vencimiento del plazo o fin estimado de la obra
+ *   observaciones: "",
+ *   guardar: true                     // false: solo calcular
+ * }
+ *
+ * Al guardar, el documento queda en empleado.liquidacionDefinitiva, el
+ * empleado se marca inactivo con su fechaRetiro y lo descontado de préstamos,
+ * embargos y libranzas se registra como el período RETIRO-<fechaRetiro>.
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const { cedula } = req.params;
+    const { fechaRetiro, motivo, fechaFinContrato, observaciones, guardar = true } = req.body;
+
+    const data = await leerEmpleados();
+    const empleado = buscarEmpleado(data, cedula);
+    if (empleado.liquidacionDefinitiva) {
+        throw createError('VALIDATION_ERROR', `El empleado ${cedula} ya fue retirado el ${empleado.fechaRetiro}`);
+    }
+
+    const tipoContrato = req.body.tipoContrato || empleado.tipoContrato;
+    const config = resolverParametros(await leerConfig(), fechaRetiro);
+    const nominas = await leerNominas();
+    const registros = (await leerVacaciones()).filter(v => v.cedula === cedula);
+    const libroPrestamos = await leerPrestamos();
+    const libroDescuentos = await leerDescuentos();
+
+    const liquidacion = calcularLiquidacionDefinitiva(
+        empleado,
+        { fechaRetiro, motivo, tipoContrato, fechaFinContrato },
+        nominas,
+        registros,
+        config,
+        libroPrestamos.prestamos,
+        libroDescuentos.descuentos
+    );
+    liquidacion.observaciones = observaciones || '';
+    liquidacion.liquidadoAt = new Date().toISOString();
+
+    if (guardar) {
+        empleado.liquidacionDefinitiva = liquidacion;
+        empleado.activo = false;
+        empleado.fechaRetiro = fechaRetiro;
+        empleado.motivoRetiro = motivo;
+        empleado.tipoContrato = tipoContrato;
+        empleado.updatedAt = new Date().toISOString();
+        await guardarEmpleados(data);
+
+        const periodoRetiro = `RETIRO-${fechaRetiro}`;
+        if (liquidacion.cuotasPrestamos.length > 0) {
+            registrarCuotasDelPeriodo(libroPrestamos.prestamos, periodoRetiro, [cedula], [liquidacion]);
+            await fs.writeFile(PRESTAMOS_PATH, JSON.stringify(libroPrestamos, null, 2), 'utf-8');
+        }
+        if (liquidacion.descuentos.length > 0) {
+            registrarDescuentosDelPeriodo(libroDescuentos.descuentos, periodoRetiro, [cedula], [liquidacion]);
+            await fs.writeFile(DESCUENTOS_PATH, JSON.stringify(libroDescuentos, null, 2), 'utf-8');
+        }
+
+        console.log(`[INFO] Liquidación definitiva guardada: ${cedula} - retiro ${fechaRetiro} (${motivo})`);
+    }
+
+    res.json({
+        success: true,
+        message: guardar ? 'Liquidación definitiva guardada; empleado retirado' : 'Liquidación definitiva calculada (sin guardar)',
+        data: liquidacion
+    });
+}));
+
+module.exports = router;
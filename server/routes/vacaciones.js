@@ -0,0 +1,204 @@
+/**
+ * Rutas de Vacaciones - API REST
+ *
+ * Endpoints (montadas en /api/empleados/:cedula/vacaciones):
+ * GET  /api/empleados/:cedula/vacaciones      - Saldo y registros de vacaciones (?fechaCorte)
+ * POST /api/empleados/:cedula/vacaciones      - Solicitar disfrute o compensación en dinero
+ * PUT  /api/empleados/:cedula/vacaciones/:id  - Aprobar o anular un registro
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const {
+    diasHabilesVacaciones,
+    diasSuspensionHasta,
+    calcularSaldoVacaciones,
+    validarVacacion,
+    salarioPromedioVacaciones
+} = require('../services/calculoVacaciones');
+const { leerNominas } = require('../services/archivoNominas');
+
+const DATA_PATH = path.join(__dirname, '../data/vacaciones.json');
+const EMPLEADOS_PATH = path.join(__dirname, '../data/empleados.json');
+const CONFIG_PATH = path.join(__dirname, '../data/config.json');
+
+/**
+ * Lee el libro de vacaciones del archivo JSON
+ */
+async function leerVacaciones() {
+    try {
+        const data = await fs.readFile(DATA_PATH, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            // Si no existe el archivo, crear uno vacío
+            await fs.writeFile(DATA_PATH, JSON.stringify({ vacaciones: [] }, null, 2));
+            return { vacaciones: [] };
+        }
+        throw createError('FILE_READ_ERROR', `Error leyendo vacaciones: ${error.message}`);
+    }
+}
+
+/**
+ * Guarda el libro de vacaciones en el archivo JSON
+ */
+async function guardarVacaciones(data) {
+    try {
+        await fs.writeFile(DATA_PATH, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        throw createError('FILE_WRITE_ERROR', `Error guardando vacaciones: ${error.message}`);
+    }
+}
+
+/**
+ * Lee la configuración del archivo JSON
+ */
+async function leerConfig() {
+    const data = await fs.readFile(CONFIG_PATH, 'utf-8');
+    return JSON.parse(data);
+}
+
+/**
+ * Busca el empleado de la ruta o lanza EMP_NOT_FOUND
+ */
+async function buscarEmpleado(cedula) {
+    const data = await fs.readFile(EMPLEADOS_PATH, 'utf-8');
+    const empleado = JSON.parse(data).empleados.find(e => e.cedula === cedula);
+    if (!empleado) {
+        throw createError('EMP_NOT_FOUND', `Empleado con cédula ${cedula} no encontrado`);
+    }
+    return empleado;
+}
+
+/**
+ * Saldo de vacaciones del empleado a una fecha de corte
+ * Los días de licencia no remunerada liquidados hasta el corte no causan vacaciones;
+ * sin fechaIngreso lanza VALIDATION_ERROR
+ */
+function saldoDelEmpleado(empleado, registros, nominas, fechaCorte) {
+    const diasSuspension = diasSuspensionHasta(empleado.cedula, nominas, fechaCorte);
+    return calcularSaldoVacaciones(empleado, registros, fechaCorte, diasSuspension);
+}
+
+/**
+ * GET /api/empleados/:cedula/vacaciones
+ * Saldo y registros de vacaciones del empleado
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { cedula } = req.params;
+    const fechaCorte = req.query.fechaCorte || new Date().toISOString().split('T')[0];
+
+    const empleado = await buscarEmpleado(cedula);
+
+    const { vacaciones } = await leerVacaciones();
+    const config = await leerConfig();
+    const nominas = await leerNominas();
+
+    const registros = vacaciones
+        .filter(v => v.cedula === cedula)
+        .sort((a, b) => (b.fechaInicio || b.creadoAt).localeCompare(a.fechaInicio || a.creadoAt));
+
+    res.json({
+        success: true,
+        data: {
+            ...saldoDelEmpleado(empleado, registros, nominas, fechaCorte),
+            salarioPromedio: salarioPromedioVacaciones(empleado, nominas, fechaCorte, config),
+            registros
+        }
+    });
+}));
+
+/**
+ * POST /api/empleados/:cedula/vacaciones
+ * Registrar una solicitud de vacaciones
+ *
+ * Body (disfrute):      { tipo: "disfrute", fechaInicio, fechaFin, estado?, observaciones? }
+ * Body (compensación):  { tipo: "compensacion", dias, periodo, estado?, observaciones? }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const { cedula } = req.params;
+    const empleado = await buscarEmpleado(cedula);
+
+    const data = await leerVacaciones();
+    const config = await leerConfig();
+    const nominas = await leerNominas();
+
+    const { tipo, fechaInicio, fechaFin, periodo, estado, observaciones } = req.body;
+    const registro = tipo === 'compensacion'
+        ? { tipo, dias: Number(req.body.dias), periodo, estado }
+        : { tipo, fechaInicio, fechaFin, estado };
+    if (tipo === 'disfrute' && fechaInicio && fechaFin && fechaFin >= fechaInicio) {
+        registro.diasHabiles = diasHabilesVacaciones(fechaInicio, fechaFin, config);
+    }
+
+    // El saldo se mide al final de las vacaciones solicitadas (o hoy, para compensaciones)
+    const hoy = new Date().toISOString().split('T')[0];
+    const fechaCorte = tipo === 'disfrute' && fechaFin > hoy ? fechaFin : hoy;
+    const registros = data.vacaciones.filter(v => v.cedula === cedula && v.estado !== 'anulada');
+    const saldo = saldoDelEmpleado(empleado, registros, nominas, fechaCorte);
+
+    const errores = validarVacacion(registro, saldo, registros);
+    if (errores.length > 0) {
+        const error = createError('VALIDATION_ERROR', 'Solicitud de vacaciones inválida');
+        error.details = errores;
+        throw error;
+    }
+
+    const nuevo = {
+        id: crypto.randomUUID(),
+        cedula,
+        ...registro,
+        estado: estado || 'solicitada',
+        observaciones: observaciones || '',
+        creadoAt: new Date().toISOString()
+    };
+
+    data.vacaciones.push(nuevo);
+    await guardarVacaciones(data);
+
+    console.log(`[INFO] Vacaciones registradas: ${cedula} - ${tipo} (${nuevo.estado})`);
+
+    res.status(201).json({
+        success: true,
+        message: 'Vacaciones registradas',
+        data: nuevo
+    });
+}));
+
+/**
+ * PUT /api/empleados/:cedula/vacaciones/:id
+ * Aprobar o anular un registro ({ estado: "aprobada" | "anulada" })
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+    const { cedula, id } = req.params;
+    const { estado } = req.body;
+
+    if (!['aprobada', 'anulada'].includes(estado)) {
+        throw createError('VALIDATION_ERROR', 'El estado debe ser aprobada o anulada');
+    }
+
+    const data = await leerVacaciones();
+    const registro = data.vacaciones.find(v => v.id === id && v.cedula === cedula);
+    if (!registro) {
+        throw createError('VAC_NOT_FOUND', `Registro de vacaciones ${id} no encontrado`);
+    }
+    if (registro.estado === 'anulada' || (registro.estado === 'aprobada' && estado === 'aprobada')) {
+        throw createError('VALIDATION_ERROR', `El registro ya está ${registro.estado}`);
+    }
+
+    registro.estado = estado;
+    registro.actualizadoAt = new Date().toISOString();
+    await guardarVacaciones(data);
+
+    res.json({
+        success: true,
+        message: `Vacaciones ${estado === 'aprobada' ? 'aprobadas' : 'anuladas'}`,
+        data: registro
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,36 @@
+/**
+ * Archivo de Nóminas - Nómina BJ Pro 4.0
+ *
+ * Lectura de los períodos guardados en server/data/nominas (un JSON por
+ * período), compartida por las rutas que recorren el histórico: prestaciones,
+ * vacaciones, retiros, PILA, nómina electrónica, certificados, reportes y
+ * formulario 220.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createError } = require('../middleware/errorHandler');
+
+const NOMINAS_PATH = path.join(__dirname, '../data/nominas');
+
+/**
+ * Lee todos los períodos de nómina guardados
+ * @returns {Promise<Array>} Nóminas en cualquier estado (borrador o aprobada)
+ * @throws FILE_READ_ERROR si no se puede leer el directorio o un archivo
+ */
+async function leerNominas() {
+    try {
+        await fs.mkdir(NOMINAS_PATH, { recursive: true });
+        const files = (await fs.readdir(NOMINAS_PATH)).filter(f => f.endsWith('.json'));
+        return await Promise.all(
+            files.map(async (f) => JSON.parse(await fs.readFile(path.join(NOMINAS_PATH, f), 'utf-8')))
+        );
+    } catch (error) {
+        throw createError('FILE_READ_ERROR', `Error leyendo nóminas: ${error.message}`);
+    }
+}
+
+module.exports = {
+    NOMINAS_PATH,
+    leerNominas
+};
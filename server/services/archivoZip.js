@@ -0,0 +1,181 @@
+/**
+ * Archivo ZIP - Nómina BJ Pro 4.0
+ *
+ * Empaqueta varios archivos en un ZIP (formato PKWARE APPNOTE) comprimidos
+ * con DEFLATE, y lee los archivos de un ZIP (guardados o con DEFLATE), sin
+ * dependencias externas.
+ *
+ * ESTRUCTURA:
+ * - Por archivo: encabezado local (30 bytes + nombre) y datos comprimidos
+ * - Directorio central: una entrada por archivo (46 bytes + nombre)
+ * - Fin del directorio central (22 bytes)
+ *
+ * Los nombres se guardan en UTF-8 (bit 11 de las banderas).
+ */
+
+const zlib = require('zlib');
+const { createError } = require('../middleware/errorHandler');
+
+const FIRMA_LOCAL = 0x04034b50;
+const FIRMA_CENTRAL = 0x02014b50;
+const FIRMA_FIN = 0x06054b50;
+const VERSION = 20;
+const BANDERA_UTF8 = 0x0800;
+const METODO_GUARDADO = 0;
+const METODO_DEFLATE = 8;
+
+// Tabla del CRC-32 (polinomio 0xEDB88320)
+const TABLA_CRC = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 de un buffer
+ * @param {Buffer} buffer - Datos
+ * @returns {number} CRC sin signo
+ */
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = TABLA_CRC[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Fecha y hora en formato MS-DOS
+ * @param {Date} fecha - Fecha de modificación
+ * @returns {Object} { hora, dia }
+ */
+function fechaDos(fecha) {
+    return {
+        hora: (fecha.getHours() << 11) | (fecha.getMinutes() << 5) | Math.floor(fecha.getSeconds() / 2),
+        dia: ((fecha.getFullYear() - 1980) << 9) | ((fecha.getMonth() + 1) << 5) | fecha.getDate()
+    };
+}
+
+/**
+ * Crea un archivo ZIP
+ * @param {Array} archivos - [{ nombre, contenido }] (contenido string o Buffer)
+ * @param {Date} [fecha] - Fecha de modificación de los archivos
+ * @returns {Buffer} Contenido del ZIP
+ */
+function crearZip(archivos, fecha = new Date()) {
+    const { hora, dia } = fechaDos(fecha);
+    const locales = [];
+    const centrales = [];
+    let desplazamiento = 0;
+
+    for (const archivo of archivos) {
+        const nombre = Buffer.from(archivo.nombre, 'utf-8');
+        const datos = Buffer.isBuffer(archivo.contenido) ? archivo.contenido : Buffer.from(archivo.contenido, 'utf-8');
+        const comprimido = zlib.deflateRawSync(datos);
+        const crc = crc32(datos);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(FIRMA_LOCAL, 0);
+        local.writeUInt16LE(VERSION, 4);
+        local.writeUInt16LE(BANDERA_UTF8, 6);
+        local.writeUInt16LE(METODO_DEFLATE, 8);
+        local.writeUInt16LE(hora, 10);
+        local.writeUInt16LE(dia, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(comprimido.length, 18);
+        local.writeUInt32LE(datos.length, 22);
+        local.writeUInt16LE(nombre.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(FIRMA_CENTRAL, 0);
+        central.writeUInt16LE(VERSION, 4);
+        central.writeUInt16LE(VERSION, 6);
+        central.writeUInt16LE(BANDERA_UTF8, 8);
+        central.writeUInt16LE(METODO_DEFLATE, 10);
+        central.writeUInt16LE(hora, 12);
+        central.writeUInt16LE(dia, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(comprimido.length, 20);
+        central.writeUInt32LE(datos.length, 24);
+        central.writeUInt16LE(nombre.length, 28);
+        central.writeUInt32LE(desplazamiento, 42);
+
+        locales.push(local, nombre, comprimido);
+        centrales.push(central, nombre);
+        desplazamiento += local.length + nombre.length + comprimido.length;
+    }
+
+    const directorio = Buffer.concat(centrales);
+    const fin = Buffer.alloc(22);
+    fin.writeUInt32LE(FIRMA_FIN, 0);
+    fin.writeUInt16LE(archivos.length, 8);
+    fin.writeUInt16LE(archivos.length, 10);
+    fin.writeUInt32LE(directorio.length, 12);
+    fin.writeUInt32LE(desplazamiento, 16);
+
+    return Buffer.concat([...locales, directorio, fin]);
+}
+
+/**
+ * Lee los archivos de un ZIP a partir de su directorio central
+ * @param {Buffer} zip - Contenido del ZIP
+ * @returns {Object} { [nombre]: Buffer } con el contenido descomprimido
+ */
+function leerZip(zip) {
+    // El fin del directorio central está en los últimos 22 bytes más el comentario (hasta 64 KB)
+    let fin = -1;
+    for (let i = zip.length - 22; i >= Math.max(0, zip.length - 22 - 0xFFFF); i--) {
+        if (zip.readUInt32LE(i) === FIRMA_FIN) {
+            fin = i;
+            break;
+        }
+    }
+    if (fin === -1) {
+        throw createError('VALIDATION_ERROR', 'El archivo no es un ZIP válido');
+    }
+
+    const archivos = {};
+    const total = zip.readUInt16LE(fin + 10);
+    let posicion = zip.readUInt32LE(fin + 16);
+
+    for (let n = 0; n < total; n++) {
+        if (posicion + 46 > zip.length || zip.readUInt32LE(posicion) !== FIRMA_CENTRAL) {
+            throw createError('VALIDATION_ERROR', 'Directorio central del ZIP dañado');
+        }
+        const metodo = zip.readUInt16LE(posicion + 10);
+        const tamanoComprimido = zip.readUInt32LE(posicion + 20);
+        const largoNombre = zip.readUInt16LE(posicion + 28);
+        const largoExtra = zip.readUInt16LE(posicion + 30);
+        const largoComentario = zip.readUInt16LE(posicion + 32);
+        const desplazamiento = zip.readUInt32LE(posicion + 42);
+        const nombre = zip.toString('utf-8', posicion + 46, posicion + 46 + largoNombre);
+
+        // Los datos empiezan después del encabezado local, que tiene su propio campo extra
+        if (desplazamiento + 30 > zip.length || zip.readUInt32LE(desplazamiento) !== FIRMA_LOCAL) {
+            throw createError('VALIDATION_ERROR', `Encabezado local del ZIP dañado (${nombre})`);
+        }
+        const inicio = desplazamiento + 30 + zip.readUInt16LE(desplazamiento + 26) + zip.readUInt16LE(desplazamiento + 28);
+        const datos = zip.subarray(inicio, inicio + tamanoComprimido);
+
+        if (metodo === METODO_GUARDADO) {
+            archivos[nombre] = datos;
+        } else if (metodo === METODO_DEFLATE) {
+            archivos[nombre] = zlib.inflateRawSync(datos);
+        } else {
+            throw createError('VALIDATION_ERROR', `Método de compresión ${metodo} no soportado (${nombre})`);
+        }
+
+        posicion += 46 + largoNombre + largoExtra + largoComentario;
+    }
+
+    return archivos;
+}
+
+module.exports = {
+    crc32,
+    crearZip,
+    leerZip
+};
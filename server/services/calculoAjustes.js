@@ -0,0 +1,179 @@
+/**
+ * Ajustes de Nómina - Nómina BJ Pro 4.0
+ *
+ * Correcciones de períodos aprobados. La liquidación original no se modifica:
+ * cada corrección queda registrada como un ajuste en nomina.ajustes.
+ *
+ * TIPOS:
+ * - REEMPLAZAR: la liquidación corregida sustituye a la vigente del empleado
+ * - ELIMINAR: el empleado no debió liquidarse en el período
+ *
+ * REGLAS:
+ * - Los ajustes se aplican en orden; el último de cada empleado es el vigente
+ * - Las diferencias se calculan siempre contra la liquidación ORIGINAL
+ *   (diferencia = corregido - original; en una eliminación, corregido = 0)
+ * - Los conceptos calculados que la liquidación original no tiene (IBC y aportes,
+ *   que el motor anterior no guardaba) no se comparan; un devengado o deducción
+ *   que falta vale cero. Las diferencias menores a un peso son redondeo
+ * - Después de eliminar solo se puede reemplazar (volver a incluir al empleado)
+ */
+
+const { redondear } = require('./calculoNomina');
+
+const TIPOS_AJUSTE = ['reemplazar', 'eliminar'];
+
+// Conceptos comparados entre la liquidación original y la corregida
+// calculado: no se compara si la original no lo tiene (liquidada con un motor anterior)
+const CONCEPTOS_AJUSTE = [
+    { campo: 'diasLaborados', descripcion: 'Días laborados' },
+    { campo: 'salarioDevengado', descripcion: 'Salario devengado' },
+    { campo: 'totalExtras', descripcion: 'Horas extra y recargos' },
+    { campo: 'auxDevengado', descripcion: 'Auxilio de transporte' },
+    { campo: 'valorIncapacidades', descripcion: 'Incapacidades' },
+    { campo: 'valorLicencias', descripcion: 'Licencias' },
+    { campo: 'valorVacaciones', descripcion: 'Vacaciones disfrutadas' },
+    { campo: 'valorVacacionesCompensadas', descripcion: 'Vacaciones compensadas' },
+    { campo: 'bonificacion', descripcion: 'Bonificación' },
+    { campo: 'totalDevengado', descripcion: 'Total devengado' },
+    { campo: 'ibcPeriodo', descripcion: 'IBC del período', calculado: true },
+    { campo: 'deduccionSalud', descripcion: 'Salud' },
+    { campo: 'deduccionPension', descripcion: 'Pensión' },
+    { campo: 'deduccionFsp', descripcion: 'Fondo de Solidaridad Pensional' },
+    { campo: 'deduccionRetencion', descripcion: 'Retención en la fuente' },
+    { campo: 'deduccionPrestamo', descripcion: 'Préstamos y anticipos' },
+    { campo: 'deduccionEmbargos', descripcion: 'Embargos' },
+    { campo: 'deduccionLibranzas', descripcion: 'Libranzas' },
+    { campo: 'totalDeducciones', descripcion: 'Total deducciones' },
+    { campo: 'totalNomina', descripcion: 'Total nómina' },
+    { campo: 'totalConsignado', descripcion: 'Total consignado' },
+    { campo: 'aportesEmpleador.totalAportes', descripcion: 'Aportes del empleador', calculado: true }
+];
+
+// Diferencia mínima que se reporta (menos de un peso es redondeo)
+const TOLERANCIA_AJUSTE = 1;
+
+/**
+ * Valor sin convertir de un campo (admite rutas con punto, ej: "aportesEmpleador.totalAportes")
+ */
+function leerCampo(liquidacion, campo) {
+    return campo.split('.').reduce((obj, clave) => obj?.[clave], liquidacion);
+}
+
+/**
+ * Valor de un campo redondeado
+ * Una liquidación eliminada vale cero en todos los conceptos
+ */
+function valorCampo(liquidacion, campo) {
+    if (!liquidacion) return 0;
+    return redondear(leerCampo(liquidacion, campo) || 0);
+}
+
+/**
+ * Valida la solicitud de un ajuste
+ * @param {Object} datos - { cedula, tipo, motivo, novedades? }
+ * @param {Object} nomina - Período de nómina
+ * @returns {Array} Lista de errores encontrados
+ */
+function validarAjuste(datos, nomina) {
+    const errores = [];
+    const { cedula, tipo, motivo, novedades } = datos || {};
+
+    if (!cedula) {
+        errores.push({ campo: 'cedula', mensaje: 'La cédula es requerida' });
+    }
+    if (!TIPOS_AJUSTE.includes(tipo)) {
+        errores.push({ campo: 'tipo', mensaje: `Debe ser uno de: ${TIPOS_AJUSTE.join(', ')}` });
+    }
+    if (!motivo || !String(motivo).trim()) {
+        errores.push({ campo: 'motivo', mensaje: 'Indique el motivo de la corrección' });
+    }
+    if (tipo === 'reemplazar' && (!novedades || typeof novedades !== 'object')) {
+        errores.push({ campo: 'novedades', mensaje: 'Las novedades corregidas son requeridas para reemplazar' });
+    }
+    if (errores.length > 0 || !nomina) return errores;
+
+    if (!nomina.liquidaciones.some(l => l.cedula === cedula)) {
+        errores.push({ campo: 'cedula', mensaje: `El empleado ${cedula} no tiene liquidación en el período` });
+    } else if (tipo === 'eliminar' && !liquidacionVigente(nomina, cedula)) {
+        errores.push({ campo: 'tipo', mensaje: 'La liquidación del empleado ya está eliminada' });
+    }
+
+    return errores;
+}
+
+/**
+ * Liquidación vigente de un empleado: la original o la del último ajuste
+ * @param {Object} nomina - Período de nómina
+ * @param {string} cedula - Cédula del empleado
+ * @returns {Object|null} Liquidación vigente (null si fue eliminada o no existe)
+ */
+function liquidacionVigente(nomina, cedula) {
+    const ajustes = (nomina.ajustes || []).filter(a => a.cedula === cedula);
+    if (ajustes.length > 0) {
+        return ajustes[ajustes.length - 1].liquidacion || null;
+    }
+    return (nomina.liquidaciones || []).find(l => l.cedula === cedula) || null;
+}
+
+/**
+ * Liquidaciones vigentes del período (originales con los ajustes aplicados)
+ * @param {Object} nomina - Período de nómina
+ * @returns {Array} Liquidaciones vigentes (sin las eliminadas)
+ */
+function liquidacionesVigentes(nomina) {
+    return (nomina.liquidaciones || []).map(l => liquidacionVigente(nomina, l.cedula)).filter(Boolean);
+}
+
+/**
+ * Diferencias entre la liquidación original y la corregida
+ * @param {Object} original - Liquidación original
+ * @param {Object|null} corregida - Liquidación corregida (null en una eliminación)
+ * @returns {Array} [{ campo, descripcion, original, corregido, diferencia }] solo los conceptos que
+ *   cambian en un peso o más
+ */
+function compararLiquidaciones(original, corregida) {
+    return CONCEPTOS_AJUSTE
+        .filter(({ campo, calculado }) => !calculado || !original || (leerCampo(original, campo) ?? null) !== null)
+        .map(({ campo, descripcion }) => {
+            const valorOriginal = valorCampo(original, campo);
+            const valorCorregido = valorCampo(corregida, campo);
+            return {
+                campo,
+                descripcion,
+                original: valorOriginal,
+                corregido: valorCorregido,
+                diferencia: redondear(valorCorregido - valorOriginal)
+            };
+        })
+        .filter(d => Math.abs(d.diferencia) >= TOLERANCIA_AJUSTE);
+}
+
+/**
+ * Totales del ajuste: original, corregido y diferencia de los netos
+ * @param {Object} original - Liquidación original
+ * @param {Object|null} corregida - Liquidación corregida (null en una eliminación)
+ * @returns {Object} { totalDevengado, totalDeducciones, totalNomina } con { original, corregido, diferencia }
+ */
+function totalesAjuste(original, corregida) {
+    const totales = {};
+    for (const campo of ['totalDevengado', 'totalDeducciones', 'totalNomina']) {
+        const valorOriginal = valorCampo(original, campo);
+        const valorCorregido = valorCampo(corregida, campo);
+        totales[campo] = {
+            original: valorOriginal,
+            corregido: valorCorregido,
+            diferencia: redondear(valorCorregido - valorOriginal)
+        };
+    }
+    return totales;
+}
+
+module.exports = {
+    TIPOS_AJUSTE,
+    CONCEPTOS_AJUSTE,
+    validarAjuste,
+    liquidacionVigente,
+    liquidacionesVigentes,
+    compararLiquidaciones,
+    totalesAjuste
+};
@@ -0,0 +1,166 @@
+/**
+ * Motor de Aportes del Empleador - Nómina BJ Pro 4.0
+ *
+ * Calcula el costo de seguridad social y parafiscales a cargo de la empresa
+ * para cada liquidación.
+ *
+ * REFERENCIA DE FÓRMULAS (sobre la base salarial: salario devengado + extras):
+ * - SALUD EMPLEADOR = ibcPeriodo * 8.5%
+ * - PENSIÓN EMPLEADOR = ibcPeriodo * 12%
+ * - ARL = base * tarifa de la clase de riesgo (I a V, Decreto 1772 de 1994)
+ * - CAJA DE COMPENSACIÓN = base * 4%
+ * - SENA = base * 2%
+ * - ICBF = base * 3%
+ *
+ * IBC: salud y pensión usan el ibcPeriodo de la liquidación, con el piso de
+ * 1 SMMLV y el tope de 25 SMMLV que ya se aplicaron a la parte del empleado.
+ *
+ * SALARIO INTEGRAL: la base es el 70% de los pagos salariales.
+ *
+ * PAGOS NO SALARIALES: el exceso de la bonificación sobre el 40% de la
+ * remuneración total (Ley 1393 de 2010) es base de salud, pensión y ARL,
+ * no de parafiscales.
+ *
+ * INCAPACIDADES: el valor de la incapacidad es base de salud y pensión;
+ * ARL y parafiscales se liquidan solo sobre los días trabajados.
+ *
+ * LICENCIAS: el valor pagado es base de salud y pensión; las remuneradas por
+ * el empleador (luto, calamidad) también de parafiscales. Ninguna cotiza ARL.
+ * En la licencia no remunerada el empleador cotiza solo su parte de pensión.
+ *
+ * VACACIONES: las disfrutadas son base de salud, pensión y parafiscales (no de ARL);
+ * las compensadas en dinero no son base de aportes.
+ *
+ * EXONERACIÓN LEY 1607 DE 2012 (Art. 114-1 ET):
+ * Los empleados que devengan menos de 10 SMMLV no generan aportes de
+ * salud del empleador, SENA ni ICBF. La Caja de Compensación siempre se paga.
+ */
+
+const { redondear, factorIbc } = require('./calculoNomina');
+
+// Valores legales usados cuando config.json no los define
+const APORTES_DEFAULT = {
+    saludPct: 8.5,
+    pensionPct: 12,
+    cajaPct: 4,
+    senaPct: 2,
+    icbfPct: 3,
+    exoneracionLey1607: true,
+    topeExoneracionSmmlv: 10
+};
+
+const ARL_TARIFAS_DEFAULT = {
+    I: 0.522,
+    II: 1.044,
+    III: 2.436,
+    IV: 4.35,
+    V: 6.96
+};
+
+const CLASES_RIESGO = Object.keys(ARL_TARIFAS_DEFAULT);
+
+/**
+ * Combina los porcentajes de la configuración con los valores por defecto
+ * @param {Object} config - Configuración del sistema
+ * @returns {Object} { aportes, arlTarifas }
+ */
+function obtenerParametrosAportes(config) {
+    return {
+        aportes: { ...APORTES_DEFAULT, ...(config.aportesEmpleador || {}) },
+        arlTarifas: { ...ARL_TARIFAS_DEFAULT, ...(config.arlTarifas || {}) }
+    };
+}
+
+/**
+ * Calcula los aportes del empleador sobre una liquidación
+ * @param {Object} empleado - Datos del empleado (claseRiesgo)
+ * @param {Object} liquidacion - Resultado de calcularNominaSemanal
+ * @param {Object} config - Configuración del sistema
+ * @returns {Object} Detalle de aportes del empleador
+ */
+function calcularAportesEmpleador(empleado, liquidacion, config) {
+    const { aportes, arlTarifas } = obtenerParametrosAportes(config);
+
+    const claseRiesgo = CLASES_RIESGO.includes(empleado?.claseRiesgo) ? empleado.claseRiesgo : 'I';
+    const tarifaArl = arlTarifas[claseRiesgo];
+
+    // Base de aportes: solo pagos salariales (sin auxilio ni bonificación)
+    // El indicador de salario integral de la liquidación prevalece sobre el actual del empleado
+    const integral = liquidacion.salarioIntegral ?? empleado?.salarioIntegral;
+    const excesoNoSalarial = liquidacion.ibc?.excesoNoSalarial || 0;
+    const baseSalarialRiesgos = ((liquidacion.salarioDevengado || 0) + (liquidacion.totalExtras || 0)) *
+        factorIbc({ salarioIntegral: integral });
+    const baseRiesgos = baseSalarialRiesgos + excesoNoSalarial;
+    const licencias = liquidacion.licencias || [];
+    const baseVacaciones = (liquidacion.valorVacaciones || 0) * factorIbc({ salarioIntegral: integral });
+    const baseParafiscales = baseSalarialRiesgos + baseVacaciones + licencias
+        .filter(l => l.aportes === 'completos')
+        .reduce((sum, l) => sum + (l.valor || 0), 0);
+    const basePensionEmpleador = licencias.reduce((sum, l) => sum + (l.basePensionEmpleador || 0), 0);
+
+    // Salud y pensión sobre el mismo IBC de la parte del empleado (liquidaciones anteriores al IBC: base sin límites)
+    const base = liquidacion.ibcPeriodo ??
+        baseRiesgos + baseVacaciones + (liquidacion.valorIncapacidades || 0) + (liquidacion.valorLicencias || 0);
+    const basePension = Math.min(base + basePensionEmpleador, liquidacion.ibc?.maximo ?? Infinity);
+
+    // Exoneración Ley 1607: salario mensual inferior al tope en SMMLV
+    const exonerado = aportes.exoneracionLey1607 &&
+        liquidacion.salarioBase < config.smmlv * aportes.topeExoneracionSmmlv;
+
+    const salud = exonerado ? 0 : base * (aportes.saludPct / 100);
+    const pension = basePension * (aportes.pensionPct / 100);
+    const arl = baseRiesgos * (tarifaArl / 100);
+    const caja = baseParafiscales * (aportes.cajaPct / 100);
+    const sena = exonerado ? 0 : baseParafiscales * (aportes.senaPct / 100);
+    const icbf = exonerado ? 0 : baseParafiscales * (aportes.icbfPct / 100);
+
+    const totalSeguridadSocial = salud + pension + arl;
+    const totalParafiscales = caja + sena + icbf;
+
+    return {
+        base: redondear(base),
+        basePension: redondear(basePension),
+        baseParafiscales: redondear(baseParafiscales),
+        baseRiesgos: redondear(baseRiesgos),
+        basePensionEmpleador: redondear(basePensionEmpleador),
+        claseRiesgo,
+        tarifaArl,
+        exoneradoLey1607: exonerado,
+        salud: redondear(salud),
+        pension: redondear(pension),
+        arl: redondear(arl),
+        caja: redondear(caja),
+        sena: redondear(sena),
+        icbf: redondear(icbf),
+        totalSeguridadSocial: redondear(totalSeguridadSocial),
+        totalParafiscales: redondear(totalParafiscales),
+        totalAportes: redondear(totalSeguridadSocial + totalParafiscales)
+    };
+}
+
+/**
+ * Suma los aportes de varias liquidaciones
+ * @param {Array} liquidaciones - Liquidaciones con aportesEmpleador
+ * @returns {Object} Totales por concepto
+ */
+function totalizarAportes(liquidaciones) {
+    const conceptos = ['base', 'basePension', 'baseParafiscales', 'baseRiesgos', 'basePensionEmpleador', 'salud', 'pension', 'arl', 'caja', 'sena', 'icbf',
+        'totalSeguridadSocial', 'totalParafiscales', 'totalAportes'];
+
+    const totales = {};
+    for (const concepto of conceptos) {
+        totales[concepto] = redondear(
+            liquidaciones.reduce((sum, l) => sum + (l.aportesEmpleador?.[concepto] || 0), 0)
+        );
+    }
+    return totales;
+}
+
+module.exports = {
+    APORTES_DEFAULT,
+    ARL_TARIFAS_DEFAULT,
+    CLASES_RIESGO,
+    obtenerParametrosAportes,
+    calcularAportesEmpleador,
+    totalizarAportes
+};
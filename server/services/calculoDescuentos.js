@@ -0,0 +1,247 @@
+/**
+ * Embargos Judiciales y Libranzas - Nómina BJ Pro 4.0
+ *
+ * Aplica las órdenes de descuento registradas en server/data/descuentos.json
+ * respetando los límites legales sobre el salario del período.
+ *
+ * BASE: salario neto = devengado salarial - salud - pensión - FSP - retención
+ * (sin auxilio de transporte ni bonificación)
+ *
+ * LÍMITES:
+ * - EMBARGO ORDINARIO: solo la quinta parte del salario que excede el mínimo
+ *   (Arts. 154 y 155 CST); el mínimo es el SMMLV proporcional a los días
+ * - ALIMENTOS: hasta el 50% del salario neto, incluido el mínimo (Art. 156 CST)
+ * - Los embargos judiciales juntos no superan el 50% del salario neto
+ * - LIBRANZA: el empleado debe recibir al menos el 50% del salario neto
+ *   después de todos los descuentos (Ley 1527 de 2012, Art. 3)
+ *
+ * ORDEN: alimentos, embargos ordinarios y libranzas; dentro de cada tipo por
+ * prioridad (1 = primero). Una orden porcentual se calcula sobre el salario neto,
+ * o sobre el excedente del mínimo si es un embargo ordinario.
+ */
+
+const { fechasDesdePeriodo } = require('./periodos');
+
+const TIPOS_DESCUENTO = ['alimentos', 'embargo', 'libranza'];
+const ESTADOS_DESCUENTO = ['activo', 'suspendido', 'terminado'];
+
+// Porcentajes máximos sobre el salario neto
+const LIMITE_EMBARGOS_PCT = 50;
+const LIMITE_LIBRANZAS_PCT = 50;
+const QUINTA_PARTE = 5;
+
+/**
+ * Valida una orden de descuento
+ * @param {Object} orden - { tipo, beneficiario, prioridad?, valor?, porcentaje?, montoTotal?, periodoInicio? }
+ * @param {string} [campo] - Prefijo del campo en los mensajes (ej: "ordenesDescuento[0]")
+ * @returns {Array} Lista de errores encontrados
+ */
+function validarOrden(orden, campo = '') {
+    const errores = [];
+    const prefijo = campo ? `${campo}.` : '';
+
+    if (!orden || !TIPOS_DESCUENTO.includes(orden.tipo)) {
+        errores.push({ campo: `${prefijo}tipo`, mensaje: `Debe ser uno de: ${TIPOS_DESCUENTO.join(', ')}` });
+        return errores;
+    }
+    if (!orden.beneficiario) {
+        errores.push({ campo: `${prefijo}beneficiario`, mensaje: 'Indique el juzgado o acreedor' });
+    }
+    if (orden.prioridad !== undefined && (!Number.isInteger(orden.prioridad) || orden.prioridad < 1)) {
+        errores.push({ campo: `${prefijo}prioridad`, mensaje: 'Debe ser un entero mayor a cero' });
+    }
+
+    const tieneValor = orden.valor !== undefined && orden.valor !== null;
+    const tienePorcentaje = orden.porcentaje !== undefined && orden.porcentaje !== null;
+    if (tieneValor === tienePorcentaje) {
+        errores.push({ campo: `${prefijo}valor`, mensaje: 'Indique un valor fijo o un porcentaje' });
+    } else if (tieneValor && !(orden.valor > 0)) {
+        errores.push({ campo: `${prefijo}valor`, mensaje: 'Debe ser mayor a cero' });
+    } else if (tienePorcentaje && !(orden.porcentaje > 0 && orden.porcentaje <= 100)) {
+        errores.push({ campo: `${prefijo}porcentaje`, mensaje: 'Debe estar entre 0 y 100' });
+    }
+
+    if (orden.montoTotal !== undefined && orden.montoTotal !== null && !(orden.montoTotal > 0)) {
+        errores.push({ campo: `${prefijo}montoTotal`, mensaje: 'Debe ser mayor a cero' });
+    }
+    if (orden.periodoInicio && !fechasDesdePeriodo(orden.periodoInicio)) {
+        errores.push({ campo: `${prefijo}periodoInicio`, mensaje: 'Debe ser un período AAAA-SNN o AAAA-MM' });
+    }
+
+    return errores;
+}
+
+/**
+ * Aplica las órdenes de descuento de un período con los límites legales
+ * @param {Array} ordenes - [{ ordenId, tipo, prioridad, beneficiario, referencia, valor?, porcentaje?, saldo? }]
+ * @param {Object} salario - { salarioNeto, salarioMinimo, netoDisponible }
+ * @returns {Array} [{ ordenId, tipo, beneficiario, referencia, solicitado, valor, limitado }]
+ */
+function aplicarDescuentos(ordenes, { salarioNeto, salarioMinimo, netoDisponible }) {
+    const excedente = Math.max(0, salarioNeto - salarioMinimo);
+    const limiteEmbargos = salarioNeto * LIMITE_EMBARGOS_PCT / 100;
+    const limiteOrdinario = excedente / QUINTA_PARTE;
+    const minimoEmpleado = salarioNeto * (100 - LIMITE_LIBRANZAS_PCT) / 100;
+
+    const ordenadas = [...ordenes].sort((a, b) =>
+        TIPOS_DESCUENTO.indexOf(a.tipo) - TIPOS_DESCUENTO.indexOf(b.tipo) ||
+        (a.prioridad || 1) - (b.prioridad || 1));
+
+    let embargos = 0;
+    let ordinarios = 0;
+    let total = 0;
+
+    return ordenadas.map(orden => {
+        const base = orden.tipo === 'embargo' ? excedente : salarioNeto;
+        let solicitado = orden.porcentaje ? base * orden.porcentaje / 100 : orden.valor;
+        if (orden.saldo !== undefined && orden.saldo !== null) {
+            solicitado = Math.min(solicitado, orden.saldo);
+        }
+
+        let limite = Math.max(0, netoDisponible - total);
+        if (orden.tipo === 'libranza') {
+            limite = Math.min(limite, salarioNeto - minimoEmpleado - total);
+        } else {
+            limite = Math.min(limite, limiteEmbargos - embargos);
+            if (orden.tipo === 'embargo') {
+                limite = Math.min(limite, limiteOrdinario - ordinarios);
+            }
+        }
+
+        const valor = Math.max(0, Math.min(solicitado, limite));
+        total += valor;
+        if (orden.tipo !== 'libranza') embargos += valor;
+        if (orden.tipo === 'embargo') ordinarios += valor;
+
+        return {
+            ordenId: orden.ordenId,
+            tipo: orden.tipo,
+            beneficiario: orden.beneficiario,
+            referencia: orden.referencia || '',
+            solicitado,
+            valor,
+            limitado: valor < solicitado
+        };
+    });
+}
+
+/**
+ * Valor ya descontado de una orden
+ * @param {Object} orden - Orden con aplicaciones
+ * @param {string} [excluirPeriodo] - Ignorar lo descontado en este período (para reliquidarlo)
+ * @returns {number} Total descontado
+ */
+function totalAplicado(orden, excluirPeriodo) {
+    return (orden.aplicaciones || [])
+        .filter(a => a.periodo !== excluirPeriodo)
+        .reduce((sum, a) => sum + a.valor, 0);
+}
+
+/**
+ * Órdenes de un empleado que se descuentan en un período, como novedad para el motor
+ * @param {Array} ordenes - Todas las órdenes de descuento
+ * @param {string} cedula - Cédula del empleado
+ * @param {string} periodo - Identificador del período
+ * @returns {Array} Órdenes activas con saldo (vacío si no hay)
+ */
+function ordenesDelPeriodo(ordenes, cedula, periodo) {
+    const inicio = fechasDesdePeriodo(periodo)?.fechaInicio || periodo;
+
+    return ordenes
+        .filter(o => o.cedula === cedula && o.estado === 'activo')
+        .filter(o => !o.periodoInicio || (fechasDesdePeriodo(o.periodoInicio)?.fechaInicio || o.periodoInicio) <= inicio)
+        .map(o => {
+            const saldo = o.montoTotal ? Math.max(0, o.montoTotal - totalAplicado(o, periodo)) : undefined;
+            return {
+                ordenId: o.id,
+                tipo: o.tipo,
+                prioridad: o.prioridad,
+                beneficiario: o.beneficiario,
+                referencia: o.referencia,
+                valor: o.valor ?? undefined,
+                porcentaje: o.porcentaje ?? undefined,
+                saldo
+            };
+        })
+        .filter(o => o.saldo === undefined || o.saldo > 0);
+}
+
+/**
+ * Registra lo descontado en un período a las órdenes de los empleados liquidados
+ * Volver a liquidar el período reemplaza lo registrado antes
+ * @param {Array} ordenes - Todas las órdenes (se modifican)
+ * @param {string} periodo - Identificador del período
+ * @param {Array} cedulas - Empleados cuyo período se liquidó
+ * @param {Array} liquidaciones - Liquidaciones con descuentos
+ */
+function registrarDescuentosDelPeriodo(ordenes, periodo, cedulas, liquidaciones) {
+    const descontados = {};
+    for (const liquidacion of liquidaciones) {
+        for (const descuento of liquidacion.descuentos || []) {
+            if (descuento.ordenId) descontados[descuento.ordenId] = descuento.valor;
+        }
+    }
+
+    for (const orden of ordenes.filter(o => cedulas.includes(o.cedula))) {
+        orden.aplicaciones = (orden.aplicaciones || []).filter(a => a.periodo !== periodo);
+        if (descontados[orden.id] > 0) {
+            orden.aplicaciones.push({ periodo, valor: descontados[orden.id], fecha: new Date().toISOString() });
+        }
+    }
+}
+
+/**
+ * Reporte de valores retenidos por juzgado o acreedor
+ * @param {Array} ordenes - Órdenes de descuento
+ * @param {string} [periodo] - Solo lo descontado en este período (todos si se omite)
+ * @returns {Array} [{ beneficiario, tipo, cuentaDeposito, total, detalle }]
+ */
+function reporteDescuentos(ordenes, periodo) {
+    const grupos = new Map();
+
+    for (const orden of ordenes) {
+        const aplicaciones = (orden.aplicaciones || []).filter(a => !periodo || a.periodo === periodo);
+        if (aplicaciones.length === 0) continue;
+
+        const clave = `${orden.tipo}|${orden.beneficiario}`;
+        if (!grupos.has(clave)) {
+            grupos.set(clave, {
+                beneficiario: orden.beneficiario,
+                tipo: orden.tipo,
+                cuentaDeposito: orden.cuentaDeposito || '',
+                total: 0,
+                detalle: []
+            });
+        }
+        const grupo = grupos.get(clave);
+        for (const aplicacion of aplicaciones) {
+            grupo.total += aplicacion.valor;
+            grupo.detalle.push({
+                ordenId: orden.id,
+                cedula: orden.cedula,
+                nombres: orden.nombres,
+                referencia: orden.referencia || '',
+                periodo: aplicacion.periodo,
+                valor: aplicacion.valor
+            });
+        }
+    }
+
+    return [...grupos.values()]
+        .map(g => ({ ...g, total: Math.round(g.total * 100) / 100 }))
+        .sort((a, b) => TIPOS_DESCUENTO.indexOf(a.tipo) - TIPOS_DESCUENTO.indexOf(b.tipo) ||
+            a.beneficiario.localeCompare(b.beneficiario));
+}
+
+module.exports = {
+    TIPOS_DESCUENTO,
+    ESTADOS_DESCUENTO,
+    LIMITE_EMBARGOS_PCT,
+    LIMITE_LIBRANZAS_PCT,
+    validarOrden,
+    aplicarDescuentos,
+    totalAplicado,
+    ordenesDelPeriodo,
+    registrarDescuentosDelPeriodo,
+    reporteDescuentos
+};
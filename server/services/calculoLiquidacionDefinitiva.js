@@ -0,0 +1,320 @@
+/**
+ * Liquidación Definitiva - Nómina BJ Pro 4.0
+ *
+ * Liquida lo que se le debe a un empleado al terminar el contrato, a partir
+ * de los períodos de nómina guardados y del libro de vacaciones.
+ *
+ * CONCEPTOS:
+ * - SALARIO PENDIENTE = días desde el último período liquidado hasta la fecha
+ *   de retiro, liquidados con el motor de nómina (con salud y pensión)
+ * - PRIMA, CESANTÍAS E INTERESES = causados a la fecha de retiro (ver calculoPrestaciones.js),
+ *   incluyendo los días pendientes
+ * - VACACIONES = saldo del libro de vacaciones * salario promedio / 30 (Art. 189 CST)
+ * - INDEMNIZACIÓN (Art. 64 CST, Ley 789 de 2002) solo si el motivo es sinJustaCausa:
+ *   - Indefinido, salario < 10 SMMLV: 30 días el primer año + 20 por cada año adicional (proporcional)
+ *   - Indefinido, salario >= 10 SMMLV: 20 días el primer año + 15 por cada año adicional (proporcional)
+ *   - Término fijo: salarios del tiempo que falta para el vencimiento del plazo
+ *   - Obra o labor: salarios del tiempo que falta para terminar la obra, mínimo 15 días
+ * - DESCUENTOS: embargos y libranzas activos con los límites de calculoDescuentos.js
+ *   (las cesantías y sus intereses no son embargables, Art. 344 CST) y luego el
+ *   saldo de los préstamos activos, hasta donde alcance el neto
+ *
+ * Solo se leen los períodos aprobados; un período en borrador antes del retiro
+ * debe aprobarse primero.
+ */
+
+const { createError } = require('../middleware/errorHandler');
+const { parsearFecha, formatearFecha, fechasDeNomina, diasEntre, dias360 } = require('./periodos');
+const { calcularNominaSemanal, redondear } = require('./calculoNomina');
+const { calcularPrestaciones } = require('./calculoPrestaciones');
+const { liquidacionVigente } = require('./calculoAjustes');
+const { saldoPrestamo } = require('./calculoPrestamos');
+const { aplicarDescuentos, ordenesDelPeriodo } = require('./calculoDescuentos');
+const {
+    diasSuspensionHasta,
+    calcularSaldoVacaciones,
+    salarioPromedioVacaciones
+} = require('./calculoVacaciones');
+
+const MOTIVOS_RETIRO = ['renuncia', 'justaCausa', 'sinJustaCausa', 'mutuoAcuerdo', 'vencimientoContrato'];
+const TIPOS_CONTRATO = ['indefinido', 'fijo', 'obra'];
+
+// Días de indemnización por despido sin justa causa en contrato indefinido
+const INDEMNIZACION_INDEFINIDO = {
+    menosDe10Smmlv: { primerAnio: 30, anioAdicional: 20 },
+    desde10Smmlv: { primerAnio: 20, anioAdicional: 15 }
+};
+const INDEMNIZACION_MINIMA_OBRA = 15;
+
+/**
+ * Valida los datos del retiro
+ * @param {Object} empleado - Datos del empleado
+ * @param {Object} retiro - { fechaRetiro, motivo, tipoContrato, fechaFinContrato? }
+ * @returns {Array} Lista de errores encontrados
+ */
+function validarRetiro(empleado, retiro) {
+    const errores = [];
+    const { fechaRetiro, motivo, tipoContrato, fechaFinContrato } = retiro;
+
+    if (!empleado.fechaIngreso) {
+        errores.push({ campo: 'fechaIngreso', mensaje: 'El empleado no tiene fecha de ingreso' });
+    }
+    if (!parsearFecha(fechaRetiro)) {
+        errores.push({ campo: 'fechaRetiro', mensaje: 'Debe ser una fecha AAAA-MM-DD válida' });
+    } else if (empleado.fechaIngreso && fechaRetiro < empleado.fechaIngreso) {
+        errores.push({ campo: 'fechaRetiro', mensaje: 'No puede ser anterior a la fecha de ingreso' });
+    }
+    if (!MOTIVOS_RETIRO.includes(motivo)) {
+        errores.push({ campo: 'motivo', mensaje: `Debe ser uno de: ${MOTIVOS_RETIRO.join(', ')}` });
+    }
+    if (!TIPOS_CONTRATO.includes(tipoContrato)) {
+        errores.push({ campo: 'tipoContrato', mensaje: `Debe ser uno de: ${TIPOS_CONTRATO.join(', ')}` });
+    }
+    if (motivo === 'sinJustaCausa' && tipoContrato !== 'indefinido' &&
+        !(parsearFecha(fechaFinContrato) && fechaFinContrato >= fechaRetiro)) {
+        errores.push({ campo: 'fechaFinContrato', mensaje: 'Indique la fecha de vencimiento del contrato o de terminación de la obra' });
+    }
+    if (motivo === 'vencimientoContrato' && tipoContrato === 'indefinido') {
+        errores.push({ campo: 'motivo', mensaje: 'Un contrato a término indefinido no vence' });
+    }
+
+    return errores;
+}
+
+/**
+ * Indemnización por terminación sin justa causa (Art. 64 CST)
+ * @param {Object} empleado - Datos del empleado (fechaIngreso)
+ * @param {Object} retiro - { fechaRetiro, motivo, tipoContrato, fechaFinContrato }
+ * @param {number} salario - Salario mensual
+ * @param {Object} config - Parámetros vigentes (smmlv)
+ * @returns {Object} { aplica, dias, salarioDiario, valor, detalle }
+ */
+function calcularIndemnizacion(empleado, retiro, salario, config) {
+    const salarioDiario = salario / 30;
+    if (retiro.motivo !== 'sinJustaCausa') {
+        return { aplica: false, dias: 0, salarioDiario: redondear(salarioDiario), valor: 0, detalle: 'No aplica' };
+    }
+
+    let dias;
+    let detalle;
+    if (retiro.tipoContrato === 'indefinido') {
+        const escala = salario < config.smmlv * 10
+            ? INDEMNIZACION_INDEFINIDO.menosDe10Smmlv
+            : INDEMNIZACION_INDEFINIDO.desde10Smmlv;
+        const diasServicio = dias360(empleado.fechaIngreso, retiro.fechaRetiro);
+        const adicionales = Math.max(0, diasServicio - 360) / 360 * escala.anioAdicional;
+        dias = escala.primerAnio + adicionales;
+        detalle = `${escala.primerAnio} días el primer año + ${escala.anioAdicional} por año adicional (${diasServicio} días de servicio)`;
+    } else {
+        // Tiempo faltante desde el día siguiente al retiro
+        const retiroDate = parsearFecha(retiro.fechaRetiro);
+        const siguiente = formatearFecha(new Date(retiroDate.getTime() + 24 * 60 * 60 * 1000));
+        const faltantes = retiro.fechaFinContrato >= siguiente ? dias360(siguiente, retiro.fechaFinContrato) : 0;
+        dias = retiro.tipoContrato === 'obra' ? Math.max(INDEMNIZACION_MINIMA_OBRA, faltantes) : faltantes;
+        detalle = `${faltantes} días faltantes hasta ${retiro.fechaFinContrato}` +
+            (retiro.tipoContrato === 'obra' ? ` (mínimo ${INDEMNIZACION_MINIMA_OBRA})` : '');
+    }
+
+    return {
+        aplica: true,
+        dias: redondear(dias),
+        salarioDiario: redondear(salarioDiario),
+        valor: redondear(salarioDiario * dias),
+        detalle
+    };
+}
+
+/**
+ * Período sin liquidar entre el último período guardado del empleado y la fecha de retiro
+ * @param {Object} empleado - Datos del empleado
+ * @param {Array} nominas - Períodos de nómina guardados
+ * @param {string} fechaRetiro - Fecha de retiro (AAAA-MM-DD)
+ * @returns {Object} { desde, hasta, dias }
+ */
+function periodoPendiente(empleado, nominas, fechaRetiro) {
+    let ultimo = null;
+    for (const nomina of nominas) {
+        if (!liquidacionVigente(nomina, empleado.cedula)) continue;
+        const { fechaFin } = fechasDeNomina(nomina);
+        if (fechaFin && (!ultimo || fechaFin > ultimo)) ultimo = fechaFin;
+    }
+
+    let desde = empleado.fechaIngreso;
+    if (ultimo) {
+        const siguiente = new Date(parsearFecha(ultimo).getTime() + 24 * 60 * 60 * 1000);
+        desde = formatearFecha(siguiente);
+    }
+
+    return { desde, hasta: fechaRetiro, dias: desde <= fechaRetiro ? diasEntre(desde, fechaRetiro) : 0 };
+}
+
+/**
+ * Saldo de los préstamos activos del empleado, descontado hasta donde alcance el neto
+ * @param {Array} prestamos - Todos los préstamos
+ * @param {string} cedula - Cédula del empleado
+ * @param {number} disponible - Neto disponible después de los demás descuentos
+ * @returns {Array} [{ prestamoId, tipo, valor, saldoAnterior, saldoPendiente }]
+ */
+function cuotasDeRetiro(prestamos, cedula, disponible) {
+    return prestamos
+        .filter(p => p.cedula === cedula && p.estado === 'activo')
+        .map(p => {
+            const saldoAnterior = saldoPrestamo(p);
+            const valor = Math.max(0, Math.min(saldoAnterior, disponible));
+            disponible -= valor;
+            return {
+                prestamoId: p.id,
+                tipo: p.tipo,
+                valor: redondear(valor),
+                saldoAnterior,
+                saldoPendiente: redondear(saldoAnterior - valor)
+            };
+        })
+        .filter(c => c.saldoAnterior > 0);
+}
+
+/**
+ * Calcula la liquidación definitiva de un empleado
+ * @param {Object} empleado - Datos del empleado
+ * @param {Object} retiro - { fechaRetiro, motivo, tipoContrato, fechaFinContrato? }
+ * @param {Array} nominas - Períodos de nómina guardados (solo se usan los aprobados)
+ * @param {Array} registrosVacaciones - Registros del libro de vacaciones del empleado
+ * @param {Object} config - Parámetros vigentes en la fecha de retiro
+ * @param {Array} [prestamos] - Préstamos y anticipos (se descuenta el saldo de los activos)
+ * @param {Array} [ordenesDescuento] - Órdenes de embargo y libranza
+ * @returns {Object} Documento de liquidación definitiva
+ */
+function calcularLiquidacionDefinitiva(empleado, retiro, nominas, registrosVacaciones, config,
+    prestamos = [], ordenesDescuento = []) {
+    const errores = validarRetiro(empleado, retiro);
+    if (errores.length > 0) {
+        const error = createError('VALIDATION_ERROR', 'Datos del retiro inválidos');
+        error.details = errores;
+        throw error;
+    }
+
+    const { fechaRetiro } = retiro;
+    const salario = empleado.esSalarioMinimo ? config.smmlv : (empleado.salarioBase || config.smmlv);
+
+    // 1. Salario de los días sin liquidar
+    const posterior = nominas.find(n => liquidacionVigente(n, empleado.cedula) &&
+        fechasDeNomina(n).fechaInicio > fechaRetiro);
+    if (posterior) {
+        throw createError('VALIDATION_ERROR',
+            `El empleado tiene liquidado el período ${posterior.periodo}, posterior a la fecha de retiro`);
+    }
+    const borrador = nominas.find(n => n.estado !== 'aprobada' && liquidacionVigente(n, empleado.cedula));
+    if (borrador) {
+        throw createError('VALIDATION_ERROR',
+            `El período ${borrador.periodo} está en borrador; apruébelo antes de liquidar el retiro`);
+    }
+    const aprobadas = nominas.filter(n => n.estado === 'aprobada');
+    const pendiente = periodoPendiente(empleado, aprobadas, fechaRetiro);
+    if (pendiente.dias > 30) {
+        throw createError('VALIDATION_ERROR',
+            `Hay ${pendiente.dias} días sin liquidar desde ${pendiente.desde}; liquide primero los períodos anteriores al retiro`);
+    }
+    const liquidacionPendiente = pendiente.dias > 0
+        ? calcularNominaSemanal(empleado, { diasLaborados: pendiente.dias }, config)
+        : null;
+
+    // 2. Prestaciones a la fecha de retiro, incluyendo los días pendientes
+    const conPendiente = liquidacionPendiente
+        ? [...aprobadas, { periodo: `RETIRO-${fechaRetiro}`, fechaInicio: pendiente.desde, fechaFin: fechaRetiro, liquidaciones: [liquidacionPendiente] }]
+        : aprobadas;
+    const prestaciones = calcularPrestaciones(empleado, conPendiente, fechaRetiro, registrosVacaciones);
+
+    // 3. Vacaciones pendientes según el libro de vacaciones
+    const diasSuspension = diasSuspensionHasta(empleado.cedula, aprobadas, fechaRetiro);
+    const saldoVacaciones = calcularSaldoVacaciones(empleado, registrosVacaciones, fechaRetiro, diasSuspension);
+    const salarioVacaciones = salarioPromedioVacaciones(empleado, aprobadas, fechaRetiro, config);
+    // Las vacaciones programadas después del retiro ya no se disfrutan: se compensan
+    const diasVacaciones = Math.max(0, saldoVacaciones.saldo + saldoVacaciones.programados);
+    const valorVacaciones = diasVacaciones * salarioVacaciones / 30;
+
+    // 4. Indemnización
+    const indemnizacion = calcularIndemnizacion(empleado, retiro, salario, config);
+
+    const salarioPendiente = {
+        desde: pendiente.desde,
+        hasta: pendiente.hasta,
+        dias: pendiente.dias,
+        salario: liquidacionPendiente?.salarioDevengado || 0,
+        auxilio: liquidacionPendiente?.auxDevengado || 0,
+        deduccionSalud: liquidacionPendiente?.deduccionSalud || 0,
+        deduccionPension: liquidacionPendiente?.deduccionPension || 0,
+        deduccionFsp: liquidacionPendiente?.deduccionFsp || 0,
+        deduccionRetencion: liquidacionPendiente?.deduccionRetencion || 0
+    };
+
+    const totalDevengado = salarioPendiente.salario + salarioPendiente.auxilio +
+        prestaciones.prima.valor + prestaciones.cesantias.valor + prestaciones.interesesCesantias.valor +
+        valorVacaciones + indemnizacion.valor;
+    const deduccionesLey = salarioPendiente.deduccionSalud + salarioPendiente.deduccionPension +
+        salarioPendiente.deduccionFsp + salarioPendiente.deduccionRetencion;
+
+    // 5. Embargos y libranzas, luego el saldo de los préstamos
+    const netoEmbargable = totalDevengado - salarioPendiente.auxilio - prestaciones.cesantias.valor -
+        prestaciones.interesesCesantias.valor - deduccionesLey;
+    const descuentos = aplicarDescuentos(ordenesDelPeriodo(ordenesDescuento, empleado.cedula, fechaRetiro), {
+        salarioNeto: Math.max(0, netoEmbargable),
+        salarioMinimo: config.smmlv / 30 * pendiente.dias,
+        netoDisponible: Math.max(0, totalDevengado - deduccionesLey)
+    });
+    const deduccionEmbargos = descuentos.filter(d => d.tipo !== 'libranza').reduce((sum, d) => sum + d.valor, 0);
+    const deduccionLibranzas = descuentos.filter(d => d.tipo === 'libranza').reduce((sum, d) => sum + d.valor, 0);
+    const cuotasPrestamos = cuotasDeRetiro(prestamos, empleado.cedula,
+        Math.max(0, totalDevengado - deduccionesLey - deduccionEmbargos - deduccionLibranzas));
+    const deduccionPrestamo = cuotasPrestamos.reduce((sum, c) => sum + c.valor, 0);
+
+    const totalDeducciones = deduccionesLey + deduccionEmbargos + deduccionLibranzas + deduccionPrestamo;
+
+    return {
+        cedula: empleado.cedula,
+        nombres: empleado.nombres,
+        cargo: empleado.cargo || '',
+        fechaIngreso: empleado.fechaIngreso,
+        fechaRetiro,
+        motivo: retiro.motivo,
+        tipoContrato: retiro.tipoContrato,
+        fechaFinContrato: retiro.fechaFinContrato || null,
+        diasServicio: dias360(empleado.fechaIngreso, fechaRetiro),
+        salarioBase: salario,
+        salarioIntegral: empleado.salarioIntegral === true,
+
+        salarioPendiente,
+        prima: prestaciones.prima,
+        cesantias: prestaciones.cesantias,
+        interesesCesantias: prestaciones.interesesCesantias,
+        vacaciones: {
+            causados: saldoVacaciones.causados,
+            disfrutados: saldoVacaciones.disfrutados,
+            compensados: saldoVacaciones.compensados,
+            dias: redondear(diasVacaciones),
+            base: salarioVacaciones,
+            valor: redondear(valorVacaciones)
+        },
+        indemnizacion,
+
+        deduccionEmbargos: redondear(deduccionEmbargos),
+        deduccionLibranzas: redondear(deduccionLibranzas),
+        descuentos: descuentos.map(d => ({ ...d, solicitado: redondear(d.solicitado), valor: redondear(d.valor) })),
+        deduccionPrestamo: redondear(deduccionPrestamo),
+        cuotasPrestamos,
+
+        totalDevengado: redondear(totalDevengado),
+        totalDeducciones: redondear(totalDeducciones),
+        netoPagar: redondear(totalDevengado - totalDeducciones),
+        smmlv: config.smmlv,
+        year: config.year
+    };
+}
+
+module.exports = {
+    MOTIVOS_RETIRO,
+    TIPOS_CONTRATO,
+    INDEMNIZACION_INDEFINIDO,
+    validarRetiro,
+    calcularIndemnizacion,
+    calcularLiquidacionDefinitiva
+};
@@ -0,0 +1,247 @@
+/**
+ * Clasificación de Marcaciones - Nómina BJ Pro 4.0
+ *
+ * Convierte registros de entrada/salida en las novedades de horas que
+ * espera calcularNominaSemanal.
+ *
+ * REGLAS:
+ * - Jornada nocturna: entre config.jornada.inicioNocturno y finNocturno
+ *   (por defecto 19:00 a 06:00, Ley 2466 de 2025)
+ * - Horas ordinarias por día: config.jornada.horasDiarias
+ *   (por defecto horaDivisor / 30, ej: 220 / 30 = 7.33 horas)
+ * - Las horas que superan la jornada diaria son extras (diurnas o nocturnas)
+ * - Un domingo o festivo (config.festivos) trabajado genera un dominical
+ *   (con o sin compensatorio según la marcación) y sus extras son dominicales
+ * - Las horas ordinarias nocturnas, incluso en domingo, generan recargo nocturno
+ * - Los turnos que pasan la medianoche se clasifican minuto a minuto con la
+ *   fecha calendario real; la jornada diaria se cuenta por la fecha de entrada
+ */
+
+const { createError } = require('../middleware/errorHandler');
+const { parsearFecha, formatearFecha, DIAS_NO_HABILES } = require('./periodos');
+
+// diasNoHabiles no se usa al clasificar marcaciones: es la base de licencias y vacaciones por días hábiles
+const JORNADA_DEFAULT = {
+    inicioNocturno: '19:00',
+    finNocturno: '06:00',
+    diasNoHabiles: DIAS_NO_HABILES
+};
+
+const FORMATO_HORA = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Convierte "HH:MM" a minutos del día
+ */
+function aMinutos(hora) {
+    const [h, m] = hora.split(':').map(Number);
+    return h * 60 + m;
+}
+
+/**
+ * Valida una marcación
+ * @param {Object} marcacion - { cedula, fecha, entrada, salida }
+ * @returns {Array} Lista de errores encontrados
+ */
+function validarMarcacion(marcacion) {
+    const errores = [];
+
+    if (!marcacion || !marcacion.cedula) {
+        errores.push({ campo: 'cedula', mensaje: 'La cédula es requerida' });
+    }
+    if (!parsearFecha(marcacion?.fecha)) {
+        errores.push({ campo: 'fecha', mensaje: 'Debe tener formato AAAA-MM-DD' });
+    }
+    if (!FORMATO_HORA.test(marcacion?.entrada || '')) {
+        errores.push({ campo: 'entrada', mensaje: 'Debe tener formato HH:MM (24 horas)' });
+    }
+    if (!FORMATO_HORA.test(marcacion?.salida || '')) {
+        errores.push({ campo: 'salida', mensaje: 'Debe tener formato HH:MM (24 horas)' });
+    }
+    if (errores.length === 0 && marcacion.entrada === marcacion.salida) {
+        errores.push({ campo: 'salida', mensaje: 'La salida no puede ser igual a la entrada' });
+    }
+
+    return errores;
+}
+
+/**
+ * Horas ordinarias de un día (config.jornada.horasDiarias o horaDivisor / 30)
+ * @param {Object} config - Configuración o parámetros del período
+ * @returns {number} Horas por día
+ */
+function horasDiarias(config) {
+    return config.jornada?.horasDiarias || (config.horaDivisor || 240) / 30;
+}
+
+/**
+ * Obtiene los parámetros de jornada de la configuración
+ * @param {Object} config - Configuración del sistema
+ * @returns {Object} { inicioNocturno, finNocturno, minutosDiarios }
+ */
+function obtenerJornada(config) {
+    const jornada = { ...JORNADA_DEFAULT, ...(config.jornada || {}) };
+
+    return {
+        inicioNocturno: aMinutos(jornada.inicioNocturno),
+        finNocturno: aMinutos(jornada.finNocturno),
+        minutosDiarios: Math.round(horasDiarias(config) * 60)
+    };
+}
+
+/**
+ * Clasifica un conjunto de marcaciones de un empleado
+ * @param {Array} marcaciones - Marcaciones { fecha, entrada, salida, compensado }
+ * @param {Object} config - Configuración del sistema (jornada, festivos, horaDivisor)
+ * @returns {Object} { novedades, resumen, detalle }
+ */
+function clasificarMarcaciones(marcaciones, config) {
+    const { inicioNocturno, finNocturno, minutosDiarios } = obtenerJornada(config);
+    const festivos = new Set(config.festivos || []);
+
+    const esNocturno = (minutoDia) => inicioNocturno > finNocturno
+        ? (minutoDia >= inicioNocturno || minutoDia < finNocturno)
+        : (minutoDia >= inicioNocturno && minutoDia < finNocturno);
+
+    const minutos = {
+        ordinariaDiurna: 0,
+        recargoNocturno: 0,
+        extraDiurna: 0,
+        extraNocturna: 0,
+        extraDomDiurna: 0,
+        extraDomNocturna: 0,
+        dominicalDiurna: 0
+    };
+    const minutosPorDia = new Map();
+    const dominicales = new Map(); // fecha -> compensado
+    const detalle = [];
+
+    const ordenadas = [...marcaciones].sort((a, b) =>
+        (a.fecha + a.entrada).localeCompare(b.fecha + b.entrada)
+    );
+
+    for (const marcacion of ordenadas) {
+        const errores = validarMarcacion(marcacion);
+        if (errores.length > 0) {
+            const error = createError('VALIDATION_ERROR', `Marcación inválida del ${marcacion.fecha}`);
+            error.details = errores;
+            throw error;
+        }
+
+        const inicio = aMinutos(marcacion.entrada);
+        let fin = aMinutos(marcacion.salida);
+        if (fin <= inicio) fin += 24 * 60; // Turno que pasa la medianoche
+
+        const base = parsearFecha(marcacion.fecha);
+        const clasificacion = { ordinarias: 0, nocturnas: 0, extras: 0, dominicales: 0 };
+
+        for (let t = inicio; t < fin; t++) {
+            const fechaReal = new Date(base.getTime() + Math.floor(t / 1440) * 24 * 60 * 60 * 1000);
+            const fechaIso = formatearFecha(fechaReal);
+            const minutoDia = t % 1440;
+
+            const domFest = fechaReal.getUTCDay() === 0 || festivos.has(fechaIso);
+            const nocturno = esNocturno(minutoDia);
+
+            const trabajados = minutosPorDia.get(marcacion.fecha) || 0;
+            const extra = trabajados >= minutosDiarios;
+            minutosPorDia.set(marcacion.fecha, trabajados + 1);
+
+            if (extra) {
+                clasificacion.extras++;
+                if (domFest) {
+                    minutos[nocturno ? 'extraDomNocturna' : 'extraDomDiurna']++;
+                } else {
+                    minutos[nocturno ? 'extraNocturna' : 'extraDiurna']++;
+                }
+                continue;
+            }
+
+            clasificacion.ordinarias++;
+            if (domFest) {
+                clasificacion.dominicales++;
+                if (!dominicales.has(fechaIso)) dominicales.set(fechaIso, marcacion.compensado === true);
+            }
+            if (nocturno) {
+                clasificacion.nocturnas++;
+                minutos.recargoNocturno++;
+            } else if (domFest) {
+                minutos.dominicalDiurna++;
+            } else {
+                minutos.ordinariaDiurna++;
+            }
+        }
+
+        detalle.push({
+            fecha: marcacion.fecha,
+            entrada: marcacion.entrada,
+            salida: marcacion.salida,
+            horas: redondearHoras(fin - inicio),
+            ordinarias: redondearHoras(clasificacion.ordinarias),
+            nocturnas: redondearHoras(clasificacion.nocturnas),
+            extras: redondearHoras(clasificacion.extras),
+            dominicales: redondearHoras(clasificacion.dominicales)
+        });
+    }
+
+    const diasDominicales = [...dominicales.values()];
+
+    return {
+        novedades: {
+            horasExtraDiurna: redondearHoras(minutos.extraDiurna),
+            horasExtraNocturna: redondearHoras(minutos.extraNocturna),
+            horasRecargoNocturno: redondearHoras(minutos.recargoNocturno),
+            horasExtraDomDiurna: redondearHoras(minutos.extraDomDiurna),
+            horasExtraDomNocturna: redondearHoras(minutos.extraDomNocturna),
+            dominicalSinComp: diasDominicales.filter(c => !c).length,
+            dominicalConComp: diasDominicales.filter(c => c).length
+        },
+        resumen: {
+            diasConMarcacion: minutosPorDia.size,
+            horasTotales: redondearHoras([...minutosPorDia.values()].reduce((sum, m) => sum + m, 0)),
+            horasOrdinariasDiurnas: redondearHoras(minutos.ordinariaDiurna + minutos.dominicalDiurna),
+            horasJornadaDiaria: redondearHoras(minutosDiarios)
+        },
+        detalle
+    };
+}
+
+/**
+ * Agrupa las marcaciones de un rango de fechas por empleado y las clasifica
+ * @param {Array} marcaciones - Todas las marcaciones registradas
+ * @param {string} desde - Fecha inicial (AAAA-MM-DD), inclusive
+ * @param {string} hasta - Fecha final (AAAA-MM-DD), inclusive
+ * @param {Object} config - Configuración del sistema
+ * @param {string} [cedula] - Limitar a un empleado
+ * @returns {Array} [{ cedula, novedades, resumen, detalle }]
+ */
+function clasificarPorEmpleado(marcaciones, desde, hasta, config, cedula) {
+    const porEmpleado = new Map();
+
+    for (const m of marcaciones) {
+        if (m.fecha < desde || m.fecha > hasta) continue;
+        if (cedula && m.cedula !== cedula) continue;
+        if (!porEmpleado.has(m.cedula)) porEmpleado.set(m.cedula, []);
+        porEmpleado.get(m.cedula).push(m);
+    }
+
+    return [...porEmpleado.entries()].map(([ced, lista]) => ({
+        cedula: ced,
+        ...clasificarMarcaciones(lista, config)
+    }));
+}
+
+/**
+ * Convierte minutos a horas con 2 decimales
+ */
+function redondearHoras(minutos) {
+    return Math.round(minutos / 60 * 100) / 100;
+}
+
+module.exports = {
+    JORNADA_DEFAULT,
+    FORMATO_HORA,
+    horasDiarias,
+    validarMarcacion,
+    clasificarMarcaciones,
+    clasificarPorEmpleado
+};
@@ -18,9 +18,129 @@
  * - HORA EXTRA DOM/FEST NOCTURNA = horaOrdinaria * 2.50
  * - DOMINICAL SIN COMP = (salario/30) * 1.75
  * - DOMINICAL CON COMP = (salario/30) * 0.75
+ * - IBC = pagos salariales + exceso de pagos no salariales sobre el 40% (Ley 1393 de 2010),
+ *   mínimo SMMLV proporcional, máximo 25 SMMLV; salud y pensión = IBC * %
+ * - FONDO DE SOLIDARIDAD PENSIONAL = IBC período * % según rango en SMMLV (desde 4 SMMLV)
+ * - SALARIO INTEGRAL = mínimo 13 SMMLV, aportes sobre el 70%, sin auxilio de transporte
+ * - INCAPACIDADES = días excluidos del salario ordinario, pagados según origen (ver INCAPACIDAD_TRAMOS)
+ * - LICENCIAS = días excluidos del salario ordinario, pagados y cotizados según el tipo (ver LICENCIA_TIPOS)
+ * - VACACIONES = días calendario pagados con el salario promedio en vez del salario ordinario
+ * - VACACIONES COMPENSADAS = días * salario promedio / 30, sin aportes a seguridad social
+ * - RETENCIÓN EN LA FUENTE = procedimiento 1 (ver calculoRetencion.js)
+ * - EMBARGOS Y LIBRANZAS = sobre el salario neto con los límites legales (ver calculoDescuentos.js)
  */
 
 const { createError } = require('../middleware/errorHandler');
+const { parsearFecha, diasEntre, diasHabilesConfig } = require('./periodos');
+const { calcularRetencionFuente } = require('./calculoRetencion');
+const { validarOrden, aplicarDescuentos } = require('./calculoDescuentos');
+
+// Tipos de ausencia reportables en PILA: incapacidad general, licencia de
+// maternidad/paternidad, vacaciones, suspensión/licencia no remunerada e
+// incapacidad por riesgo laboral
+const TIPOS_AUSENCIA = ['IGE', 'LMA', 'VAC', 'SLN', 'IRL'];
+
+// Fondo de Solidaridad Pensional (Art. 27 Ley 100, modificado por Ley 797 de 2003)
+// Rangos sobre el IBC mensual en SMMLV, usados cuando config.json no define fondoSolidaridad
+const FONDO_SOLIDARIDAD_DEFAULT = [
+    { desdeSmmlv: 4, hastaSmmlv: 16, pct: 1 },
+    { desdeSmmlv: 16, hastaSmmlv: 17, pct: 1.2 },
+    { desdeSmmlv: 17, hastaSmmlv: 18, pct: 1.4 },
+    { desdeSmmlv: 18, hastaSmmlv: 19, pct: 1.6 },
+    { desdeSmmlv: 19, hastaSmmlv: 20, pct: 1.8 },
+    { desdeSmmlv: 20, hastaSmmlv: null, pct: 2 }
+];
+
+// Ingreso base de cotización (Art. 30 Ley 1393 de 2010 y Art. 18 Ley 100 de 1993):
+// los pagos no constitutivos de salario que superen el 40% de la remuneración total
+// se suman al IBC, que no puede ser inferior a 1 SMMLV ni superior a 25 SMMLV
+const IBC_LIMITES = {
+    noSalarialPct: 40,
+    minimoSmmlv: 1,
+    maximoSmmlv: 25
+};
+
+// Reglas del IBC por versión. Cada período congela la versión con que se liquidó
+// (parametros.reglasIbc), así un ajuste posterior no aplica reglas que no usó el original:
+// 1: motor original, salud y pensión sobre el salario devengado (sin horas extras),
+//    sin límite del 40%, sin piso ni tope, sin Fondo de Solidaridad Pensional y sin retención en la fuente
+// 2: IBC con horas extras, límite del 40%, piso de 1 SMMLV, tope de 25 SMMLV, FSP y retención
+const REGLAS_IBC = {
+    1: { incluyeExtras: false, noSalarialPct: null, minimoSmmlv: 0, maximoSmmlv: null, fsp: false, retencion: false },
+    2: { incluyeExtras: true, ...IBC_LIMITES, fsp: true, retencion: true }
+};
+
+const REGLAS_IBC_VIGENTES = 2;
+
+// Salario integral (Art. 132 CST y Art. 49 Ley 789 de 2002): mínimo 10 SMMLV
+// más el factor prestacional (30%), y aportes sobre el 70% del salario
+const SALARIO_INTEGRAL = {
+    minimoSmmlv: 13,
+    factorIbcPct: 70
+};
+
+// Incapacidades: quién paga y qué porcentaje del IBC diario, según el día de la incapacidad
+// - Común (Art. 227 CST, Decreto 2943 de 2013): días 1-2 el empleador, desde el día 3 la EPS
+//   (66.67% hasta el día 90, 50% hasta el 180, luego el fondo de pensiones). Nunca menos del SMMLV diario.
+// - Laboral (Ley 776 de 2002): la ARL paga el 100%, también con piso de SMMLV diario
+const INCAPACIDAD_TRAMOS = {
+    comun: [
+        { hastaDia: 2, pagador: 'EMPLEADOR', pct: 66.67 },
+        { hastaDia: 90, pagador: 'EPS', pct: 66.67 },
+        { hastaDia: 180, pagador: 'EPS', pct: 50 },
+        { hastaDia: null, pagador: 'AFP', pct: 50 }
+    ],
+    laboral: [
+        { hastaDia: null, pagador: 'ARL', pct: 100 }
+    ]
+};
+
+const ORIGENES_INCAPACIDAD = Object.keys(INCAPACIDAD_TRAMOS);
+
+// Licencias: quién paga, duración máxima y qué aportes genera cada tipo
+// - maternidad: 18 semanas (Ley 1822 de 2017), paternidad: 2 semanas (Ley 2114 de 2021); las paga la EPS
+// - luto: 5 días hábiles (Ley 1280 de 2009); calamidad doméstica (Art. 57 CST); las paga el empleador
+// - noRemunerada: suspende el contrato (Art. 51 CST); sin salario, el empleador sigue cotizando su parte de pensión
+// aportes: 'completos' (salud, pensión y parafiscales), 'seguridadSocial' (salud y pensión), 'pensionEmpleador'
+// Ninguna licencia cotiza ARL
+const LICENCIA_TIPOS = {
+    maternidad: { pagador: 'EPS', maxDias: 126, aportes: 'seguridadSocial', pila: 'LMA' },
+    paternidad: { pagador: 'EPS', maxDias: 14, aportes: 'seguridadSocial', pila: 'LMA' },
+    luto: { pagador: 'EMPLEADOR', maxDias: 5, diasHabiles: true, aportes: 'completos', pila: 'VAC' },
+    calamidad: { pagador: 'EMPLEADOR', maxDias: null, aportes: 'completos', pila: 'VAC' },
+    noRemunerada: { pagador: null, maxDias: null, aportes: 'pensionEmpleador', pila: 'SLN' }
+};
+
+/**
+ * Porcentaje del devengado salarial que es base de aportes (IBC)
+ * @param {Object} empleado - Datos del empleado (salarioIntegral)
+ * @returns {number} Factor entre 0 y 1
+ */
+function factorIbc(empleado) {
+    return empleado?.salarioIntegral ? SALARIO_INTEGRAL.factorIbcPct / 100 : 1;
+}
+
+/**
+ * Reglas del IBC con que se liquida (o se liquidó) un período
+ * @param {Object} config - Configuración o parámetros congelados del período (reglasIbc)
+ * @returns {Object} { incluyeExtras, noSalarialPct, minimoSmmlv, maximoSmmlv, fsp, retencion }
+ */
+function obtenerReglasIbc(config) {
+    return REGLAS_IBC[config?.reglasIbc] || REGLAS_IBC[REGLAS_IBC_VIGENTES];
+}
+
+/**
+ * Exceso de los pagos no salariales sobre el límite del 40% (Ley 1393 de 2010)
+ * @param {number} pagosSalariales - Pagos constitutivos de salario del período
+ * @param {number} pagosNoSalariales - Pagos no constitutivos de salario (bonificación)
+ * @param {Object} [reglas] - Reglas del IBC (por defecto las vigentes)
+ * @returns {number} Valor que se suma al IBC (0 si no se supera el límite o las reglas no lo aplican)
+ */
+function excesoNoSalarial(pagosSalariales, pagosNoSalariales, reglas = IBC_LIMITES) {
+    if (reglas.noSalarialPct === null) return 0;
+    const limite = (pagosSalariales + pagosNoSalariales) * reglas.noSalarialPct / 100;
+    return Math.max(0, pagosNoSalariales - limite);
+}
 
 /**
  * Valida los datos de entrada para el cálculo
@@ -45,7 +165,7 @@ function validarDatos(empleado, novedades, config) {
 
     const { diasLaborados, horasExtraDiurna, horasExtraNocturna, prestamo, bonificacion } = novedades;
 
-    if (diasLaborados === undefined || diasLaborados < 0 || diasLaborados > 30) {
+    if (diasLaborados === undefined || !Number.isFinite(Number(diasLaborados)) || diasLaborados < 0 || diasLaborados > 30) {
         errores.push({ campo: 'diasLaborados', mensaje: 'Debe estar entre 0 y 30' });
     }
 
@@ -65,9 +185,155 @@ function validarDatos(empleado, novedades, config) {
         errores.push({ campo: 'bonificacion', mensaje: 'No puede ser negativo' });
     }
 
+    if (novedades.cuotasPrestamos !== undefined) {
+        if (!Array.isArray(novedades.cuotasPrestamos)) {
+            errores.push({ campo: 'cuotasPrestamos', mensaje: 'Debe ser una lista' });
+        } else {
+            novedades.cuotasPrestamos.forEach((cuota, i) => {
+                if (!cuota || typeof cuota.valor !== 'number' || cuota.valor < 0) {
+                    errores.push({ campo: `cuotasPrestamos[${i}].valor`, mensaje: 'Debe ser un número no negativo' });
+                }
+            });
+        }
+    }
+
+    if (novedades.ordenesDescuento !== undefined) {
+        if (!Array.isArray(novedades.ordenesDescuento)) {
+            errores.push({ campo: 'ordenesDescuento', mensaje: 'Debe ser una lista' });
+        } else {
+            novedades.ordenesDescuento.forEach((orden, i) => {
+                errores.push(...validarOrden(orden, `ordenesDescuento[${i}]`));
+            });
+        }
+    }
+
+    if (novedades.ausencias !== undefined) {
+        if (!Array.isArray(novedades.ausencias)) {
+            errores.push({ campo: 'ausencias', mensaje: 'Debe ser una lista' });
+        } else {
+            novedades.ausencias.forEach((ausencia, i) => {
+                if (!ausencia || !TIPOS_AUSENCIA.includes(ausencia.tipo)) {
+                    errores.push({ campo: `ausencias[${i}].tipo`, mensaje: `Debe ser uno de: ${TIPOS_AUSENCIA.join(', ')}` });
+                    return;
+                }
+                if (!parsearFecha(ausencia.fechaInicio) || !parsearFecha(ausencia.fechaFin) ||
+                    ausencia.fechaFin < ausencia.fechaInicio) {
+                    errores.push({ campo: `ausencias[${i}]`, mensaje: 'fechaInicio y fechaFin deben ser fechas AAAA-MM-DD válidas' });
+                }
+            });
+        }
+    }
+
+    if (novedades.incapacidades !== undefined) {
+        if (!Array.isArray(novedades.incapacidades)) {
+            errores.push({ campo: 'incapacidades', mensaje: 'Debe ser una lista' });
+        } else {
+            let diasIncapacidad = 0;
+            novedades.incapacidades.forEach((incapacidad, i) => {
+                if (!incapacidad || !ORIGENES_INCAPACIDAD.includes(incapacidad.origen)) {
+                    errores.push({ campo: `incapacidades[${i}].origen`, mensaje: `Debe ser uno de: ${ORIGENES_INCAPACIDAD.join(', ')}` });
+                    return;
+                }
+                if (!parsearFecha(incapacidad.fechaInicio) || !parsearFecha(incapacidad.fechaFin) ||
+                    incapacidad.fechaFin < incapacidad.fechaInicio) {
+                    errores.push({ campo: `incapacidades[${i}]`, mensaje: 'fechaInicio y fechaFin deben ser fechas AAAA-MM-DD válidas' });
+                    return;
+                }
+                const diasPrevios = incapacidad.diasPrevios ?? 0;
+                if (!Number.isInteger(diasPrevios) || diasPrevios < 0) {
+                    errores.push({ campo: `incapacidades[${i}].diasPrevios`, mensaje: 'Debe ser un entero positivo' });
+                }
+                diasIncapacidad += diasEntre(incapacidad.fechaInicio, incapacidad.fechaFin);
+            });
+            if (diasIncapacidad > (diasLaborados ?? 7)) {
+                errores.push({ campo: 'incapacidades', mensaje: 'Los días de incapacidad no pueden superar los días del período' });
+            }
+        }
+    }
+
+    if (novedades.licencias !== undefined) {
+        if (!Array.isArray(novedades.licencias)) {
+            errores.push({ campo: 'licencias', mensaje: 'Debe ser una lista' });
+        } else {
+            novedades.licencias.forEach((licencia, i) => {
+                const tipo = LICENCIA_TIPOS[licencia?.tipo];
+                if (!tipo) {
+                    errores.push({ campo: `licencias[${i}].tipo`, mensaje: `Debe ser uno de: ${Object.keys(LICENCIA_TIPOS).join(', ')}` });
+                    return;
+                }
+                if (!parsearFecha(licencia.fechaInicio) || !parsearFecha(licencia.fechaFin) ||
+                    licencia.fechaFin < licencia.fechaInicio) {
+                    errores.push({ campo: `licencias[${i}]`, mensaje: 'fechaInicio y fechaFin deben ser fechas AAAA-MM-DD válidas' });
+                    return;
+                }
+                const diasPrevios = licencia.diasPrevios ?? 0;
+                if (!Number.isInteger(diasPrevios) || diasPrevios < 0) {
+                    errores.push({ campo: `licencias[${i}].diasPrevios`, mensaje: 'Debe ser un entero positivo' });
+                    return;
+                }
+                const dias = tipo.diasHabiles
+                    ? diasHabilesConfig(licencia.fechaInicio, licencia.fechaFin, config)
+                    : diasEntre(licencia.fechaInicio, licencia.fechaFin);
+                if (tipo.maxDias && diasPrevios + dias > tipo.maxDias) {
+                    errores.push({
+                        campo: `licencias[${i}]`,
+                        mensaje: `La licencia de ${licencia.tipo} no puede superar ${tipo.maxDias} días${tipo.diasHabiles ? ' hábiles' : ''}`
+                    });
+                }
+            });
+        }
+    }
+
+    if (novedades.vacaciones !== undefined) {
+        if (!Array.isArray(novedades.vacaciones)) {
+            errores.push({ campo: 'vacaciones', mensaje: 'Debe ser una lista' });
+        } else {
+            novedades.vacaciones.forEach((vacacion, i) => {
+                if (!vacacion || !parsearFecha(vacacion.fechaInicio) || !parsearFecha(vacacion.fechaFin) ||
+                    vacacion.fechaFin < vacacion.fechaInicio) {
+                    errores.push({ campo: `vacaciones[${i}]`, mensaje: 'fechaInicio y fechaFin deben ser fechas AAAA-MM-DD válidas' });
+                    return;
+                }
+                if (!(vacacion.salarioPromedio > 0)) {
+                    errores.push({ campo: `vacaciones[${i}].salarioPromedio`, mensaje: 'Debe ser mayor a cero' });
+                }
+            });
+        }
+    }
+
+    if (novedades.vacacionesCompensadas !== undefined) {
+        const { dias, salarioPromedio } = novedades.vacacionesCompensadas || {};
+        if (!Number.isInteger(dias) || dias <= 0) {
+            errores.push({ campo: 'vacacionesCompensadas.dias', mensaje: 'Debe ser un entero mayor a cero' });
+        }
+        if (!(salarioPromedio > 0)) {
+            errores.push({ campo: 'vacacionesCompensadas.salarioPromedio', mensaje: 'Debe ser mayor a cero' });
+        }
+    }
+
+    // Incapacidades, licencias y vacaciones: días dentro del período y sin cruces entre sí
+    const rangos = [...(novedades.incapacidades || []), ...(novedades.licencias || []), ...(novedades.vacaciones || [])]
+        .filter(r => r && parsearFecha(r.fechaInicio) && parsearFecha(r.fechaFin))
+        .sort((a, b) => a.fechaInicio.localeCompare(b.fechaInicio));
+    if ((novedades.licencias || []).length > 0 || (novedades.vacaciones || []).length > 0) {
+        const diasFuera = rangos.reduce((sum, r) => sum + diasEntre(r.fechaInicio, r.fechaFin), 0);
+        if (diasFuera > (diasLaborados ?? 7)) {
+            errores.push({ campo: 'licencias', mensaje: 'Los días de incapacidades, licencias y vacaciones no pueden superar los días del período' });
+        }
+    }
+    if (rangos.some((r, i) => i > 0 && r.fechaInicio <= rangos[i - 1].fechaFin)) {
+        errores.push({ campo: 'licencias', mensaje: 'Las incapacidades, licencias y vacaciones no pueden cruzarse en fechas' });
+    }
+
     // Validar config
     if (!config || !config.smmlv) {
         errores.push({ campo: 'config', mensaje: 'Configuración del sistema no disponible' });
+    } else if (empleado?.salarioIntegral) {
+        if (empleado.esSalarioMinimo) {
+            errores.push({ campo: 'salarioIntegral', mensaje: 'Un salario integral no puede ser salario mínimo' });
+        } else if (empleado.salarioBase < config.smmlv * SALARIO_INTEGRAL.minimoSmmlv) {
+            errores.push({ campo: 'salarioBase', mensaje: `El salario integral debe ser de al menos ${SALARIO_INTEGRAL.minimoSmmlv} SMMLV` });
+        }
     }
 
     return errores;
@@ -103,6 +369,103 @@ function calcularValoresBase(salarioBase, config) {
     };
 }
 
+/**
+ * Obtiene el porcentaje del Fondo de Solidaridad Pensional para un IBC mensual
+ * @param {number} ibcMensual - IBC mensual equivalente
+ * @param {Object} config - Configuración del sistema
+ * @returns {number} Porcentaje FSP (0 si el IBC es menor a 4 SMMLV)
+ */
+function obtenerPorcentajeFsp(ibcMensual, config) {
+    const tabla = config.fondoSolidaridad || FONDO_SOLIDARIDAD_DEFAULT;
+    const ibcSmmlv = ibcMensual / config.smmlv;
+
+    const rango = tabla.find(r =>
+        ibcSmmlv >= r.desdeSmmlv && (r.hastaSmmlv === null || r.hastaSmmlv === undefined || ibcSmmlv < r.hastaSmmlv)
+    );
+    return rango ? rango.pct : 0;
+}
+
+/**
+ * Liquida una incapacidad por tramos de pagador
+ * @param {Object} incapacidad - { origen, fechaInicio, fechaFin, diasPrevios }
+ * @param {number} ibcDia - IBC diario del empleado
+ * @param {Object} config - Configuración del sistema
+ * @returns {Object} Detalle con días, tramos y valores por pagador
+ */
+function liquidarIncapacidad(incapacidad, ibcDia, config) {
+    const { origen, fechaInicio, fechaFin, diasPrevios = 0 } = incapacidad;
+    const dias = diasEntre(fechaInicio, fechaFin);
+    const tramos = INCAPACIDAD_TRAMOS[origen];
+    const piso = config.smmlv / 30;
+
+    // Los días se numeran desde el inicio de la incapacidad original (prórrogas)
+    const detalle = [];
+    for (let dia = diasPrevios + 1; dia <= diasPrevios + dias; dia++) {
+        const tramo = tramos.find(t => t.hastaDia === null || dia <= t.hastaDia);
+        const valorDia = Math.max(ibcDia * tramo.pct / 100, piso);
+        const actual = detalle[detalle.length - 1];
+        if (actual && actual.pagador === tramo.pagador && actual.pct === tramo.pct) {
+            actual.dias++;
+            actual.valor += valorDia;
+        } else {
+            detalle.push({ pagador: tramo.pagador, pct: tramo.pct, dias: 1, valor: valorDia });
+        }
+    }
+
+    const porPagador = (pagador) => detalle
+        .filter(t => t.pagador === pagador)
+        .reduce((sum, t) => sum + t.valor, 0);
+
+    return {
+        origen,
+        fechaInicio,
+        fechaFin,
+        dias,
+        diasPrevios,
+        tramos: detalle.map(t => ({ ...t, valor: redondear(t.valor) })),
+        valorEmpleador: porPagador('EMPLEADOR'),
+        recobroEps: porPagador('EPS'),
+        recobroArl: porPagador('ARL'),
+        recobroAfp: porPagador('AFP'),
+        valor: detalle.reduce((sum, t) => sum + t.valor, 0)
+    };
+}
+
+/**
+ * Liquida una licencia según las reglas de su tipo
+ * @param {Object} licencia - { tipo, fechaInicio, fechaFin, diasPrevios }
+ * @param {number} salarioDia - Salario diario del empleado
+ * @param {number} ibcDia - IBC diario del empleado
+ * @param {Object} config - Configuración del sistema (smmlv, festivos)
+ * @returns {Object} Detalle con días, pagador, valor pagado y base de pensión si no es remunerada
+ */
+function liquidarLicencia(licencia, salarioDia, ibcDia, config) {
+    const { tipo, fechaInicio, fechaFin, diasPrevios = 0 } = licencia;
+    const reglas = LICENCIA_TIPOS[tipo];
+    // Se pagan los mismos días con que se valida la duración máxima
+    const dias = reglas.diasHabiles
+        ? diasHabilesConfig(fechaInicio, fechaFin, config)
+        : diasEntre(fechaInicio, fechaFin);
+
+    // La EPS reconoce el 100% del IBC (mínimo el SMMLV diario); el empleador paga el salario
+    let valorDia = 0;
+    if (reglas.pagador === 'EPS') valorDia = Math.max(ibcDia, config.smmlv / 30);
+    if (reglas.pagador === 'EMPLEADOR') valorDia = salarioDia;
+
+    return {
+        tipo,
+        fechaInicio,
+        fechaFin,
+        dias,
+        diasPrevios,
+        pagador: reglas.pagador,
+        aportes: reglas.aportes,
+        valor: valorDia * dias,
+        recobroEps: reglas.pagador === 'EPS' ? valorDia * dias : 0,
+        basePensionEmpleador: reglas.aportes === 'pensionEmpleador' ? Math.max(ibcDia, config.smmlv / 30) * dias : 0
+    };
+}
+
 /**
  * Calcula la nómina semanal de un empleado
  * @param {Object} empleado - Datos del empleado
@@ -138,19 +501,54 @@ function calcularNominaSemanal(empleado, novedades, config) {
         dominicalSinComp = 0,
         dominicalConComp = 0,
         bonificacion = 0,
-        prestamo = 0
+        prestamo = 0,
+        cuotasPrestamos = [],
+        ordenesDescuento = [],
+        ausencias = [],
+        incapacidades = [],
+        licencias = [],
+        vacaciones = [],
+        vacacionesCompensadas = null
     } = novedades;
 
     // Calcular valores base con el salario real
     const base = calcularValoresBase(salarioBaseReal, config);
 
+    // Incapacidades: sus días se excluyen del salario ordinario y se pagan por tramos
+    const factor = factorIbc(empleado);
+    const detalleIncapacidades = incapacidades.map(inc => liquidarIncapacidad(inc, salarioBaseReal * factor / 30, config));
+    const diasIncapacidad = detalleIncapacidades.reduce((sum, inc) => sum + inc.dias, 0);
+    const valorIncapacidades = detalleIncapacidades.reduce((sum, inc) => sum + inc.valor, 0);
+
+    // Licencias: sus días también se excluyen del salario ordinario
+    const detalleLicencias = licencias.map(lic => liquidarLicencia(lic, salarioBaseReal / 30, salarioBaseReal * factor / 30, config));
+    const diasLicencia = detalleLicencias.reduce((sum, lic) => sum + lic.dias, 0);
+    const diasNoRemunerados = detalleLicencias
+        .filter(lic => !lic.pagador)
+        .reduce((sum, lic) => sum + lic.dias, 0);
+    const valorLicencias = detalleLicencias.reduce((sum, lic) => sum + lic.valor, 0);
+
+    // Vacaciones: los días calendario del rango se pagan con el salario promedio
+    const detalleVacaciones = vacaciones.map(vac => {
+        const dias = diasEntre(vac.fechaInicio, vac.fechaFin);
+        return { ...vac, dias, valor: vac.salarioPromedio / 30 * dias };
+    });
+    const diasVacaciones = detalleVacaciones.reduce((sum, vac) => sum + vac.dias, 0);
+    const valorVacaciones = detalleVacaciones.reduce((sum, vac) => sum + vac.valor, 0);
+    const valorVacacionesCompensadas = vacacionesCompensadas
+        ? vacacionesCompensadas.salarioPromedio / 30 * vacacionesCompensadas.dias
+        : 0;
+
+    const diasTrabajados = diasLaborados - diasIncapacidad - diasLicencia - diasVacaciones;
+
     // 1. DEVENGADOS
     // Salario proporcional a días trabajados
-    const salarioDevengado = base.valorDia * diasLaborados;
+    const salarioDevengado = base.valorDia * diasTrabajados;
 
-    // Auxilio de transporte (solo si gana <= 2 SMMLV)
-    const tieneAuxilio = salarioBaseReal <= (config.smmlv * 2);
-    const auxDevengado = tieneAuxilio ? base.auxDia * diasLaborados : 0;
+    // Auxilio de transporte (solo si gana <= 2 SMMLV; nunca con salario integral)
+    const integral = empleado.salarioIntegral === true;
+    const tieneAuxilio = !integral && salarioBaseReal <= (config.smmlv * 2);
+    const auxDevengado = tieneAuxilio ? base.auxDia * diasTrabajados : 0;
 
     // Horas extras y recargos
     const valorHorasExtraDiurna = horasExtraDiurna * base.horaExtraDiurna;
@@ -165,20 +563,77 @@ function calcularNominaSemanal(empleado, novedades, config) {
         valorHorasExtraDomDiurna + valorHorasExtraDomNocturna +
         valorDominicalSinComp + valorDominicalConComp;
 
-    // Total devengado (salarial, sin bonificación)
-    const totalDevengadoSalarial = salarioDevengado + totalExtras;
+    // Total devengado (salarial, incapacidades, licencias y vacaciones, sin bonificación)
+    const totalDevengadoSalarial = salarioDevengado + totalExtras + valorIncapacidades + valorLicencias +
+        valorVacaciones + valorVacacionesCompensadas;
 
     // 2. DEDUCCIONES
-    // Salud y pensión (sobre el devengado salarial, sin auxilio)
-    const deduccionSalud = base.saludDia * diasLaborados;
-    const deduccionPension = base.pensionDia * diasLaborados;
-    const deduccionPrestamo = prestamo;
-
-    const totalDeducciones = deduccionSalud + deduccionPension + deduccionPrestamo;
+    // IBC: devengado salarial sin auxilio (70% si es salario integral)
+    // Durante incapacidades y licencias remuneradas se cotiza sobre el valor pagado
+    // Las vacaciones disfrutadas cotizan sobre su valor (70% si es salario integral); las compensadas no cotizan
+    // Las reglas son las congeladas en el período (las vigentes si es nuevo)
+    const reglas = obtenerReglasIbc(config);
+    const valorAusenciasPagadas = valorIncapacidades + valorLicencias + valorVacaciones * factor;
+    const baseSalarial = (salarioDevengado + (reglas.incluyeExtras ? totalExtras : 0)) * factor + valorAusenciasPagadas;
+
+    // La bonificación que supera el 40% de la remuneración total también cotiza
+    const pagosSalariales = salarioDevengado + totalExtras + valorIncapacidades + valorLicencias + valorVacaciones;
+    const excesoBonificacion = excesoNoSalarial(pagosSalariales, bonificacion, reglas);
+
+    // Piso de 1 SMMLV por los días cotizados (sin licencias no remuneradas) y tope de 25 SMMLV
+    const ibcMinimo = config.smmlv * reglas.minimoSmmlv / 30 * (diasLaborados - diasNoRemunerados);
+    const ibcMaximo = reglas.maximoSmmlv === null ? Infinity : config.smmlv * reglas.maximoSmmlv / 30 * diasLaborados;
+    const ibcCalculado = baseSalarial + excesoBonificacion;
+    const ibcPeriodo = Math.min(Math.max(ibcCalculado, ibcMinimo), ibcMaximo);
+
+    // Salud y pensión sobre el IBC del período
+    const deduccionSalud = ibcPeriodo * (config.saludPct / 100);
+    const deduccionPension = ibcPeriodo * (config.pensionPct / 100);
+
+    // Fondo de Solidaridad Pensional sobre el IBC del período
+    const ibcMensual = diasLaborados > 0 ? ibcPeriodo / diasLaborados * 30 : 0;
+    const fspPct = reglas.fsp ? obtenerPorcentajeFsp(ibcMensual, config) : 0;
+    const deduccionFsp = ibcPeriodo * (fspPct / 100);
+    // Préstamo manual más las cuotas automáticas de préstamos y anticipos. Las cuotas salen
+    // de la bonificación: cada una se limita a lo que queda de ella y el resto sigue en el saldo
+    let bonificacionDisponible = Math.max(0, bonificacion - prestamo);
+    const cuotasDescontadas = cuotasPrestamos.map(cuota => {
+        const valor = Math.min(cuota.valor, bonificacionDisponible);
+        bonificacionDisponible -= valor;
+        return { ...cuota, solicitado: cuota.valor, valor, limitado: valor < cuota.valor };
+    });
+    const valorCuotasPrestamos = cuotasDescontadas.reduce((sum, c) => sum + c.valor, 0);
+    const deduccionPrestamo = prestamo + valorCuotasPrestamos;
+
+    // Retención en la fuente sobre todos los pagos laborales del período
+    // (el motor original no la calculaba: los períodos con reglas 1 no la descuentan)
+    const anioGravable = config.year || new Date().getFullYear();
+    const retencion = reglas.retencion
+        ? calcularRetencionFuente({
+            ingresoBruto: totalDevengadoSalarial + auxDevengado + bonificacion,
+            aportesObligatorios: deduccionSalud + deduccionPension + deduccionFsp,
+            diasLaborados
+        }, empleado, config, anioGravable)
+        : { procedimiento: null, anio: anioGravable, uvt: null, baseGravable: 0, baseUvt: 0, retencionMensual: 0, valor: 0 };
+    const deduccionRetencion = retencion.valor;
+
+    // Embargos judiciales y libranzas sobre el salario neto de descuentos de ley
+    const salarioNeto = totalDevengadoSalarial - deduccionSalud - deduccionPension - deduccionFsp - deduccionRetencion;
+    const descuentos = aplicarDescuentos(ordenesDescuento, {
+        salarioNeto: Math.max(0, salarioNeto),
+        salarioMinimo: config.smmlv / 30 * diasLaborados,
+        netoDisponible: Math.max(0, salarioNeto + auxDevengado)
+    });
+    const deduccionEmbargos = descuentos.filter(d => d.tipo !== 'libranza').reduce((sum, d) => sum + d.valor, 0);
+    const deduccionLibranzas = descuentos.filter(d => d.tipo === 'libranza').reduce((sum, d) => sum + d.valor, 0);
+
+    const totalDeducciones = deduccionSalud + deduccionPension + deduccionFsp + deduccionRetencion + deduccionPrestamo +
+        deduccionEmbargos + deduccionLibranzas;
 
     // 3. NETO A PAGAR
     // Valor nómina semanal (sin bonificación)
-    const valorNominaSemanal = totalDevengadoSalarial + auxDevengado - deduccionSalud - deduccionPension;
+    const valorNominaSemanal = totalDevengadoSalarial + auxDevengado - deduccionSalud - deduccionPension -
+        deduccionFsp - deduccionRetencion - deduccionEmbargos - deduccionLibranzas;
 
     // Bonificación no constitutiva de salario (se paga aparte, sin deducciones)
     const valorBoniSemanal = bonificacion - deduccionPrestamo;
@@ -202,7 +657,9 @@ function calcularNominaSemanal(empleado, novedades, config) {
 
         // Parámetros
         diasLaborados,
+        diasTrabajados,
         salarioBase: salarioBaseReal,
+        salarioIntegral: integral,
         auxTransporte: tieneAuxilio ? auxTransporte : 0,
 
         // Devengados
@@ -218,14 +675,49 @@ function calcularNominaSemanal(empleado, novedades, config) {
             dominicalSinComp: { cantidad: dominicalSinComp, valor: redondear(valorDominicalSinComp) },
             dominicalConComp: { cantidad: dominicalConComp, valor: redondear(valorDominicalConComp) }
         },
+        valorIncapacidades: redondear(valorIncapacidades),
+        valorLicencias: redondear(valorLicencias),
+        valorVacaciones: redondear(valorVacaciones),
+        valorVacacionesCompensadas: redondear(valorVacacionesCompensadas),
         bonificacion: redondear(bonificacion),
         totalDevengado: redondear(totalDevengadoSalarial + auxDevengado + bonificacion),
 
         // Deducciones
         deduccionSalud: redondear(deduccionSalud),
         deduccionPension: redondear(deduccionPension),
+        deduccionFsp: redondear(deduccionFsp),
+        fspPct,
+        ibcPeriodo: redondear(ibcPeriodo),
+        ibc: {
+            pagosSalariales: redondear(pagosSalariales),
+            pagosNoSalariales: redondear(bonificacion),
+            reglas: config.reglasIbc || REGLAS_IBC_VIGENTES,
+            limiteNoSalarialPct: reglas.noSalarialPct,
+            excesoNoSalarial: redondear(excesoBonificacion),
+            baseSalarial: redondear(baseSalarial),
+            minimo: redondear(ibcMinimo),
+            maximo: ibcMaximo === Infinity ? null : redondear(ibcMaximo),
+            ajuste: ibcCalculado < ibcMinimo ? 'minimo' : (ibcCalculado > ibcMaximo ? 'maximo' : null),
+            valor: redondear(ibcPeriodo)
+        },
+        deduccionRetencion: redondear(deduccionRetencion),
         deduccionPrestamo: redondear(deduccionPrestamo),
+        cuotasPrestamos: cuotasDescontadas.map(c => ({ ...c, solicitado: redondear(c.solicitado), valor: redondear(c.valor) })),
+        deduccionEmbargos: redondear(deduccionEmbargos),
+        deduccionLibranzas: redondear(deduccionLibranzas),
+        descuentos: descuentos.map(d => ({ ...d, solicitado: redondear(d.solicitado), valor: redondear(d.valor) })),
         totalDeducciones: redondear(totalDeducciones),
+        retencionFuente: {
+            procedimiento: retencion.procedimiento,
+            anio: retencion.anio,
+            uvt: retencion.uvt,
+            ingresosNoConstitutivos: redondear(retencion.ingresosNoConstitutivos || 0),
+            deducciones: redondear(retencion.deducciones?.total || 0),
+            rentaExenta: redondear(retencion.rentaExenta || 0),
+            baseGravable: redondear(retencion.baseGravable),
+            baseUvt: redondear(retencion.baseUvt),
+            retencionMensual: retencion.retencionMensual
+        },
 
         // Netos
         valorNominaSemanal: redondear(valorNominaSemanal),
@@ -233,6 +725,48 @@ function calcularNominaSemanal(empleado, novedades, config) {
         totalNomina: redondear(totalNomina),
         totalConsignado: redondear(totalConsignado),
 
+        // Incapacidades: días, tramos y valores a recobrar a la EPS, ARL o fondo de pensiones
+        diasIncapacidad,
+        incapacidades: detalleIncapacidades.map(inc => ({
+            ...inc,
+            valorEmpleador: redondear(inc.valorEmpleador),
+            recobroEps: redondear(inc.recobroEps),
+            recobroArl: redondear(inc.recobroArl),
+            recobroAfp: redondear(inc.recobroAfp),
+            valor: redondear(inc.valor)
+        })),
+        recobroIncapacidades: {
+            eps: redondear(detalleIncapacidades.reduce((sum, inc) => sum + inc.recobroEps, 0)),
+            arl: redondear(detalleIncapacidades.reduce((sum, inc) => sum + inc.recobroArl, 0)),
+            afp: redondear(detalleIncapacidades.reduce((sum, inc) => sum + inc.recobroAfp, 0))
+        },
+
+        // Licencias: días, pagador y base de pensión del empleador en las no remuneradas
+        diasLicencia,
+        diasNoRemunerados,
+        licencias: detalleLicencias.map(lic => ({
+            ...lic,
+            valor: redondear(lic.valor),
+            recobroEps: redondear(lic.recobroEps),
+            basePensionEmpleador: redondear(lic.basePensionEmpleador)
+        })),
+        recobroLicencias: {
+            eps: redondear(detalleLicencias.reduce((sum, lic) => sum + lic.recobroEps, 0))
+        },
+
+        // Vacaciones disfrutadas (días calendario) y compensadas en dinero
+        diasVacaciones,
+        vacaciones: detalleVacaciones.map(vac => ({ ...vac, valor: redondear(vac.valor) })),
+        diasVacacionesCompensadas: vacacionesCompensadas ? vacacionesCompensadas.dias : 0,
+
+        // Ausencias del período (novedades PILA)
+        ausencias: ausencias.map(a => ({
+            tipo: a.tipo,
+            fechaInicio: a.fechaInicio,
+            fechaFin: a.fechaFin,
+            dias: diasEntre(a.fechaInicio, a.fechaFin)
+        })),
+
         // Metadata
         valoresBase: {
             valorDia: redondear(base.valorDia),
@@ -288,8 +822,23 @@ function formatearMoneda(valor) {
 }
 
 module.exports = {
+    TIPOS_AUSENCIA,
+    FONDO_SOLIDARIDAD_DEFAULT,
+    IBC_LIMITES,
+    REGLAS_IBC,
+    REGLAS_IBC_VIGENTES,
+    SALARIO_INTEGRAL,
+    INCAPACIDAD_TRAMOS,
+    ORIGENES_INCAPACIDAD,
+    LICENCIA_TIPOS,
+    factorIbc,
+    obtenerReglasIbc,
+    excesoNoSalarial,
+    liquidarIncapacidad,
+    liquidarLicencia,
     validarDatos,
     calcularValoresBase,
+    obtenerPorcentajeFsp,
     calcularNominaSemanal,
     calcularNominaMensual,
     redondear,
@@ -0,0 +1,212 @@
+/**
+ * Motor de Prestaciones Sociales - Nómina BJ Pro 4.0
+ *
+ * Calcula las prestaciones causadas a una fecha de corte a partir de las
+ * liquidaciones guardadas en los períodos de nómina (server/data/nominas).
+ *
+ * REFERENCIA DE FÓRMULAS (año comercial de 360 días):
+ * - SALARIO PROMEDIO = (devengado salarial + auxilio) / días * 30
+ * - PRIMA DE SERVICIOS = salarioPromedio * díasSemestre / 360   (Art. 306 CST)
+ * - CESANTÍAS = salarioPromedio * díasAño / 360                  (Art. 249 CST)
+ * - INTERESES CESANTÍAS = cesantías * díasAño * 12% / 360        (Ley 52 de 1975)
+ * - VACACIONES = salarioOrdinario / 30 * (días * 15 / 360 - días ya disfrutados o compensados)
+ *                                                                (Art. 186 CST, 15 días hábiles por año)
+ *
+ * Los días de cada período se cuentan en año comercial (dias360) y un período que
+ * cruza el inicio del semestre, del año o la fecha de corte se prorratea por días.
+ * Las vacaciones se causan desde fechaIngreso: sin ella no se calculan.
+ *
+ * El auxilio de transporte forma parte de la base de prima y cesantías,
+ * pero no de vacaciones. Las horas extras tampoco integran la base de vacaciones.
+ *
+ * Los períodos liquidados con salario integral no causan prima, cesantías ni
+ * intereses (el factor prestacional ya está incluido en el salario); sí causan vacaciones.
+ */
+
+const { createError } = require('../middleware/errorHandler');
+const { parsearFecha, fechasDeNomina, dias360 } = require('./periodos');
+const { redondear } = require('./calculoNomina');
+const { liquidacionVigente } = require('./calculoAjustes');
+const { DIAS_VACACIONES_ANIO, vacacionesTomadas } = require('./calculoVacaciones');
+
+const INTERESES_CESANTIAS_PCT = 12;
+
+/**
+ * Crea un acumulador vacío para una ventana de causación
+ * @param {string} desde - Fecha inicial de la ventana
+ * @returns {Object} Acumulador
+ */
+function nuevoAcumulado(desde) {
+    return { desde, dias: 0, diasSalario: 0, salarioDevengado: 0, totalExtras: 0, auxDevengado: 0 };
+}
+
+/**
+ * Suma al acumulador la parte de una liquidación que cae dentro de su ventana
+ * @param {Object} acumulado - Acumulador de la ventana (desde)
+ * @param {Object} liquidacion - Liquidación del período
+ * @param {Object} rango - { fechaInicio, fechaFin } del período (desde la fecha de ingreso)
+ * @param {string} fechaCorte - Fecha de corte (AAAA-MM-DD)
+ */
+function acumular(acumulado, liquidacion, rango, fechaCorte) {
+    const desde = fechaMayor(rango.fechaInicio, acumulado.desde);
+    const hasta = rango.fechaFin < fechaCorte ? rango.fechaFin : fechaCorte;
+    const diasPeriodo = dias360(rango.fechaInicio, rango.fechaFin);
+    const diasVentana = dias360(desde, hasta);
+    if (diasPeriodo === 0 || diasVentana === 0) return;
+
+    // Proporción del período dentro de la ventana y días laborados por día comercial del período
+    const proporcion = diasVentana / diasPeriodo;
+    const ocupacion = Math.min(1, (liquidacion.diasLaborados || 0) / diasPeriodo);
+
+    // Incapacidades y licencias remuneradas causan prestaciones, pero no entran al promedio salarial;
+    // la licencia no remunerada suspende el contrato y no causa (Art. 53 CST)
+    acumulado.dias += Math.max(0, diasVentana * ocupacion - (liquidacion.diasNoRemunerados || 0) * proporcion);
+    acumulado.diasSalario += (liquidacion.diasTrabajados ?? liquidacion.diasLaborados ?? 0) * proporcion;
+    acumulado.salarioDevengado += (liquidacion.salarioDevengado || 0) * proporcion;
+    acumulado.totalExtras += (liquidacion.totalExtras || 0) * proporcion;
+    acumulado.auxDevengado += (liquidacion.auxDevengado || 0) * proporcion;
+}
+
+/**
+ * Retorna la fecha más reciente entre dos fechas ISO
+ * @param {string} a - Fecha ISO
+ * @param {string} b - Fecha ISO (opcional)
+ * @returns {string} La mayor de las dos
+ */
+function fechaMayor(a, b) {
+    if (!b) return a;
+    return a > b ? a : b;
+}
+
+/**
+ * Calcula las prestaciones sociales causadas de un empleado a una fecha de corte
+ * @param {Object} empleado - Datos del empleado
+ * @param {Array} nominas - Períodos de nómina guardados
+ * @param {string} fechaCorte - Fecha de corte (AAAA-MM-DD)
+ * @param {Array} [registrosVacaciones] - Registros del libro de vacaciones del empleado
+ * @returns {Object} Saldos de prima, cesantías, intereses y vacaciones
+ */
+function calcularPrestaciones(empleado, nominas, fechaCorte, registrosVacaciones = []) {
+    if (!empleado || !empleado.cedula) {
+        throw createError('VALIDATION_ERROR', 'Empleado no válido');
+    }
+
+    const corte = parsearFecha(fechaCorte);
+    if (!corte) {
+        throw createError('VALIDATION_ERROR', 'La fecha de corte debe tener formato AAAA-MM-DD');
+    }
+
+    const anio = corte.getUTCFullYear();
+    const inicioAnio = `${anio}-01-01`;
+    const inicioSemestre = corte.getUTCMonth() < 6 ? inicioAnio : `${anio}-07-01`;
+    const { fechaIngreso } = empleado;
+
+    const prima = nuevoAcumulado(fechaMayor(inicioSemestre, fechaIngreso));
+    const cesantias = nuevoAcumulado(fechaMayor(inicioAnio, fechaIngreso));
+    const vacaciones = nuevoAcumulado(fechaIngreso || null);
+    const periodos = [];
+    const advertencias = [];
+    if (!fechaIngreso) {
+        advertencias.push(`${empleado.cedula}: sin fecha de ingreso, no se calculan las vacaciones`);
+    }
+
+    const ordenadas = [...nominas].sort((a, b) => a.periodo.localeCompare(b.periodo));
+
+    for (const nomina of ordenadas) {
+        const { fechaInicio, fechaFin } = fechasDeNomina(nomina);
+
+        // Los períodos que cruzan el inicio de una ventana o la fecha de corte se prorratean
+        if (!fechaInicio || !fechaFin || fechaInicio > fechaCorte) continue;
+
+        const liquidacion = liquidacionVigente(nomina, empleado.cedula);
+        if (!liquidacion) continue;
+
+        const integral = (liquidacion.salarioIntegral ?? empleado.salarioIntegral) === true;
+        const rango = { fechaInicio: fechaMayor(fechaInicio, fechaIngreso), fechaFin };
+
+        if (!integral) acumular(prima, liquidacion, rango, fechaCorte);
+        if (!integral) acumular(cesantias, liquidacion, rango, fechaCorte);
+        if (fechaIngreso) acumular(vacaciones, liquidacion, rango, fechaCorte);
+
+        periodos.push({
+            periodo: nomina.periodo,
+            fechaInicio,
+            fechaFin,
+            diasLaborados: liquidacion.diasLaborados || 0,
+            diasIncapacidad: liquidacion.diasIncapacidad || 0,
+            diasLicencia: liquidacion.diasLicencia || 0,
+            diasNoRemunerados: liquidacion.diasNoRemunerados || 0,
+            salarioIntegral: integral,
+            salarioDevengado: liquidacion.salarioDevengado || 0,
+            totalExtras: liquidacion.totalExtras || 0,
+            auxDevengado: liquidacion.auxDevengado || 0
+        });
+    }
+
+    // Salario promedio mensual con auxilio (base de prima y cesantías)
+    const promedio = (acc) => acc.diasSalario > 0
+        ? (acc.salarioDevengado + acc.totalExtras + acc.auxDevengado) / acc.diasSalario * 30
+        : 0;
+
+    const basePrima = promedio(prima);
+    const valorPrima = basePrima * prima.dias / 360;
+
+    const baseCesantias = promedio(cesantias);
+    const valorCesantias = baseCesantias * cesantias.dias / 360;
+    const valorIntereses = valorCesantias * cesantias.dias * (INTERESES_CESANTIAS_PCT / 100) / 360;
+
+    // Vacaciones: solo salario ordinario, sin auxilio ni extras; descuenta las ya disfrutadas o compensadas
+    const baseVacaciones = vacaciones.diasSalario > 0 ? vacaciones.salarioDevengado / vacaciones.diasSalario * 30 : 0;
+    const diasCausados = vacaciones.dias * DIAS_VACACIONES_ANIO / 360;
+    const tomadas = fechaIngreso ? vacacionesTomadas(registrosVacaciones, fechaCorte) : { disfrutados: 0, compensados: 0 };
+    const diasPendientes = Math.max(0, diasCausados - tomadas.disfrutados - tomadas.compensados);
+    const valorVacaciones = baseVacaciones / 30 * diasPendientes;
+
+    const totalPrestaciones = valorPrima + valorCesantias + valorIntereses + valorVacaciones;
+
+    return {
+        cedula: empleado.cedula,
+        nombres: empleado.nombres,
+        fechaIngreso: fechaIngreso || null,
+        fechaCorte,
+        salarioIntegral: empleado.salarioIntegral === true,
+
+        prima: {
+            desde: prima.desde,
+            dias: redondear(prima.dias),
+            base: redondear(basePrima),
+            valor: redondear(valorPrima)
+        },
+        cesantias: {
+            desde: cesantias.desde,
+            dias: redondear(cesantias.dias),
+            base: redondear(baseCesantias),
+            valor: redondear(valorCesantias)
+        },
+        interesesCesantias: {
+            tasa: INTERESES_CESANTIAS_PCT,
+            dias: redondear(cesantias.dias),
+            valor: redondear(valorIntereses)
+        },
+        vacaciones: {
+            desde: vacaciones.desde,
+            dias: redondear(vacaciones.dias),
+            diasCausados: redondear(diasCausados),
+            diasDisfrutados: tomadas.disfrutados,
+            diasCompensados: tomadas.compensados,
+            diasPendientes: redondear(diasPendientes),
+            base: redondear(baseVacaciones),
+            valor: redondear(valorVacaciones)
+        },
+        totalPrestaciones: redondear(totalPrestaciones),
+        advertencias,
+
+        periodos
+    };
+}
+
+module.exports = {
+    INTERESES_CESANTIAS_PCT,
+    DIAS_VACACIONES_ANIO,
+    calcularPrestaciones
+};
@@ -0,0 +1,192 @@
+/**
+ * Préstamos y Anticipos - Nómina BJ Pro 4.0
+ *
+ * Amortiza los préstamos y anticipos de salario registrados en
+ * server/data/prestamos.json descontando una cuota en cada período liquidado.
+ *
+ * REGLAS:
+ * - CUOTA = monto / número de cuotas (redondeada al peso hacia arriba); la última cuota es el saldo
+ * - Se descuenta en cada período liquidado desde periodoInicio, salvo los
+ *   períodos marcados como omitidos (el plan se corre un período)
+ * - Volver a liquidar un período reemplaza su cuota, no la duplica
+ * - ABONO: pago anticipado por fuera de la nómina; con total = true cancela el saldo
+ * - ESTADOS: activo -> pagado (saldo 0) | anulado
+ *
+ * Movimientos: { tipo: 'cuota' | 'abono', periodo?, valor, fecha }
+ */
+
+const { fechasDesdePeriodo } = require('./periodos');
+const { redondear } = require('./calculoNomina');
+
+const TIPOS_PRESTAMO = ['prestamo', 'anticipo'];
+
+/**
+ * Fecha de inicio de un período, para ordenar "2026-S9" antes de "2026-S10"
+ */
+function inicioDePeriodo(periodo) {
+    return fechasDesdePeriodo(periodo)?.fechaInicio || periodo;
+}
+
+/**
+ * Valida los datos de un préstamo nuevo
+ * @param {Object} datos - { cedula, tipo, monto, numeroCuotas, periodoInicio }
+ * @returns {Array} Lista de errores encontrados
+ */
+function validarPrestamo(datos) {
+    const errores = [];
+
+    if (!datos.cedula) {
+        errores.push({ campo: 'cedula', mensaje: 'La cédula es requerida' });
+    }
+    if (!TIPOS_PRESTAMO.includes(datos.tipo)) {
+        errores.push({ campo: 'tipo', mensaje: `Debe ser uno de: ${TIPOS_PRESTAMO.join(', ')}` });
+    }
+    if (!(datos.monto > 0)) {
+        errores.push({ campo: 'monto', mensaje: 'Debe ser mayor a cero' });
+    }
+    if (!Number.isInteger(datos.numeroCuotas) || datos.numeroCuotas < 1) {
+        errores.push({ campo: 'numeroCuotas', mensaje: 'Debe ser un entero mayor a cero' });
+    }
+    if (!fechasDesdePeriodo(datos.periodoInicio)) {
+        errores.push({ campo: 'periodoInicio', mensaje: 'Debe ser un período AAAA-SNN o AAAA-MM' });
+    }
+
+    return errores;
+}
+
+/**
+ * Saldo pendiente de un préstamo
+ * @param {Object} prestamo - Préstamo con movimientos
+ * @param {string} [excluirPeriodo] - Ignorar la cuota de este período (para reliquidarlo)
+ * @returns {number} Saldo
+ */
+function saldoPrestamo(prestamo, excluirPeriodo) {
+    const pagado = (prestamo.movimientos || [])
+        .filter(m => !(m.tipo === 'cuota' && m.periodo === excluirPeriodo))
+        .reduce((sum, m) => sum + m.valor, 0);
+    return redondear(Math.max(0, prestamo.monto - pagado));
+}
+
+/**
+ * Cuota que corresponde a un préstamo en un período
+ * @param {Object} prestamo - Préstamo
+ * @param {string} periodo - Identificador del período
+ * @returns {number} Valor de la cuota (0 si no aplica)
+ */
+function cuotaDelPeriodo(prestamo, periodo) {
+    if (prestamo.estado === 'anulado') return 0;
+    if (inicioDePeriodo(periodo) < inicioDePeriodo(prestamo.periodoInicio)) return 0;
+    if ((prestamo.omitidos || []).includes(periodo)) return 0;
+
+    const saldo = saldoPrestamo(prestamo, periodo);
+    return Math.min(prestamo.valorCuota, saldo);
+}
+
+/**
+ * Cuotas de préstamos de un empleado en un período
+ * @param {Array} prestamos - Todos los préstamos
+ * @param {string} cedula - Cédula del empleado
+ * @param {string} periodo - Identificador del período
+ * @returns {Array} [{ prestamoId, tipo, valor, saldoAnterior }] solo cuotas mayores a cero
+ */
+function cuotasDelPeriodo(prestamos, cedula, periodo) {
+    return prestamos
+        .filter(p => p.cedula === cedula)
+        .map(p => ({
+            prestamoId: p.id,
+            tipo: p.tipo,
+            valor: cuotaDelPeriodo(p, periodo),
+            saldoAnterior: saldoPrestamo(p, periodo)
+        }))
+        .filter(c => c.valor > 0);
+}
+
+/**
+ * Actualiza el estado según el saldo (pagado o activo)
+ */
+function actualizarEstado(prestamo) {
+    if (prestamo.estado === 'anulado') return;
+    prestamo.estado = saldoPrestamo(prestamo) === 0 ? 'pagado' : 'activo';
+}
+
+/**
+ * Registra (o reemplaza) la cuota descontada a un préstamo en un período
+ * @param {Object} prestamo - Préstamo (se modifica)
+ * @param {string} periodo - Identificador del período
+ * @param {number} valor - Valor descontado (0 elimina la cuota del período)
+ */
+function registrarCuota(prestamo, periodo, valor) {
+    prestamo.movimientos = (prestamo.movimientos || [])
+        .filter(m => !(m.tipo === 'cuota' && m.periodo === periodo));
+    if (valor > 0) {
+        prestamo.movimientos.push({ tipo: 'cuota', periodo, valor, fecha: new Date().toISOString() });
+    }
+    actualizarEstado(prestamo);
+}
+
+/**
+ * Registra las cuotas descontadas en un período a los préstamos de los empleados liquidados
+ * Los préstamos sin cuota en las liquidaciones quedan sin movimiento en el período
+ * @param {Array} prestamos - Todos los préstamos (se modifican)
+ * @param {string} periodo - Identificador del período
+ * @param {Array} cedulas - Empleados cuyo período se liquidó
+ * @param {Array} liquidaciones - Liquidaciones con cuotasPrestamos
+ */
+function registrarCuotasDelPeriodo(prestamos, periodo, cedulas, liquidaciones) {
+    const descontadas = {};
+    for (const liquidacion of liquidaciones) {
+        for (const cuota of liquidacion.cuotasPrestamos || []) {
+            if (cuota.prestamoId) descontadas[cuota.prestamoId] = cuota.valor;
+        }
+    }
+
+    for (const prestamo of prestamos.filter(p => cedulas.includes(p.cedula))) {
+        registrarCuota(prestamo, periodo, descontadas[prestamo.id] || 0);
+    }
+}
+
+/**
+ * Registra un abono anticipado por fuera de la nómina
+ * @param {Object} prestamo - Préstamo (se modifica)
+ * @param {number} valor - Valor abonado (se limita al saldo)
+ * @returns {number} Valor efectivamente abonado
+ */
+function registrarAbono(prestamo, valor) {
+    const abono = Math.min(valor, saldoPrestamo(prestamo));
+    prestamo.movimientos = [...(prestamo.movimientos || []),
+        { tipo: 'abono', valor: abono, fecha: new Date().toISOString() }];
+    actualizarEstado(prestamo);
+    return abono;
+}
+
+/**
+ * Estado de cuenta de un préstamo
+ * @param {Object} prestamo - Préstamo
+ * @returns {Object} Préstamo con saldo, total pagado, cuotas descontadas y cuotas restantes
+ */
+function estadoDeCuenta(prestamo) {
+    const saldo = saldoPrestamo(prestamo);
+    const movimientos = [...(prestamo.movimientos || [])]
+        .sort((a, b) => a.fecha.localeCompare(b.fecha));
+
+    return {
+        ...prestamo,
+        movimientos,
+        saldo,
+        totalPagado: redondear(prestamo.monto - saldo),
+        cuotasDescontadas: movimientos.filter(m => m.tipo === 'cuota').length,
+        cuotasRestantes: prestamo.estado === 'activo' ? Math.ceil(saldo / prestamo.valorCuota) : 0
+    };
+}
+
+module.exports = {
+    TIPOS_PRESTAMO,
+    validarPrestamo,
+    saldoPrestamo,
+    cuotaDelPeriodo,
+    cuotasDelPeriodo,
+    registrarCuota,
+    registrarCuotasDelPeriodo,
+    registrarAbono,
+    estadoDeCuenta
+};
@@ -0,0 +1,277 @@
+/**
+ * Reportes Consolidados - Nómina BJ Pro 4.0
+ *
+ * Totales de nómina por período, mes o año a partir de las liquidaciones
+ * guardadas (en los períodos aprobados, las vigentes con los ajustes aplicados).
+ *
+ * CONCEPTOS:
+ * - Devengados: salario, horas extra y recargos (por tipo), incapacidades,
+ *   licencias, vacaciones, bonificación y auxilio de transporte
+ * - Deducciones: salud, pensión, FSP, retención, préstamos, embargos y libranzas
+ * - Aportes del empleador: seguridad social y parafiscales (se calculan con los
+ *   parámetros del período si la liquidación no los tiene guardados)
+ * - COSTO EMPLEADOR = total devengado + aportes del empleador
+ *
+ * El mes y el año de un período son los de su fecha fin.
+ */
+
+const { redondear } = require('./calculoNomina');
+const { liquidacionesVigentes } = require('./calculoAjustes');
+const { calcularAportesEmpleador } = require('./calculoAportes');
+const { fechasDeNomina } = require('./periodos');
+const { resolverParametros } = require('./parametrosLegales');
+
+const AGRUPACIONES = ['periodo', 'mes', 'anio'];
+
+// Horas extra y recargos por tipo (claves de detalleExtras)
+const TIPOS_EXTRA = [
+    'horasExtraDiurna',
+    'horasExtraNocturna',
+    'recargoNocturno',
+    'horasExtraDomDiurna',
+    'horasExtraDomNocturna',
+    'dominicalSinComp',
+    'dominicalConComp'
+];
+
+// Conceptos sumables de cada fila del reporte
+const CONCEPTOS = [
+    'salario', 'horasExtra', 'incapacidades', 'licencias', 'vacaciones', 'bonificacion', 'auxilioTransporte',
+    'totalDevengado',
+    'salud', 'pension', 'fsp', 'retencion', 'prestamos', 'embargosLibranzas',
+    'totalDeducciones',
+    'aportesSeguridadSocial', 'aportesParafiscales', 'totalAportes',
+    'costoEmpleador', 'netoPagado'
+];
+
+/**
+ * Clave del grupo de una fila según la agrupación
+ */
+function claveGrupo(fila, agrupacion) {
+    if (agrupacion === 'mes') return fila.fechaFin.slice(0, 7);
+    if (agrupacion === 'anio') return fila.fechaFin.slice(0, 4);
+    return fila.periodo;
+}
+
+/**
+ * Valida los filtros del reporte
+ * @param {Object} filtros - { agrupacion, desde, hasta, top }
+ * @returns {Array} Lista de errores (vacía si es válido)
+ */
+function validarFiltros(filtros) {
+    const errores = [];
+    if (filtros.agrupacion && !AGRUPACIONES.includes(filtros.agrupacion)) {
+        errores.push({ campo: 'agrupacion', mensaje: `Debe ser uno de: ${AGRUPACIONES.join(', ')}` });
+    }
+    for (const campo of ['desde', 'hasta']) {
+        if (filtros[campo] && !/^\d{4}-\d{2}-\d{2}$/.test(filtros[campo])) {
+            errores.push({ campo, mensaje: 'Debe tener formato AAAA-MM-DD' });
+        }
+    }
+    if (filtros.top !== undefined && (!Number.isInteger(filtros.top) || filtros.top < 1)) {
+        errores.push({ campo: 'top', mensaje: 'Debe ser un entero mayor a cero' });
+    }
+    return errores;
+}
+
+/**
+ * Fila del reporte para la liquidación de un empleado en un período
+ * @param {Object} liq - Liquidación (vigente) del empleado
+ * @param {Object} nomina - Período de nómina
+ * @param {Object} empleado - Datos del empleado (puede ser {})
+ * @param {Object} config - Parámetros del período (para los aportes no guardados)
+ * @returns {Object} Fila con los conceptos y los datos para filtrar
+ */
+function filaLiquidacion(liq, nomina, empleado, config) {
+    const aportes = liq.aportesEmpleador || calcularAportesEmpleador(empleado, liq, config);
+    const extras = Object.fromEntries(TIPOS_EXTRA.map(tipo => [tipo, {
+        cantidad: liq.detalleExtras?.[tipo]?.cantidad || 0,
+        valor: liq.detalleExtras?.[tipo]?.valor || 0
+    }]));
+
+    return {
+        periodo: nomina.periodo,
+        fechaFin: fechasDeNomina(nomina).fechaFin,
+        estado: nomina.estado,
+        cedula: liq.cedula,
+        nombres: liq.nombres,
+        cargo: empleado.cargo || '',
+        tipoCuenta: liq.tipoCuenta || empleado.tipoCuenta || '',
+
+        salario: liq.salarioDevengado || 0,
+        horasExtra: liq.totalExtras || 0,
+        extras,
+        incapacidades: liq.valorIncapacidades || 0,
+        licencias: liq.valorLicencias || 0,
+        vacaciones: (liq.valorVacaciones || 0) + (liq.valorVacacionesCompensadas || 0),
+        bonificacion: liq.bonificacion || 0,
+        auxilioTransporte: liq.auxDevengado || 0,
+        totalDevengado: liq.totalDevengado || 0,
+
+        salud: liq.deduccionSalud || 0,
+        pension: liq.deduccionPension || 0,
+        fsp: liq.deduccionFsp || 0,
+        retencion: liq.deduccionRetencion || 0,
+        prestamos: liq.deduccionPrestamo || 0,
+        embargosLibranzas: (liq.deduccionEmbargos || 0) + (liq.deduccionLibranzas || 0),
+        totalDeducciones: liq.totalDeducciones || 0,
+
+        aportesSeguridadSocial: aportes.totalSeguridadSocial,
+        aportesParafiscales: aportes.totalParafiscales,
+        totalAportes: aportes.totalAportes,
+        costoEmpleador: (liq.totalDevengado || 0) + aportes.totalAportes,
+        netoPagado: liq.totalNomina || 0
+    };
+}
+
+/**
+ * Filas del reporte: una por empleado y período, con los filtros aplicados
+ * @param {Array} nominas - Períodos de nómina guardados
+ * @param {Array} empleados - Empleados (cargo y tipo de cuenta)
+ * @param {Object} config - Configuración del sistema
+ * @param {Object} [filtros] - { desde, hasta, cargo, tipoCuenta, cedula, soloAprobadas }
+ * @returns {Array} Filas ordenadas por fecha fin del período
+ */
+function filasReporte(nominas, empleados, config, filtros = {}) {
+    const filas = [];
+
+    for (const nomina of nominas) {
+        const { fechaFin } = fechasDeNomina(nomina);
+        if (!fechaFin) continue;
+        if (filtros.soloAprobadas && nomina.estado !== 'aprobada') continue;
+        if (filtros.desde && fechaFin < filtros.desde) continue;
+        if (filtros.hasta && fechaFin > filtros.hasta) continue;
+
+        const parametros = nomina.parametros || resolverParametros(config, fechaFin);
+        for (const liq of liquidacionesVigentes(nomina)) {
+            const empleado = empleados.find(e => e.cedula === liq.cedula) || { cedula: liq.cedula };
+            const fila = filaLiquidacion(liq, nomina, empleado, parametros);
+            if (filtros.cedula && fila.cedula !== filtros.cedula) continue;
+            if (filtros.cargo && fila.cargo !== filtros.cargo) continue;
+            if (filtros.tipoCuenta && fila.tipoCuenta !== filtros.tipoCuenta.toUpperCase()) continue;
+            filas.push(fila);
+        }
+    }
+
+    return filas.sort((a, b) => a.fechaFin.localeCompare(b.fechaFin) || a.periodo.localeCompare(b.periodo));
+}
+
+/**
+ * Suma los conceptos y las horas extra por tipo de un grupo de filas
+ * @param {Array} filas - Filas del reporte
+ * @returns {Object} { empleados, ...conceptos, extras: { tipo: { cantidad, valor } } }
+ */
+function totalizarFilas(filas) {
+    const totales = { empleados: new Set(filas.map(f => f.cedula)).size };
+    for (const concepto of CONCEPTOS) {
+        totales[concepto] = redondear(filas.reduce((sum, f) => sum + f[concepto], 0));
+    }
+    totales.extras = Object.fromEntries(TIPOS_EXTRA.map(tipo => [tipo, {
+        cantidad: redondear(filas.reduce((sum, f) => sum + f.extras[tipo].cantidad, 0)),
+        valor: redondear(filas.reduce((sum, f) => sum + f.extras[tipo].valor, 0))
+    }]));
+    return totales;
+}
+
+/**
+ * Variación porcentual frente al grupo anterior (null si no hay base)
+ */
+function variacion(actual, anterior) {
+    if (!anterior) return null;
+    return redondear((actual - anterior) / anterior * 100);
+}
+
+/**
+ * Reporte consolidado agrupado por período, mes o año
+ * @param {Array} nominas - Períodos de nómina guardados
+ * @param {Array} empleados - Empleados
+ * @param {Object} config - Configuración del sistema
+ * @param {Object} [filtros] - { agrupacion, desde, hasta, cargo, tipoCuenta, cedula, soloAprobadas }
+ * @returns {Object} { agrupacion, filtros, grupos, totales, opciones }
+ */
+function generarReporteConsolidado(nominas, empleados, config, filtros = {}) {
+    const agrupacion = filtros.agrupacion || 'periodo';
+    const filas = filasReporte(nominas, empleados, config, filtros);
+
+    const porClave = new Map();
+    for (const fila of filas) {
+        const clave = claveGrupo(fila, agrupacion);
+        if (!porClave.has(clave)) porClave.set(clave, []);
+        porClave.get(clave).push(fila);
+    }
+
+    // Tendencia: variación del costo y del devengado frente al grupo anterior
+    let anterior = null;
+    const grupos = [...porClave.entries()].map(([clave, delGrupo]) => {
+        const totales = totalizarFilas(delGrupo);
+        const grupo = {
+            clave,
+            periodos: [...new Set(delGrupo.map(f => f.periodo))],
+            ...totales,
+            variacion: {
+                totalDevengado: variacion(totales.totalDevengado, anterior?.totalDevengado),
+                horasExtra: variacion(totales.horasExtra, anterior?.horasExtra),
+                costoEmpleador: variacion(totales.costoEmpleador, anterior?.costoEmpleador)
+            }
+        };
+        anterior = totales;
+        return grupo;
+    });
+
+    // Valores disponibles para los filtros (sin aplicar los filtros de empleado)
+    const todas = filasReporte(nominas, empleados, config, { ...filtros, cargo: null, tipoCuenta: null, cedula: null });
+
+    return {
+        agrupacion,
+        filtros,
+        grupos,
+        totales: { ...totalizarFilas(filas), periodos: new Set(filas.map(f => f.periodo)).size },
+        opciones: {
+            cargos: [...new Set(todas.map(f => f.cargo).filter(Boolean))].sort(),
+            tiposCuenta: [...new Set(todas.map(f => f.tipoCuenta).filter(Boolean))].sort()
+        }
+    };
+}
+
+/**
+ * Empleados con más pago de horas extra y recargos
+ * @param {Array} nominas - Períodos de nómina guardados
+ * @param {Array} empleados - Empleados
+ * @param {Object} config - Configuración del sistema
+ * @param {Object} [filtros] - Filtros de filasReporte y top (por defecto 10)
+ * @returns {Array} [{ cedula, nombres, cargo, periodos, horasExtra, porcentajeSalario, extras }]
+ */
+function topHorasExtra(nominas, empleados, config, filtros = {}) {
+    const porEmpleado = new Map();
+    for (const fila of filasReporte(nominas, empleados, config, filtros)) {
+        if (!porEmpleado.has(fila.cedula)) porEmpleado.set(fila.cedula, []);
+        porEmpleado.get(fila.cedula).push(fila);
+    }
+
+    return [...porEmpleado.values()]
+        .map(filas => {
+            const totales = totalizarFilas(filas);
+            return {
+                cedula: filas[0].cedula,
+                nombres: filas[0].nombres,
+                cargo: filas[0].cargo,
+                periodos: filas.length,
+                horasExtra: totales.horasExtra,
+                porcentajeSalario: totales.salario ? redondear(totales.horasExtra / totales.salario * 100) : 0,
+                extras: totales.extras
+            };
+        })
+        .filter(e => e.horasExtra > 0)
+        .sort((a, b) => b.horasExtra - a.horasExtra)
+        .slice(0, filtros.top || 10);
+}
+
+module.exports = {
+    AGRUPACIONES,
+    TIPOS_EXTRA,
+    validarFiltros,
+    filasReporte,
+    totalizarFilas,
+    generarReporteConsolidado,
+    topHorasExtra
+};
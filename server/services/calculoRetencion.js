@@ -0,0 +1,163 @@
+/**
+ * Motor de Retención en la Fuente - Nómina BJ Pro 4.0
+ *
+ * Procedimiento 1 (Art. 385 ET) sobre pagos laborales, con la tabla
+ * marginal en UVT del Art. 383 ET.
+ *
+ * DEPURACIÓN DE LA BASE (valores mensuales):
+ * 1. INGRESO BRUTO = salario + extras + auxilio + bonificación
+ * 2. (-) INGRESOS NO CONSTITUTIVOS = aportes obligatorios salud y pensión + aportes voluntarios
+ * 3. (-) DEDUCCIONES (Art. 387 ET):
+ *    - Dependientes: 10% del ingreso bruto, máximo 32 UVT
+ *    - Medicina prepagada: máximo 16 UVT
+ *    - Intereses de vivienda: máximo 100 UVT
+ * 4. (-) RENTA EXENTA 25% (Art. 206 num. 10) sobre el subtotal, con tope mensual en UVT
+ * 5. Deducciones + renta exenta limitadas al 40% del ingreso neto y a un tope en UVT
+ * 6. RETENCIÓN = tabla Art. 383 sobre la base en UVT, redondeada al múltiplo de 1.000
+ *
+ * Para períodos menores a un mes, los valores se llevan a su equivalente
+ * mensual (valor / días * 30) y la retención se proratea por los días del período.
+ */
+
+const { createError } = require('../middleware/errorHandler');
+
+// Tabla Art. 383 ET: rangos en UVT
+const TABLA_ART_383 = [
+    { desde: 0, hasta: 95, tarifa: 0, uvtMarginal: 0 },
+    { desde: 95, hasta: 150, tarifa: 19, uvtMarginal: 0 },
+    { desde: 150, hasta: 360, tarifa: 28, uvtMarginal: 10 },
+    { desde: 360, hasta: 640, tarifa: 33, uvtMarginal: 69 },
+    { desde: 640, hasta: 945, tarifa: 35, uvtMarginal: 162 },
+    { desde: 945, hasta: 2300, tarifa: 37, uvtMarginal: 268 },
+    { desde: 2300, hasta: null, tarifa: 39, uvtMarginal: 770 }
+];
+
+// Parámetros por año (UVT y topes mensuales en UVT)
+// Desde 2023 (Ley 2277 de 2022): renta exenta 790 UVT/año y límite global 1.340 UVT/año
+const PARAMETROS_ANUALES_DEFAULT = {
+    2022: { uvt: 38004, topeRentaExentaUvt: 240, limiteGlobalPct: 40, limiteGlobalUvt: 420 },
+    2023: { uvt: 42412, topeRentaExentaUvt: 65.83, limiteGlobalPct: 40, limiteGlobalUvt: 111.67 },
+    2024: { uvt: 47065, topeRentaExentaUvt: 65.83, limiteGlobalPct: 40, limiteGlobalUvt: 111.67 },
+    2025: { uvt: 49799, topeRentaExentaUvt: 65.83, limiteGlobalPct: 40, limiteGlobalUvt: 111.67 },
+    2026: { uvt: 52374, topeRentaExentaUvt: 65.83, limiteGlobalPct: 40, limiteGlobalUvt: 111.67 }
+};
+
+const TOPES_DEDUCCIONES_UVT = {
+    dependientesPct: 10,
+    dependientes: 32,
+    medicinaPrepagada: 16,
+    interesesVivienda: 100
+};
+
+/**
+ * Obtiene los parámetros de retención de un año (config.retencionFuente[año])
+ * @param {Object} config - Configuración del sistema
+ * @param {number} anio - Año gravable
+ * @returns {Object} { uvt, topeRentaExentaUvt, limiteGlobalPct, limiteGlobalUvt, tabla }
+ */
+function obtenerParametrosRetencion(config, anio) {
+    const parametros = {
+        ...(PARAMETROS_ANUALES_DEFAULT[anio] || {}),
+        ...(config.retencionFuente?.[anio] || {})
+    };
+
+    if (!parametros.uvt) {
+        throw createError('CALC_MISSING_CONFIG', `No hay UVT configurada para el año ${anio}`);
+    }
+
+    return {
+        ...parametros,
+        tabla: parametros.tabla || TABLA_ART_383
+    };
+}
+
+/**
+ * Aplica la tabla marginal del Art. 383 a una base en UVT
+ * @param {number} baseUvt - Base gravable en UVT
+ * @param {Array} tabla - Rangos de la tabla
+ * @returns {number} Impuesto en UVT
+ */
+function aplicarTabla(baseUvt, tabla) {
+    const rango = tabla.find(r => baseUvt > r.desde && (r.hasta === null || r.hasta === undefined || baseUvt <= r.hasta));
+    if (!rango || rango.tarifa === 0) return 0;
+    return (baseUvt - rango.desde) * (rango.tarifa / 100) + rango.uvtMarginal;
+}
+
+/**
+ * Calcula la retención en la fuente de un período
+ * @param {Object} pagos - Valores del período
+ * @param {number} pagos.ingresoBruto - Total de pagos laborales del período
+ * @param {number} pagos.aportesObligatorios - Salud y pensión a cargo del empleado
+ * @param {number} pagos.diasLaborados - Días del período
+ * @param {Object} empleado - Datos del empleado (deduccionesRetencion)
+ * @param {Object} config - Configuración del sistema
+ * @param {number} anio - Año gravable
+ * @returns {Object} Detalle de la depuración y valor retenido
+ */
+function calcularRetencionFuente(pagos, empleado, config, anio) {
+    const { ingresoBruto, aportesObligatorios, diasLaborados } = pagos;
+    const parametros = obtenerParametrosRetencion(config, anio);
+    const { uvt } = parametros;
+    const datos = empleado.deduccionesRetencion || {};
+
+    if (!diasLaborados || ingresoBruto <= 0) {
+        return { procedimiento: 1, anio, uvt, baseGravable: 0, baseUvt: 0, retencionMensual: 0, valor: 0 };
+    }
+
+    // Equivalente mensual de los pagos del período
+    const factorMes = 30 / diasLaborados;
+    const ingresoMensual = ingresoBruto * factorMes;
+
+    const ingresosNoConstitutivos = aportesObligatorios * factorMes + (Number(datos.aportesVoluntarios) || 0);
+    const ingresoNeto = Math.max(ingresoMensual - ingresosNoConstitutivos, 0);
+
+    const dependientes = datos.dependientes
+        ? Math.min(ingresoMensual * TOPES_DEDUCCIONES_UVT.dependientesPct / 100, TOPES_DEDUCCIONES_UVT.dependientes * uvt)
+        : 0;
+    const medicinaPrepagada = Math.min(Number(datos.medicinaPrepagada) || 0, TOPES_DEDUCCIONES_UVT.medicinaPrepagada * uvt);
+    const interesesVivienda = Math.min(Number(datos.interesesVivienda) || 0, TOPES_DEDUCCIONES_UVT.interesesVivienda * uvt);
+    const deducciones = dependientes + medicinaPrepagada + interesesVivienda;
+
+    const rentaExenta = Math.min(
+        Math.max(ingresoNeto - deducciones, 0) * 0.25,
+        parametros.topeRentaExentaUvt * uvt
+    );
+
+    // Límite global de beneficios tributarios
+    const limiteGlobal = Math.min(ingresoNeto * parametros.limiteGlobalPct / 100, parametros.limiteGlobalUvt * uvt);
+    const beneficios = Math.min(deducciones + rentaExenta, limiteGlobal);
+
+    const baseGravable = Math.max(ingresoNeto - beneficios, 0);
+    const baseUvt = baseGravable / uvt;
+    const retencionMensual = Math.round(aplicarTabla(baseUvt, parametros.tabla) * uvt / 1000) * 1000;
+
+    return {
+        procedimiento: 1,
+        anio,
+        uvt,
+        ingresoMensual,
+        ingresosNoConstitutivos,
+        deducciones: {
+            dependientes,
+            medicinaPrepagada,
+            interesesVivienda,
+            total: deducciones
+        },
+        rentaExenta,
+        limiteGlobal,
+        beneficiosAplicados: beneficios,
+        baseGravable,
+        baseUvt,
+        retencionMensual,
+        valor: retencionMensual / factorMes
+    };
+}
+
+module.exports = {
+    TABLA_ART_383,
+    PARAMETROS_ANUALES_DEFAULT,
+    TOPES_DEDUCCIONES_UVT,
+    obtenerParametrosRetencion,
+    aplicarTabla,
+    calcularRetencionFuente
+};
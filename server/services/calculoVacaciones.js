@@ -0,0 +1,256 @@
+/**
+ * Libro de Vacaciones - Nómina BJ Pro 4.0
+ *
+ * Lleva la causación, la programación y el saldo de vacaciones de cada
+ * empleado a partir de su fechaIngreso y de los registros de
+ * server/data/vacaciones.json.
+ *
+ * REGLAS:
+ * - CAUSACIÓN = 15 días hábiles por año de servicio (Art. 186 CST), en año
+ *   comercial de 360 días desde fechaIngreso, sin los días de licencia no remunerada
+ * - DÍAS HÁBILES: sin sábados, domingos ni config.festivos
+ * - DISFRUTE: los días hábiles del rango descuentan del saldo; en nómina se pagan
+ *   los días calendario del rango con el salario promedio
+ * - COMPENSACIÓN EN DINERO: hasta la mitad de los días causados (Art. 189 CST,
+ *   Ley 1429 de 2010); se paga en el período indicado
+ * - SALARIO PROMEDIO = mayor entre el salario actual y el promedio del salario
+ *   ordinario de los 12 meses anteriores (Art. 192 CST, sin extras ni recargos)
+ *
+ * ESTADOS: solicitada -> aprobada | anulada. Solo las aprobadas se pagan y
+ * descuentan del saldo; las solicitadas quedan como pendientes.
+ */
+
+const { createError } = require('../middleware/errorHandler');
+const { parsearFecha, formatearFecha, fechasDeNomina, diasHabilesConfig, dias360 } = require('./periodos');
+const { redondear } = require('./calculoNomina');
+const { liquidacionVigente } = require('./calculoAjustes');
+
+const DIAS_VACACIONES_ANIO = 15;
+const TIPOS_VACACION = ['disfrute', 'compensacion'];
+const ESTADOS_VACACION = ['solicitada', 'aprobada', 'anulada'];
+const MAX_COMPENSACION_PCT = 50;
+
+/**
+ * Días hábiles de vacaciones en un rango
+ * @param {string} desde - Fecha inicial (AAAA-MM-DD)
+ * @param {string} hasta - Fecha final (AAAA-MM-DD)
+ * @param {Object} config - Configuración del sistema (jornada.diasNoHabiles, festivos)
+ * @returns {number} Días hábiles
+ */
+function diasHabilesVacaciones(desde, hasta, config) {
+    return diasHabilesConfig(desde, hasta, config);
+}
+
+/**
+ * Días de vacaciones que consume un registro
+ */
+function diasDelRegistro(registro) {
+    return registro.tipo === 'compensacion' ? registro.dias : registro.diasHabiles;
+}
+
+/**
+ * Días de vacaciones ya tomados a una fecha de corte (solo registros aprobados)
+ * @param {Array} registros - Registros de vacaciones del empleado
+ * @param {string} fechaCorte - Fecha de corte (AAAA-MM-DD)
+ * @returns {Object} { disfrutados, compensados } en días hábiles
+ */
+function vacacionesTomadas(registros, fechaCorte) {
+    const aprobados = registros.filter(r => r.estado === 'aprobada');
+    const sumar = (lista) => lista.reduce((sum, r) => sum + diasDelRegistro(r), 0);
+    return {
+        disfrutados: sumar(aprobados.filter(r => r.tipo === 'disfrute' && r.fechaInicio <= fechaCorte)),
+        compensados: sumar(aprobados.filter(r => r.tipo === 'compensacion'))
+    };
+}
+
+/**
+ * Días de licencia no remunerada liquidados hasta una fecha de corte
+ * @param {string} cedula - Cédula del empleado
+ * @param {Array} nominas - Períodos de nómina guardados
+ * @param {string} fechaCorte - Fecha de corte (AAAA-MM-DD)
+ * @returns {number} Días de suspensión del contrato
+ */
+function diasSuspensionHasta(cedula, nominas, fechaCorte) {
+    return nominas.reduce((sum, nomina) => {
+        const { fechaFin } = fechasDeNomina(nomina);
+        if (!fechaFin || fechaFin > fechaCorte) return sum;
+        const liquidacion = liquidacionVigente(nomina, cedula);
+        return sum + (liquidacion?.diasNoRemunerados || 0);
+    }, 0);
+}
+
+/**
+ * Calcula el saldo de vacaciones de un empleado a una fecha de corte
+ * @param {Object} empleado - Datos del empleado (fechaIngreso)
+ * @param {Array} registros - Registros de vacaciones del empleado
+ * @param {string} fechaCorte - Fecha de corte (AAAA-MM-DD)
+ * @param {number} diasSuspension - Días de licencia no remunerada hasta la fecha de corte
+ * @returns {Object} Días causados, disfrutados, programados, compensados, pendientes y saldo
+ * @throws VALIDATION_ERROR si el empleado no tiene fechaIngreso (no hay desde dónde causar)
+ */
+function calcularSaldoVacaciones(empleado, registros, fechaCorte, diasSuspension = 0) {
+    if (!empleado.fechaIngreso) {
+        const error = createError('VALIDATION_ERROR', `El empleado ${empleado.cedula} no tiene fecha de ingreso; no se puede calcular el saldo de vacaciones`);
+        error.details = [{ campo: 'fechaIngreso', mensaje: 'Es requerida para causar vacaciones' }];
+        throw error;
+    }
+
+    const diasServicio = Math.max(0, dias360(empleado.fechaIngreso, fechaCorte) - diasSuspension);
+    const causados = diasServicio * DIAS_VACACIONES_ANIO / 360;
+
+    const aprobados = registros.filter(r => r.estado === 'aprobada');
+    const sumar = (lista) => lista.reduce((sum, r) => sum + diasDelRegistro(r), 0);
+
+    const { disfrutados, compensados } = vacacionesTomadas(registros, fechaCorte);
+    const programados = sumar(aprobados.filter(r => r.tipo === 'disfrute' && r.fechaInicio > fechaCorte));
+    const pendientes = sumar(registros.filter(r => r.estado === 'solicitada'));
+
+    const saldo = causados - disfrutados - programados - compensados;
+
+    return {
+        cedula: empleado.cedula,
+        fechaIngreso: empleado.fechaIngreso,
+        fechaCorte,
+        diasServicio,
+        diasSuspension,
+        causados: redondear(causados),
+        disfrutados,
+        programados,
+        compensados,
+        pendientes,
+        saldo: redondear(saldo),
+        disponible: redondear(saldo - pendientes),
+        maxCompensable: redondear(Math.max(0, causados * MAX_COMPENSACION_PCT / 100 - compensados))
+    };
+}
+
+/**
+ * Valida un registro de vacaciones nuevo contra el saldo del empleado
+ * @param {Object} registro - { tipo, fechaInicio, fechaFin } o { tipo, dias, periodo }
+ * @param {Object} saldo - Resultado de calcularSaldoVacaciones
+ * @param {Array} registros - Registros existentes del empleado
+ * @returns {Array} Lista de errores encontrados
+ */
+function validarVacacion(registro, saldo, registros) {
+    const errores = [];
+
+    if (!TIPOS_VACACION.includes(registro.tipo)) {
+        errores.push({ campo: 'tipo', mensaje: `Debe ser uno de: ${TIPOS_VACACION.join(', ')}` });
+        return errores;
+    }
+    if (registro.estado !== undefined && !['solicitada', 'aprobada'].includes(registro.estado)) {
+        errores.push({ campo: 'estado', mensaje: 'Debe ser solicitada o aprobada' });
+    }
+
+    if (registro.tipo === 'disfrute') {
+        if (!parsearFecha(registro.fechaInicio) || !parsearFecha(registro.fechaFin) ||
+            registro.fechaFin < registro.fechaInicio) {
+            errores.push({ campo: 'fechaInicio', mensaje: 'fechaInicio y fechaFin deben ser fechas AAAA-MM-DD válidas' });
+            return errores;
+        }
+        if (registro.diasHabiles === 0) {
+            errores.push({ campo: 'fechaFin', mensaje: 'El rango no tiene días hábiles' });
+        }
+        const cruce = registros.find(r => r.tipo === 'disfrute' && r.estado !== 'anulada' &&
+            r.fechaInicio <= registro.fechaFin && r.fechaFin >= registro.fechaInicio);
+        if (cruce) {
+            errores.push({ campo: 'fechaInicio', mensaje: `Se cruza con las vacaciones del ${cruce.fechaInicio} al ${cruce.fechaFin}` });
+        }
+    } else {
+        if (!Number.isInteger(registro.dias) || registro.dias <= 0) {
+            errores.push({ campo: 'dias', mensaje: 'Debe ser un entero mayor a cero' });
+            return errores;
+        }
+        if (!registro.periodo) {
+            errores.push({ campo: 'periodo', mensaje: 'Indique el período de nómina en que se paga' });
+        }
+        if (registro.dias > saldo.maxCompensable) {
+            errores.push({ campo: 'dias', mensaje: `Solo se pueden compensar ${saldo.maxCompensable} días (la mitad de los causados)` });
+        }
+    }
+
+    const dias = diasDelRegistro(registro);
+    if (dias > saldo.disponible) {
+        errores.push({ campo: 'dias', mensaje: `El saldo disponible es de ${saldo.disponible} días` });
+    }
+
+    return errores;
+}
+
+/**
+ * Salario base de vacaciones: el mayor entre el salario actual y el promedio
+ * del salario ordinario de los 12 meses anteriores a la fecha
+ * @param {Object} empleado - Datos del empleado
+ * @param {Array} nominas - Períodos de nómina guardados
+ * @param {string} fecha - Fecha de inicio de las vacaciones (AAAA-MM-DD)
+ * @param {Object} config - Configuración del sistema (smmlv)
+ * @returns {number} Salario mensual promedio
+ */
+function salarioPromedioVacaciones(empleado, nominas, fecha, config) {
+    const actual = empleado.esSalarioMinimo ? config.smmlv : (empleado.salarioBase || config.smmlv);
+
+    const fin = parsearFecha(fecha);
+    if (!fin) return actual;
+    const desde = formatearFecha(new Date(Date.UTC(fin.getUTCFullYear() - 1, fin.getUTCMonth(), fin.getUTCDate())));
+
+    let salario = 0;
+    let dias = 0;
+    for (const nomina of nominas) {
+        const { fechaFin } = fechasDeNomina(nomina);
+        if (!fechaFin || fechaFin < desde || fechaFin >= fecha) continue;
+        const liquidacion = liquidacionVigente(nomina, empleado.cedula);
+        if (!liquidacion) continue;
+        salario += liquidacion.salarioDevengado || 0;
+        dias += liquidacion.diasTrabajados ?? liquidacion.diasLaborados ?? 0;
+    }
+
+    const promedio = dias > 0 ? salario / dias * 30 : 0;
+    return redondear(Math.max(actual, promedio));
+}
+
+/**
+ * Novedades de vacaciones de un período a partir del libro
+ * @param {Array} registros - Registros de vacaciones del empleado
+ * @param {string} periodo - Identificador del período
+ * @param {Object} rango - { fechaInicio, fechaFin } del período
+ * @param {number} salarioPromedio - Salario base de vacaciones
+ * @returns {Object} { vacaciones, vacacionesCompensadas } (vacío si no hay)
+ */
+function novedadesDeVacaciones(registros, periodo, rango, salarioPromedio) {
+    const aprobados = registros.filter(r => r.estado === 'aprobada');
+    const novedades = {};
+
+    if (rango) {
+        const vacaciones = aprobados
+            .filter(r => r.tipo === 'disfrute' && r.fechaInicio <= rango.fechaFin && r.fechaFin >= rango.fechaInicio)
+            .map(r => ({
+                fechaInicio: r.fechaInicio > rango.fechaInicio ? r.fechaInicio : rango.fechaInicio,
+                fechaFin: r.fechaFin < rango.fechaFin ? r.fechaFin : rango.fechaFin,
+                salarioPromedio
+            }));
+        if (vacaciones.length > 0) novedades.vacaciones = vacaciones;
+    }
+
+    const compensados = aprobados
+        .filter(r => r.tipo === 'compensacion' && r.periodo === periodo)
+        .reduce((sum, r) => sum + r.dias, 0);
+    if (compensados > 0) {
+        novedades.vacacionesCompensadas = { dias: compensados, salarioPromedio };
+    }
+
+    return novedades;
+}
+
+module.exports = {
+    DIAS_VACACIONES_ANIO,
+    TIPOS_VACACION,
+    ESTADOS_VACACION,
+    MAX_COMPENSACION_PCT,
+    diasHabilesVacaciones,
+    vacacionesTomadas,
+    diasSuspensionHasta,
+    calcularSaldoVacaciones,
+    validarVacacion,
+    salarioPromedioVacaciones,
+    novedadesDeVacaciones
+};
@@ -0,0 +1,207 @@
+/**
+ * Documento PDF - Nómina BJ Pro 4.0
+ *
+ * Genera documentos PDF 1.4 de texto y líneas, sin dependencias externas.
+ *
+ * ESTRUCTURA:
+ * - Catálogo, árbol de páginas y las fuentes estándar Helvetica y Helvetica-Bold
+ *   (WinAnsiEncoding: cubre tildes, ñ y el signo $)
+ * - Por página: el objeto Page y su contenido comprimido con FlateDecode
+ * - Tabla de referencias cruzadas (xref) y trailer
+ *
+ * Las coordenadas de los elementos se miden en puntos (1/72") desde la esquina
+ * SUPERIOR izquierda de una hoja carta (612 x 792).
+ */
+
+const zlib = require('zlib');
+
+const ANCHO_PAGINA = 612;
+const ALTO_PAGINA = 792;
+
+// Anchos de los caracteres 32-126 en milésimas del tamaño (métricas AFM de Adobe)
+const ANCHOS_HELVETICA = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const ANCHOS_HELVETICA_BOLD = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+/**
+ * Ancho de un texto en puntos
+ * Las letras con tilde miden como la letra base
+ * @param {string} texto - Texto
+ * @param {number} tamano - Tamaño de la fuente
+ * @param {boolean} [negrita] - Helvetica-Bold
+ * @returns {number} Ancho en puntos
+ */
+function anchoTexto(texto, tamano, negrita = false) {
+    const anchos = negrita ? ANCHOS_HELVETICA_BOLD : ANCHOS_HELVETICA;
+    let total = 0;
+    for (const caracter of String(texto)) {
+        const codigo = caracter.normalize('NFD').charCodeAt(0);
+        total += anchos[codigo - 32] || 556;
+    }
+    return total * tamano / 1000;
+}
+
+/**
+ * Divide un texto en líneas que caben en un ancho (corta entre palabras)
+ * @param {string} texto - Texto del párrafo
+ * @param {number} anchoMaximo - Ancho disponible en puntos
+ * @param {number} tamano - Tamaño de la fuente
+ * @param {boolean} [negrita] - Helvetica-Bold
+ * @returns {Array} Líneas del párrafo
+ */
+function dividirLineas(texto, anchoMaximo, tamano, negrita = false) {
+    const lineas = [];
+    let actual = '';
+
+    for (const palabra of String(texto).split(/\s+/).filter(Boolean)) {
+        const candidata = actual ? `${actual} ${palabra}` : palabra;
+        if (actual && anchoTexto(candidata, tamano, negrita) > anchoMaximo) {
+            lineas.push(actual);
+            actual = palabra;
+        } else {
+            actual = candidata;
+        }
+    }
+    if (actual) lineas.push(actual);
+
+    return lineas;
+}
+
+/**
+ * Valor en pesos sin decimales para los documentos: $ 1.234.567 (negativos: -$ 1.234)
+ * Espacio normal, no el de no separación de Intl, para que anchoTexto lo mida
+ */
+function formatearPesos(valor) {
+    const texto = Math.round(Math.abs(valor || 0)).toLocaleString('es-CO');
+    return `${valor < 0 ? '-' : ''}$ ${texto}`;
+}
+
+/**
+ * Cadena literal de PDF en WinAnsi: escapa \ ( ) y reemplaza lo que no cabe en Latin-1
+ */
+function cadenaPdf(texto) {
+    const latin = String(texto).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+    return `(${latin.replace(/[\\()]/g, c => `\\${c}`)})`;
+}
+
+/**
+ * Número con máximo dos decimales para los operadores de contenido
+ */
+function num(valor) {
+    return String(Math.round(valor * 100) / 100);
+}
+
+/**
+ * Operadores de contenido de una página
+ * @param {Array} elementos - Elementos de la página:
+ *   { tipo: 'texto', x, y, texto, tamano?, negrita?, alineacion?: 'izquierda'|'derecha'|'centro' }
+ *   { tipo: 'linea', x1, y1, x2, y2, grosor? }
+ *   { tipo: 'rectangulo', x, y, ancho, alto, gris? }  (gris 0-1: relleno; sin gris: solo borde)
+ * @returns {string} Contenido de la página
+ */
+function contenidoPagina(elementos) {
+    const operadores = [];
+
+    for (const el of elementos) {
+        if (el.tipo === 'texto') {
+            if (!el.texto) continue;
+            const tamano = el.tamano || 10;
+            const ancho = anchoTexto(el.texto, tamano, el.negrita);
+            let x = el.x;
+            if (el.alineacion === 'derecha') x -= ancho;
+            if (el.alineacion === 'centro') x -= ancho / 2;
+            operadores.push(`BT /${el.negrita ? 'F2' : 'F1'} ${num(tamano)} Tf ${num(x)} ${num(ALTO_PAGINA - el.y)} Td ${cadenaPdf(el.texto)} Tj ET`);
+        } else if (el.tipo === 'linea') {
+            operadores.push(`${num(el.grosor || 0.5)} w ${num(el.x1)} ${num(ALTO_PAGINA - el.y1)} m ${num(el.x2)} ${num(ALTO_PAGINA - el.y2)} l S`);
+        } else if (el.tipo === 'rectangulo') {
+            const rect = `${num(el.x)} ${num(ALTO_PAGINA - el.y - el.alto)} ${num(el.ancho)} ${num(el.alto)} re`;
+            operadores.push(el.gris !== undefined ? `${num(el.gris)} g ${rect} f 0 g` : `0.5 w ${rect} S`);
+        }
+    }
+
+    return operadores.join('\n');
+}
+
+/**
+ * Crea un documento PDF
+ * @param {Array} paginas - Lista de páginas; cada página es una lista de elementos (ver contenidoPagina)
+ * @param {Object} [info] - { titulo, autor }
+ * @returns {Buffer} Contenido del PDF
+ */
+function crearPdf(paginas, info = {}) {
+    // Objetos 1-5 fijos; cada página usa dos objetos (Page y contenido) desde el 6
+    const idPagina = i => 6 + i * 2;
+    const objetos = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${paginas.map((_, i) => `${idPagina(i)} 0 R`).join(' ')}] /Count ${paginas.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Title ${cadenaPdf(info.titulo || '')} /Author ${cadenaPdf(info.autor || '')} /Producer (Nomina BJ Pro 4.0) >>`
+    ].map(cuerpo => Buffer.from(cuerpo, 'latin1'));
+
+    paginas.forEach((elementos, i) => {
+        const contenido = zlib.deflateSync(Buffer.from(contenidoPagina(elementos), 'latin1'));
+        objetos.push(Buffer.from(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${ANCHO_PAGINA} ${ALTO_PAGINA}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${idPagina(i) + 1} 0 R >>`,
+            'latin1'
+        ));
+        objetos.push(Buffer.concat([
+            Buffer.from(`<< /Length ${contenido.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+            contenido,
+            Buffer.from('\nendstream', 'latin1')
+        ]));
+    });
+
+    const partes = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    const desplazamientos = [];
+    let posicion = partes[0].length;
+
+    objetos.forEach((cuerpo, i) => {
+        const objeto = Buffer.concat([
+            Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+            cuerpo,
+            Buffer.from('\nendobj\n', 'latin1')
+        ]);
+        desplazamientos.push(posicion);
+        partes.push(objeto);
+        posicion += objeto.length;
+    });
+
+    const xref = [
+        'xref',
+        `0 ${objetos.length + 1}`,
+        '0000000000 65535 f ',
+        ...desplazamientos.map(d => `${String(d).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objetos.length + 1} /Root 1 0 R /Info 5 0 R >>`,
+        'startxref',
+        String(posicion),
+        '%%EOF'
+    ].join('\n');
+    partes.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+    return Buffer.concat(partes);
+}
+
+module.exports = {
+    ANCHO_PAGINA,
+    ALTO_PAGINA,
+    anchoTexto,
+    dividirLineas,
+    formatearPesos,
+    crearPdf
+};
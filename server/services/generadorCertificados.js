@@ -0,0 +1,304 @@
+/**
+ * Certificados Laborales - Nómina BJ Pro 4.0
+ *
+ * Certificado en PDF a partir de las plantillas de config.certificados.
+ *
+ * PLANTILLAS: texto con variables {{nombre}}, una por párrafo:
+ * - plantillaEncabezado: quién certifica (centrado, antes de "CERTIFICA")
+ * - plantillaActivo / plantillaRetirado: vínculo, cargo, contrato y salario
+ * - plantillaPromedio: promedio de ingresos variables (solo si se solicita)
+ * - plantillaCierre: ciudad y fecha de expedición
+ *
+ * VARIABLES: empresa, nit, nombres, cedula, cargo, fechaIngreso, fechaRetiro,
+ * tipoContrato, salario, salarioLetras, periodosPromedio, promedioVariable,
+ * promedioVariableLetras, ciudad, fechaExpedicion, dirigidoA
+ *
+ * INGRESOS VARIABLES: horas extra, recargos y bonificaciones (totalExtras + bonificacion)
+ * de los últimos períodos aprobados del empleado, llevados a un promedio mensual:
+ *   promedioMensual = Σ variables / Σ días laborados × 30
+ *
+ * Cada certificado expedido se guarda con un código de verificación.
+ */
+
+const crypto = require('crypto');
+const { redondear } = require('./calculoNomina');
+const { liquidacionVigente } = require('./calculoAjustes');
+const { fechasDeNomina } = require('./periodos');
+const { crearPdf, dividirLineas, formatearPesos, ANCHO_PAGINA } = require('./documentoPdf');
+
+const CERTIFICADOS_DEFAULT = {
+    ciudad: 'Medellín',
+    firmante: { nombre: '', cargo: 'Jefe de Talento Humano' },
+    telefono: '',
+    periodosPromedio: 12,
+    plantillaEncabezado: 'EL SUSCRITO REPRESENTANTE DE {{empresa}}',
+    plantillaActivo: 'Que {{nombres}}, identificado(a) con cédula de ciudadanía No. {{cedula}}, labora en {{empresa}} ' +
+        'desde el {{fechaIngreso}} con contrato a {{tipoContrato}}, desempeñando el cargo de {{cargo}}, ' +
+        'con un salario básico mensual de {{salarioLetras}} ({{salario}}).',
+    plantillaRetirado: 'Que {{nombres}}, identificado(a) con cédula de ciudadanía No. {{cedula}}, laboró en {{empresa}} ' +
+        'desde el {{fechaIngreso}} hasta el {{fechaRetiro}} con contrato a {{tipoContrato}}, desempeñando el cargo de ' +
+        '{{cargo}}, con un último salario básico mensual de {{salarioLetras}} ({{salario}}).',
+    plantillaPromedio: 'Adicionalmente, en los últimos {{periodosPromedio}} períodos de nómina devengó en promedio ' +
+        '{{promedioVariableLetras}} ({{promedioVariable}}) mensuales por concepto de horas extra, recargos y bonificaciones.',
+    plantillaCierre: 'La presente certificación se expide a solicitud del interesado(a) en {{ciudad}}, el {{fechaExpedicion}}.'
+};
+
+const NOMBRES_CONTRATO = { indefinido: 'término indefinido', fijo: 'término fijo', obra: 'obra o labor' };
+
+const MESES = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto',
+    'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+const UNIDADES = ['', 'UN', 'DOS', 'TRES', 'CUATRO', 'CINCO', 'SEIS', 'SIETE', 'OCHO', 'NUEVE'];
+const DIEZ_A_VEINTINUEVE = ['DIEZ', 'ONCE', 'DOCE', 'TRECE', 'CATORCE', 'QUINCE', 'DIECISÉIS', 'DIECISIETE',
+    'DIECIOCHO', 'DIECINUEVE', 'VEINTE', 'VEINTIÚN', 'VEINTIDÓS', 'VEINTITRÉS', 'VEINTICUATRO', 'VEINTICINCO',
+    'VEINTISÉIS', 'VEINTISIETE', 'VEINTIOCHO', 'VEINTINUEVE'];
+const DECENAS = ['', '', '', 'TREINTA', 'CUARENTA', 'CINCUENTA', 'SESENTA', 'SETENTA', 'OCHENTA', 'NOVENTA'];
+const CENTENAS = ['', 'CIENTO', 'DOSCIENTOS', 'TRESCIENTOS', 'CUATROCIENTOS', 'QUINIENTOS', 'SEISCIENTOS',
+    'SETECIENTOS', 'OCHOCIENTOS', 'NOVECIENTOS'];
+
+/**
+ * Parámetros de certificados con los valores por defecto
+ * @param {Object} config - Configuración del sistema
+ * @returns {Object} Parámetros completos
+ */
+function obtenerParametrosCertificados(config) {
+    const certificados = config.certificados || {};
+    return {
+        ...CERTIFICADOS_DEFAULT,
+        ...certificados,
+        firmante: { ...CERTIFICADOS_DEFAULT.firmante, ...(certificados.firmante || {}) }
+    };
+}
+
+/**
+ * Número de 0 a 999 en letras
+ */
+function centenasEnLetras(n) {
+    if (n === 100) return 'CIEN';
+    const centena = CENTENAS[Math.floor(n / 100)];
+    const resto = n % 100;
+    let decena = '';
+    if (resto >= 30) {
+        decena = DECENAS[Math.floor(resto / 10)] + (resto % 10 ? ` Y ${UNIDADES[resto % 10]}` : '');
+    } else if (resto >= 10) {
+        decena = DIEZ_A_VEINTINUEVE[resto - 10];
+    } else {
+        decena = UNIDADES[resto];
+    }
+    return [centena, decena].filter(Boolean).join(' ');
+}
+
+/**
+ * Número de 0 a 999.999 en letras
+ */
+function milesEnLetras(n) {
+    const miles = Math.floor(n / 1000);
+    const resto = n % 1000;
+    const textoMiles = miles === 0 ? '' : (miles === 1 ? 'MIL' : `${centenasEnLetras(miles)} MIL`);
+    return [textoMiles, centenasEnLetras(resto)].filter(Boolean).join(' ');
+}
+
+/**
+ * Valor en pesos en letras, como en los documentos laborales
+ * Ej: 1.250.000 → "UN MILLÓN DOSCIENTOS CINCUENTA MIL PESOS M/CTE"
+ * @param {number} valor - Valor (se redondea al peso)
+ * @returns {string} Valor en letras
+ */
+function pesosEnLetras(valor) {
+    const n = Math.round(Math.abs(valor || 0));
+    if (n === 0) return 'CERO PESOS M/CTE';
+    if (n === 1) return 'UN PESO M/CTE';
+
+    const millones = Math.floor(n / 1000000);
+    const resto = n % 1000000;
+    const textoMillones = millones === 0 ? '' : (millones === 1 ? 'UN MILLÓN' : `${milesEnLetras(millones)} MILLONES`);
+    const texto = [textoMillones, milesEnLetras(resto)].filter(Boolean).join(' ');
+
+    // "UN MILLÓN DE PESOS", "DOS MILLONES DE PESOS"
+    return `${texto}${millones > 0 && resto === 0 ? ' DE' : ''} PESOS M/CTE`;
+}
+
+/**
+ * Fecha AAAA-MM-DD en letras: "2 de mayo de 2022"
+ */
+function fechaEnLetras(fecha) {
+    if (!fecha) return '';
+    const [anio, mes, dia] = fecha.split('-').map(Number);
+    return `${dia} de ${MESES[mes - 1]} de ${anio}`;
+}
+
+/**
+ * Reemplaza las variables {{nombre}} de una plantilla (las desconocidas quedan vacías)
+ * @param {string} plantilla - Texto de la plantilla
+ * @param {Object} datos - Valores de las variables
+ * @returns {string} Texto final
+ */
+function aplicarPlantilla(plantilla, datos) {
+    return String(plantilla || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (_, clave) => datos[clave] ?? '');
+}
+
+/**
+ * Promedio mensual de ingresos variables en los últimos períodos aprobados del empleado
+ * Los períodos se ordenan por fecha fin (del identificador si el archivo no la tiene)
+ * @param {string} cedula - Cédula del empleado
+ * @param {Array} nominas - Todos los períodos de nómina
+ * @param {number} periodos - Número de períodos a promediar
+ * @returns {Object} { periodos: [...], totalVariable, diasLaborados, promedioMensual }
+ */
+function promedioIngresosVariables(cedula, nominas, periodos) {
+    const liquidaciones = nominas
+        .filter(n => n.estado === 'aprobada')
+        .sort((a, b) => (fechasDeNomina(b).fechaFin || '').localeCompare(fechasDeNomina(a).fechaFin || ''))
+        .map(n => ({ periodo: n.periodo, liquidacion: liquidacionVigente(n, cedula) }))
+        .filter(l => l.liquidacion)
+        .slice(0, periodos);
+
+    const totalVariable = liquidaciones.reduce((sum, l) => sum + (l.liquidacion.totalExtras || 0) + (l.liquidacion.bonificacion || 0), 0);
+    const diasLaborados = liquidaciones.reduce((sum, l) => sum + (l.liquidacion.diasLaborados || 0), 0);
+
+    return {
+        periodos: liquidaciones.map(l => l.periodo),
+        totalVariable: redondear(totalVariable),
+        diasLaborados,
+        promedioMensual: diasLaborados > 0 ? redondear(totalVariable / diasLaborados * 30) : 0
+    };
+}
+
+/**
+ * Código de verificación aleatorio (CL- + 10 caracteres hexadecimales)
+ * @param {Array} existentes - Certificados ya expedidos
+ * @returns {string} Código único
+ */
+function generarCodigoVerificacion(existentes = []) {
+    let codigo;
+    do {
+        codigo = `CL-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+    } while (existentes.some(c => c.codigo === codigo));
+    return codigo;
+}
+
+/**
+ * Datos del certificado de un empleado (lo que se guarda para verificarlo)
+ * @param {Object} empleado - Empleado
+ * @param {Object} opciones - { codigo, dirigidoA, promedio (de promedioIngresosVariables o null), ahora }
+ * @returns {Object} Certificado
+ */
+function construirCertificado(empleado, { codigo, dirigidoA, promedio, ahora = new Date() }) {
+    const retirado = empleado.activo === false && Boolean(empleado.fechaRetiro);
+    return {
+        codigo,
+        tipo: 'laboral',
+        cedula: empleado.cedula,
+        nombres: empleado.nombres,
+        cargo: empleado.cargo || '',
+        fechaIngreso: empleado.fechaIngreso || '',
+        fechaRetiro: retirado ? empleado.fechaRetiro : null,
+        tipoContrato: empleado.tipoContrato || 'indefinido',
+        salarioBase: empleado.salarioBase || 0,
+        salarioIntegral: empleado.salarioIntegral === true,
+        promedioVariable: promedio || null,
+        dirigidoA: dirigidoA || 'A QUIEN INTERESE',
+        fechaExpedicion: ahora.toISOString().split('T')[0],
+        expedidoAt: ahora.toISOString()
+    };
+}
+
+/**
+ * PDF del certificado laboral
+ * @param {Object} certificado - Datos de construirCertificado
+ * @param {Object} config - Configuración (empresa y certificados)
+ * @returns {Buffer} Contenido del PDF
+ */
+function generarCertificadoPdf(certificado, config) {
+    const parametros = obtenerParametrosCertificados(config);
+    const empresa = config.empresa || {};
+    const nit = empresa.nit ? `${empresa.nit}${empresa.digitoVerificacion ? `-${empresa.digitoVerificacion}` : ''}` : '';
+    const promedio = certificado.promedioVariable;
+
+    const datos = {
+        empresa: empresa.razonSocial || '',
+        nit,
+        nombres: certificado.nombres,
+        cedula: certificado.cedula,
+        cargo: certificado.cargo,
+        fechaIngreso: fechaEnLetras(certificado.fechaIngreso),
+        fechaRetiro: fechaEnLetras(certificado.fechaRetiro),
+        tipoContrato: NOMBRES_CONTRATO[certificado.tipoContrato] || certificado.tipoContrato,
+        salario: formatearPesos(certificado.salarioBase),
+        salarioLetras: pesosEnLetras(certificado.salarioBase),
+        periodosPromedio: promedio ? promedio.periodos.length : '',
+        promedioVariable: promedio ? formatearPesos(promedio.promedioMensual) : '',
+        promedioVariableLetras: promedio ? pesosEnLetras(promedio.promedioMensual) : '',
+        ciudad: parametros.ciudad,
+        fechaExpedicion: fechaEnLetras(certificado.fechaExpedicion),
+        dirigidoA: certificado.dirigidoA
+    };
+
+    const parrafos = [
+        aplicarPlantilla(certificado.fechaRetiro ? parametros.plantillaRetirado : parametros.plantillaActivo, datos)
+    ];
+    if (promedio && promedio.periodos.length > 0) {
+        parrafos.push(aplicarPlantilla(parametros.plantillaPromedio, datos));
+    }
+    parrafos.push(aplicarPlantilla(parametros.plantillaCierre, datos));
+
+    const margen = 72;
+    const centro = ANCHO_PAGINA / 2;
+    const anchoTexto = ANCHO_PAGINA - margen * 2;
+    const elementos = [
+        { tipo: 'texto', x: centro, y: 90, texto: datos.empresa, tamano: 14, negrita: true, alineacion: 'centro' },
+        { tipo: 'texto', x: centro, y: 106, texto: nit ? `NIT ${nit}` : '', tamano: 10, alineacion: 'centro' },
+        { tipo: 'texto', x: centro, y: 120, texto: empresa.direccion || '', tamano: 10, alineacion: 'centro' },
+        { tipo: 'texto', x: margen, y: 170, texto: certificado.dirigidoA, tamano: 11, negrita: true }
+    ];
+
+    let y = 220;
+    for (const linea of dividirLineas(aplicarPlantilla(parametros.plantillaEncabezado, datos), anchoTexto, 11, true)) {
+        elementos.push({ tipo: 'texto', x: centro, y, texto: linea, tamano: 11, negrita: true, alineacion: 'centro' });
+        y += 15;
+    }
+    y += 15;
+    elementos.push({ tipo: 'texto', x: centro, y, texto: 'CERTIFICA', tamano: 13, negrita: true, alineacion: 'centro' });
+
+    y += 40;
+    for (const parrafo of parrafos) {
+        for (const linea of dividirLineas(parrafo, anchoTexto, 11)) {
+            elementos.push({ tipo: 'texto', x: margen, y, texto: linea, tamano: 11 });
+            y += 16;
+        }
+        y += 12;
+    }
+
+    // Firma
+    y += 60;
+    elementos.push(
+        { tipo: 'linea', x1: margen, y1: y, x2: margen + 220, y2: y },
+        { tipo: 'texto', x: margen, y: y + 14, texto: parametros.firmante.nombre, tamano: 11, negrita: true },
+        { tipo: 'texto', x: margen, y: y + 28, texto: parametros.firmante.cargo, tamano: 10 },
+        { tipo: 'texto', x: margen, y: y + 42, texto: parametros.telefono ? `Teléfono ${parametros.telefono}` : '', tamano: 10 }
+    );
+
+    // Verificación al pie de la página
+    elementos.push(
+        { tipo: 'linea', x1: margen, y1: 712, x2: ANCHO_PAGINA - margen, y2: 712 },
+        { tipo: 'texto', x: margen, y: 726, texto: `Código de verificación: ${certificado.codigo}`, tamano: 9, negrita: true },
+        {
+            tipo: 'texto', x: margen, y: 740, tamano: 8,
+            texto: `Para confirmar la autenticidad de este certificado comuníquese con ${datos.empresa}${parametros.telefono ? ` al ${parametros.telefono}` : ''} e indique el código.`
+        }
+    );
+
+    return crearPdf([elementos], { titulo: `Certificado laboral ${certificado.codigo}`, autor: datos.empresa });
+}
+
+module.exports = {
+    CERTIFICADOS_DEFAULT,
+    NOMBRES_CONTRATO,
+    obtenerParametrosCertificados,
+    pesosEnLetras,
+    aplicarPlantilla,
+    promedioIngresosVariables,
+    generarCodigoVerificacion,
+    construirCertificado,
+    generarCertificadoPdf
+};
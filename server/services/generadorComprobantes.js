@@ -0,0 +1,254 @@
+/**
+ * Comprobantes de Pago (desprendibles) - Nómina BJ Pro 4.0
+ *
+ * Un comprobante por empleado y período en PDF (una página carta), con:
+ * - Encabezado de la empresa y del período
+ * - Datos del empleado (cédula, salario base, días, cuenta de pago)
+ * - Devengados: salario, auxilio, cada hora extra y recargo (detalleExtras),
+ *   incapacidades, licencias, vacaciones y bonificación no salarial
+ * - Deducciones: salud, pensión, FSP, retención, préstamos, embargos y libranzas
+ * - Neto pagado: nómina consignada + bonificación (menos préstamos)
+ *
+ * En un período aprobado se usa la liquidación vigente (con los ajustes aplicados).
+ */
+
+const { redondear } = require('./calculoNomina');
+const { liquidacionesVigentes } = require('./calculoAjustes');
+const { crearPdf, formatearPesos, ANCHO_PAGINA } = require('./documentoPdf');
+
+const MARGEN = 40;
+const DERECHA = ANCHO_PAGINA - MARGEN;
+const COLUMNA_CANTIDAD = 420;
+const ALTO_FILA = 14;
+
+// Horas extra y recargos del comprobante, en el orden de la liquidación
+const CONCEPTOS_EXTRAS = [
+    { clave: 'horasExtraDiurna', descripcion: 'Horas extra diurnas', unidad: 'h' },
+    { clave: 'horasExtraNocturna', descripcion: 'Horas extra nocturnas', unidad: 'h' },
+    { clave: 'recargoNocturno', descripcion: 'Recargo nocturno', unidad: 'h' },
+    { clave: 'horasExtraDomDiurna', descripcion: 'Horas extra dominicales diurnas', unidad: 'h' },
+    { clave: 'horasExtraDomNocturna', descripcion: 'Horas extra dominicales nocturnas', unidad: 'h' },
+    { clave: 'dominicalSinComp', descripcion: 'Dominical sin compensatorio', unidad: 'días' },
+    { clave: 'dominicalConComp', descripcion: 'Dominical con compensatorio', unidad: 'días' }
+];
+
+// Nombre de cada tipo de orden de descuento en el comprobante
+const NOMBRES_DESCUENTO = { alimentos: 'Embargo de alimentos', embargo: 'Embargo judicial', libranza: 'Libranza' };
+
+/**
+ * Cantidad con su unidad: 4 h, 1 día, 6 días
+ */
+function formatearCantidad(cantidad, unidad) {
+    if (!cantidad) return '';
+    return `${cantidad} ${unidad === 'días' && cantidad === 1 ? 'día' : unidad}`;
+}
+
+/**
+ * Devengados de la liquidación: [{ descripcion, cantidad, valor }] sin los conceptos en cero
+ * @param {Object} liq - Liquidación del empleado
+ * @returns {Array} Filas de devengados
+ */
+function filasDevengados(liq) {
+    const filas = [
+        { descripcion: 'Salario', cantidad: formatearCantidad(liq.diasLaborados, 'días'), valor: liq.salarioDevengado || 0 },
+        { descripcion: 'Auxilio de transporte', valor: liq.auxDevengado || 0 }
+    ];
+
+    if (liq.detalleExtras) {
+        for (const { clave, descripcion, unidad } of CONCEPTOS_EXTRAS) {
+            const extra = liq.detalleExtras[clave];
+            if (extra?.valor) {
+                filas.push({ descripcion, cantidad: formatearCantidad(extra.cantidad, unidad), valor: extra.valor });
+            }
+        }
+    } else {
+        // Liquidaciones anteriores al detalle de extras
+        filas.push({ descripcion: 'Horas extra y recargos', valor: liq.totalExtras || 0 });
+    }
+
+    filas.push(
+        { descripcion: 'Incapacidades', cantidad: formatearCantidad(liq.diasIncapacidad, 'días'), valor: liq.valorIncapacidades || 0 },
+        { descripcion: 'Licencias', cantidad: formatearCantidad(liq.diasLicencia, 'días'), valor: liq.valorLicencias || 0 },
+        { descripcion: 'Vacaciones disfrutadas', cantidad: formatearCantidad(liq.diasVacaciones, 'días'), valor: liq.valorVacaciones || 0 },
+        { descripcion: 'Vacaciones compensadas', valor: liq.valorVacacionesCompensadas || 0 },
+        { descripcion: 'Bonificación no salarial', valor: liq.bonificacion || 0 }
+    );
+
+    return filas.filter((f, i) => i === 0 || f.valor !== 0);
+}
+
+/**
+ * Deducciones de la liquidación: [{ descripcion, cantidad, valor }] sin los conceptos en cero
+ * Embargos y libranzas se detallan por juzgado o acreedor
+ * @param {Object} liq - Liquidación del empleado
+ * @returns {Array} Filas de deducciones
+ */
+function filasDeducciones(liq) {
+    const filas = [
+        { descripcion: 'Salud', valor: liq.deduccionSalud || 0 },
+        { descripcion: 'Pensión', valor: liq.deduccionPension || 0 },
+        { descripcion: 'Fondo de Solidaridad Pensional', cantidad: liq.fspPct ? `${liq.fspPct}%` : '', valor: liq.deduccionFsp || 0 },
+        { descripcion: 'Retención en la fuente', valor: liq.deduccionRetencion || 0 },
+        { descripcion: 'Préstamos y anticipos', valor: liq.deduccionPrestamo || 0 }
+    ];
+
+    if (liq.descuentos?.length > 0) {
+        for (const d of liq.descuentos) {
+            filas.push({ descripcion: `${NOMBRES_DESCUENTO[d.tipo] || d.tipo} - ${d.beneficiario}`, valor: d.valor });
+        }
+    } else {
+        filas.push(
+            { descripcion: 'Embargos', valor: liq.deduccionEmbargos || 0 },
+            { descripcion: 'Libranzas', valor: liq.deduccionLibranzas || 0 }
+        );
+    }
+
+    return filas.filter(f => f.valor !== 0);
+}
+
+/**
+ * Elementos de una tabla de conceptos con su total
+ * @returns {Object} { elementos, y } y = posición siguiente a la tabla
+ */
+function tablaConceptos(titulo, filas, etiquetaTotal, total, y) {
+    const elementos = [
+        { tipo: 'rectangulo', x: MARGEN, y, ancho: DERECHA - MARGEN, alto: ALTO_FILA + 2, gris: 0.9 },
+        { tipo: 'texto', x: MARGEN + 4, y: y + 11, texto: titulo, tamano: 9, negrita: true },
+        { tipo: 'texto', x: COLUMNA_CANTIDAD, y: y + 11, texto: 'Cantidad', tamano: 9, negrita: true, alineacion: 'derecha' },
+        { tipo: 'texto', x: DERECHA - 4, y: y + 11, texto: 'Valor', tamano: 9, negrita: true, alineacion: 'derecha' }
+    ];
+    y += ALTO_FILA + 2;
+
+    for (const fila of filas) {
+        y += ALTO_FILA;
+        elementos.push(
+            { tipo: 'texto', x: MARGEN + 4, y: y - 3, texto: fila.descripcion, tamano: 9 },
+            { tipo: 'texto', x: COLUMNA_CANTIDAD, y: y - 3, texto: fila.cantidad || '', tamano: 9, alineacion: 'derecha' },
+            { tipo: 'texto', x: DERECHA - 4, y: y - 3, texto: formatearPesos(fila.valor), tamano: 9, alineacion: 'derecha' }
+        );
+    }
+
+    y += 4;
+    elementos.push({ tipo: 'linea', x1: MARGEN, y1: y, x2: DERECHA, y2: y });
+    y += ALTO_FILA;
+    elementos.push(
+        { tipo: 'texto', x: MARGEN + 4, y: y - 3, texto: etiquetaTotal, tamano: 9, negrita: true },
+        { tipo: 'texto', x: DERECHA - 4, y: y - 3, texto: formatearPesos(total), tamano: 9, negrita: true, alineacion: 'derecha' }
+    );
+
+    return { elementos, y: y + 14 };
+}
+
+/**
+ * Elementos de la página del comprobante de un empleado
+ * @param {Object} liq - Liquidación (vigente) del empleado
+ * @param {Object} nomina - Período de nómina
+ * @param {Object} empleado - Datos del empleado (puede ser {})
+ * @param {Object} config - Configuración (empresa)
+ * @param {Date} ahora - Fecha de generación
+ * @returns {Array} Elementos de la página (ver documentoPdf)
+ */
+function paginaComprobante(liq, nomina, empleado, config, ahora) {
+    const empresa = config.empresa || {};
+    const nit = empresa.nit ? `NIT ${empresa.nit}${empresa.digitoVerificacion ? `-${empresa.digitoVerificacion}` : ''}` : '';
+    const cuenta = empleado.tipoCuenta || liq.tipoCuenta || '';
+    const numeroCuenta = empleado.cuenta ?? liq.cuenta ?? '';
+
+    const elementos = [
+        { tipo: 'texto', x: MARGEN, y: 50, texto: empresa.razonSocial || 'EMPRESA', tamano: 14, negrita: true },
+        { tipo: 'texto', x: MARGEN, y: 64, texto: nit, tamano: 9 },
+        { tipo: 'texto', x: MARGEN, y: 76, texto: empresa.direccion || '', tamano: 9 },
+        { tipo: 'texto', x: DERECHA, y: 50, texto: 'COMPROBANTE DE PAGO DE NÓMINA', tamano: 11, negrita: true, alineacion: 'derecha' },
+        { tipo: 'texto', x: DERECHA, y: 64, texto: `Período ${nomina.periodo} (${String(nomina.tipoNomina || '').toLowerCase()})`, tamano: 9, alineacion: 'derecha' },
+        { tipo: 'texto', x: DERECHA, y: 76, texto: `Del ${nomina.fechaInicio} al ${nomina.fechaFin}`, tamano: 9, alineacion: 'derecha' },
+        { tipo: 'linea', x1: MARGEN, y1: 86, x2: DERECHA, y2: 86, grosor: 1 }
+    ];
+
+    // Datos del empleado en dos columnas
+    const datos = [
+        ['Empleado', liq.nombres, 'Cédula', liq.cedula],
+        ['Salario base', formatearPesos(liq.salarioBase), 'Días laborados', String(liq.diasLaborados ?? '')],
+        ['Forma de pago', `${cuenta}${numeroCuenta ? ` ${numeroCuenta}` : ''}`, 'Estado', nomina.estado === 'aprobada' ? 'Aprobado' : 'Borrador']
+    ];
+    datos.forEach(([etiqueta1, valor1, etiqueta2, valor2], i) => {
+        const y = 104 + i * ALTO_FILA;
+        elementos.push(
+            { tipo: 'texto', x: MARGEN, y, texto: `${etiqueta1}:`, tamano: 9, negrita: true },
+            { tipo: 'texto', x: MARGEN + 80, y, texto: valor1, tamano: 9 },
+            { tipo: 'texto', x: 360, y, texto: `${etiqueta2}:`, tamano: 9, negrita: true },
+            { tipo: 'texto', x: 440, y, texto: valor2, tamano: 9 }
+        );
+    });
+
+    let y = 104 + datos.length * ALTO_FILA + 6;
+    for (const tabla of [
+        ['DEVENGADOS', filasDevengados(liq), 'TOTAL DEVENGADO', liq.totalDevengado],
+        ['DEDUCCIONES', filasDeducciones(liq), 'TOTAL DEDUCCIONES', liq.totalDeducciones]
+    ]) {
+        const resultado = tablaConceptos(...tabla, y);
+        elementos.push(...resultado.elementos);
+        y = resultado.y;
+    }
+
+    // Neto pagado: la nómina se consigna y la bonificación se paga aparte
+    const resumen = [
+        ['Nómina consignada', liq.totalConsignado ?? liq.valorNominaSemanal],
+        ['Bonificación (menos préstamos)', liq.valorBoniSemanal]
+    ];
+    for (const [descripcion, valor] of resumen) {
+        y += ALTO_FILA;
+        elementos.push(
+            { tipo: 'texto', x: MARGEN + 4, y: y - 3, texto: descripcion, tamano: 9 },
+            { tipo: 'texto', x: DERECHA - 4, y: y - 3, texto: formatearPesos(redondear(valor || 0)), tamano: 9, alineacion: 'derecha' }
+        );
+    }
+    y += 6;
+    elementos.push(
+        { tipo: 'rectangulo', x: MARGEN, y, ancho: DERECHA - MARGEN, alto: 20, gris: 0.85 },
+        { tipo: 'texto', x: MARGEN + 4, y: y + 14, texto: 'NETO PAGADO', tamano: 11, negrita: true },
+        { tipo: 'texto', x: DERECHA - 4, y: y + 14, texto: formatearPesos(liq.totalNomina), tamano: 11, negrita: true, alineacion: 'derecha' }
+    );
+
+    // Firma y pie de página
+    y += 80;
+    elementos.push(
+        { tipo: 'linea', x1: MARGEN, y1: y, x2: MARGEN + 200, y2: y },
+        { tipo: 'texto', x: MARGEN, y: y + 12, texto: 'Firma del empleado', tamano: 8 },
+        { tipo: 'texto', x: DERECHA, y: y + 12, texto: `Generado el ${ahora.toISOString().replace('T', ' ').slice(0, 16)} UTC`, tamano: 8, alineacion: 'derecha' }
+    );
+
+    return elementos;
+}
+
+/**
+ * Comprobantes de pago de un período en un solo PDF (una página por empleado)
+ * @param {Object} nomina - Período de nómina
+ * @param {Array} empleados - Empleados (para la cuenta de pago)
+ * @param {Object} config - Configuración del sistema
+ * @param {Object} [opciones] - { cedula (solo ese empleado), ahora }
+ * @returns {Object} { comprobantes, pdf } comprobantes = [{ cedula, nombres, totalNomina }]
+ */
+function generarComprobantes(nomina, empleados, config, opciones = {}) {
+    const ahora = opciones.ahora || new Date();
+    const liquidaciones = liquidacionesVigentes(nomina)
+        .filter(l => !opciones.cedula || l.cedula === opciones.cedula);
+
+    const paginas = liquidaciones.map(liq => {
+        const empleado = empleados.find(e => e.cedula === liq.cedula) || {};
+        return paginaComprobante(liq, nomina, empleado, config, ahora);
+    });
+
+    return {
+        comprobantes: liquidaciones.map(l => ({ cedula: l.cedula, nombres: l.nombres, totalNomina: l.totalNomina })),
+        pdf: paginas.length > 0
+            ? crearPdf(paginas, { titulo: `Comprobantes de pago ${nomina.periodo}`, autor: config.empresa?.razonSocial || '' })
+            : null
+    };
+}
+
+module.exports = {
+    CONCEPTOS_EXTRAS,
+    filasDevengados,
+    filasDeducciones,
+    generarComprobantes
+};
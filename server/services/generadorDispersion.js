@@ -0,0 +1,313 @@
+/**
+ * Generador de Archivos de Dispersión - Nómina BJ Pro 4.0
+ *
+ * Construye los archivos de pago de un período aprobado agrupando a los
+ * empleados por tipoCuenta:
+ *
+ * - AHORROS y CORRIENTE: archivo plano PAB de Bancolombia (formato SAP de
+ *   pagos masivos), registro de control tipo 1 y un registro tipo 6 por
+ *   empleado, todos de 264 caracteres
+ * - NEQUI: archivo CSV para el cargue masivo de Nequi Negocios
+ * - EFECTIVO: no se dispersa; se lista aparte para pago por caja
+ *
+ * VALOR: totalConsignado de la liquidación vigente (con los ajustes del
+ * período aplicados); la bonificación no constitutiva de salario se paga aparte.
+ *
+ * VALIDACIÓN DE CUENTAS:
+ * - Ahorros y corriente Bancolombia: 11 dígitos
+ * - Nequi: número celular de 10 dígitos que empieza por 3
+ * Las cuentas inválidas y los valores en cero no se incluyen en los archivos y
+ * se reportan en errores.
+ *
+ * Campos alfanuméricos (A): alineados a la izquierda, completados con espacios.
+ * Campos numéricos (N): alineados a la derecha, completados con ceros; los
+ * valores llevan dos decimales implícitos.
+ */
+
+const { createError } = require('../middleware/errorHandler');
+const { formatearCampo } = require('./generadorPila');
+const { liquidacionesVigentes } = require('./calculoAjustes');
+const { redondear } = require('./calculoNomina');
+
+const DISPERSION_DEFAULT = {
+    cuentaDebito: '',
+    tipoCuentaDebito: 'S',
+    claseTransaccion: 225,
+    descripcion: 'NOMINA',
+    codigoBanco: '005600078'
+};
+
+const LONGITUD_REGISTRO = 264;
+
+// Registro de control del lote
+const ENCABEZADO_PAB = [
+    ['tipoRegistro', 1, 'N'],
+    ['nitOriginador', 15, 'N'],
+    ['aplicacion', 1, 'A'],
+    ['relleno1', 15, 'A'],
+    ['claseTransaccion', 3, 'N'],
+    ['descripcion', 10, 'A'],
+    ['fechaTransmision', 8, 'N'],
+    ['secuencia', 2, 'A'],
+    ['fechaAplicacion', 8, 'N'],
+    ['numeroRegistros', 6, 'N'],
+    ['sumaDebitos', 17, 'N'],
+    ['sumaCreditos', 17, 'N'],
+    ['cuentaDebito', 11, 'N'],
+    ['tipoCuentaDebito', 1, 'A'],
+    ['relleno2', 149, 'A']
+];
+
+// Registro de detalle: un pago por empleado
+const DETALLE_PAB = [
+    ['tipoRegistro', 1, 'N'],
+    ['documentoBeneficiario', 15, 'A'],
+    ['nombreBeneficiario', 30, 'A'],
+    ['bancoBeneficiario', 9, 'N'],
+    ['cuentaBeneficiario', 17, 'A'],
+    ['indicadorLugarPago', 1, 'A'],
+    ['tipoTransaccion', 2, 'N'],
+    ['valor', 17, 'N'],
+    ['fechaAplicacion', 8, 'N'],
+    ['referencia', 21, 'A'],
+    ['tipoDocumento', 1, 'A'],
+    ['oficinaEntrega', 5, 'N'],
+    ['fax', 15, 'A'],
+    ['email', 80, 'A'],
+    ['documentoAutorizado', 15, 'A'],
+    ['relleno', 27, 'A']
+];
+
+// Tipo de transacción del detalle: 37 abono a ahorros, 27 abono a corriente
+const TIPO_TRANSACCION = { AHORROS: 37, CORRIENTE: 27 };
+
+// Formato de la cuenta por tipo
+const FORMATO_CUENTA = {
+    AHORROS: { patron: /^\d{11}$/, descripcion: '11 dígitos' },
+    CORRIENTE: { patron: /^\d{11}$/, descripcion: '11 dígitos' },
+    NEQUI: { patron: /^3\d{9}$/, descripcion: 'celular de 10 dígitos que empieza por 3' }
+};
+
+const ENCABEZADO_NEQUI = ['TipoDocumento', 'NumeroDocumento', 'Nombre', 'Celular', 'Valor', 'Referencia'];
+
+/**
+ * Parámetros de dispersión con los valores por defecto
+ * @param {Object} config - Configuración del sistema
+ * @returns {Object} Parámetros completos
+ */
+function obtenerParametrosDispersion(config) {
+    return { ...DISPERSION_DEFAULT, ...(config.dispersion || {}) };
+}
+
+/**
+ * Valida el número de cuenta según el tipo
+ * @param {string} cuenta - Número de cuenta o celular
+ * @param {string} tipoCuenta - AHORROS, CORRIENTE o NEQUI
+ * @returns {string|null} Mensaje de error (null si es válida)
+ */
+function validarCuenta(cuenta, tipoCuenta) {
+    const formato = FORMATO_CUENTA[tipoCuenta];
+    if (!formato) {
+        return `Tipo de cuenta ${tipoCuenta || 'vacío'} no soportado`;
+    }
+    if (!formato.patron.test(String(cuenta || '').trim())) {
+        return `Cuenta ${tipoCuenta} inválida "${cuenta || ''}": debe ser ${formato.descripcion}`;
+    }
+    return null;
+}
+
+/**
+ * Fecha AAAA-MM-DD como AAAAMMDD
+ */
+function fechaCompacta(fecha) {
+    return fecha.replace(/-/g, '');
+}
+
+/**
+ * Construye un registro PAB de longitud fija
+ */
+function construirRegistro(layout, valores) {
+    const registro = layout
+        .map(([campo, longitud, tipo]) => formatearCampo(valores[campo], longitud, tipo))
+        .join('');
+
+    if (registro.length !== LONGITUD_REGISTRO) {
+        throw createError('INTERNAL_ERROR', `Registro PAB con longitud ${registro.length}, se esperaba ${LONGITUD_REGISTRO}`);
+    }
+    return registro;
+}
+
+/**
+ * Texto para un campo CSV (entre comillas si tiene comas o comillas)
+ */
+function campoCsv(valor) {
+    const texto = String(valor ?? '');
+    return /[",\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Totales de control de un grupo de pagos
+ */
+function totalizar(pagos) {
+    return {
+        registros: pagos.length,
+        total: redondear(pagos.reduce((sum, p) => sum + p.valor, 0))
+    };
+}
+
+/**
+ * Archivo plano PAB de Bancolombia
+ * @param {Array} pagos - Pagos a cuentas de ahorros y corriente
+ * @param {Object} datos - { periodo, nit, parametros, fechaAplicacion, secuencia, fechaTransmision }
+ * @returns {string} Contenido del archivo (líneas separadas por CRLF)
+ */
+function construirArchivoPab(pagos, { periodo, nit, parametros, fechaAplicacion, secuencia, fechaTransmision }) {
+    const { total } = totalizar(pagos);
+
+    const encabezado = construirRegistro(ENCABEZADO_PAB, {
+        tipoRegistro: 1,
+        nitOriginador: String(nit || '').replace(/\D/g, ''),
+        aplicacion: 'I',
+        claseTransaccion: parametros.claseTransaccion,
+        descripcion: parametros.descripcion,
+        fechaTransmision: fechaCompacta(fechaTransmision),
+        secuencia,
+        fechaAplicacion: fechaCompacta(fechaAplicacion),
+        numeroRegistros: pagos.length,
+        sumaDebitos: 0,
+        sumaCreditos: Math.round(total * 100),
+        cuentaDebito: parametros.cuentaDebito,
+        tipoCuentaDebito: parametros.tipoCuentaDebito
+    });
+
+    const detalles = pagos.map(p => construirRegistro(DETALLE_PAB, {
+        tipoRegistro: 6,
+        documentoBeneficiario: p.cedula,
+        nombreBeneficiario: p.nombres,
+        bancoBeneficiario: parametros.codigoBanco,
+        cuentaBeneficiario: p.cuenta,
+        indicadorLugarPago: 'S',
+        tipoTransaccion: TIPO_TRANSACCION[p.tipoCuenta],
+        valor: Math.round(p.valor * 100),
+        fechaAplicacion: fechaCompacta(fechaAplicacion),
+        referencia: `NOMINA ${periodo}`,
+        tipoDocumento: '1',
+        oficinaEntrega: 0
+    }));
+
+    return [encabezado, ...detalles].join('\r\n') + '\r\n';
+}
+
+/**
+ * Archivo CSV para el cargue masivo de Nequi
+ * @param {Array} pagos - Pagos a celulares Nequi
+ * @param {string} periodo - Identificador del período
+ * @returns {string} Contenido del archivo
+ */
+function construirArchivoNequi(pagos, periodo) {
+    const filas = pagos.map(p => [
+        'CC',
+        p.cedula,
+        p.nombres,
+        p.cuenta,
+        p.valor.toFixed(2),
+        `NOMINA ${periodo}`
+    ].map(campoCsv).join(','));
+
+    return [ENCABEZADO_NEQUI.join(','), ...filas].join('\r\n') + '\r\n';
+}
+
+/**
+ * Genera la dispersión de un período aprobado
+ * @param {Object} nomina - Período de nómina
+ * @param {Array} empleados - Empleados registrados (cuenta y tipoCuenta actuales)
+ * @param {Object} config - Configuración del sistema
+ * @param {Object} [opciones] - { fechaAplicacion, secuencia, ahora }
+ * @returns {Object} { periodo, fechaAplicacion, grupos, efectivo, errores, advertencias, totales, archivos }
+ */
+function generarDispersion(nomina, empleados, config, opciones = {}) {
+    if (nomina.estado !== 'aprobada') {
+        throw createError('NOMINA_NOT_APPROVED', `El período ${nomina.periodo} no está aprobado: apruébelo antes de dispersar`);
+    }
+
+    const ahora = opciones.ahora || new Date();
+    const fechaTransmision = ahora.toISOString().split('T')[0];
+    const fechaAplicacion = opciones.fechaAplicacion || fechaTransmision;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(fechaAplicacion)) {
+        throw createError('VALIDATION_ERROR', 'La fecha de aplicación debe tener formato AAAA-MM-DD');
+    }
+    const secuencia = String(opciones.secuencia || 'A').toUpperCase();
+    if (!/^[A-Z0-9]{1,2}$/.test(secuencia)) {
+        throw createError('VALIDATION_ERROR', 'La secuencia del lote debe tener 1 o 2 letras o números');
+    }
+
+    const parametros = obtenerParametrosDispersion(config);
+    const advertencias = [];
+    if (!config.empresa?.nit) advertencias.push('La configuración no tiene NIT del empleador (config.empresa.nit)');
+    if (!/^\d{11}$/.test(parametros.cuentaDebito || '')) {
+        advertencias.push('Falta la cuenta a debitar de 11 dígitos (config.dispersion.cuentaDebito)');
+    }
+
+    const grupos = { AHORROS: [], CORRIENTE: [], NEQUI: [] };
+    const efectivo = [];
+    const errores = [];
+
+    for (const liq of liquidacionesVigentes(nomina)) {
+        const empleado = empleados.find(e => e.cedula === liq.cedula) || {};
+        const tipoCuenta = String(empleado.tipoCuenta || liq.tipoCuenta || '').toUpperCase();
+        const pago = {
+            cedula: liq.cedula,
+            nombres: liq.nombres,
+            tipoCuenta,
+            cuenta: String(empleado.cuenta ?? liq.cuenta ?? '').trim(),
+            valor: redondear(liq.totalConsignado || 0)
+        };
+
+        if (tipoCuenta === 'EFECTIVO') {
+            efectivo.push(pago);
+            continue;
+        }
+        const error = pago.valor <= 0
+            ? `Valor a consignar ${pago.valor}: no se incluye`
+            : validarCuenta(pago.cuenta, tipoCuenta);
+        if (error) {
+            errores.push({ ...pago, error });
+            continue;
+        }
+        grupos[tipoCuenta].push(pago);
+    }
+
+    const bancolombia = [...grupos.AHORROS, ...grupos.CORRIENTE];
+    const totalesGrupos = Object.fromEntries(Object.entries(grupos).map(([tipo, pagos]) => [tipo, totalizar(pagos)]));
+    const datosArchivo = { periodo: nomina.periodo, nit: config.empresa?.nit, parametros, fechaAplicacion, secuencia, fechaTransmision };
+
+    return {
+        periodo: nomina.periodo,
+        fechaAplicacion,
+        secuencia,
+        grupos,
+        efectivo,
+        errores,
+        advertencias,
+        totales: {
+            ...totalesGrupos,
+            bancolombia: totalizar(bancolombia),
+            EFECTIVO: totalizar(efectivo),
+            errores: totalizar(errores),
+            dispersado: totalizar([...bancolombia, ...grupos.NEQUI])
+        },
+        archivos: {
+            bancolombia: bancolombia.length > 0 ? construirArchivoPab(bancolombia, datosArchivo) : null,
+            nequi: grupos.NEQUI.length > 0 ? construirArchivoNequi(grupos.NEQUI, nomina.periodo) : null
+        }
+    };
+}
+
+module.exports = {
+    DISPERSION_DEFAULT,
+    ENCABEZADO_PAB,
+    DETALLE_PAB,
+    obtenerParametrosDispersion,
+    validarCuenta,
+    generarDispersion
+};
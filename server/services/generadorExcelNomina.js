@@ -0,0 +1,130 @@
+/**
+ * Exportación a Excel "NOMINA NUEVA.xlsx" - Nómina BJ Pro 4.0
+ *
+ * Hoja con las columnas del archivo original (0 a 30, en el mismo orden) y una
+ * fila por empleado del período, más la fila de totales.
+ *
+ * COLUMNAS 5-18: auxilio de transporte, valores por día y por hora del salario
+ * (calcularValoresBase con los parámetros del período) y el valor de las horas
+ * extra y recargos de la semana.
+ * COLUMNAS 31-32: conceptos que el archivo original no tenía (incapacidades,
+ * licencias, vacaciones, FSP, retención, embargos y libranzas), para que la fila cuadre:
+ *   VALOR A PAGAR NOMINA SEMANAL = SALARIO DEVENGADO + AUX. TRANSP DEVENGADO
+ *     + HORAS EXTRAS Y RECARGOS + DOMINGO LABORADO + OTROS DEVENGADOS
+ *     - DEDUCCION SALUD - DEDUCCION PENSION - OTRAS DEDUCCIONES
+ *
+ * En un período aprobado se usa la liquidación vigente (con los ajustes aplicados).
+ */
+
+const { calcularValoresBase, redondear } = require('./calculoNomina');
+const { liquidacionesVigentes } = require('./calculoAjustes');
+const { fechasDeNomina } = require('./periodos');
+const { resolverParametros } = require('./parametrosLegales');
+const { crearLibroExcel } = require('./libroExcel');
+
+/**
+ * Valor de los dominicales de la semana (en los períodos importados, domingoLaborado)
+ */
+function valorDominicales(liq) {
+    if (!liq.detalleExtras) return liq.domingoLaborado || 0;
+    return (liq.detalleExtras.dominicalSinComp?.valor || 0) + (liq.detalleExtras.dominicalConComp?.valor || 0);
+}
+
+/**
+ * Indica si la liquidación pagó auxilio de transporte (su valor sale de los parámetros del período)
+ */
+function conAuxilio(liq) {
+    return (liq.auxTransporte || 0) > 0 || (liq.auxDevengado || 0) > 0;
+}
+
+// Columnas del archivo: { titulo, ancho, formato, valor(liq, base, empleado), total }
+const COLUMNAS_NOMINA_NUEVA = [
+    { titulo: 'CEDULA', ancho: 13, valor: (liq) => liq.cedula },
+    { titulo: 'NOMBRES', ancho: 34, valor: (liq) => liq.nombres },
+    { titulo: 'CUENTA', ancho: 14, valor: (liq, base, emp) => emp.cuenta ?? liq.cuenta ?? '' },
+    { titulo: 'TIPO CUENTA', ancho: 11, valor: (liq, base, emp) => liq.tipoCuenta || emp.tipoCuenta || '' },
+    { titulo: 'SALARIO', formato: 'moneda', valor: (liq) => liq.salarioBase },
+    { titulo: 'AUXILIO DE TRANSPORTE', formato: 'moneda', valor: (liq, base) => (conAuxilio(liq) ? base.auxDia * 30 : 0) },
+    { titulo: 'VR. DÍA', formato: 'moneda', valor: (liq, base) => base.valorDia },
+    { titulo: 'VR. AUX DÍA', formato: 'moneda', valor: (liq, base) => (conAuxilio(liq) ? base.auxDia : 0) },
+    { titulo: 'DEDUCCION SALUD DÍA', formato: 'moneda', valor: (liq, base) => base.saludDia },
+    { titulo: 'DEDUCCION PENSION DÍA', formato: 'moneda', valor: (liq, base) => base.pensionDia },
+    { titulo: 'HORA ORDINARIA', formato: 'moneda', valor: (liq, base) => base.horaOrdinaria },
+    { titulo: 'H.E. DIURNA', formato: 'moneda', valor: (liq, base) => base.horaExtraDiurna },
+    { titulo: 'H.E. NOCTURNA', formato: 'moneda', valor: (liq, base) => base.horaExtraNocturna },
+    { titulo: 'RECARGO NOCTURNO', formato: 'moneda', valor: (liq, base) => base.recargoNocturno },
+    { titulo: 'H.E. DOM DIURNA', formato: 'moneda', valor: (liq, base) => base.horaExtraDomDiurna },
+    { titulo: 'H.E. DOM NOCTURNA', formato: 'moneda', valor: (liq, base) => base.horaExtraDomNocturna },
+    { titulo: 'DOMINICAL SIN COMP', formato: 'moneda', valor: (liq, base) => base.dominicalSinComp },
+    { titulo: 'DOMINICAL CON COMP', formato: 'moneda', valor: (liq, base) => base.dominicalConComp },
+    { titulo: 'HORAS EXTRAS Y RECARGOS', formato: 'moneda', total: true, valor: (liq) => (liq.totalExtras || 0) - (liq.detalleExtras ? valorDominicales(liq) : 0) },
+    { titulo: 'DIAS LABORADOS SEMANA', ancho: 10, formato: 'entero', total: true, valor: (liq) => liq.diasLaborados },
+    { titulo: 'SALARIO DEVENGADO', formato: 'moneda', total: true, valor: (liq) => liq.salarioDevengado },
+    { titulo: 'AUX. TRANSP DEVENGADO', formato: 'moneda', total: true, valor: (liq) => liq.auxDevengado },
+    { titulo: 'DEDUCCION SALUD', formato: 'moneda', total: true, valor: (liq) => liq.deduccionSalud },
+    { titulo: 'DEDUCCION PENSION', formato: 'moneda', total: true, valor: (liq) => liq.deduccionPension },
+    { titulo: 'PRESTAMO', formato: 'moneda', total: true, valor: (liq) => liq.deduccionPrestamo || 0 },
+    { titulo: 'BONIFICACION', formato: 'moneda', total: true, valor: (liq) => liq.bonificacion || 0 },
+    { titulo: 'DOMINGO LABORADO', formato: 'moneda', total: true, valor: (liq) => valorDominicales(liq) },
+    { titulo: 'VALOR A PAGAR NOMINA SEMANAL', formato: 'moneda', total: true, valor: (liq) => liq.valorNominaSemanal },
+    { titulo: 'VALOR BONI SEMANAL', formato: 'moneda', total: true, valor: (liq) => liq.valorBoniSemanal },
+    { titulo: 'TOTAL NOMINA', formato: 'moneda', total: true, valor: (liq) => liq.totalNomina },
+    { titulo: 'TOTAL CONSIGNADO BANCO', formato: 'moneda', total: true, valor: (liq) => liq.totalConsignado },
+    {
+        titulo: 'OTROS DEVENGADOS', formato: 'moneda', total: true,
+        valor: (liq) => (liq.valorIncapacidades || 0) + (liq.valorLicencias || 0) +
+            (liq.valorVacaciones || 0) + (liq.valorVacacionesCompensadas || 0)
+    },
+    {
+        titulo: 'OTRAS DEDUCCIONES', formato: 'moneda', total: true,
+        valor: (liq) => (liq.deduccionFsp || 0) + (liq.deduccionRetencion || 0) +
+            (liq.deduccionEmbargos || 0) + (liq.deduccionLibranzas || 0)
+    }
+];
+
+/**
+ * Libro de Excel del período con el formato de "NOMINA NUEVA.xlsx"
+ * @param {Object} nomina - Período de nómina
+ * @param {Array} empleados - Empleados (para la cuenta de pago)
+ * @param {Object} config - Configuración del sistema
+ * @param {Object} [opciones] - { ahora }
+ * @returns {Object} { empleados, archivo } archivo = Buffer del .xlsx (null si no hay liquidaciones)
+ */
+function generarExcelNomina(nomina, empleados, config, opciones = {}) {
+    const liquidaciones = liquidacionesVigentes(nomina);
+    if (liquidaciones.length === 0) {
+        return { empleados: 0, archivo: null };
+    }
+
+    // Valores por día y por hora con los parámetros del período
+    const parametros = nomina.parametros || resolverParametros(config, fechasDeNomina(nomina).fechaFin);
+
+    const filas = liquidaciones.map(liq => {
+        const empleado = empleados.find(e => e.cedula === liq.cedula) || {};
+        const base = calcularValoresBase(liq.salarioBase || 0, parametros);
+        return COLUMNAS_NOMINA_NUEVA.map(col => {
+            const valor = col.valor(liq, base, empleado);
+            return typeof valor === 'number' ? redondear(valor) : valor;
+        });
+    });
+
+    const totales = COLUMNAS_NOMINA_NUEVA.map((col, i) => (i === 1 ? `TOTALES (${filas.length} empleados)` : (col.total ? true : null)));
+
+    const archivo = crearLibroExcel([{
+        nombre: `NOMINA ${nomina.periodo}`,
+        columnas: COLUMNAS_NOMINA_NUEVA,
+        filas,
+        totales
+    }], {
+        titulo: `Nómina ${nomina.periodo}`,
+        autor: config.empresa?.razonSocial || '',
+        fecha: opciones.ahora
+    });
+
+    return { empleados: filas.length, archivo };
+}
+
+module.exports = {
+    COLUMNAS_NOMINA_NUEVA,
+    generarExcelNomina
+};
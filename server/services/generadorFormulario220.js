@@ -0,0 +1,352 @@
+/**
+ * Certificado de Ingresos y Retenciones (Formulario 220) - Nómina BJ Pro 4.0
+ *
+ * Corrida anual por cédula: suma las liquidaciones vigentes (con ajustes) de los
+ * períodos aprobados cuya fecha fin cae en el año gravable y, para los empleados
+ * retirados en el año, su liquidación definitiva.
+ *
+ * CASILLAS (formato de la DIAN desde el año gravable 2023):
+ * 36 Salarios: salario, horas extra y recargos, incapacidades y licencias
+ * 42 Prestaciones sociales: vacaciones disfrutadas y compensadas, prima
+ * 46 Otros pagos: auxilio de transporte, bonificaciones no salariales e indemnización
+ * 47 Cesantías e intereses de cesantías pagados al empleado
+ * 52 Total de ingresos brutos
+ * 53 Aportes obligatorios a salud
+ * 54 Aportes obligatorios a pensión y Fondo de Solidaridad Pensional
+ * 59 Retención en la fuente por ingresos laborales
+ *
+ * Los valores de las casillas se redondean a pesos enteros.
+ */
+
+const { redondear } = require('./calculoNomina');
+const { liquidacionesVigentes } = require('./calculoAjustes');
+const { fechasDeNomina } = require('./periodos');
+const { obtenerParametrosCertificados } = require('./generadorCertificados');
+const { crearPdf, dividirLineas, formatearPesos, ANCHO_PAGINA } = require('./documentoPdf');
+
+const MARGEN = 40;
+const DERECHA = ANCHO_PAGINA - MARGEN;
+const COLUMNA_CASILLA = 470;
+const ALTO_FILA = 14;
+
+// Casillas que llena la nómina y los conceptos que suma cada una
+const CASILLAS_220 = [
+    { casilla: 36, grupo: 'ingresos', descripcion: 'Pagos por salarios', conceptos: ['salarios', 'horasExtra', 'incapacidades', 'licencias'] },
+    { casilla: 42, grupo: 'ingresos', descripcion: 'Pagos por prestaciones sociales', conceptos: ['vacaciones', 'prima'] },
+    { casilla: 46, grupo: 'ingresos', descripcion: 'Otros pagos', conceptos: ['auxilioTransporte', 'bonificaciones', 'indemnizacion'] },
+    { casilla: 47, grupo: 'ingresos', descripcion: 'Cesantías e intereses de cesantías efectivamente pagadas al empleado', conceptos: ['cesantias', 'interesesCesantias'] },
+    { casilla: 53, grupo: 'aportes', descripcion: 'Aportes obligatorios por salud a cargo del trabajador', conceptos: ['salud'] },
+    { casilla: 54, grupo: 'aportes', descripcion: 'Aportes obligatorios a fondos de pensiones y solidaridad pensional', conceptos: ['pension', 'fsp'] },
+    { casilla: 59, grupo: 'retencion', descripcion: 'Valor de la retención en la fuente por ingresos laborales', conceptos: ['retencion'] }
+];
+const CASILLA_TOTAL_INGRESOS = 52;
+
+// Nombre de cada concepto en el detalle del PDF
+const NOMBRES_CONCEPTO = {
+    salarios: 'Salario',
+    horasExtra: 'Horas extra y recargos',
+    incapacidades: 'Incapacidades',
+    licencias: 'Licencias remuneradas',
+    vacaciones: 'Vacaciones',
+    prima: 'Prima de servicios',
+    auxilioTransporte: 'Auxilio de transporte',
+    bonificaciones: 'Bonificaciones no salariales',
+    indemnizacion: 'Indemnización por terminación',
+    cesantias: 'Cesantías',
+    interesesCesantias: 'Intereses sobre cesantías',
+    salud: 'Salud',
+    pension: 'Pensión',
+    fsp: 'Fondo de Solidaridad Pensional',
+    retencion: 'Retención en la fuente'
+};
+
+/**
+ * Conceptos de una liquidación de período
+ */
+function conceptosLiquidacion(liq) {
+    return {
+        salarios: liq.salarioDevengado,
+        horasExtra: liq.totalExtras,
+        incapacidades: liq.valorIncapacidades,
+        licencias: liq.valorLicencias,
+        vacaciones: (liq.valorVacaciones || 0) + (liq.valorVacacionesCompensadas || 0),
+        auxilioTransporte: liq.auxDevengado,
+        bonificaciones: liq.bonificacion,
+        salud: liq.deduccionSalud,
+        pension: liq.deduccionPension,
+        fsp: liq.deduccionFsp,
+        retencion: liq.deduccionRetencion
+    };
+}
+
+/**
+ * Conceptos de la liquidación definitiva (días sin liquidar y prestaciones al retiro)
+ */
+function conceptosLiquidacionDefinitiva(definitiva) {
+    const pendiente = definitiva.salarioPendiente || {};
+    return {
+        salarios: pendiente.salario,
+        auxilioTransporte: pendiente.auxilio,
+        vacaciones: definitiva.vacaciones?.valor,
+        prima: definitiva.prima?.valor,
+        cesantias: definitiva.cesantias?.valor,
+        interesesCesantias: definitiva.interesesCesantias?.valor,
+        indemnizacion: definitiva.indemnizacion?.valor,
+        salud: pendiente.deduccionSalud,
+        pension: pendiente.deduccionPension,
+        fsp: pendiente.deduccionFsp,
+        retencion: pendiente.deduccionRetencion
+    };
+}
+
+/**
+ * Suma los conceptos de un pago al acumulado del empleado
+ */
+function sumarConceptos(acumulado, conceptos) {
+    for (const [clave, valor] of Object.entries(conceptos)) {
+        acumulado[clave] = redondear(acumulado[clave] + (valor || 0));
+    }
+}
+
+/**
+ * Casillas del formulario a partir de los conceptos acumulados
+ * @param {Object} conceptos - Conceptos acumulados del año
+ * @returns {Object} { '36': valor, ..., '52': total ingresos, ... } en pesos enteros
+ */
+function calcularCasillas(conceptos) {
+    const casillas = {};
+    let totalIngresos = 0;
+    for (const { casilla, grupo, conceptos: claves } of CASILLAS_220) {
+        casillas[casilla] = Math.round(claves.reduce((sum, clave) => sum + conceptos[clave], 0));
+        if (grupo === 'ingresos') totalIngresos += casillas[casilla];
+    }
+    casillas[CASILLA_TOTAL_INGRESOS] = totalIngresos;
+    return casillas;
+}
+
+/**
+ * Acumula los ingresos y retenciones del año gravable por empleado
+ * @param {number|string} anio - Año gravable (AAAA)
+ * @param {Array} nominas - Períodos de nómina guardados
+ * @param {Array} empleados - Empleados (activos y retirados)
+ * @param {Object} config - Configuración (empresa)
+ * @returns {Object} { anio, periodos, advertencias, totales, formularios }
+ */
+function acumularFormulario220(anio, nominas, empleados, config) {
+    anio = String(anio);
+    const inicioAnio = `${anio}-01-01`;
+    const finAnio = `${anio}-12-31`;
+    const delAnio = nominas.filter(n => fechasDeNomina(n).fechaFin?.startsWith(anio));
+    const aprobadas = delAnio
+        .filter(n => n.estado === 'aprobada')
+        .sort((a, b) => fechasDeNomina(a).fechaFin.localeCompare(fechasDeNomina(b).fechaFin));
+
+    const advertencias = [];
+    if (!config.empresa?.nit) advertencias.push('La configuración no tiene NIT del empleador (config.empresa.nit)');
+    const pendientes = delAnio.filter(n => n.estado !== 'aprobada');
+    if (pendientes.length > 0) {
+        advertencias.push(`Períodos del año sin aprobar (no incluidos): ${pendientes.map(n => n.periodo).join(', ')}`);
+    }
+
+    const porEmpleado = new Map();
+    const acumuladoDe = (cedula, nombres) => {
+        if (!porEmpleado.has(cedula)) {
+            const conceptos = Object.fromEntries(Object.keys(NOMBRES_CONCEPTO).map(clave => [clave, 0]));
+            porEmpleado.set(cedula, { cedula, nombres, periodos: [], primeraFecha: null, conceptos, definitiva: false });
+        }
+        return porEmpleado.get(cedula);
+    };
+
+    for (const nomina of aprobadas) {
+        const { fechaInicio } = fechasDeNomina(nomina);
+        for (const liq of liquidacionesVigentes(nomina)) {
+            const acumulado = acumuladoDe(liq.cedula, liq.nombres);
+            acumulado.periodos.push(nomina.periodo);
+            if (!acumulado.primeraFecha) acumulado.primeraFecha = fechaInicio;
+            sumarConceptos(acumulado.conceptos, conceptosLiquidacion(liq));
+        }
+    }
+
+    // Retirados en el año: días sin liquidar y prestaciones de la liquidación definitiva
+    for (const empleado of empleados) {
+        const definitiva = empleado.liquidacionDefinitiva;
+        if (!definitiva || !definitiva.fechaRetiro?.startsWith(anio)) continue;
+        const acumulado = acumuladoDe(empleado.cedula, empleado.nombres);
+        sumarConceptos(acumulado.conceptos, conceptosLiquidacionDefinitiva(definitiva));
+        acumulado.definitiva = true;
+    }
+
+    const formularios = [...porEmpleado.values()].map(acumulado => {
+        const empleado = empleados.find(e => e.cedula === acumulado.cedula) || {};
+        const fechaRetiro = empleado.fechaRetiro?.startsWith(anio) ? empleado.fechaRetiro : null;
+        const ingreso = empleado.fechaIngreso || acumulado.primeraFecha || inicioAnio;
+        const casillas = calcularCasillas(acumulado.conceptos);
+
+        return {
+            cedula: acumulado.cedula,
+            nombres: empleado.nombres || acumulado.nombres,
+            periodoDesde: ingreso > inicioAnio ? ingreso : inicioAnio,
+            periodoHasta: fechaRetiro || finAnio,
+            fechaRetiro,
+            periodos: acumulado.periodos,
+            incluyeLiquidacionDefinitiva: acumulado.definitiva,
+            conceptos: acumulado.conceptos,
+            casillas,
+            totalIngresos: casillas[CASILLA_TOTAL_INGRESOS],
+            totalAportes: casillas[53] + casillas[54],
+            retencion: casillas[59]
+        };
+    }).sort((a, b) => a.nombres.localeCompare(b.nombres));
+
+    const sumar = (campo) => formularios.reduce((sum, f) => sum + f[campo], 0);
+
+    return {
+        anio: Number(anio),
+        periodos: aprobadas.map(n => n.periodo),
+        advertencias,
+        totales: {
+            empleados: formularios.length,
+            retirados: formularios.filter(f => f.fechaRetiro).length,
+            ingresos: sumar('totalIngresos'),
+            aportes: sumar('totalAportes'),
+            retencion: sumar('retencion')
+        },
+        formularios
+    };
+}
+
+/**
+ * Elementos de la página del formulario de un empleado
+ * @param {Object} formulario - Formulario de acumularFormulario220
+ * @param {number} anio - Año gravable
+ * @param {Object} config - Configuración (empresa y certificados)
+ * @param {Date} ahora - Fecha de expedición
+ * @returns {Array} Elementos de la página (ver documentoPdf)
+ */
+function paginaFormulario(formulario, anio, config, ahora) {
+    const empresa = config.empresa || {};
+    const parametros = obtenerParametrosCertificados(config);
+    const centro = ANCHO_PAGINA / 2;
+
+    const elementos = [
+        { tipo: 'texto', x: centro, y: 50, texto: 'CERTIFICADO DE INGRESOS Y RETENCIONES POR RENTAS DE TRABAJO Y DE PENSIONES', tamano: 11, negrita: true, alineacion: 'centro' },
+        { tipo: 'texto', x: centro, y: 64, texto: `Año gravable ${anio} - Formulario 220`, tamano: 10, alineacion: 'centro' },
+        { tipo: 'linea', x1: MARGEN, y1: 74, x2: DERECHA, y2: 74, grosor: 1 }
+    ];
+
+    // Retenedor, trabajador y período certificado
+    const datos = [
+        ['Retenedor', empresa.razonSocial || '', 'NIT', empresa.nit ? `${empresa.nit}${empresa.digitoVerificacion ? `-${empresa.digitoVerificacion}` : ''}` : ''],
+        ['Trabajador', formulario.nombres, 'Cédula', formulario.cedula],
+        ['Período', `Del ${formulario.periodoDesde} al ${formulario.periodoHasta}`, 'Expedición', ahora.toISOString().split('T')[0]],
+        ['Lugar', parametros.ciudad, 'Dpto / Mpio', `${empresa.codigoDepartamento || ''} / ${empresa.codigoMunicipio || ''}`]
+    ];
+    datos.forEach(([etiqueta1, valor1, etiqueta2, valor2], i) => {
+        const y = 92 + i * ALTO_FILA;
+        elementos.push(
+            { tipo: 'texto', x: MARGEN, y, texto: `${etiqueta1}:`, tamano: 9, negrita: true },
+            { tipo: 'texto', x: MARGEN + 70, y, texto: valor1, tamano: 9 },
+            { tipo: 'texto', x: 380, y, texto: `${etiqueta2}:`, tamano: 9, negrita: true },
+            { tipo: 'texto', x: 450, y, texto: valor2, tamano: 9 }
+        );
+    });
+
+    let y = 92 + datos.length * ALTO_FILA + 8;
+    const encabezado = (titulo) => {
+        elementos.push(
+            { tipo: 'rectangulo', x: MARGEN, y, ancho: DERECHA - MARGEN, alto: ALTO_FILA + 2, gris: 0.9 },
+            { tipo: 'texto', x: MARGEN + 4, y: y + 11, texto: titulo, tamano: 9, negrita: true },
+            { tipo: 'texto', x: COLUMNA_CASILLA, y: y + 11, texto: 'Casilla', tamano: 9, negrita: true, alineacion: 'derecha' },
+            { tipo: 'texto', x: DERECHA - 4, y: y + 11, texto: 'Valor', tamano: 9, negrita: true, alineacion: 'derecha' }
+        );
+        y += ALTO_FILA + 2;
+    };
+    const fila = (casilla, descripcion, valor, negrita = false) => {
+        const lineas = dividirLineas(descripcion, COLUMNA_CASILLA - MARGEN - 40, 9, negrita);
+        y += ALTO_FILA;
+        elementos.push(
+            { tipo: 'texto', x: COLUMNA_CASILLA, y: y - 3, texto: String(casilla), tamano: 9, negrita, alineacion: 'derecha' },
+            { tipo: 'texto', x: DERECHA - 4, y: y - 3, texto: formatearPesos(valor), tamano: 9, negrita, alineacion: 'derecha' }
+        );
+        lineas.forEach((linea, i) => {
+            if (i > 0) y += ALTO_FILA - 3;
+            elementos.push({ tipo: 'texto', x: MARGEN + 4, y: y - 3, texto: linea, tamano: 9, negrita });
+        });
+    };
+    const detalle = (claves) => {
+        for (const clave of claves.filter(c => formulario.conceptos[c])) {
+            y += ALTO_FILA - 3;
+            elementos.push(
+                { tipo: 'texto', x: MARGEN + 16, y: y - 3, texto: NOMBRES_CONCEPTO[clave], tamano: 8 },
+                { tipo: 'texto', x: COLUMNA_CASILLA - 40, y: y - 3, texto: formatearPesos(formulario.conceptos[clave]), tamano: 8, alineacion: 'derecha' }
+            );
+        }
+    };
+
+    for (const [grupo, titulo] of [['ingresos', 'CONCEPTO DE LOS INGRESOS'], ['aportes', 'CONCEPTO DE LOS APORTES']]) {
+        encabezado(titulo);
+        for (const { casilla, descripcion, conceptos } of CASILLAS_220.filter(c => c.grupo === grupo)) {
+            fila(casilla, descripcion, formulario.casillas[casilla]);
+            detalle(conceptos);
+        }
+        if (grupo === 'ingresos') {
+            y += 4;
+            elementos.push({ tipo: 'linea', x1: MARGEN, y1: y, x2: DERECHA, y2: y });
+            fila(CASILLA_TOTAL_INGRESOS, 'Total de ingresos brutos', formulario.totalIngresos, true);
+        }
+        y += 14;
+    }
+
+    const retencion = CASILLAS_220.find(c => c.grupo === 'retencion');
+    elementos.push(
+        { tipo: 'rectangulo', x: MARGEN, y, ancho: DERECHA - MARGEN, alto: 20, gris: 0.85 },
+        { tipo: 'texto', x: MARGEN + 4, y: y + 14, texto: retencion.descripcion, tamano: 9, negrita: true },
+        { tipo: 'texto', x: COLUMNA_CASILLA, y: y + 14, texto: String(retencion.casilla), tamano: 9, negrita: true, alineacion: 'derecha' },
+        { tipo: 'texto', x: DERECHA - 4, y: y + 14, texto: formatearPesos(formulario.retencion), tamano: 11, negrita: true, alineacion: 'derecha' }
+    );
+
+    if (formulario.fechaRetiro) {
+        y += 36;
+        elementos.push({
+            tipo: 'texto', x: MARGEN, y, tamano: 8,
+            texto: `Retirado el ${formulario.fechaRetiro}: incluye la liquidación definitiva (días sin liquidar, prestaciones e indemnización).`
+        });
+    }
+
+    // Firma del retenedor
+    y += 70;
+    elementos.push(
+        { tipo: 'linea', x1: MARGEN, y1: y, x2: MARGEN + 220, y2: y },
+        { tipo: 'texto', x: MARGEN, y: y + 12, texto: parametros.firmante.nombre || 'Firma del retenedor', tamano: 9, negrita: true },
+        { tipo: 'texto', x: MARGEN, y: y + 24, texto: parametros.firmante.cargo, tamano: 8 },
+        { tipo: 'texto', x: DERECHA, y: y + 12, texto: `Períodos incluidos: ${formulario.periodos.length}`, tamano: 8, alineacion: 'derecha' }
+    );
+
+    return elementos;
+}
+
+/**
+ * Formularios 220 en un solo PDF (una página por empleado)
+ * @param {Object} resumen - Resultado de acumularFormulario220
+ * @param {Object} config - Configuración (empresa y certificados)
+ * @param {Object} [opciones] - { cedula (solo ese empleado), ahora }
+ * @returns {Buffer|null} Contenido del PDF (null si no hay formularios)
+ */
+function generarFormulario220Pdf(resumen, config, opciones = {}) {
+    const ahora = opciones.ahora || new Date();
+    const formularios = resumen.formularios.filter(f => !opciones.cedula || f.cedula === opciones.cedula);
+    if (formularios.length === 0) return null;
+
+    return crearPdf(
+        formularios.map(f => paginaFormulario(f, resumen.anio, config, ahora)),
+        { titulo: `Certificados de ingresos y retenciones ${resumen.anio}`, autor: config.empresa?.razonSocial || '' }
+    );
+}
+
+module.exports = {
+    CASILLAS_220,
+    CASILLA_TOTAL_INGRESOS,
+    calcularCasillas,
+    acumularFormulario220,
+    generarFormulario220Pdf
+};
@@ -0,0 +1,825 @@
+/**
+ * Generador de Nómina Electrónica - Nómina BJ Pro 4.0
+ *
+ * Construye el documento soporte de pago de nómina electrónica
+ * (NominaIndividual, TipoXML 102) de la Resolución DIAN 000013 de 2021 y su
+ * anexo técnico, para que el proveedor tecnológico lo firme y lo transmita.
+ *
+ * REGLAS:
+ * - Un documento por empleado y mes con los períodos aprobados cuya fecha fin
+ *   cae en el mes (los mismos de la PILA); FechasPagos son esas fechas fin
+ * - NUMERACIÓN: prefijo + consecutivo (config.nominaElectronica), asignado una
+ *   sola vez por empleado y mes; volver a generar el mes conserva el número,
+ *   la fecha y la hora de generación
+ * - CUNE = SHA-384(NumNE + FecNE + HorNE + ValDev + ValDed + ValTolNE + NitNE +
+ *   DocEmp + TipoXML + SoftwarePin + TipAmb), valores con 2 decimales
+ * - SoftwareSC = SHA-384(SoftwareID + SoftwarePin + NumNE)
+ * - La firma digital (ext:UBLExtensions) la agrega el proveedor tecnológico
+ *
+ * AJUSTES (NominaIndividualDeAjuste, TipoXML 103):
+ * - El documento original siempre se genera con las liquidaciones originales;
+ *   cada ajuste de un período aprobado del mes (nomina.ajustes) produce un
+ *   documento de ajuste con su propio número (mismo prefijo y consecutivo)
+ * - Reemplazar (TipoNota 1): todo el mes del empleado con los ajustes aplicados
+ *   hasta ese ajuste; Eliminar (TipoNota 2) si ya no le queda ninguna liquidación
+ * - El predecesor es el documento original o el ajuste anterior del empleado
+ * - En el CUNE de una eliminación los valores son 0.00 y DocEmp es 0
+ *
+ * MAPEO DE CONCEPTOS:
+ * - Extras y recargos: HEDs, HENs, HRNs, HEDDFs, HENDFs; los dominicales van
+ *   en HRDDFs en horas (días * horas diarias, las mismas de las marcaciones)
+ * - Bonificación no constitutiva de salario: Bonificaciones/BonificacionNS
+ * - Cuotas de anticipos: Anticipos; préstamos: Deuda
+ * - Embargos judiciales y de alimentos: OtrasDeducciones/OtraDeduccion por
+ *   beneficiario (EmbargoFiscal es solo para embargos de la autoridad tributaria)
+ */
+
+const crypto = require('crypto');
+const { createError } = require('../middleware/errorHandler');
+const { fechasDeNomina, dias360 } = require('./periodos');
+const { separarNombre } = require('./generadorPila');
+const { redondear } = require('./calculoNomina');
+const { liquidacionesVigentes } = require('./calculoAjustes');
+const { horasDiarias } = require('./calculoMarcaciones');
+
+const TIPO_XML = '102';
+const TIPO_XML_AJUSTE = '103';
+const VERSION = 'V1.0: Documento Soporte de Pago de Nómina Electrónica';
+const URL_CONSULTA = {
+    1: 'https://catalogo-vpfe.dian.gov.co/document/searchqr?documentkey=',
+    2: 'https://catalogo-vpfe-hab.dian.gov.co/document/searchqr?documentkey='
+};
+
+// Tipo de nota del documento de ajuste
+const TIPO_NOTA = { reemplazar: 1, eliminar: 2 };
+
+const NOMINA_ELECTRONICA_DEFAULT = {
+    ambiente: 2,
+    prefijo: 'NE',
+    consecutivoInicial: 1,
+    softwareId: '',
+    softwarePin: '',
+    proveedor: { razonSocial: '', nit: '', digitoVerificacion: '' }
+};
+
+// Tabla 5.5.1 del anexo: período de nómina
+const PERIODO_NOMINA = { SEMANAL: 1, DECENAL: 2, CATORCENAL: 3, QUINCENAL: 4, MENSUAL: 5 };
+
+// Tabla 5.5.3: tipo de contrato
+const TIPO_CONTRATO = { fijo: 1, indefinido: 2, obra: 3 };
+
+// Tabla 5.3.3.1: medio de pago (10 efectivo, 42 consignación bancaria)
+const MEDIO_PAGO = { EFECTIVO: 10 };
+const MEDIO_PAGO_BANCARIO = 42;
+
+// Horas extra y recargos: elemento del anexo y factor de config.factores
+const EXTRAS = [
+    { clave: 'horasExtraDiurna', lista: 'HEDs', elemento: 'HED', factor: 'horaExtraDiurna' },
+    { clave: 'horasExtraNocturna', lista: 'HENs', elemento: 'HEN', factor: 'horaExtraNocturna' },
+    { clave: 'recargoNocturno', lista: 'HRNs', elemento: 'HRN', factor: 'recargoNocturno' },
+    { clave: 'horasExtraDomDiurna', lista: 'HEDDFs', elemento: 'HEDDF', factor: 'horaExtraDomDiurna' },
+    { clave: 'horasExtraDomNocturna', lista: 'HENDFs', elemento: 'HENDF', factor: 'horaExtraDomNocturna' }
+];
+
+/**
+ * Parámetros de nómina electrónica con los valores por defecto
+ * @param {Object} config - Configuración del sistema
+ * @returns {Object} Parámetros completos
+ */
+function obtenerParametrosNominaElectronica(config) {
+    const parametros = config.nominaElectronica || {};
+    return {
+        ...NOMINA_ELECTRONICA_DEFAULT,
+        ...parametros,
+        proveedor: { ...NOMINA_ELECTRONICA_DEFAULT.proveedor, ...(parametros.proveedor || {}) }
+    };
+}
+
+/**
+ * SHA-384 en hexadecimal
+ */
+function sha384(texto) {
+    return crypto.createHash('sha384').update(texto, 'utf-8').digest('hex');
+}
+
+/**
+ * Valor con dos decimales y punto decimal
+ */
+function decimal(valor) {
+    return (Math.round((valor || 0) * 100) / 100).toFixed(2);
+}
+
+/**
+ * Escapa un texto para usarlo en un atributo o nodo XML
+ */
+function escaparXml(valor) {
+    return String(valor ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Elemento XML vacío con atributos (omite los atributos sin valor)
+ */
+function elemento(nombre, atributos = {}) {
+    const attrs = Object.entries(atributos)
+        .filter(([, v]) => v !== undefined && v !== null && v !== '')
+        .map(([k, v]) => ` ${k}="${escaparXml(v)}"`)
+        .join('');
+    return `<${nombre}${attrs}/>`;
+}
+
+/**
+ * Elemento XML con hijos (omite el elemento si no tiene hijos)
+ */
+function contenedor(nombre, hijos) {
+    const contenido = hijos.filter(Boolean);
+    return contenido.length > 0 ? `<${nombre}>${contenido.join('')}</${nombre}>` : '';
+}
+
+/**
+ * Fecha y hora de Colombia (UTC-5) para FechaGen y HoraGen
+ * @param {Date} fecha - Instante de generación
+ * @returns {Object} { fechaGen: "AAAA-MM-DD", horaGen: "HH:MM:SS-05:00" }
+ */
+function fechaHoraColombia(fecha) {
+    const local = new Date(fecha.getTime() - 5 * 60 * 60 * 1000).toISOString();
+    return { fechaGen: local.slice(0, 10), horaGen: `${local.slice(11, 19)}-05:00` };
+}
+
+/**
+ * Código Único de Nómina Electrónica
+ * @param {Object} datos - { numero, fechaGen, horaGen, devengados, deducciones, total, nitEmpleador, documentoEmpleado, tipoXml?, softwarePin, ambiente }
+ * @returns {string} CUNE (SHA-384)
+ */
+function calcularCune(datos) {
+    return sha384([
+        datos.numero,
+        datos.fechaGen,
+        datos.horaGen,
+        decimal(datos.devengados),
+        decimal(datos.deducciones),
+        decimal(datos.total),
+        datos.nitEmpleador,
+        datos.documentoEmpleado,
+        datos.tipoXml || TIPO_XML,
+        datos.softwarePin,
+        datos.ambiente
+    ].join(''));
+}
+
+/**
+ * Asigna (o reutiliza) el número del documento de un empleado en un mes
+ * @param {Object} numeracion - { consecutivo, documentos } (se modifica)
+ * @param {string} mes - Mes AAAA-MM
+ * @param {string} cedula - Cédula del empleado
+ * @param {Object} parametros - Parámetros de nómina electrónica (prefijo, consecutivoInicial)
+ * @param {Date} ahora - Instante de generación
+ * @param {string} [ajusteId] - Ajuste del documento (se omite para el documento original)
+ * @returns {Object} { prefijo, consecutivo, numero, fechaGen, horaGen }
+ */
+function asignarNumero(numeracion, mes, cedula, parametros, ahora, ajusteId) {
+    numeracion.documentos = numeracion.documentos || [];
+    const existente = numeracion.documentos.find(d =>
+        d.mes === mes && d.cedula === cedula && (d.ajusteId || null) === (ajusteId || null));
+    if (existente) return existente;
+
+    const consecutivo = Math.max(numeracion.consecutivo || 0, parametros.consecutivoInicial - 1) + 1;
+    const asignado = {
+        mes,
+        cedula,
+        prefijo: parametros.prefijo,
+        consecutivo,
+        numero: `${parametros.prefijo}${consecutivo}`,
+        ajusteId,
+        ...fechaHoraColombia(ahora),
+        generadoAt: ahora.toISOString()
+    };
+    numeracion.consecutivo = consecutivo;
+    numeracion.documentos.push(asignado);
+    return asignado;
+}
+
+/**
+ * Períodos aprobados cuya fecha fin cae en el mes
+ */
+function nominasAprobadasDelMes(mes, nominas) {
+    return nominas.filter(n => n.estado === 'aprobada' && fechasDeNomina(n).fechaFin?.startsWith(mes));
+}
+
+/**
+ * Agrupa las liquidaciones aprobadas del mes por empleado
+ * @param {string} mes - Mes AAAA-MM
+ * @param {Array} nominas - Períodos de nómina
+ * @param {string} [hasta] - Aplicar los ajustes registrados hasta este instante (ISO); sin él, liquidaciones originales
+ * @returns {Map} cedula -> [{ ...liquidacion, periodo, tipoNomina, fechaInicio, fechaFin }]
+ */
+function liquidacionesDelMes(mes, nominas, hasta) {
+    const porEmpleado = new Map();
+
+    for (const nomina of nominasAprobadasDelMes(mes, nominas)) {
+        const { fechaInicio, fechaFin } = fechasDeNomina(nomina);
+        const liquidaciones = hasta
+            ? liquidacionesVigentes({ ...nomina, ajustes: (nomina.ajustes || []).filter(a => a.creadoAt <= hasta) })
+            : nomina.liquidaciones || [];
+
+        for (const liq of liquidaciones) {
+            if (!porEmpleado.has(liq.cedula)) porEmpleado.set(liq.cedula, []);
+            porEmpleado.get(liq.cedula).push({
+                ...liq,
+                periodo: nomina.periodo,
+                tipoNomina: nomina.tipoNomina || (/^\d{4}-\d{2}$/.test(nomina.periodo) ? 'MENSUAL' : 'SEMANAL'),
+                fechaInicio,
+                fechaFin
+            });
+        }
+    }
+
+    return porEmpleado;
+}
+
+/**
+ * Devengados del documento a partir de las liquidaciones del mes
+ */
+function construirDevengados(liquidaciones, config) {
+    const sumar = (obtener) => liquidaciones.reduce((sum, l) => sum + (obtener(l) || 0), 0);
+    const factores = config.factores || {};
+    const horasDia = horasDiarias(config);
+    const porcentaje = (factor) => decimal(((factor || 1) - 1) * 100);
+
+    const extras = EXTRAS.map(({ clave, lista, elemento: nombre, factor }) => {
+        const cantidad = sumar(l => l.detalleExtras?.[clave]?.cantidad);
+        const pago = sumar(l => l.detalleExtras?.[clave]?.valor);
+        return pago > 0
+            ? contenedor(lista, [elemento(nombre, { Cantidad: decimal(cantidad), Porcentaje: porcentaje(factores[factor]), Pago: decimal(pago) })])
+            : '';
+    });
+
+    // Dominicales y festivos laborados: recargo diurno dominical, en horas
+    const dominicales = ['dominicalSinComp', 'dominicalConComp'].map(clave => ({
+        dias: sumar(l => l.detalleExtras?.[clave]?.cantidad),
+        pago: sumar(l => l.detalleExtras?.[clave]?.valor),
+        factor: factores[clave]
+    })).filter(d => d.pago > 0);
+    const hrddfs = contenedor('HRDDFs', dominicales.map(d => elemento('HRDDF', {
+        Cantidad: decimal(d.dias * horasDia),
+        Porcentaje: decimal((d.factor >= 1 ? d.factor - 1 : d.factor) * 100),
+        Pago: decimal(d.pago)
+    })));
+
+    const vacaciones = liquidaciones.flatMap(l => l.vacaciones || []);
+    const diasCompensados = sumar(l => l.diasVacacionesCompensadas);
+    const incapacidades = liquidaciones.flatMap(l => l.incapacidades || []);
+    const licencias = liquidaciones.flatMap(l => l.licencias || []);
+    const auxilio = sumar(l => l.auxDevengado);
+    const bonificacion = sumar(l => l.bonificacion);
+
+    return contenedor('Devengados', [
+        elemento('Basico', {
+            DiasTrabajados: Math.round(sumar(l => l.diasTrabajados ?? l.diasLaborados)),
+            SueldoTrabajado: decimal(sumar(l => l.salarioDevengado))
+        }),
+        auxilio > 0 ? elemento('Transporte', { AuxilioTransporte: decimal(auxilio) }) : '',
+        extras[0], extras[1], extras[2], extras[3], hrddfs, extras[4],
+        contenedor('Vacaciones', [
+            ...vacaciones.map(v => elemento('VacacionesComunes', {
+                FechaInicio: v.fechaInicio, FechaFin: v.fechaFin, Cantidad: v.dias, Pago: decimal(v.valor)
+            })),
+            diasCompensados > 0
+                ? elemento('VacacionesCompensadas', { Cantidad: diasCompensados, Pago: decimal(sumar(l => l.valorVacacionesCompensadas)) })
+                : ''
+        ]),
+        contenedor('Incapacidades', incapacidades.map(inc => elemento('Incapacidad', {
+            FechaInicio: inc.fechaInicio,
+            FechaFin: inc.fechaFin,
+            Cantidad: inc.dias,
+            Tipo: inc.origen === 'laboral' ? 3 : 1,
+            Pago: decimal(inc.valor)
+        }))),
+        contenedor('Licencias', [
+            ...licencias.filter(l => ['maternidad', 'paternidad'].includes(l.tipo)).map(l => elemento('LicenciaMP', {
+                FechaInicio: l.fechaInicio, FechaFin: l.fechaFin, Cantidad: l.dias, Pago: decimal(l.valor)
+            })),
+            ...licencias.filter(l => ['luto', 'calamidad'].includes(l.tipo)).map(l => elemento('LicenciaR', {
+                FechaInicio: l.fechaInicio, FechaFin: l.fechaFin, Cantidad: l.dias, Pago: decimal(l.valor)
+            })),
+            ...licencias.filter(l => l.tipo === 'noRemunerada').map(l => elemento('LicenciaNR', {
+                FechaInicio: l.fechaInicio, FechaFin: l.fechaFin, Cantidad: l.dias
+            }))
+        ]),
+        bonificacion > 0
+            ? contenedor('Bonificaciones', [elemento('Bonificacion', { BonificacionNS: decimal(bonificacion) })])
+            : ''
+    ]);
+}
+
+/**
+ * Deducciones del documento a partir de las liquidaciones del mes
+ */
+function construirDeducciones(liquidaciones, config) {
+    const sumar = (obtener) => liquidaciones.reduce((sum, l) => sum + (obtener(l) || 0), 0);
+    const nodo = (nombre, valor) => (valor > 0 ? `<${nombre}>${decimal(valor)}</${nombre}>` : '');
+
+    // Fondo de Solidaridad: 0.5% a solidaridad y el resto a subsistencia
+    const fsp = sumar(l => l.deduccionFsp);
+    const fspPct = Math.max(0, ...liquidaciones.map(l => l.fspPct || 0));
+    const fspSolidaridad = fspPct > 0 ? fsp * 0.5 / fspPct : 0;
+
+    // Libranzas y embargos judiciales por beneficiario
+    const descuentos = liquidaciones.flatMap(l => l.descuentos || []).filter(d => d.valor > 0);
+    const libranzas = new Map();
+    const embargos = new Map();
+    for (const d of descuentos) {
+        const grupo = d.tipo === 'libranza' ? libranzas : embargos;
+        grupo.set(d.beneficiario, (grupo.get(d.beneficiario) || 0) + d.valor);
+    }
+
+    // Anticipos de salario por separado; préstamos y préstamo digitado como deuda
+    const cuotas = liquidaciones.flatMap(l => l.cuotasPrestamos || []).filter(c => c.valor > 0);
+    const anticipos = cuotas.filter(c => c.tipo === 'anticipo');
+    const valorAnticipos = anticipos.reduce((sum, c) => sum + c.valor, 0);
+    const deuda = sumar(l => l.deduccionPrestamo) - valorAnticipos;
+
+    return contenedor('Deducciones', [
+        elemento('Salud', { Porcentaje: decimal(config.saludPct), Deduccion: decimal(sumar(l => l.deduccionSalud)) }),
+        elemento('FondoPension', { Porcentaje: decimal(config.pensionPct), Deduccion: decimal(sumar(l => l.deduccionPension)) }),
+        fsp > 0 ? elemento('FondoSP', {
+            Porcentaje: decimal(0.5),
+            DeduccionSP: decimal(fspSolidaridad),
+            PorcentajeSub: decimal(fspPct - 0.5),
+            DeduccionSub: decimal(fsp - fspSolidaridad)
+        }) : '',
+        contenedor('Libranzas', [...libranzas].map(([descripcion, valor]) => elemento('Libranza', {
+            Descripcion: descripcion, Deduccion: decimal(valor)
+        }))),
+        contenedor('Anticipos', anticipos.map(c => nodo('Anticipo', c.valor))),
+        contenedor('OtrasDeducciones', [...embargos.values()].map(valor => nodo('OtraDeduccion', valor))),
+        nodo('RetencionFuente', sumar(l => l.deduccionRetencion)),
+        nodo('Deuda', deuda)
+    ]);
+}
+
+/**
+ * Encabezado XML del documento (NominaIndividual o NominaIndividualDeAjuste)
+ */
+function raizDocumento(nombre) {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n' +
+        `<${nombre} xmlns="dian:gov:co:facturaelectronica:${nombre}"` +
+        ' xmlns:ds="http://www.w3.org/2000/09/xmldsig#"' +
+        ' xmlns:ext="urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2"' +
+        ' xmlns:xades="http://uri.etsi.org/01903/v1.3.2#"' +
+        ' xmlns:xades141="http://uri.etsi.org/01903/v1.4.1#"' +
+        ' xmlns:xs="http://www.w3.org/2001/XMLSchema-instance"' +
+        ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"' +
+        ' SchemaLocation=""' +
+        ` xsi:schemaLocation="dian:gov:co:facturaelectronica:${nombre} ${nombre}ElectronicaXSD.xsd">\n` +
+        '<ext:UBLExtensions><ext:UBLExtension><ext:ExtensionContent/></ext:UBLExtension></ext:UBLExtensions>';
+}
+
+/**
+ * Numeración, lugar, proveedor y código QR comunes a todos los documentos
+ */
+function identificacionDocumento(empleado, numero, cune, valores, parametros, empresa) {
+    const departamento = empresa.codigoDepartamento || '';
+    const { proveedor } = parametros;
+    const urlConsulta = `${URL_CONSULTA[parametros.ambiente] || URL_CONSULTA[2]}${cune}`;
+
+    return [
+        elemento('NumeroSecuenciaXML', {
+            CodigoTrabajador: valores.documentoEmpleado === '0' ? undefined : empleado.cedula,
+            Prefijo: numero.prefijo,
+            Consecutivo: numero.consecutivo,
+            Numero: numero.numero
+        }),
+        elemento('LugarGeneracionXML', {
+            Pais: 'CO',
+            DepartamentoEstado: departamento,
+            MunicipioCiudad: `${departamento}${empresa.codigoMunicipio || ''}`,
+            Idioma: 'es'
+        }),
+        elemento('ProveedorXML', {
+            RazonSocial: proveedor.razonSocial,
+            NIT: proveedor.nit,
+            DV: proveedor.digitoVerificacion,
+            SoftwareID: parametros.softwareId,
+            SoftwareSC: sha384(`${parametros.softwareId}${parametros.softwarePin}${numero.numero}`)
+        }),
+        `<CodigoQR>${escaparXml([
+            `NumNIE: ${numero.numero}`,
+            `FecNIE: ${numero.fechaGen}`,
+            `HorNIE: ${numero.horaGen}`,
+            `NitNIE: ${empresa.nit || ''}`,
+            `DocEmp: ${valores.documentoEmpleado}`,
+            `ValDev: ${decimal(valores.devengados)}`,
+            `ValDed: ${decimal(valores.deducciones)}`,
+            `ValTol: ${decimal(valores.total)}`,
+            `CUNE: ${cune}`,
+            `URL: ${urlConsulta}`
+        ].join('\n'))}</CodigoQR>`
+    ];
+}
+
+/**
+ * Datos del empleador
+ */
+function elementoEmpleador(empresa) {
+    const departamento = empresa.codigoDepartamento || '';
+    return elemento('Empleador', {
+        RazonSocial: empresa.razonSocial,
+        NIT: empresa.nit,
+        DV: empresa.digitoVerificacion,
+        Pais: 'CO',
+        DepartamentoEstado: departamento,
+        MunicipioCiudad: `${departamento}${empresa.codigoMunicipio || ''}`,
+        Direccion: empresa.direccion
+    });
+}
+
+/**
+ * Construye el documento NominaIndividual de un empleado, o el
+ * NominaIndividualDeAjuste que lo reemplaza si se indica el ajuste
+ * @param {Object} empleado - Datos del empleado
+ * @param {Array} liquidaciones - Liquidaciones aprobadas del mes
+ * @param {string} mes - Mes AAAA-MM
+ * @param {Object} numero - Numeración asignada (asignarNumero)
+ * @param {Object} config - Configuración del sistema
+ * @param {Object} [ajuste] - { predecesor: { numero, cune, fechaGen }, motivo } para el documento de ajuste
+ * @returns {Object} { numero, cedula, nombres, cune, devengadosTotal, deduccionesTotal, comprobanteTotal, xml }
+ */
+function construirDocumento(empleado, liquidaciones, mes, numero, config, ajuste) {
+    const parametros = obtenerParametrosNominaElectronica(config);
+    const empresa = config.empresa || {};
+    const tipoXml = ajuste ? TIPO_XML_AJUSTE : TIPO_XML;
+
+    const devengadosTotal = redondear(liquidaciones.reduce((sum, l) => sum + (l.totalDevengado || 0), 0));
+    const deduccionesTotal = redondear(liquidaciones.reduce((sum, l) => sum + (l.totalDeducciones || 0), 0));
+    const comprobanteTotal = redondear(devengadosTotal - deduccionesTotal);
+
+    const valores = {
+        devengados: devengadosTotal,
+        deducciones: deduccionesTotal,
+        total: comprobanteTotal,
+        documentoEmpleado: empleado.cedula
+    };
+    const cune = calcularCune({
+        numero: numero.numero,
+        fechaGen: numero.fechaGen,
+        horaGen: numero.horaGen,
+        ...valores,
+        nitEmpleador: empresa.nit || '',
+        tipoXml,
+        softwarePin: parametros.softwarePin,
+        ambiente: parametros.ambiente
+    });
+
+    // Período liquidado: el mes, desde el ingreso o hasta el retiro si caen en él
+    const ultimoDia = new Date(Date.UTC(Number(mes.slice(0, 4)), Number(mes.slice(5, 7)), 0)).toISOString().slice(0, 10);
+    const inicio = empleado.fechaIngreso && empleado.fechaIngreso > `${mes}-01` ? empleado.fechaIngreso : `${mes}-01`;
+    const fin = empleado.fechaRetiro && empleado.fechaRetiro.startsWith(mes) ? empleado.fechaRetiro : ultimoDia;
+    const tiempoLaborado = empleado.fechaIngreso
+        ? dias360(empleado.fechaIngreso, fin)
+        : Math.round(liquidaciones.reduce((sum, l) => sum + (l.diasLaborados || 0), 0));
+
+    const tiposNomina = [...new Set(liquidaciones.map(l => l.tipoNomina))];
+    const periodoNomina = tiposNomina.length === 1 ? (PERIODO_NOMINA[tiposNomina[0]] || 6) : 6;
+    const fechasPago = [...new Set(liquidaciones.map(l => l.fechaFin))].sort();
+
+    const nombre = separarNombre(empleado);
+    const ultima = liquidaciones[liquidaciones.length - 1];
+    const tipoCuenta = String(empleado.tipoCuenta || ultima.tipoCuenta || '').toUpperCase();
+    const metodoPago = MEDIO_PAGO[tipoCuenta] || MEDIO_PAGO_BANCARIO;
+    const departamento = empresa.codigoDepartamento || '';
+    const municipio = `${departamento}${empresa.codigoMunicipio || ''}`;
+
+    const cuerpo = [
+        elemento('Periodo', {
+            FechaIngreso: empleado.fechaIngreso,
+            FechaRetiro: empleado.fechaRetiro && empleado.fechaRetiro.startsWith(mes) ? empleado.fechaRetiro : undefined,
+            FechaLiquidacionInicio: inicio,
+            FechaLiquidacionFin: fin,
+            TiempoLaborado: tiempoLaborado,
+            FechaGen: numero.fechaGen
+        }),
+        ...identificacionDocumento(empleado, numero, cune, valores, parametros, empresa),
+        elemento('InformacionGeneral', {
+            Version: VERSION,
+            Ambiente: parametros.ambiente,
+            TipoXML: tipoXml,
+            CUNE: cune,
+            EncripCUNE: 'CUNE-SHA384',
+            FechaGen: numero.fechaGen,
+            HoraGen: numero.horaGen,
+            PeriodoNomina: periodoNomina,
+            TipoMoneda: 'COP'
+        }),
+        `<Notas>${escaparXml([
+            ajuste?.motivo,
+            `Períodos ${liquidaciones.map(l => l.periodo).join(', ')}`
+        ].filter(Boolean).join('. '))}</Notas>`,
+        elementoEmpleador(empresa),
+        elemento('Trabajador', {
+            TipoTrabajador: '01',
+            SubTipoTrabajador: '00',
+            AltoRiesgoPension: 'false',
+            TipoDocumento: 13,
+            NumeroDocumento: empleado.cedula,
+            PrimerApellido: nombre.primerApellido,
+            SegundoApellido: nombre.segundoApellido,
+            PrimerNombre: nombre.primerNombre,
+            OtrosNombres: nombre.segundoNombre,
+            LugarTrabajoPais: 'CO',
+            LugarTrabajoDepartamentoEstado: departamento,
+            LugarTrabajoMunicipioCiudad: municipio,
+            LugarTrabajoDireccion: empresa.direccion,
+            SalarioIntegral: liquidaciones.some(l => l.salarioIntegral) ? 'true' : 'false',
+            TipoContrato: TIPO_CONTRATO[empleado.tipoContrato] || TIPO_CONTRATO.indefinido,
+            Sueldo: decimal(ultima.salarioBase || empleado.salarioBase),
+            CodigoTrabajador: empleado.cedula
+        }),
+        elemento('Pago', metodoPago === MEDIO_PAGO_BANCARIO ? {
+            Forma: 1,
+            Metodo: metodoPago,
+            Banco: empleado.banco || (tipoCuenta === 'NEQUI' ? 'NEQUI' : ''),
+            TipoCuenta: tipoCuenta,
+            NumeroCuenta: empleado.cuenta
+        } : { Forma: 1, Metodo: metodoPago }),
+        contenedor('FechasPagos', fechasPago.map(f => `<FechaPago>${f}</FechaPago>`)),
+        construirDevengados(liquidaciones, config),
+        construirDeducciones(liquidaciones, config),
+        `<DevengadosTotal>${decimal(devengadosTotal)}</DevengadosTotal>`,
+        `<DeduccionesTotal>${decimal(deduccionesTotal)}</DeduccionesTotal>`,
+        `<ComprobanteTotal>${decimal(comprobanteTotal)}</ComprobanteTotal>`
+    ];
+
+    const xml = ajuste
+        ? [
+            raizDocumento('NominaIndividualDeAjuste'),
+            `<TipoNota>${TIPO_NOTA.reemplazar}</TipoNota>`,
+            '<Reemplazar>',
+            elemento('ReemplazandoPredecesor', {
+                NumeroPred: ajuste.predecesor.numero,
+                CUNEPred: ajuste.predecesor.cune,
+                FechaGenPred: ajuste.predecesor.fechaGen
+            }),
+            ...cuerpo,
+            '</Reemplazar>',
+            '</NominaIndividualDeAjuste>'
+        ].join('\n')
+        : [raizDocumento('NominaIndividual'), ...cuerpo, '</NominaIndividual>'].join('\n');
+
+    return {
+        numero: numero.numero,
+        cedula: empleado.cedula,
+        nombres: empleado.nombres,
+        fechaGen: numero.fechaGen,
+        cune,
+        periodos: liquidaciones.map(l => l.periodo),
+        devengadosTotal,
+        deduccionesTotal,
+        comprobanteTotal,
+        xml
+    };
+}
+
+/**
+ * Construye el NominaIndividualDeAjuste que elimina el documento predecesor
+ * @param {Object} empleado - Datos del empleado
+ * @param {Object} numero - Numeración asignada (asignarNumero)
+ * @param {Object} config - Configuración del sistema
+ * @param {Object} ajuste - { predecesor: { numero, cune, fechaGen }, motivo }
+ * @returns {Object} { numero, cedula, nombres, cune, devengadosTotal, deduccionesTotal, comprobanteTotal, xml }
+ */
+function construirEliminacion(empleado, numero, config, ajuste) {
+    const parametros = obtenerParametrosNominaElectronica(config);
+    const empresa = config.empresa || {};
+
+    const valores = { devengados: 0, deducciones: 0, total: 0, documentoEmpleado: '0' };
+    const cune = calcularCune({
+        numero: numero.numero,
+        fechaGen: numero.fechaGen,
+        horaGen: numero.horaGen,
+        ...valores,
+        nitEmpleador: empresa.nit || '',
+        tipoXml: TIPO_XML_AJUSTE,
+        softwarePin: parametros.softwarePin,
+        ambiente: parametros.ambiente
+    });
+
+    const xml = [
+        raizDocumento('NominaIndividualDeAjuste'),
+        `<TipoNota>${TIPO_NOTA.eliminar}</TipoNota>`,
+        '<Eliminar>',
+        elemento('EliminandoPredecesor', {
+            NumeroPred: ajuste.predecesor.numero,
+            CUNEPred: ajuste.predecesor.cune,
+            FechaGenPred: ajuste.predecesor.fechaGen
+        }),
+        ...identificacionDocumento(empleado, numero, cune, valores, parametros, empresa),
+        elemento('InformacionGeneral', {
+            Version: VERSION,
+            Ambiente: parametros.ambiente,
+            TipoXML: TIPO_XML_AJUSTE,
+            CUNE: cune,
+            EncripCUNE: 'CUNE-SHA384',
+            FechaGen: numero.fechaGen,
+            HoraGen: numero.horaGen
+        }),
+        `<Notas>${escaparXml(ajuste.motivo)}</Notas>`,
+        elementoEmpleador(empresa),
+        '</Eliminar>',
+        '</NominaIndividualDeAjuste>'
+    ].join('\n');
+
+    return {
+        numero: numero.numero,
+        cedula: empleado.cedula,
+        nombres: empleado.nombres,
+        fechaGen: numero.fechaGen,
+        cune,
+        periodos: [],
+        devengadosTotal: 0,
+        deduccionesTotal: 0,
+        comprobanteTotal: 0,
+        xml
+    };
+}
+
+/**
+ * Valida el mes y arma las advertencias de configuración y de períodos sin aprobar
+ */
+function advertenciasDelMes(mes, nominas, config, parametros) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(mes || '')) {
+        throw createError('VALIDATION_ERROR', 'El mes debe tener formato AAAA-MM');
+    }
+
+    const advertencias = [];
+    if (!config.empresa?.nit) advertencias.push('La configuración no tiene NIT del empleador (config.empresa.nit)');
+    if (!parametros.softwareId || !parametros.softwarePin) {
+        advertencias.push('Falta el identificador o el PIN del software (config.nominaElectronica)');
+    }
+    const pendientes = nominas.filter(n => n.estado !== 'aprobada' && fechasDeNomina(n).fechaFin?.startsWith(mes));
+    if (pendientes.length > 0) {
+        advertencias.push(`Períodos del mes sin aprobar (no incluidos): ${pendientes.map(n => n.periodo).join(', ')}`);
+    }
+    return advertencias;
+}
+
+/**
+ * Empleado del documento (con los datos de la liquidación si ya no está registrado)
+ */
+function empleadoDelDocumento(empleados, cedula, liquidaciones, advertencias) {
+    const empleado = empleados.find(e => e.cedula === cedula) ||
+        { cedula, nombres: liquidaciones[0].nombres, salarioBase: liquidaciones[0].salarioBase };
+    if (!empleado.fechaIngreso && !advertencias.includes(`${cedula}: sin fecha de ingreso`)) {
+        advertencias.push(`${cedula}: sin fecha de ingreso`);
+    }
+    return empleado;
+}
+
+/**
+ * Liquidaciones ordenadas por fecha fin del período
+ */
+function ordenarPorFecha(liquidaciones) {
+    return [...liquidaciones].sort((a, b) => a.fechaFin.localeCompare(b.fechaFin));
+}
+
+/**
+ * Totales de un grupo de documentos
+ */
+function totalizarDocumentos(documentos) {
+    const sumar = (campo) => redondear(documentos.reduce((sum, d) => sum + d[campo], 0));
+    return {
+        documentos: documentos.length,
+        devengados: sumar('devengadosTotal'),
+        deducciones: sumar('deduccionesTotal'),
+        comprobante: sumar('comprobanteTotal')
+    };
+}
+
+/**
+ * Ajustes registrados en los períodos aprobados del mes, en el orden en que se hicieron
+ */
+function ajustesDelMes(mes, nominas) {
+    return nominasAprobadasDelMes(mes, nominas)
+        .flatMap(n => (n.ajustes || []).map(a => ({ ...a, periodo: n.periodo })))
+        .sort((a, b) => a.creadoAt.localeCompare(b.creadoAt));
+}
+
+/**
+ * Genera los documentos de nómina electrónica de un mes
+ * @param {string} mes - Mes AAAA-MM
+ * @param {Array} nominas - Períodos de nómina guardados
+ * @param {Array} empleados - Empleados registrados
+ * @param {Object} config - Configuración del sistema
+ * @param {Object} numeracion - { consecutivo, documentos } (se modifica al asignar números nuevos)
+ * @param {Date} [ahora] - Instante de generación
+ * @returns {Object} { mes, documentos, totales, advertencias }
+ */
+function generarNominaElectronica(mes, nominas, empleados, config, numeracion, ahora = new Date()) {
+    const parametros = obtenerParametrosNominaElectronica(config);
+    const advertencias = advertenciasDelMes(mes, nominas, config, parametros);
+
+    const porEmpleado = liquidacionesDelMes(mes, nominas);
+    if (porEmpleado.size === 0) {
+        throw createError('NOMINA_NOT_FOUND', `No hay períodos aprobados para el mes ${mes}`);
+    }
+
+    const ajustes = ajustesDelMes(mes, nominas);
+    if (ajustes.length > 0) {
+        advertencias.push(`El mes tiene ${ajustes.length} ajuste(s): los documentos de ajuste se generan aparte`);
+    }
+
+    const documentos = [...porEmpleado]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([cedula, liquidaciones]) => {
+            const empleado = empleadoDelDocumento(empleados, cedula, liquidaciones, advertencias);
+            const numero = asignarNumero(numeracion, mes, cedula, parametros, ahora);
+            return construirDocumento(empleado, ordenarPorFecha(liquidaciones), mes, numero, config);
+        });
+
+    return {
+        mes,
+        ambiente: parametros.ambiente,
+        documentos,
+        totales: totalizarDocumentos(documentos),
+        advertencias
+    };
+}
+
+/**
+ * Genera los documentos NominaIndividualDeAjuste de un mes
+ * Cada ajuste reemplaza (o elimina) el documento vigente del empleado en el
+ * mes: el original la primera vez y el ajuste anterior después.
+ * @param {string} mes - Mes AAAA-MM
+ * @param {Array} nominas - Períodos de nómina guardados
+ * @param {Array} empleados - Empleados registrados
+ * @param {Object} config - Configuración del sistema
+ * @param {Object} numeracion - { consecutivo, documentos } (se modifica al asignar números nuevos)
+ * @param {Date} [ahora] - Instante de generación
+ * @returns {Object} { mes, documentos, totales, advertencias } (documentos con tipoNota, predecesor y diferencias)
+ */
+function generarAjustesNominaElectronica(mes, nominas, empleados, config, numeracion, ahora = new Date()) {
+    const parametros = obtenerParametrosNominaElectronica(config);
+    const advertencias = advertenciasDelMes(mes, nominas, config, parametros);
+
+    const ajustes = ajustesDelMes(mes, nominas);
+    if (ajustes.length === 0) {
+        throw createError('NOMINA_NOT_FOUND', `No hay ajustes en los períodos aprobados del mes ${mes}`);
+    }
+
+    const originales = liquidacionesDelMes(mes, nominas);
+    const vigentes = new Map();
+
+    const documentos = ajustes.map(ajuste => {
+        const { cedula } = ajuste;
+        const empleado = empleadoDelDocumento(empleados, cedula, originales.get(cedula), advertencias);
+
+        // El primer predecesor es el documento original del mes
+        if (!vigentes.has(cedula)) {
+            const numeroOriginal = asignarNumero(numeracion, mes, cedula, parametros, ahora);
+            vigentes.set(cedula, construirDocumento(empleado, ordenarPorFecha(originales.get(cedula)), mes, numeroOriginal, config));
+        }
+        const predecesor = vigentes.get(cedula);
+
+        const numero = asignarNumero(numeracion, mes, cedula, parametros, ahora, ajuste.id);
+        const liquidaciones = liquidacionesDelMes(mes, nominas, ajuste.creadoAt).get(cedula) || [];
+        const datosAjuste = {
+            predecesor: { numero: predecesor.numero, cune: predecesor.cune, fechaGen: predecesor.fechaGen },
+            motivo: ajuste.motivo
+        };
+        const documento = liquidaciones.length > 0
+            ? construirDocumento(empleado, ordenarPorFecha(liquidaciones), mes, numero, config, datosAjuste)
+            : construirEliminacion(empleado, numero, config, datosAjuste);
+        vigentes.set(cedula, documento);
+
+        return {
+            ...documento,
+            tipoNota: liquidaciones.length > 0 ? 'reemplazar' : 'eliminar',
+            ajusteId: ajuste.id,
+            periodo: ajuste.periodo,
+            motivo: ajuste.motivo,
+            predecesor: datosAjuste.predecesor,
+            diferencias: ajuste.diferencias
+        };
+    });
+
+    return {
+        mes,
+        ambiente: parametros.ambiente,
+        documentos,
+        totales: totalizarDocumentos(documentos),
+        advertencias
+    };
+}
+
+module.exports = {
+    NOMINA_ELECTRONICA_DEFAULT,
+    obtenerParametrosNominaElectronica,
+    calcularCune,
+    asignarNumero,
+    generarNominaElectronica,
+    generarAjustesNominaElectronica
+};
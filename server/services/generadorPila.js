@@ -0,0 +1,652 @@
+/**
+ * Generador de Planilla PILA - Nómina BJ Pro 4.0
+ *
+ * Construye la Planilla Integrada de Liquidación de Aportes tipo E (empleados)
+ * en el formato de archivo plano de longitud fija del Anexo Técnico 2 de la
+ * Resolución 2388 de 2016 (y modificaciones), que reciben los operadores.
+ *
+ * - Registro tipo 01: encabezado del aportante (359 caracteres)
+ * - Registro tipo 02: liquidación de cada cotizante (693 caracteres)
+ *
+ * Campos alfanuméricos (A): alineados a la izquierda, completados con espacios.
+ * Campos numéricos (N): alineados a la derecha, completados con ceros.
+ *
+ * REGLAS DE CÁLCULO:
+ * - El mes incluye los períodos aprobados cuya fecha fin cae en el mes
+ * - DÍAS = días del mes en año comercial (30 el mes completo) desde el ingreso y hasta
+ *   el retiro, menos los días de los períodos que no se laboraron ni se reportan como
+ *   ausencia; incapacidades, licencias y vacaciones cuentan y solo marcan IGE/IRL/LMA/VAC/SLN
+ * - IBC = (salario devengado + extras + vacaciones disfrutadas) (70% si es salario integral)
+ *   + incapacidades + licencias remuneradas + exceso de la bonificación sobre el 40% de la
+ *   remuneración del mes (Ley 1393 de 2010), mínimo SMMLV proporcional a los días cotizados
+ *   (sin licencias no remuneradas), máximo 25 SMMLV, redondeado al peso superior.
+ *   Los conceptos que suman al IBC y el FSP siguen las reglas del IBC (reglasIbc) con que se
+ *   liquidaron los períodos del mes (el motor original no suma extras ni exceso no salarial
+ *   ni cotiza FSP); el piso y el tope son los de ley, que el operador valida en la planilla
+ * - LICENCIA NO REMUNERADA: el IBC de pensión suma la base de esos días y se cotiza
+ *   solo la parte del empleador
+ * - COTIZACIONES = IBC * tarifa, redondeadas al múltiplo de 100 superior
+ * - FSP: 0.5% a la subcuenta de solidaridad y el resto a subsistencia
+ */
+
+const { createError } = require('../middleware/errorHandler');
+const { fechasDeNomina, fechasDesdePeriodo, diasEntre, dias360 } = require('./periodos');
+const { obtenerParametrosAportes, CLASES_RIESGO } = require('./calculoAportes');
+const { liquidacionesVigentes } = require('./calculoAjustes');
+const { reglasIbcDelPeriodo } = require('./parametrosLegales');
+const {
+    TIPOS_AUSENCIA,
+    LICENCIA_TIPOS,
+    obtenerPorcentajeFsp,
+    factorIbc,
+    excesoNoSalarial,
+    obtenerReglasIbc,
+    IBC_LIMITES
+} = require('./calculoNomina');
+
+// Códigos de administradoras más comunes (se pueden ampliar en config.codigosAdministradoras)
+const CODIGOS_ADMINISTRADORAS = {
+    eps: {
+        'SURA': 'EPS010',
+        'SANITAS': 'EPS005',
+        'SALUD TOTAL': 'EPS002',
+        'COMPENSAR': 'EPS008',
+        'NUEVA EPS': 'EPS037',
+        'FAMISANAR': 'EPS017'
+    },
+    afp: {
+        'PORVENIR': '230301',
+        'PROTECCION': '230201',
+        'COLFONDOS': '231001',
+        'SKANDIA': '230901',
+        'COLPENSIONES': '25-14'
+    }
+};
+
+const ENCABEZADO_LAYOUT = [
+    ['tipoRegistro', 2, 'N'],
+    ['modalidadPlanilla', 1, 'N'],
+    ['secuencia', 4, 'N'],
+    ['razonSocial', 200, 'A'],
+    ['tipoDocumentoAportante', 2, 'A'],
+    ['numeroDocumentoAportante', 16, 'A'],
+    ['digitoVerificacion', 1, 'N'],
+    ['tipoPlanilla', 1, 'A'],
+    ['numeroPlanillaAsociada', 10, 'A'],
+    ['fechaPlanillaAsociada', 10, 'A'],
+    ['formaPresentacion', 1, 'A'],
+    ['codigoSucursal', 10, 'A'],
+    ['nombreSucursal', 40, 'A'],
+    ['codigoArl', 6, 'A'],
+    ['periodoPagoOtros', 7, 'A'],
+    ['periodoPagoSalud', 7, 'A'],
+    ['numeroRadicacion', 10, 'A'],
+    ['fechaPago', 10, 'A'],
+    ['totalCotizantes', 5, 'N'],
+    ['valorTotalNomina', 12, 'N'],
+    ['tipoAportante', 2, 'N'],
+    ['codigoOperador', 2, 'N']
+];
+
+const COTIZANTE_LAYOUT = [
+    ['tipoRegistro', 2, 'N'],
+    ['secuencia', 5, 'N'],
+    ['tipoDocumento', 2, 'A'],
+    ['numeroDocumento', 16, 'A'],
+    ['tipoCotizante', 2, 'N'],
+    ['subtipoCotizante', 2, 'N'],
+    ['extranjeroNoObligado', 1, 'A'],
+    ['colombianoExterior', 1, 'A'],
+    ['codigoDepartamento', 2, 'A'],
+    ['codigoMunicipio', 3, 'A'],
+    ['primerApellido', 20, 'A'],
+    ['segundoApellido', 30, 'A'],
+    ['primerNombre', 20, 'A'],
+    ['segundoNombre', 30, 'A'],
+    ['ING', 1, 'A'],
+    ['RET', 1, 'A'],
+    ['TDE', 1, 'A'],
+    ['TAE', 1, 'A'],
+    ['TDP', 1, 'A'],
+    ['TAP', 1, 'A'],
+    ['VSP', 1, 'A'],
+    ['correcciones', 1, 'A'],
+    ['VST', 1, 'A'],
+    ['SLN', 1, 'A'],
+    ['IGE', 1, 'A'],
+    ['LMA', 1, 'A'],
+    ['VAC', 1, 'A'],
+    ['AVP', 1, 'A'],
+    ['VCT', 1, 'A'],
+    ['IRL', 2, 'N'],
+    ['codigoAfp', 6, 'A'],
+    ['codigoAfpTraslado', 6, 'A'],
+    ['codigoEps', 6, 'A'],
+    ['codigoEpsTraslado', 6, 'A'],
+    ['codigoCcf', 6, 'A'],
+    ['diasPension', 2, 'N'],
+    ['diasSalud', 2, 'N'],
+    ['diasRiesgos', 2, 'N'],
+    ['diasCcf', 2, 'N'],
+    ['salarioBasico', 9, 'N'],
+    ['salarioIntegral', 1, 'A'],
+    ['ibcPension', 9, 'N'],
+    ['ibcSalud', 9, 'N'],
+    ['ibcRiesgos', 9, 'N'],
+    ['ibcCcf', 9, 'N'],
+    ['tarifaPension', 7, 'A'],
+    ['cotizacionPension', 9, 'N'],
+    ['aporteVoluntarioAfiliado', 9, 'N'],
+    ['aporteVoluntarioAportante', 9, 'N'],
+    ['totalCotizacionPension', 9, 'N'],
+    ['fspSolidaridad', 9, 'N'],
+    ['fspSubsistencia', 9, 'N'],
+    ['valorNoRetenido', 9, 'N'],
+    ['tarifaSalud', 7, 'A'],
+    ['cotizacionSalud', 9, 'N'],
+    ['valorUpcAdicional', 9, 'N'],
+    ['autorizacionIncapacidad', 15, 'A'],
+    ['valorIncapacidad', 9, 'N'],
+    ['autorizacionLma', 15, 'A'],
+    ['valorLma', 9, 'N'],
+    ['tarifaRiesgos', 9, 'A'],
+    ['centroTrabajo', 9, 'N'],
+    ['cotizacionRiesgos', 9, 'N'],
+    ['tarifaCcf', 7, 'A'],
+    ['valorCcf', 9, 'N'],
+    ['tarifaSena', 7, 'A'],
+    ['valorSena', 9, 'N'],
+    ['tarifaIcbf', 7, 'A'],
+    ['valorIcbf', 9, 'N'],
+    ['tarifaEsap', 7, 'A'],
+    ['valorEsap', 9, 'N'],
+    ['tarifaMen', 7, 'A'],
+    ['valorMen', 9, 'N'],
+    ['tipoDocumentoPrincipal', 2, 'A'],
+    ['numeroDocumentoPrincipal', 16, 'A'],
+    ['exoneradoSalud', 1, 'A'],
+    ['codigoArl', 6, 'A'],
+    ['claseRiesgo', 1, 'N'],
+    ['tarifaEspecialPension', 1, 'A'],
+    ['fechaIngreso', 10, 'A'],
+    ['fechaRetiro', 10, 'A'],
+    ['fechaInicioVsp', 10, 'A'],
+    ['fechaInicioSln', 10, 'A'],
+    ['fechaFinSln', 10, 'A'],
+    ['fechaInicioIge', 10, 'A'],
+    ['fechaFinIge', 10, 'A'],
+    ['fechaInicioLma', 10, 'A'],
+    ['fechaFinLma', 10, 'A'],
+    ['fechaInicioVac', 10, 'A'],
+    ['fechaFinVac', 10, 'A'],
+    ['fechaInicioVct', 10, 'A'],
+    ['fechaFinVct', 10, 'A'],
+    ['fechaInicioIrl', 10, 'A'],
+    ['fechaFinIrl', 10, 'A'],
+    ['ibcOtrosParafiscales', 9, 'N'],
+    ['horasLaboradas', 3, 'N'],
+    ['fechaRadicacionExterior', 10, 'A'],
+    ['actividadEconomicaArl', 7, 'N']
+];
+
+const LONGITUD_ENCABEZADO = 359;
+const LONGITUD_COTIZANTE = 693;
+
+/**
+ * Normaliza un texto para el archivo plano (mayúsculas, sin tildes)
+ * @param {*} valor - Valor a normalizar
+ * @returns {string} Texto ASCII
+ */
+function normalizarTexto(valor) {
+    return String(valor ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toUpperCase();
+}
+
+/**
+ * Formatea un campo de longitud fija
+ * @param {*} valor - Valor del campo
+ * @param {number} longitud - Longitud del campo
+ * @param {string} tipo - 'A' alfanumérico o 'N' numérico
+ * @returns {string} Campo formateado
+ */
+function formatearCampo(valor, longitud, tipo) {
+    if (tipo === 'N') {
+        const numero = Math.round(Number(valor) || 0);
+        return String(Math.max(numero, 0)).padStart(longitud, '0').slice(-longitud);
+    }
+    return normalizarTexto(valor).padEnd(longitud, ' ').slice(0, longitud);
+}
+
+/**
+ * Construye un registro de longitud fija a partir de su layout
+ * @param {Array} layout - Lista de [campo, longitud, tipo]
+ * @param {Object} valores - Valores por nombre de campo
+ * @param {number} longitudEsperada - Longitud total del registro
+ * @returns {string} Registro
+ */
+function construirRegistro(layout, valores, longitudEsperada) {
+    const registro = layout
+        .map(([campo, longitud, tipo]) => formatearCampo(valores[campo], longitud, tipo))
+        .join('');
+
+    if (registro.length !== longitudEsperada) {
+        throw createError('INTERNAL_ERROR', `Registro PILA con longitud ${registro.length}, se esperaba ${longitudEsperada}`);
+    }
+    return registro;
+}
+
+/**
+ * Formatea una tarifa porcentual como fracción decimal (ej: 16 -> "0.16000")
+ * @param {number} porcentaje - Tarifa en porcentaje
+ * @param {number} decimales - Decimales del campo
+ * @returns {string} Tarifa formateada
+ */
+function formatearTarifa(porcentaje, decimales = 5) {
+    return (porcentaje / 100).toFixed(decimales);
+}
+
+/**
+ * Separa el nombre completo en nombres y apellidos.
+ * Los nombres del Excel vienen como "NOMBRE1 [NOMBRE2] APELLIDO1 APELLIDO2".
+ * @param {Object} empleado - Datos del empleado
+ * @returns {Object} { primerNombre, segundoNombre, primerApellido, segundoApellido }
+ */
+function separarNombre(empleado) {
+    if (empleado.primerApellido) {
+        return {
+            primerNombre: empleado.primerNombre || '',
+            segundoNombre: empleado.segundoNombre || '',
+            primerApellido: empleado.primerApellido,
+            segundoApellido: empleado.segundoApellido || ''
+        };
+    }
+
+    const partes = String(empleado.nombres || '').trim().split(/\s+/);
+    if (partes.length >= 4) {
+        return {
+            primerNombre: partes[0],
+            segundoNombre: partes.slice(1, partes.length - 2).join(' '),
+            primerApellido: partes[partes.length - 2],
+            segundoApellido: partes[partes.length - 1]
+        };
+    }
+    if (partes.length === 3) {
+        return { primerNombre: partes[0], segundoNombre: '', primerApellido: partes[1], segundoApellido: partes[2] };
+    }
+    return { primerNombre: partes[0] || '', segundoNombre: '', primerApellido: partes[1] || '', segundoApellido: '' };
+}
+
+/**
+ * Busca el código de una administradora por nombre
+ * @param {string} tipo - 'eps' o 'afp'
+ * @param {string} nombre - Nombre registrado en el empleado
+ * @param {Object} config - Configuración (codigosAdministradoras)
+ * @returns {string} Código o cadena vacía
+ */
+function codigoAdministradora(tipo, nombre, config) {
+    if (!nombre) return '';
+    const clave = normalizarTexto(nombre).trim();
+    const tabla = {
+        ...CODIGOS_ADMINISTRADORAS[tipo],
+        ...(config.codigosAdministradoras?.[tipo] || {})
+    };
+    return tabla[clave] || '';
+}
+
+/**
+ * Siguiente mes en formato AAAA-MM
+ */
+function mesSiguiente(mes) {
+    const [anio, m] = mes.split('-').map(Number);
+    return m === 12 ? `${anio + 1}-01` : `${anio}-${String(m + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Redondea una cotización al múltiplo de 100 superior
+ */
+function redondearCotizacion(valor) {
+    return Math.ceil(Math.round(valor) / 100) * 100;
+}
+
+/**
+ * Agrupa las liquidaciones aprobadas del mes por empleado
+ * @param {string} mes - Mes AAAA-MM
+ * @param {Array} nominas - Períodos de nómina
+ * @returns {Map} cedula -> { liquidaciones, ausencias }
+ */
+function agruparPorEmpleado(mes, nominas) {
+    const porEmpleado = new Map();
+
+    for (const nomina of nominas) {
+        if (nomina.estado !== 'aprobada') continue;
+
+        const { fechaInicio, fechaFin } = fechasDeNomina(nomina);
+        if (!fechaFin || !fechaFin.startsWith(mes)) continue;
+        const reglasIbc = reglasIbcDelPeriodo(nomina);
+
+        for (const liq of liquidacionesVigentes(nomina)) {
+            if (!porEmpleado.has(liq.cedula)) {
+                porEmpleado.set(liq.cedula, { liquidaciones: [], ausencias: [] });
+            }
+            const grupo = porEmpleado.get(liq.cedula);
+            grupo.liquidaciones.push({ ...liq, periodo: nomina.periodo, fechaInicio, fechaFin, reglasIbc });
+            grupo.ausencias.push(...(liq.ausencias || []));
+            grupo.ausencias.push(...(liq.incapacidades || []).map(inc => ({
+                tipo: inc.origen === 'laboral' ? 'IRL' : 'IGE',
+                fechaInicio: inc.fechaInicio,
+                fechaFin: inc.fechaFin,
+                dias: inc.dias,
+                incluidaEnDias: true
+            })));
+            grupo.ausencias.push(...(liq.licencias || []).map(lic => ({
+                tipo: LICENCIA_TIPOS[lic.tipo]?.pila,
+                // VAC con 'L' = licencia remunerada
+                marca: LICENCIA_TIPOS[lic.tipo]?.pila === 'VAC' ? 'L' : 'X',
+                fechaInicio: lic.fechaInicio,
+                fechaFin: lic.fechaFin,
+                dias: lic.dias,
+                incluidaEnDias: true
+            })));
+            grupo.ausencias.push(...(liq.vacaciones || []).map(vac => ({
+                tipo: 'VAC',
+                fechaInicio: vac.fechaInicio,
+                fechaFin: vac.fechaFin,
+                dias: vac.dias,
+                incluidaEnDias: true
+            })));
+        }
+    }
+
+    return porEmpleado;
+}
+
+/**
+ * Días cotizados del mes: calendario comercial entre el ingreso y el retiro, menos
+ * los días de los períodos que no se laboraron ni se reportan como ausencia
+ * @param {Object} empleado - Datos del empleado (fechaIngreso, fechaRetiro)
+ * @param {Object} grupo - Liquidaciones y ausencias del mes
+ * @param {string} mes - Mes AAAA-MM
+ * @returns {number} Días entre 1 y 30
+ */
+function diasCotizados(empleado, grupo, mes) {
+    const { fechaInicio: inicioMes, fechaFin: finMes } = fechasDesdePeriodo(mes);
+    const desde = empleado.fechaIngreso > inicioMes ? empleado.fechaIngreso : inicioMes;
+    const hasta = empleado.fechaRetiro && empleado.fechaRetiro < finMes ? empleado.fechaRetiro : finMes;
+
+    const sinLaborar = grupo.liquidaciones.reduce((sum, l) => {
+        if (!l.fechaInicio || !l.fechaFin) return sum;
+        const inicio = empleado.fechaIngreso > l.fechaInicio ? empleado.fechaIngreso : l.fechaInicio;
+        const fin = empleado.fechaRetiro && empleado.fechaRetiro < l.fechaFin ? empleado.fechaRetiro : l.fechaFin;
+        return sum + Math.max(0, diasEntre(inicio, fin) - (l.diasLaborados || 0));
+    }, 0);
+    const diasAusencia = grupo.ausencias
+        .filter(a => !a.incluidaEnDias)
+        .reduce((sum, a) => sum + (a.dias || 0), 0);
+
+    const dias = dias360(desde, hasta) - Math.max(0, sinLaborar - diasAusencia);
+    return Math.min(30, Math.max(1, Math.round(dias)));
+}
+
+/**
+ * Calcula los valores de un cotizante para el mes
+ * @param {Object} empleado - Datos del empleado
+ * @param {Object} grupo - Liquidaciones y ausencias del mes
+ * @param {string} mes - Mes AAAA-MM
+ * @param {Object} config - Configuración del sistema
+ * @returns {Object} Valores del registro tipo 02 y advertencias
+ */
+function calcularCotizante(empleado, grupo, mes, config) {
+    const { aportes, arlTarifas } = obtenerParametrosAportes(config);
+    const advertencias = [];
+
+    const dias = diasCotizados(empleado, grupo, mes);
+
+    // Reglas del IBC del período más reciente del mes; los extras se suman según las de cada período
+    const ultimo = grupo.liquidaciones.reduce((a, b) => ((b.fechaFin || '') >= (a.fechaFin || '') ? b : a));
+    const reglas = obtenerReglasIbc({ reglasIbc: ultimo.reglasIbc });
+
+    // IBC: pagos salariales del mes con piso de SMMLV proporcional y tope de 25 SMMLV
+    const integral = grupo.liquidaciones.some(l => l.salarioIntegral ?? empleado.salarioIntegral);
+    const salarial = grupo.liquidaciones.reduce((sum, l) => sum + (l.salarioDevengado || 0) + (l.valorVacaciones || 0) +
+        (obtenerReglasIbc({ reglasIbc: l.reglasIbc }).incluyeExtras ? (l.totalExtras || 0) : 0), 0);
+    const ausenciasPagadas = grupo.liquidaciones.reduce((sum, l) => sum + (l.valorIncapacidades || 0) + (l.valorLicencias || 0), 0);
+    // El límite del 40% de los pagos no salariales se aplica sobre el mes completo
+    const bonificaciones = grupo.liquidaciones.reduce((sum, l) => sum + (l.bonificacion || 0), 0);
+    const devengado = salarial * factorIbc({ salarioIntegral: integral }) + ausenciasPagadas +
+        excesoNoSalarial(salarial + ausenciasPagadas, bonificaciones, reglas);
+    // Como en la liquidación semanal, el piso no cuenta los días de licencia no remunerada
+    const diasNoRemunerados = grupo.liquidaciones.reduce((sum, l) => sum + (l.diasNoRemunerados || 0), 0);
+    const ibcMinimo = config.smmlv * IBC_LIMITES.minimoSmmlv * Math.max(0, dias - diasNoRemunerados) / 30;
+    const ibcMaximo = config.smmlv * IBC_LIMITES.maximoSmmlv;
+    const ibc = Math.ceil(Math.min(Math.max(devengado, ibcMinimo), ibcMaximo));
+
+    const salarioBase = grupo.liquidaciones[grupo.liquidaciones.length - 1].salarioBase || empleado.salarioBase;
+    const exonerado = aportes.exoneracionLey1607 && salarioBase < config.smmlv * aportes.topeExoneracionSmmlv;
+
+    const claseRiesgo = CLASES_RIESGO.includes(empleado.claseRiesgo) ? empleado.claseRiesgo : 'I';
+    const tarifaPension = config.pensionPct + aportes.pensionPct;
+    const tarifaSalud = config.saludPct + (exonerado ? 0 : aportes.saludPct);
+    const tarifaRiesgos = arlTarifas[claseRiesgo];
+    const tarifaSena = exonerado ? 0 : aportes.senaPct;
+    const tarifaIcbf = exonerado ? 0 : aportes.icbfPct;
+
+    const codigoEps = empleado.codigoEps || codigoAdministradora('eps', empleado.eps, config);
+    const codigoAfp = empleado.codigoAfp || codigoAdministradora('afp', empleado.fondoPension, config);
+    if (!codigoEps) advertencias.push(`${empleado.cedula}: sin código de EPS (${empleado.eps || 'no registrada'})`);
+    if (!codigoAfp) advertencias.push(`${empleado.cedula}: sin código de fondo de pensión (${empleado.fondoPension || 'no registrado'})`);
+
+    // Novedades
+    const ingreso = empleado.fechaIngreso && empleado.fechaIngreso.startsWith(mes);
+    const retiro = empleado.fechaRetiro && empleado.fechaRetiro.startsWith(mes);
+    const ausencia = (tipo) => grupo.ausencias.find(a => a.tipo === tipo);
+    const diasIrl = grupo.ausencias.filter(a => a.tipo === 'IRL').reduce((sum, a) => sum + (a.dias || 0), 0);
+
+    const novedades = [];
+    if (ingreso) novedades.push('ING');
+    if (retiro) novedades.push('RET');
+    for (const tipo of TIPOS_AUSENCIA) {
+        if (ausencia(tipo)) novedades.push(tipo);
+    }
+
+    // Licencias no remuneradas: pensión solo a cargo del empleador
+    const basePensionEmpleador = Math.ceil(grupo.liquidaciones.reduce(
+        (sum, l) => sum + (l.licencias || []).reduce((s2, lic) => s2 + (lic.basePensionEmpleador || 0), 0), 0
+    ));
+    const ibcPension = Math.min(ibc + basePensionEmpleador, Math.ceil(ibcMaximo));
+    const cotizacionPension = redondearCotizacion(
+        ibc * tarifaPension / 100 + (ibcPension - ibc) * aportes.pensionPct / 100
+    );
+
+    // Fondo de Solidaridad Pensional sobre el IBC mensual equivalente
+    const fspPct = reglas.fsp ? obtenerPorcentajeFsp(ibc / dias * 30, config) : 0;
+    const fspSolidaridad = fspPct > 0 ? redondearCotizacion(ibc * 0.5 / 100) : 0;
+    const fspSubsistencia = fspPct > 0 ? redondearCotizacion(ibc * (fspPct - 0.5) / 100) : 0;
+    const cotizacionSalud = redondearCotizacion(ibc * tarifaSalud / 100);
+    const cotizacionRiesgos = redondearCotizacion(ibc * tarifaRiesgos / 100);
+    const valorCcf = redondearCotizacion(ibc * aportes.cajaPct / 100);
+    const valorSena = redondearCotizacion(ibc * tarifaSena / 100);
+    const valorIcbf = redondearCotizacion(ibc * tarifaIcbf / 100);
+
+    const marca = (condicion) => (condicion ? 'X' : '');
+
+    const valores = {
+        tipoRegistro: 2,
+        tipoDocumento: empleado.tipoDocumento || 'CC',
+        numeroDocumento: empleado.cedula,
+        tipoCotizante: 1,
+        subtipoCotizante: 0,
+        codigoDepartamento: config.empresa?.codigoDepartamento || '',
+        codigoMunicipio: config.empresa?.codigoMunicipio || '',
+        ...separarNombre(empleado),
+        ING: marca(ingreso),
+        RET: marca(retiro),
+        SLN: ausencia('SLN')?.marca || marca(ausencia('SLN')),
+        IGE: marca(ausencia('IGE')),
+        LMA: ausencia('LMA')?.marca || marca(ausencia('LMA')),
+        VAC: ausencia('VAC')?.marca || marca(ausencia('VAC')),
+        IRL: diasIrl,
+        codigoAfp,
+        codigoEps,
+        codigoCcf: config.empresa?.codigoCcf || '',
+        diasPension: dias,
+        diasSalud: dias,
+        diasRiesgos: dias,
+        diasCcf: dias,
+        salarioBasico: salarioBase,
+        salarioIntegral: integral ? 'X' : '',
+        ibcPension,
+        ibcSalud: ibc,
+        ibcRiesgos: ibc,
+        ibcCcf: ibc,
+        tarifaPension: formatearTarifa(tarifaPension),
+        cotizacionPension,
+        totalCotizacionPension: cotizacionPension,
+        fspSolidaridad,
+        fspSubsistencia,
+        tarifaSalud: formatearTarifa(tarifaSalud),
+        cotizacionSalud,
+        tarifaRiesgos: formatearTarifa(tarifaRiesgos, 7),
+        cotizacionRiesgos,
+        tarifaCcf: formatearTarifa(aportes.cajaPct),
+        valorCcf,
+        tarifaSena: formatearTarifa(tarifaSena),
+        valorSena,
+        tarifaIcbf: formatearTarifa(tarifaIcbf),
+        valorIcbf,
+        tarifaEsap: formatearTarifa(0),
+        tarifaMen: formatearTarifa(0),
+        exoneradoSalud: exonerado ? 'S' : 'N',
+        codigoArl: config.empresa?.codigoArl || '',
+        claseRiesgo: CLASES_RIESGO.indexOf(claseRiesgo) + 1,
+        fechaIngreso: ingreso ? empleado.fechaIngreso : '',
+        fechaRetiro: retiro ? empleado.fechaRetiro : '',
+        fechaInicioSln: ausencia('SLN')?.fechaInicio,
+        fechaFinSln: ausencia('SLN')?.fechaFin,
+        fechaInicioIge: ausencia('IGE')?.fechaInicio,
+        fechaFinIge: ausencia('IGE')?.fechaFin,
+        fechaInicioLma: ausencia('LMA')?.fechaInicio,
+        fechaFinLma: ausencia('LMA')?.fechaFin,
+        fechaInicioVac: ausencia('VAC')?.fechaInicio,
+        fechaFinVac: ausencia('VAC')?.fechaFin,
+        fechaInicioIrl: ausencia('IRL')?.fechaInicio,
+        fechaFinIrl: ausencia('IRL')?.fechaFin,
+        ibcOtrosParafiscales: exonerado ? 0 : ibc,
+        horasLaboradas: Math.min(999, Math.round(dias * (config.horaDivisor || 240) / 30)),
+        actividadEconomicaArl: config.empresa?.actividadEconomicaArl || 0
+    };
+
+    return {
+        valores,
+        resumen: {
+            cedula: empleado.cedula,
+            nombres: empleado.nombres,
+            dias,
+            ibc,
+            novedades,
+            exonerado,
+            cotizacionPension,
+            fsp: fspSolidaridad + fspSubsistencia,
+            cotizacionSalud,
+            cotizacionRiesgos,
+            valorCcf,
+            valorSena,
+            valorIcbf,
+            totalAportes: cotizacionPension + fspSolidaridad + fspSubsistencia + cotizacionSalud +
+                cotizacionRiesgos + valorCcf + valorSena + valorIcbf
+        },
+        advertencias
+    };
+}
+
+/**
+ * Genera la planilla PILA tipo E de un mes
+ * @param {string} mes - Mes a liquidar (AAAA-MM)
+ * @param {Array} nominas - Períodos de nómina guardados
+ * @param {Array} empleados - Empleados registrados
+ * @param {Object} config - Configuración del sistema
+ * @returns {Object} { mes, cotizantes, totales, advertencias, contenido }
+ */
+function generarPlanillaPila(mes, nominas, empleados, config) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(mes || '')) {
+        throw createError('VALIDATION_ERROR', 'El mes debe tener formato AAAA-MM');
+    }
+
+    const porEmpleado = agruparPorEmpleado(mes, nominas);
+    if (porEmpleado.size === 0) {
+        throw createError('NOMINA_NOT_FOUND', `No hay períodos aprobados para el mes ${mes}`);
+    }
+
+    const advertencias = [];
+    const cotizantes = [];
+    const registros = [];
+
+    for (const [cedula, grupo] of porEmpleado) {
+        const empleado = empleados.find(e => e.cedula === cedula) ||
+            { cedula, nombres: grupo.liquidaciones[0].nombres, salarioBase: grupo.liquidaciones[0].salarioBase };
+
+        const { valores, resumen, advertencias: avisos } = calcularCotizante(empleado, grupo, mes, config);
+        valores.secuencia = registros.length + 1;
+
+        registros.push(construirRegistro(COTIZANTE_LAYOUT, valores, LONGITUD_COTIZANTE));
+        cotizantes.push(resumen);
+        advertencias.push(...avisos);
+    }
+
+    const empresa = config.empresa || {};
+    if (!empresa.nit) advertencias.push('La configuración no tiene NIT del aportante (config.empresa.nit)');
+
+    const valorTotalNomina = cotizantes.reduce((sum, c) => sum + c.ibc, 0);
+
+    const encabezado = construirRegistro(ENCABEZADO_LAYOUT, {
+        tipoRegistro: 1,
+        modalidadPlanilla: 1,
+        secuencia: 1,
+        razonSocial: empresa.razonSocial,
+        tipoDocumentoAportante: empresa.tipoDocumento || 'NI',
+        numeroDocumentoAportante: empresa.nit,
+        digitoVerificacion: empresa.digitoVerificacion,
+        tipoPlanilla: 'E',
+        formaPresentacion: 'U',
+        codigoSucursal: empresa.codigoSucursal,
+        nombreSucursal: empresa.nombreSucursal,
+        codigoArl: empresa.codigoArl,
+        periodoPagoOtros: mes,
+        periodoPagoSalud: mesSiguiente(mes),
+        totalCotizantes: cotizantes.length,
+        valorTotalNomina,
+        tipoAportante: empresa.tipoAportante || 1,
+        codigoOperador: empresa.codigoOperador
+    }, LONGITUD_ENCABEZADO);
+
+    const sumar = (campo) => cotizantes.reduce((sum, c) => sum + c[campo], 0);
+
+    return {
+        mes,
+        tipoPlanilla: 'E',
+        cotizantes,
+        totales: {
+            cotizantes: cotizantes.length,
+            ibc: valorTotalNomina,
+            pension: sumar('cotizacionPension'),
+            fsp: sumar('fsp'),
+            salud: sumar('cotizacionSalud'),
+            riesgos: sumar('cotizacionRiesgos'),
+            ccf: sumar('valorCcf'),
+            sena: sumar('valorSena'),
+            icbf: sumar('valorIcbf'),
+            totalAportes: sumar('totalAportes')
+        },
+        advertencias,
+        contenido: [encabezado, ...registros].join('\r\n') + '\r\n'
+    };
+}
+
+module.exports = {
+    ENCABEZADO_LAYOUT,
+    COTIZANTE_LAYOUT,
+    formatearCampo,
+    separarNombre,
+    generarPlanillaPila
+};
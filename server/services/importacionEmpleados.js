@@ -0,0 +1,378 @@
+/**
+ * Importación masiva de empleados - Nómina BJ Pro 4.0
+ *
+ * Recibe las filas de un CSV o de un libro de Excel (lectorCsv / lectorXlsx),
+ * reconoce las columnas por su encabezado y valida cada fila:
+ * - Cédula de 5 a 10 dígitos, sin repetir en el archivo
+ * - Nombres y salario obligatorios para un empleado nuevo
+ * - Salario de al menos 1 SMMLV (13 SMMLV si es integral) del año en curso,
+ *   revisado solo si es nuevo o cambia
+ * - Tipo de cuenta AHORROS, CORRIENTE, NEQUI o EFECTIVO y la cuenta con el formato
+ *   de la dispersión de pagos (generadorDispersion)
+ * - Tipo de contrato, clase de riesgo ARL y fecha de ingreso
+ *
+ * Una cédula que ya existe actualiza solo las columnas presentes en el archivo.
+ * Las filas con errores no se aplican; el reporte indica fila por fila qué se
+ * crea, qué cambia y qué está mal.
+ */
+
+const { CLASES_RIESGO } = require('./calculoAportes');
+const { SALARIO_INTEGRAL } = require('./calculoNomina');
+const { TIPOS_CONTRATO } = require('./calculoLiquidacionDefinitiva');
+const { validarCuenta } = require('./generadorDispersion');
+const { parsearFecha, formatearFecha } = require('./periodos');
+
+// Encabezados aceptados por campo (sin tildes, espacios ni signos; el nombre del campo también sirve)
+const COLUMNAS_IMPORTACION = {
+    cedula: ['CEDULA', 'DOCUMENTO', 'NUMERODOCUMENTO'],
+    nombres: ['NOMBRES', 'NOMBRE', 'NOMBRECOMPLETO'],
+    cuenta: ['CUENTA', 'NUMEROCUENTA', 'CUENTABANCARIA'],
+    tipoCuenta: ['TIPOCUENTA', 'TIPOPAGO'],
+    salarioBase: ['SALARIO', 'SALARIOBASE'],
+    auxTransporte: ['AUXILIODETRANSPORTE', 'AUXTRANSPORTE'],
+    esSalarioMinimo: ['SALARIOMINIMO'],
+    salarioIntegral: ['SALARIOINTEGRAL'],
+    bonificacionHabitual: ['BONIFICACIONHABITUAL'],
+    cargo: ['CARGO'],
+    fechaIngreso: ['FECHAINGRESO', 'FECHADEINGRESO'],
+    tipoContrato: ['TIPOCONTRATO', 'TIPODECONTRATO', 'CONTRATO'],
+    eps: ['EPS'],
+    fondoPension: ['FONDOPENSION', 'FONDODEPENSION', 'AFP'],
+    claseRiesgo: ['CLASERIESGO', 'RIESGOARL', 'CLASEDERIESGO']
+};
+
+const TIPOS_CUENTA = ['AHORROS', 'CORRIENTE', 'NEQUI', 'EFECTIVO'];
+
+// Cuentas bancarias de 11 dígitos: Excel guarda el número y se pierden los ceros a la izquierda
+const DIGITOS_CUENTA_BANCARIA = 11;
+
+/**
+ * Normaliza un encabezado para compararlo ("Tipo Cuenta" → "TIPOCUENTA")
+ */
+function normalizarEncabezado(encabezado) {
+    return String(encabezado || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toUpperCase()
+        .replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Relaciona los encabezados del archivo con los campos
+ * @param {Array<string>} encabezados - Encabezados del archivo
+ * @param {Object} [columnas] - { campo: [encabezados aceptados] } (por defecto los del empleado)
+ * @returns {Object} { mapa: { encabezado: campo }, ignoradas: [encabezado] }
+ */
+function mapearColumnas(encabezados, columnas = COLUMNAS_IMPORTACION) {
+    const mapa = {};
+    const ignoradas = [];
+    const usados = new Set();
+
+    for (const encabezado of encabezados) {
+        const normalizado = normalizarEncabezado(encabezado);
+        const campo = Object.keys(columnas).find(c =>
+            normalizarEncabezado(c) === normalizado || columnas[c].includes(normalizado));
+        if (campo && !usados.has(campo)) {
+            mapa[encabezado] = campo;
+            usados.add(campo);
+        } else {
+            ignoradas.push(encabezado);
+        }
+    }
+    return { mapa, ignoradas };
+}
+
+/**
+ * Número desde una celda: acepta 1000000, "1.000.000", "$ 1.000.000,50" y "1,000,000.50"
+ * @returns {number|null} Número (NaN si no es válido, null si está vacío)
+ */
+function parsearNumero(valor) {
+    if (typeof valor === 'number') return valor;
+    let texto = String(valor ?? '').replace(/[$\s]/g, '');
+    if (texto === '') return null;
+
+    const punto = texto.lastIndexOf('.');
+    const coma = texto.lastIndexOf(',');
+    if (punto !== -1 && coma !== -1) {
+        // El último separador es el decimal
+        texto = punto > coma ? texto.replace(/,/g, '') : texto.replace(/\./g, '').replace(',', '.');
+    } else if (coma !== -1) {
+        texto = /^-?\d{1,3}(,\d{3})+$/.test(texto) ? texto.replace(/,/g, '') : texto.replace(',', '.');
+    } else if (/^-?\d{1,3}(\.\d{3})+$/.test(texto)) {
+        texto = texto.replace(/\./g, '');
+    }
+    return /^-?\d+(\.\d+)?$/.test(texto) ? Number(texto) : NaN;
+}
+
+/**
+ * Booleano desde una celda (SI/NO, X, 1/0, true/false)
+ * @returns {boolean|null} null si el valor no se reconoce
+ */
+function parsearBooleano(valor) {
+    if (typeof valor === 'boolean') return valor;
+    const texto = normalizarEncabezado(valor);
+    if (['SI', 'S', 'X', '1', 'TRUE', 'VERDADERO'].includes(texto)) return true;
+    if (['NO', 'N', '', '0', 'FALSE', 'FALSO'].includes(texto)) return false;
+    return null;
+}
+
+/**
+ * Fecha AAAA-MM-DD desde una celda: AAAA-MM-DD, DD/MM/AAAA o número de serie de Excel
+ * @returns {string|null} Fecha (null si no es válida)
+ */
+function parsearFechaCelda(valor) {
+    let fecha = String(valor ?? '').trim();
+    if (typeof valor === 'number') {
+        // Días desde 1899-12-30 (Excel cuenta un 29 de febrero de 1900 que no existió)
+        fecha = formatearFecha(new Date(Date.UTC(1899, 11, 30) + Math.round(valor) * 86400000));
+    } else if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(fecha)) {
+        const [dia, mes, anio] = fecha.split('/');
+        fecha = `${anio}-${mes.padStart(2, '0')}-${dia.padStart(2, '0')}`;
+    }
+    const date = parsearFecha(fecha);
+    return date && formatearFecha(date) === fecha ? fecha : null;
+}
+
+/**
+ * Texto de una celda sin espacios a los lados
+ */
+function textoCelda(valor) {
+    return String(valor ?? '').trim();
+}
+
+/**
+ * Lee y valida los campos presentes en una fila
+ * @param {Object} datos - { campo: valor } ya mapeados
+ * @param {Object|null} existente - Empleado con la misma cédula (null si es nuevo)
+ * @param {Object} parametros - Parámetros legales del año en curso (smmlv, auxTransporte)
+ * @returns {Object} { campos, errores } campos = valores normalizados de las columnas presentes
+ */
+function validarFila(datos, existente, parametros) {
+    const campos = {};
+    const errores = [];
+    const presente = (campo) => campo in datos && textoCelda(datos[campo]) !== '';
+
+    campos.cedula = textoCelda(datos.cedula).replace(/[.\s]/g, '');
+    if (campos.cedula === '') {
+        errores.push({ campo: 'cedula', mensaje: 'La cédula es requerida' });
+    } else if (!/^\d{5,10}$/.test(campos.cedula)) {
+        errores.push({ campo: 'cedula', mensaje: `Cédula inválida "${datos.cedula}": debe tener de 5 a 10 dígitos` });
+    }
+
+    if (presente('nombres')) {
+        campos.nombres = textoCelda(datos.nombres).toUpperCase().replace(/\s+/g, ' ');
+    } else if (!existente) {
+        errores.push({ campo: 'nombres', mensaje: 'Los nombres son requeridos para un empleado nuevo' });
+    }
+
+    for (const campo of ['esSalarioMinimo', 'salarioIntegral']) {
+        if (!(campo in datos)) continue;
+        const valor = parsearBooleano(datos[campo]);
+        if (valor === null) {
+            errores.push({ campo, mensaje: `Valor "${datos[campo]}" no reconocido: use SI o NO` });
+        } else {
+            campos[campo] = valor;
+        }
+    }
+
+    for (const campo of ['salarioBase', 'auxTransporte', 'bonificacionHabitual']) {
+        if (!presente(campo)) continue;
+        const valor = parsearNumero(datos[campo]);
+        if (isNaN(valor) || valor < 0) {
+            errores.push({ campo, mensaje: `Valor "${datos[campo]}" inválido: debe ser un número positivo` });
+        } else {
+            campos[campo] = valor;
+        }
+    }
+
+    // Salario: el mínimo del año si se marca salario mínimo; si no, al menos 1 SMMLV (13 si es integral).
+    // Solo se revisa cuando el archivo trae el salario o cambia el tipo de salario
+    const esSalarioMinimo = campos.esSalarioMinimo ?? existente?.esSalarioMinimo ?? false;
+    const salarioIntegral = campos.salarioIntegral ?? existente?.salarioIntegral ?? false;
+    const tocaSalario = presente('salarioBase') || campos.esSalarioMinimo !== undefined || campos.salarioIntegral !== undefined;
+    if (esSalarioMinimo && salarioIntegral) {
+        errores.push({ campo: 'salarioIntegral', mensaje: 'Un empleado con salario integral no puede estar marcado como salario mínimo' });
+    } else if (esSalarioMinimo && (tocaSalario || !existente)) {
+        campos.salarioBase = parametros.smmlv;
+    } else if (!existente && !presente('salarioBase')) {
+        errores.push({ campo: 'salarioBase', mensaje: 'El salario es requerido para un empleado nuevo' });
+    } else if (!esSalarioMinimo && tocaSalario) {
+        const salario = campos.salarioBase ?? existente?.salarioBase;
+        const sinCambio = existente && salario === existente.salarioBase && salarioIntegral === (existente.salarioIntegral ?? false);
+        const minimo = salarioIntegral ? parametros.smmlv * SALARIO_INTEGRAL.minimoSmmlv : parametros.smmlv;
+        if (salario !== undefined && !sinCambio && salario < minimo) {
+            errores.push({
+                campo: 'salarioBase',
+                mensaje: salarioIntegral
+                    ? `El salario integral debe ser de al menos ${SALARIO_INTEGRAL.minimoSmmlv} SMMLV (${minimo})`
+                    : `El salario no puede ser menor al SMMLV (${minimo})`
+            });
+        }
+    }
+
+    // Cuenta según el tipo (EFECTIVO no lleva cuenta)
+    if (presente('tipoCuenta')) {
+        campos.tipoCuenta = textoCelda(datos.tipoCuenta).toUpperCase();
+    }
+    if ('cuenta' in datos) {
+        campos.cuenta = textoCelda(datos.cuenta).replace(/[\s-]/g, '');
+    }
+    if (campos.tipoCuenta !== undefined || campos.cuenta !== undefined) {
+        const tipoCuenta = campos.tipoCuenta ?? existente?.tipoCuenta ?? 'AHORROS';
+        let cuenta = campos.cuenta ?? existente?.cuenta ?? '';
+        if (typeof datos.cuenta === 'number' && ['AHORROS', 'CORRIENTE'].includes(tipoCuenta)) {
+            cuenta = cuenta.padStart(DIGITOS_CUENTA_BANCARIA, '0');
+        }
+
+        if (!TIPOS_CUENTA.includes(tipoCuenta)) {
+            errores.push({ campo: 'tipoCuenta', mensaje: `Tipo de cuenta inválido: ${tipoCuenta}. Valores permitidos: ${TIPOS_CUENTA.join(', ')}` });
+        } else if (tipoCuenta === 'EFECTIVO') {
+            cuenta = '';
+        } else {
+            const error = validarCuenta(cuenta, tipoCuenta);
+            if (error) errores.push({ campo: 'cuenta', mensaje: error });
+        }
+        campos.tipoCuenta = tipoCuenta;
+        campos.cuenta = cuenta;
+    }
+
+    if (presente('tipoContrato')) {
+        campos.tipoContrato = textoCelda(datos.tipoContrato).toLowerCase();
+        if (!TIPOS_CONTRATO.includes(campos.tipoContrato)) {
+            errores.push({ campo: 'tipoContrato', mensaje: `Tipo de contrato inválido: ${datos.tipoContrato}. Valores permitidos: ${TIPOS_CONTRATO.join(', ')}` });
+        }
+    }
+
+    if (presente('claseRiesgo')) {
+        campos.claseRiesgo = textoCelda(datos.claseRiesgo).toUpperCase();
+        if (!CLASES_RIESGO.includes(campos.claseRiesgo)) {
+            errores.push({ campo: 'claseRiesgo', mensaje: `Clase de riesgo ARL inválida: ${datos.claseRiesgo}. Valores permitidos: ${CLASES_RIESGO.join(', ')}` });
+        }
+    }
+
+    if (presente('fechaIngreso')) {
+        campos.fechaIngreso = parsearFechaCelda(datos.fechaIngreso);
+        if (!campos.fechaIngreso) {
+            errores.push({ campo: 'fechaIngreso', mensaje: `Fecha de ingreso inválida "${datos.fechaIngreso}": use AAAA-MM-DD o DD/MM/AAAA` });
+        }
+    }
+
+    for (const campo of ['cargo', 'eps', 'fondoPension']) {
+        if (presente(campo)) campos[campo] = textoCelda(datos[campo]).toUpperCase();
+    }
+
+    return { campos, errores };
+}
+
+/**
+ * Empleado nuevo con los valores por defecto de POST /api/empleados
+ */
+function empleadoNuevo(campos, parametros, ahora) {
+    return {
+        cedula: campos.cedula,
+        nombres: campos.nombres,
+        cuenta: campos.cuenta ?? '',
+        tipoCuenta: campos.tipoCuenta ?? 'AHORROS',
+        salarioBase: campos.salarioBase,
+        auxTransporte: campos.auxTransporte ?? parametros.auxTransporte,
+        activo: true,
+        esSalarioMinimo: campos.esSalarioMinimo ?? false,
+        salarioIntegral: campos.salarioIntegral ?? false,
+        ...(campos.bonificacionHabitual !== undefined && { bonificacionHabitual: campos.bonificacionHabitual }),
+        cargo: campos.cargo ?? 'OPERARIO',
+        fechaIngreso: campos.fechaIngreso ?? ahora.split('T')[0],
+        tipoContrato: campos.tipoContrato ?? 'indefinido',
+        eps: campos.eps ?? '',
+        fondoPension: campos.fondoPension ?? '',
+        claseRiesgo: campos.claseRiesgo ?? 'I',
+        deduccionesRetencion: { dependientes: false, medicinaPrepagada: 0, interesesVivienda: 0, aportesVoluntarios: 0 },
+        createdAt: ahora,
+        updatedAt: ahora
+    };
+}
+
+/**
+ * Valida las filas del archivo y calcula la lista de empleados resultante
+ * @param {Array} filas - [{ fila, datos }] de parsearCsv o parsearXlsx
+ * @param {Array} empleados - Empleados actuales
+ * @param {Object} parametros - Parámetros legales del año en curso
+ * @param {Object} [opciones] - { ahora } fecha ISO de la importación
+ * @returns {Object} { columnas, resumen, filas, empleados } empleados = lista con las filas válidas aplicadas
+ */
+function prepararImportacion(filas, empleados, parametros, { ahora = new Date().toISOString() } = {}) {
+    const columnas = mapearColumnas(filas.length > 0 ? Object.keys(filas[0].datos) : []);
+    const resultado = empleados.map(e => ({ ...e }));
+    const vistas = new Map();
+    const reporte = [];
+
+    for (const { fila, datos } of filas) {
+        const mapeados = {};
+        for (const [encabezado, campo] of Object.entries(columnas.mapa)) {
+            mapeados[campo] = datos[encabezado];
+        }
+
+        // Fila de totales de una planilla exportada (NOMINA NUEVA.xlsx)
+        if (textoCelda(mapeados.cedula) === '' && /^TOTAL/i.test(textoCelda(mapeados.nombres))) continue;
+
+        const cedula = textoCelda(mapeados.cedula).replace(/[.\s]/g, '');
+        const indice = resultado.findIndex(e => e.cedula === cedula);
+        const existente = indice !== -1 ? resultado[indice] : null;
+        const { campos, errores } = validarFila(mapeados, existente, parametros);
+
+        if (cedula !== '' && vistas.has(cedula)) {
+            errores.unshift({ campo: 'cedula', mensaje: `Cédula ${cedula} repetida en el archivo (fila ${vistas.get(cedula)})` });
+        } else if (cedula !== '') {
+            vistas.set(cedula, fila);
+        }
+
+        const nombres = campos.nombres ?? existente?.nombres ?? '';
+        if (errores.length > 0) {
+            reporte.push({ fila, cedula, nombres, accion: 'error', errores });
+            continue;
+        }
+
+        if (!existente) {
+            const nuevo = empleadoNuevo(campos, parametros, ahora);
+            resultado.push(nuevo);
+            reporte.push({ fila, cedula, nombres, accion: 'crear', empleado: nuevo });
+            continue;
+        }
+
+        const cambios = Object.keys(campos)
+            .filter(campo => campo !== 'cedula' && campos[campo] !== existente[campo])
+            .map(campo => ({ campo, anterior: existente[campo] ?? null, nuevo: campos[campo] }));
+
+        if (cambios.length === 0) {
+            reporte.push({ fila, cedula, nombres, accion: 'sin_cambios' });
+            continue;
+        }
+
+        const actualizado = { ...existente, updatedAt: ahora };
+        cambios.forEach(c => { actualizado[c.campo] = c.nuevo; });
+        resultado[indice] = actualizado;
+        reporte.push({ fila, cedula, nombres, accion: 'actualizar', cambios });
+    }
+
+    const contar = (accion) => reporte.filter(r => r.accion === accion).length;
+
+    return {
+        columnas,
+        resumen: {
+            filasLeidas: reporte.length,
+            crear: contar('crear'),
+            actualizar: contar('actualizar'),
+            sinCambios: contar('sin_cambios'),
+            errores: contar('error')
+        },
+        filas: reporte,
+        empleados: resultado
+    };
+}
+
+module.exports = {
+    COLUMNAS_IMPORTACION,
+    TIPOS_CUENTA,
+    mapearColumnas,
+    parsearNumero,
+    prepararImportacion
+};
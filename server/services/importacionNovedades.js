@@ -0,0 +1,112 @@
+/**
+ * Carga de novedades desde archivo - Nómina BJ Pro 4.0
+ *
+ * Convierte las filas de la planilla semanal de horas extra y bonificaciones
+ * (CSV o XLSX, una fila por cédula) en el novedadesPorEmpleado de
+ * POST /api/nominas/liquidar-all.
+ *
+ * Cada fila se valida así:
+ * - La cédula debe ser de un empleado activo y no repetirse en el archivo
+ * - Cada valor debe ser un número no negativo (las celdas vacías toman el valor por defecto)
+ * - Las novedades completas (por defecto + fila) pasan por validarDatos de calculoNomina
+ */
+
+const { validarDatos } = require('./calculoNomina');
+const { mapearColumnas, parsearNumero } = require('./importacionEmpleados');
+
+// Encabezados aceptados por novedad (sin tildes, espacios ni signos; el nombre del campo también sirve)
+const COLUMNAS_NOVEDADES = {
+    cedula: ['CEDULA', 'DOCUMENTO'],
+    diasLaborados: ['DIAS', 'DIASLABORADOS', 'DIASTRABAJADOS', 'DIASLABORADOSSEMANA'],
+    horasExtraDiurna: ['HEDIURNA', 'HEDIURNAS', 'HORASEXTRADIURNAS'],
+    horasExtraNocturna: ['HENOCTURNA', 'HENOCTURNAS', 'HORASEXTRANOCTURNAS'],
+    horasRecargoNocturno: ['RECARGONOCTURNO', 'HORASRECARGONOCTURNO'],
+    horasExtraDomDiurna: ['HEDOMDIURNA', 'HEDOMINICALDIURNA'],
+    horasExtraDomNocturna: ['HEDOMNOCTURNA', 'HEDOMINICALNOCTURNA'],
+    dominicalSinComp: ['DOMINICALSINCOMP', 'DOMINGOSINCOMPENSATORIO'],
+    dominicalConComp: ['DOMINICALCONCOMP', 'DOMINGOCONCOMPENSATORIO'],
+    bonificacion: ['BONIFICACION', 'BONO'],
+    prestamo: ['PRESTAMO', 'ANTICIPO']
+};
+
+/**
+ * Valida las filas del archivo y arma las novedades por empleado
+ * @param {Array} filas - [{ fila, datos }] de parsearCsv o parsearXlsx
+ * @param {Array} empleados - Empleados registrados
+ * @param {Object} novedadesDefault - Novedades que aplican a todos (ej: { diasLaborados: 7 })
+ * @param {Object} config - Parámetros del período a liquidar (festivos para validarDatos)
+ * @returns {Object} { columnas, resumen, filas, novedadesPorEmpleado } solo con las filas válidas
+ */
+function prepararNovedades(filas, empleados, novedadesDefault, config) {
+    const columnas = mapearColumnas(filas.length > 0 ? Object.keys(filas[0].datos) : [], COLUMNAS_NOVEDADES);
+    const campos = Object.values(columnas.mapa).filter(c => c !== 'cedula');
+    const vistas = new Map();
+    const reporte = [];
+    const novedadesPorEmpleado = {};
+
+    for (const { fila, datos } of filas) {
+        const mapeados = {};
+        for (const [encabezado, campo] of Object.entries(columnas.mapa)) {
+            mapeados[campo] = datos[encabezado];
+        }
+
+        const cedula = String(mapeados.cedula ?? '').trim().replace(/[.\s]/g, '');
+        const empleado = empleados.find(e => e.cedula === cedula);
+        const errores = [];
+
+        if (cedula === '') {
+            errores.push({ campo: 'cedula', mensaje: 'La cédula es requerida' });
+        } else if (vistas.has(cedula)) {
+            errores.push({ campo: 'cedula', mensaje: `Cédula ${cedula} repetida en el archivo (fila ${vistas.get(cedula)})` });
+        } else if (!empleado) {
+            errores.push({ campo: 'cedula', mensaje: `Empleado ${cedula} no existe` });
+        } else if (!empleado.activo) {
+            errores.push({ campo: 'cedula', mensaje: `Empleado ${cedula} está inactivo` });
+        }
+        if (cedula !== '' && !vistas.has(cedula)) vistas.set(cedula, fila);
+
+        const novedades = {};
+        for (const campo of campos) {
+            const valor = parsearNumero(mapeados[campo]);
+            if (valor === null) continue;
+            if (isNaN(valor) || valor < 0) {
+                errores.push({ campo, mensaje: `Valor "${mapeados[campo]}" inválido: debe ser un número no negativo` });
+            } else {
+                novedades[campo] = valor;
+            }
+        }
+
+        if (errores.length === 0) {
+            errores.push(...validarDatos(empleado, { ...novedadesDefault, ...novedades }, config));
+        }
+
+        const nombres = empleado?.nombres || '';
+        if (errores.length > 0) {
+            reporte.push({ fila, cedula, nombres, novedades, errores });
+            continue;
+        }
+
+        novedadesPorEmpleado[cedula] = novedades;
+        reporte.push({ fila, cedula, nombres, novedades });
+    }
+
+    const conErrores = reporte.filter(r => r.errores).length;
+
+    return {
+        columnas,
+        resumen: {
+            filasLeidas: reporte.length,
+            validas: reporte.length - conErrores,
+            errores: conErrores,
+            // Activos que no están en el archivo: se liquidan solo con las novedades por defecto
+            sinArchivo: empleados.filter(e => e.activo && !vistas.has(e.cedula)).length
+        },
+        filas: reporte,
+        novedadesPorEmpleado
+    };
+}
+
+module.exports = {
+    COLUMNAS_NOVEDADES,
+    prepararNovedades
+};
@@ -0,0 +1,103 @@
+/**
+ * Lector de archivos CSV - Nómina BJ Pro 4.0
+ *
+ * Soporta separador coma o punto y coma (Excel en español), campos entre
+ * comillas dobles (incluso con separadores o saltos de línea adentro) y saltos
+ * de línea Windows. La primera fila es el encabezado.
+ */
+
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Divide el texto CSV en registros y campos respetando comillas
+ * Un salto de línea entre comillas es parte del campo, no fin del registro.
+ * @param {string} texto - Contenido del archivo
+ * @param {string} separador - ',' o ';'
+ * @returns {Array<Object>} Registros con { linea, campos, vacio } (linea = donde empieza el registro)
+ */
+function dividirRegistros(texto, separador) {
+    const registros = [];
+    let campos = [];
+    let actual = '';
+    let entreComillas = false;
+    let linea = 1;
+    let inicio = 1;
+    let conComillas = false;
+
+    const cerrarCampo = () => {
+        campos.push(actual.trim());
+        actual = '';
+    };
+    const cerrarRegistro = () => {
+        cerrarCampo();
+        const vacio = !conComillas && campos.length === 1 && campos[0] === '';
+        registros.push({ linea: inicio, campos, vacio });
+        campos = [];
+        conComillas = false;
+    };
+
+    for (let i = 0; i < texto.length; i++) {
+        const c = texto[i];
+        if (c === '"') {
+            if (entreComillas && texto[i + 1] === '"') {
+                actual += '"';
+                i++;
+            } else {
+                entreComillas = !entreComillas;
+                conComillas = true;
+            }
+        } else if (c === '\r' && texto[i + 1] === '\n') {
+            // El \n siguiente hace el resto
+            if (entreComillas) actual += c;
+        } else if (c === '\n') {
+            linea++;
+            if (entreComillas) {
+                actual += c;
+            } else {
+                cerrarRegistro();
+                inicio = linea;
+            }
+        } else if (c === separador && !entreComillas) {
+            cerrarCampo();
+        } else {
+            actual += c;
+        }
+    }
+
+    if (entreComillas) {
+        throw createError('VALIDATION_ERROR', `Comillas sin cerrar en el registro que empieza en la línea ${inicio}`);
+    }
+    cerrarRegistro();
+    return registros;
+}
+
+/**
+ * Convierte el texto CSV en una lista de objetos por encabezado
+ * @param {string} texto - Contenido del archivo
+ * @returns {Array<Object>} Filas con { fila, datos } (fila = línea del archivo donde empieza el registro)
+ */
+function parsearCsv(texto) {
+    const limpio = String(texto || '').replace(/^\uFEFF/, '');
+
+    // El separador se deduce de la primera línea con contenido (el encabezado)
+    const primera = limpio.split(/\r?\n/).find(l => l.trim() !== '');
+    if (primera === undefined) return [];
+    const separador = (primera.match(/;/g) || []).length > (primera.match(/,/g) || []).length ? ';' : ',';
+
+    const registros = dividirRegistros(limpio, separador).filter(r => !r.vacio);
+    if (registros.length === 0) return [];
+
+    const encabezados = registros[0].campos;
+
+    return registros.slice(1).map(({ linea, campos }) => {
+        const datos = {};
+        encabezados.forEach((h, j) => {
+            datos[h] = campos[j] !== undefined ? campos[j] : '';
+        });
+        return { fila: linea, datos };
+    });
+}
+
+module.exports = {
+    parsearCsv
+};
@@ -0,0 +1,140 @@
+/**
+ * Lector de archivos XLSX - Nómina BJ Pro 4.0
+ *
+ * Lee la primera hoja de un libro de Excel (.xlsx) sin dependencias externas:
+ * descomprime el paquete con archivoZip y recorre el XML de la hoja.
+ *
+ * Soporta textos compartidos (sharedStrings.xml), textos en línea, fórmulas con
+ * su valor calculado y booleanos. Los números se entregan como Number (las
+ * fechas quedan como número de serie de Excel). La primera fila no vacía es el
+ * encabezado, igual que en lectorCsv.
+ */
+
+const { leerZip } = require('./archivoZip');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Decodifica las entidades XML de un texto
+ */
+function decodificarXml(texto) {
+    return texto
+        .replace(/&#x([0-9a-fA-F]+);/g, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+        .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Texto de un nodo con runs (<t> sueltos o dentro de <r>)
+ */
+function textoDeNodo(xml) {
+    return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => decodificarXml(m[1])).join('');
+}
+
+/**
+ * Índice de columna (base 0) desde la referencia de celda ("A1" → 0, "AB7" → 27)
+ */
+function indiceColumna(referencia) {
+    const letras = referencia.replace(/\d+$/, '');
+    let indice = 0;
+    for (const letra of letras) {
+        indice = indice * 26 + (letra.charCodeAt(0) - 64);
+    }
+    return indice - 1;
+}
+
+/**
+ * Ruta de la primera hoja del libro según workbook.xml y sus relaciones
+ */
+function rutaPrimeraHoja(archivos) {
+    const libro = archivos['xl/workbook.xml']?.toString('utf-8');
+    const relaciones = archivos['xl/_rels/workbook.xml.rels']?.toString('utf-8');
+    if (!libro || !relaciones) {
+        throw createError('VALIDATION_ERROR', 'El archivo no es un libro de Excel (.xlsx)');
+    }
+
+    const id = libro.match(/<sheet\s[^>]*r:id="([^"]+)"/)?.[1];
+    const relacion = [...relaciones.matchAll(/<Relationship\s[^>]*>/g)]
+        .map(m => m[0])
+        .find(r => r.includes(`Id="${id}"`));
+    const destino = relacion?.match(/Target="([^"]+)"/)?.[1];
+    if (!destino) {
+        throw createError('VALIDATION_ERROR', 'El libro de Excel no tiene hojas');
+    }
+    return destino.startsWith('/') ? destino.slice(1) : `xl/${destino}`;
+}
+
+/**
+ * Valor de una celda según su tipo (t)
+ */
+function valorCelda(atributos, contenido, textos) {
+    const tipo = atributos.match(/\bt="([^"]+)"/)?.[1] || 'n';
+    if (tipo === 'inlineStr') {
+        return textoDeNodo(contenido.match(/<is>([\s\S]*?)<\/is>/)?.[1] || '');
+    }
+
+    const crudo = contenido.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+    if (crudo === undefined) return '';
+    const valor = decodificarXml(crudo);
+
+    if (tipo === 's') return textos[Number(valor)] ?? '';
+    if (tipo === 'b') return valor === '1';
+    if (tipo === 'n') return valor.trim() === '' ? '' : Number(valor);
+    return valor;
+}
+
+/**
+ * Convierte la primera hoja de un libro .xlsx en una lista de objetos por encabezado
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Array<Object>} Filas con { fila, datos } (fila = número de fila en la hoja)
+ */
+function parsearXlsx(buffer) {
+    const archivos = leerZip(buffer);
+    const hoja = archivos[rutaPrimeraHoja(archivos)]?.toString('utf-8');
+    if (!hoja) {
+        throw createError('VALIDATION_ERROR', 'No se encontró la primera hoja del libro');
+    }
+
+    const compartidos = archivos['xl/sharedStrings.xml']?.toString('utf-8') || '';
+    const textos = [...compartidos.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textoDeNodo(m[1]));
+
+    // Filas de la hoja como arreglos de valores por columna
+    const filasHoja = [];
+    for (const [, atributosFila, celdas] of hoja.matchAll(/<row\s([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const numero = Number(atributosFila.match(/\br="(\d+)"/)?.[1]) || filasHoja.length + 1;
+        const valores = [];
+        let siguiente = 0;
+        for (const [, atributos, contenido] of (celdas || '').matchAll(/<c\s([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const referencia = atributos.match(/\br="([A-Z]+\d+)"/)?.[1];
+            const columna = referencia ? indiceColumna(referencia) : siguiente;
+            valores[columna] = valorCelda(atributos, contenido || '', textos);
+            siguiente = columna + 1;
+        }
+        filasHoja.push({ numero, valores });
+    }
+
+    const vacia = (valores) => valores.every(v => v === undefined || String(v).trim() === '');
+    const indiceEncabezado = filasHoja.findIndex(f => !vacia(f.valores));
+    if (indiceEncabezado === -1) return [];
+
+    const encabezados = Array.from(filasHoja[indiceEncabezado].valores, v => String(v ?? '').trim());
+
+    const filas = [];
+    for (const { numero, valores } of filasHoja.slice(indiceEncabezado + 1)) {
+        if (vacia(valores)) continue;
+        const datos = {};
+        encabezados.forEach((h, j) => {
+            if (h === '') return;
+            datos[h] = typeof valores[j] === 'string' ? valores[j].trim() : (valores[j] ?? '');
+        });
+        filas.push({ fila: numero, datos });
+    }
+    return filas;
+}
+
+module.exports = {
+    parsearXlsx
+};
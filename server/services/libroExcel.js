@@ -0,0 +1,212 @@
+/**
+ * Libro Excel - Nómina BJ Pro 4.0
+ *
+ * Genera libros .xlsx (Office Open XML, SpreadsheetML) sin dependencias externas.
+ *
+ * ESTRUCTURA (empaquetada con archivoZip):
+ * - [Content_Types].xml, _rels/.rels y docProps/core.xml
+ * - xl/workbook.xml y xl/_rels/workbook.xml.rels
+ * - xl/styles.xml: encabezado, formatos de texto, entero, moneda y decimal, y fila de totales
+ * - xl/worksheets/sheetN.xml: una hoja por entrada, con textos en línea (inlineStr)
+ *
+ * La primera fila de cada hoja son los títulos de las columnas (inmovilizada).
+ * La fila de totales lleva fórmulas SUMA con el valor ya calculado, de modo que
+ * se ve igual aunque el programa no recalcule al abrir.
+ */
+
+const { crearZip } = require('./archivoZip');
+
+// Índice del estilo (cellXfs) de cada formato: normal y en la fila de totales
+const ESTILOS = {
+    encabezado: 1,
+    texto: { normal: 2, total: 6 },
+    entero: { normal: 3, total: 7 },
+    moneda: { normal: 4, total: 8 },
+    decimal: { normal: 5, total: 9 }
+};
+
+const ESTILOS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="10"/><name val="Arial"/></font><font><b/><sz val="10"/><name val="Arial"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFD9E1F2"/><bgColor indexed="64"/></patternFill></fill></fills>
+<borders count="2"><border><left/><right/><top/><bottom/><diagonal/></border><border><left/><right/><top style="thin"/><bottom style="double"/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="10">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1" applyAlignment="1"><alignment horizontal="center" vertical="center" wrapText="1"/></xf>
+<xf numFmtId="49" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="49" fontId="1" fillId="0" borderId="1" xfId="0" applyNumberFormat="1" applyFont="1" applyBorder="1"/>
+<xf numFmtId="3" fontId="1" fillId="0" borderId="1" xfId="0" applyNumberFormat="1" applyFont="1" applyBorder="1"/>
+<xf numFmtId="4" fontId="1" fillId="0" borderId="1" xfId="0" applyNumberFormat="1" applyFont="1" applyBorder="1"/>
+<xf numFmtId="2" fontId="1" fillId="0" borderId="1" xfId="0" applyNumberFormat="1" applyFont="1" applyBorder="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+/**
+ * Escapa un texto para usarlo en un nodo XML
+ */
+function escaparXml(valor) {
+    return String(valor ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Letra de la columna en Excel: 0 -> A, 25 -> Z, 26 -> AA
+ * @param {number} indice - Índice de la columna (desde 0)
+ * @returns {string} Letras de la columna
+ */
+function letraColumna(indice) {
+    let letras = '';
+    for (let n = indice + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letras = String.fromCharCode(65 + (n - 1) % 26) + letras;
+    }
+    return letras;
+}
+
+/**
+ * XML de una celda
+ * @param {string} referencia - Referencia A1 de la celda
+ * @param {*} valor - Número, texto, null o { formula, valor }
+ * @param {number} estilo - Índice del estilo
+ */
+function celdaXml(referencia, valor, estilo) {
+    if (valor === null || valor === undefined || valor === '') {
+        return `<c r="${referencia}" s="${estilo}"/>`;
+    }
+    if (typeof valor === 'object') {
+        return `<c r="${referencia}" s="${estilo}"><f>${escaparXml(valor.formula)}</f><v>${Number(valor.valor) || 0}</v></c>`;
+    }
+    if (typeof valor === 'number') {
+        return `<c r="${referencia}" s="${estilo}"><v>${Number.isFinite(valor) ? valor : 0}</v></c>`;
+    }
+    return `<c r="${referencia}" s="${estilo}" t="inlineStr"><is><t xml:space="preserve">${escaparXml(valor)}</t></is></c>`;
+}
+
+/**
+ * XML de una hoja
+ * @param {Object} hoja - { columnas: [{ titulo, ancho?, formato? }], filas: [[valor]], totales?: [valor] }
+ *   formato: 'texto' (por defecto), 'entero', 'moneda' o 'decimal'
+ *   totales: valores de la fila de totales; true en una columna numérica = SUMA de la columna
+ * @returns {string} Contenido de sheetN.xml
+ */
+function hojaXml(hoja) {
+    const { columnas, filas } = hoja;
+    const formato = (i) => ESTILOS[columnas[i].formato] ? columnas[i].formato : 'texto';
+
+    const anchos = columnas.map((col, i) => `<col min="${i + 1}" max="${i + 1}" width="${col.ancho || 14}" customWidth="1"/>`);
+
+    const filasXml = [
+        `<row r="1" ht="30" customHeight="1">${columnas.map((col, i) => celdaXml(`${letraColumna(i)}1`, col.titulo, ESTILOS.encabezado)).join('')}</row>`
+    ];
+
+    filas.forEach((fila, f) => {
+        const r = f + 2;
+        const celdas = columnas.map((_, i) => celdaXml(`${letraColumna(i)}${r}`, fila[i], ESTILOS[formato(i)].normal));
+        filasXml.push(`<row r="${r}">${celdas.join('')}</row>`);
+    });
+
+    if (hoja.totales) {
+        const r = filas.length + 2;
+        const celdas = columnas.map((_, i) => {
+            let valor = hoja.totales[i];
+            if (valor === true) {
+                const suma = filas.reduce((sum, fila) => sum + (typeof fila[i] === 'number' ? fila[i] : 0), 0);
+                valor = filas.length > 0
+                    ? { formula: `SUM(${letraColumna(i)}2:${letraColumna(i)}${r - 1})`, valor: Math.round(suma * 100) / 100 }
+                    : 0;
+            }
+            return celdaXml(`${letraColumna(i)}${r}`, valor, ESTILOS[formato(i)].total);
+        });
+        filasXml.push(`<row r="${r}">${celdas.join('')}</row>`);
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetFormatPr defaultRowHeight="13"/>
+<cols>${anchos.join('')}</cols>
+<sheetData>${filasXml.join('')}</sheetData>
+</worksheet>`;
+}
+
+/**
+ * Nombre válido de hoja: máximo 31 caracteres y sin : \ / ? * [ ]
+ */
+function nombreHoja(nombre, i) {
+    const limpio = String(nombre || '').replace(/[:\\/?*[\]]/g, '-').slice(0, 31);
+    return limpio || `Hoja${i + 1}`;
+}
+
+/**
+ * Crea un libro de Excel
+ * @param {Array} hojas - [{ nombre, columnas, filas, totales? }] (ver hojaXml)
+ * @param {Object} [info] - { titulo, autor, fecha }
+ * @returns {Buffer} Contenido del archivo .xlsx
+ */
+function crearLibroExcel(hojas, info = {}) {
+    const fecha = info.fecha || new Date();
+    const fechaIso = `${fecha.toISOString().split('.')[0]}Z`;
+
+    const archivos = [
+        {
+            nombre: '[Content_Types].xml',
+            contenido: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${hojas.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`
+        },
+        {
+            nombre: '_rels/.rels',
+            contenido: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`
+        },
+        {
+            nombre: 'docProps/core.xml',
+            contenido: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escaparXml(info.titulo)}</dc:title>
+<dc:creator>${escaparXml(info.autor)}</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${fechaIso}</dcterms:created>
+</cp:coreProperties>`
+        },
+        {
+            nombre: 'xl/workbook.xml',
+            contenido: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${hojas.map((hoja, i) => `<sheet name="${escaparXml(nombreHoja(hoja.nombre, i))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>
+</workbook>`
+        },
+        {
+            nombre: 'xl/_rels/workbook.xml.rels',
+            contenido: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${hojas.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${hojas.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+        },
+        { nombre: 'xl/styles.xml', contenido: ESTILOS_XML },
+        ...hojas.map((hoja, i) => ({ nombre: `xl/worksheets/sheet${i + 1}.xml`, contenido: hojaXml(hoja) }))
+    ];
+
+    return crearZip(archivos, fecha);
+}
+
+module.exports = {
+    letraColumna,
+    crearLibroExcel
+};
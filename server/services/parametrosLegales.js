@@ -0,0 +1,116 @@
+/**
+ * Parámetros Legales por Período - Nómina BJ Pro 4.0
+ *
+ * Selecciona los parámetros legales vigentes en la fecha de un período
+ * (config.parametrosAnuales) y congela una copia en el archivo del período
+ * para que un recálculo posterior reproduzca los valores originales.
+ *
+ * PRIORIDAD:
+ * 1. Parámetros congelados en el período (nomina.parametros)
+ * 2. config.parametrosAnuales[año], aplicando sus cambios con fecha "desde" <= fecha del período
+ * 3. Valores generales de config.json (smmlv, auxTransporte, factores...)
+ *
+ * La fecha de referencia de un período es su fecha fin.
+ *
+ * REGLAS DEL IBC: la copia guarda también la versión de las reglas del IBC
+ * (reglasIbc, ver REGLAS_IBC en calculoNomina) y los festivos, para que un
+ * ajuste no cambie la clasificación de días ni aplique reglas posteriores.
+ */
+
+const { parsearFecha } = require('./periodos');
+const { REGLAS_IBC_VIGENTES } = require('./calculoNomina');
+
+// Campos que cambian por año (decretos de salario mínimo, Ley 2101, Ley 2466)
+const PARAMETROS_ANUALES = ['smmlv', 'auxTransporte', 'saludPct', 'pensionPct', 'horaDivisor', 'factores', 'jornada'];
+
+// Campos anuales que se combinan con los generales en vez de reemplazarlos
+const PARAMETROS_COMBINADOS = ['factores', 'jornada'];
+
+// Campos que usa el motor de cálculo y se congelan en cada período
+const PARAMETROS_CALCULO = [
+    ...PARAMETROS_ANUALES,
+    'fondoSolidaridad',
+    'aportesEmpleador',
+    'arlTarifas',
+    'festivos'
+];
+
+/**
+ * Aplica un conjunto de parámetros sobre una configuración
+ * Los factores y la jornada se combinan; el resto de campos se reemplaza
+ */
+function aplicarParametros(config, parametros) {
+    const resultado = { ...config };
+    for (const campo of PARAMETROS_ANUALES) {
+        if (parametros[campo] === undefined) continue;
+        resultado[campo] = PARAMETROS_COMBINADOS.includes(campo)
+            ? { ...resultado[campo], ...parametros[campo] }
+            : parametros[campo];
+    }
+    return resultado;
+}
+
+/**
+ * Obtiene la configuración vigente en una fecha
+ * @param {Object} config - Configuración del sistema
+ * @param {string} fecha - Fecha de referencia (AAAA-MM-DD)
+ * @returns {Object} Configuración con los parámetros del año de la fecha y year = ese año
+ */
+function resolverParametros(config, fecha) {
+    const fechaRef = parsearFecha(fecha) ? fecha : new Date().toISOString().split('T')[0];
+    const anio = Number(fechaRef.slice(0, 4));
+    const delAnio = config.parametrosAnuales?.[anio];
+
+    let resultado = { ...config, year: anio };
+    if (delAnio) {
+        resultado = aplicarParametros(resultado, delAnio);
+
+        // Cambios dentro del año (ej: reducción de jornada desde el 15 de julio)
+        const cambios = [...(delAnio.cambios || [])]
+            .filter(c => c.desde && c.desde <= fechaRef)
+            .sort((a, b) => a.desde.localeCompare(b.desde));
+        for (const cambio of cambios) {
+            resultado = aplicarParametros(resultado, cambio);
+        }
+    }
+
+    return resultado;
+}
+
+/**
+ * Copia de los parámetros usados en un cálculo, para guardar en el período
+ * @param {Object} config - Configuración ya resuelta con resolverParametros
+ * @param {string} fecha - Fecha de referencia usada
+ * @returns {Object} Configuración mínima suficiente para recalcular el período
+ */
+function congelarParametros(config, fecha) {
+    const snapshot = { fechaReferencia: fecha, year: config.year, reglasIbc: config.reglasIbc || REGLAS_IBC_VIGENTES };
+    for (const campo of PARAMETROS_CALCULO) {
+        if (config[campo] !== undefined) {
+            snapshot[campo] = JSON.parse(JSON.stringify(config[campo]));
+        }
+    }
+    if (config.retencionFuente?.[config.year]) {
+        snapshot.retencionFuente = { [config.year]: { ...config.retencionFuente[config.year] } };
+    }
+    return snapshot;
+}
+
+/**
+ * Versión de las reglas del IBC con que se liquidó un período guardado
+ * Los períodos liquidados antes de congelar parámetros usan las del motor original (1)
+ * @param {Object|null} nomina - Período guardado
+ * @returns {number} Versión de REGLAS_IBC
+ */
+function reglasIbcDelPeriodo(nomina) {
+    if (nomina?.parametros) return nomina.parametros.reglasIbc || REGLAS_IBC_VIGENTES;
+    return nomina?.liquidaciones?.length > 0 ? 1 : REGLAS_IBC_VIGENTES;
+}
+
+module.exports = {
+    PARAMETROS_ANUALES,
+    PARAMETROS_CALCULO,
+    resolverParametros,
+    congelarParametros,
+    reglasIbcDelPeriodo
+};
@@ -0,0 +1,158 @@
+/**
+ * Utilidades de Períodos - Nómina BJ Pro 4.0
+ *
+ * Los períodos se identifican con el formato del Excel original:
+ * - SEMANAL: "AAAA-SNN" (ej: 2022-S19 = semana del 2 al 8 de mayo de 2022)
+ * - MENSUAL: "AAAA-MM"  (ej: 2022-05)
+ *
+ * La semana 1 es la que contiene el 1 de enero (semanas de lunes a domingo).
+ */
+
+const MS_DIA = 24 * 60 * 60 * 1000;
+
+// Días de la semana no hábiles si config.jornada.diasNoHabiles no los define (0 = domingo, 6 = sábado)
+const DIAS_NO_HABILES = [0, 6];
+
+/**
+ * Convierte una fecha "AAAA-MM-DD" a Date UTC
+ * @param {string} fecha - Fecha en formato ISO
+ * @returns {Date|null} Fecha UTC o null si no es válida
+ */
+function parsearFecha(fecha) {
+    if (!fecha || !/^\d{4}-\d{2}-\d{2}$/.test(fecha)) return null;
+    const [anio, mes, dia] = fecha.split('-').map(Number);
+    const date = new Date(Date.UTC(anio, mes - 1, dia));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formatea una Date UTC como "AAAA-MM-DD"
+ * @param {Date} date - Fecha UTC
+ * @returns {string} Fecha en formato ISO
+ */
+function formatearFecha(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Obtiene las fechas de inicio y fin a partir del identificador del período
+ * @param {string} periodo - Identificador (AAAA-SNN o AAAA-MM)
+ * @returns {Object|null} { fechaInicio, fechaFin } o null si el formato no se reconoce
+ */
+function fechasDesdePeriodo(periodo) {
+    const semanal = /^(\d{4})-S(\d{1,2})$/.exec(periodo || '');
+    if (semanal) {
+        const anio = Number(semanal[1]);
+        const semana = Number(semanal[2]);
+        const primeroEnero = new Date(Date.UTC(anio, 0, 1));
+        // Lunes de la semana que contiene el 1 de enero
+        const desfase = (primeroEnero.getUTCDay() + 6) % 7;
+        const inicio = new Date(primeroEnero.getTime() - desfase * MS_DIA + (semana - 1) * 7 * MS_DIA);
+        const fin = new Date(inicio.getTime() + 6 * MS_DIA);
+        return { fechaInicio: formatearFecha(inicio), fechaFin: formatearFecha(fin) };
+    }
+
+    const mensual = /^(\d{4})-(\d{2})$/.exec(periodo || '');
+    if (mensual) {
+        const anio = Number(mensual[1]);
+        const mes = Number(mensual[2]);
+        const inicio = new Date(Date.UTC(anio, mes - 1, 1));
+        const fin = new Date(Date.UTC(anio, mes, 0));
+        return { fechaInicio: formatearFecha(inicio), fechaFin: formatearFecha(fin) };
+    }
+
+    return null;
+}
+
+/**
+ * Resuelve las fechas de una nómina guardada, usando el identificador
+ * del período cuando el archivo no las tiene (liquidaciones individuales)
+ * @param {Object} nomina - Nómina del período
+ * @returns {Object} { fechaInicio, fechaFin } (pueden ser null)
+ */
+function fechasDeNomina(nomina) {
+    if (nomina.fechaInicio && nomina.fechaFin) {
+        return { fechaInicio: nomina.fechaInicio, fechaFin: nomina.fechaFin };
+    }
+    return fechasDesdePeriodo(nomina.periodo) || { fechaInicio: null, fechaFin: null };
+}
+
+/**
+ * Días calendario entre dos fechas, ambas inclusive
+ * @param {string} desde - Fecha inicial (AAAA-MM-DD)
+ * @param {string} hasta - Fecha final (AAAA-MM-DD)
+ * @returns {number} Número de días (0 si el rango es inválido)
+ */
+function diasEntre(desde, hasta) {
+    const inicio = parsearFecha(desde);
+    const fin = parsearFecha(hasta);
+    if (!inicio || !fin || fin < inicio) return 0;
+    return Math.round((fin - inicio) / MS_DIA) + 1;
+}
+
+/**
+ * Días hábiles entre dos fechas, ambas inclusive
+ * @param {string} desde - Fecha inicial (AAAA-MM-DD)
+ * @param {string} hasta - Fecha final (AAAA-MM-DD)
+ * @param {Array<string>} festivos - Festivos de config.festivos
+ * @param {Array<number>} diasNoHabiles - Días de la semana que no son hábiles (0 = domingo, 6 = sábado)
+ * @returns {number} Número de días hábiles
+ */
+function diasHabilesEntre(desde, hasta, festivos = [], diasNoHabiles = DIAS_NO_HABILES) {
+    const inicio = parsearFecha(desde);
+    const total = diasEntre(desde, hasta);
+    let habiles = 0;
+    for (let i = 0; i < total; i++) {
+        const dia = new Date(inicio.getTime() + i * MS_DIA);
+        if (!diasNoHabiles.includes(dia.getUTCDay()) && !festivos.includes(formatearFecha(dia))) habiles++;
+    }
+    return habiles;
+}
+
+/**
+ * Días hábiles entre dos fechas según la configuración
+ * Licencias por días hábiles y vacaciones cuentan igual: sin config.jornada.diasNoHabiles ni config.festivos
+ * @param {string} desde - Fecha inicial (AAAA-MM-DD)
+ * @param {string} hasta - Fecha final (AAAA-MM-DD)
+ * @param {Object} config - Configuración o parámetros del período (jornada, festivos)
+ * @returns {number} Número de días hábiles
+ */
+function diasHabilesConfig(desde, hasta, config) {
+    return diasHabilesEntre(desde, hasta, config?.festivos || [], config?.jornada?.diasNoHabiles || DIAS_NO_HABILES);
+}
+
+/**
+ * Posición de una fecha en año comercial: el último día de cada mes cuenta como el 30
+ */
+function posicion360(date) {
+    const dia = date.getUTCDate();
+    const ultimoDia = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    return date.getUTCFullYear() * 360 + date.getUTCMonth() * 30 + (dia === ultimoDia ? 30 : Math.min(dia, 30));
+}
+
+/**
+ * Días entre dos fechas en año comercial de 360 días (meses de 30), ambas inclusive
+ * Es aditivo: la suma de rangos consecutivos da lo mismo que el rango completo
+ * (un mes completo son 30 días, también febrero; el día 31 no suma)
+ * @param {string} desde - Fecha inicial (AAAA-MM-DD)
+ * @param {string} hasta - Fecha final (AAAA-MM-DD)
+ * @returns {number} Número de días (0 si el rango es inválido)
+ */
+function dias360(desde, hasta) {
+    const inicio = parsearFecha(desde);
+    const fin = parsearFecha(hasta);
+    if (!inicio || !fin || hasta < desde) return 0;
+    return posicion360(fin) - posicion360(new Date(inicio.getTime() - MS_DIA));
+}
+
+module.exports = {
+    DIAS_NO_HABILES,
+    parsearFecha,
+    formatearFecha,
+    fechasDesdePeriodo,
+    fechasDeNomina,
+    diasEntre,
+    diasHabilesEntre,
+    diasHabilesConfig,
+    dias360
+};